@@ -1,47 +1,314 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { validateRules } = require('../services/pricing');
+const { validateEligibilityRules } = require('../services/eligibilityRules');
+const { validateEnv } = require('./envSchema');
 
-// Validate required BigCommerce configuration
+/**
+ * Check every environment variable against config/envSchema.js before anything reads them
+ * Throws one error listing all problems, so a bad deployment fails at startup.
+ */
 function validateConfig() {
-  const required = ['BC_STORE_HASH', 'BC_AUTH_TOKEN'];
-  const missing = required.filter(key => !process.env[key]);
-  
-  if (missing.length > 0 && process.env.NODE_ENV === 'production') {
-    console.warn(`⚠️  Warning: Missing BigCommerce environment variables: ${missing.join(', ')}`);
+  const problems = validateEnv(process.env);
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
   }
 }
 
 validateConfig();
 
+/**
+ * Read an integer environment variable, keeping an explicit 0
+ */
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Read an environment variable that must be one of a fixed set of values
+ */
+function choiceFromEnv(name, choices, fallback) {
+  const value = (process.env[name] || fallback).toLowerCase();
+  if (!choices.includes(value)) {
+    throw new Error(`${name} must be one of ${choices.join(', ')} (got ${process.env[name]})`);
+  }
+  return value;
+}
+
+/**
+ * Read the Express "trust proxy" setting: true/false, a hop count, or addresses/subnets
+ * Vercel sits behind one proxy, so its client IP is trusted from X-Forwarded-For by default.
+ */
+function trustProxyFromEnv() {
+  const value = process.env.TRUST_PROXY;
+  if (value === undefined || value === '') {
+    return process.env.VERCEL === '1' ? 1 : false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+/**
+ * Load insurance pricing rules
+ * Uses the JSON file at INSURANCE_RULES_FILE when set, otherwise builds the
+ * rules from the legacy percentage/threshold environment variables
+ */
+function loadPricingRules() {
+  if (process.env.INSURANCE_RULES_FILE) {
+    const rulesPath = path.resolve(process.cwd(), process.env.INSURANCE_RULES_FILE);
+    let rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load pricing rules from ${rulesPath}: ${error.message}`);
+    }
+    return validateRules(rules);
+  }
+
+  const threshold = parseFloat(process.env.INSURANCE_TIER_THRESHOLD) || 200;
+  const maxPremium = parseFloat(process.env.INSURANCE_MAX_PREMIUM);
+
+  return validateRules({
+    tiers: [
+      {
+        name: `under-${threshold}`,
+        min: 0,
+        max: threshold,
+        percentage: parseFloat(process.env.INSURANCE_PERCENTAGE_UNDER_200) || 4
+      },
+      {
+        name: `${threshold}-and-over`,
+        min: threshold,
+        percentage: parseFloat(process.env.INSURANCE_PERCENTAGE_OVER_200) || 4
+      }
+    ],
+    minPremium: parseFloat(process.env.INSURANCE_MIN_PREMIUM) || 0,
+    maxPremium: isNaN(maxPremium) ? null : maxPremium,
+    rounding: {
+      mode: process.env.INSURANCE_ROUNDING_MODE || 'nearest',
+      increment: parseFloat(process.env.INSURANCE_ROUNDING_INCREMENT) || 0.01
+    }
+  });
+}
+
+/**
+ * Load item eligibility rules (include/exclude/block by product, SKU, category, brand)
+ * from the JSON file at INSURANCE_ELIGIBILITY_RULES_FILE; no rules when unset
+ */
+function loadEligibilityRules() {
+  if (!process.env.INSURANCE_ELIGIBILITY_RULES_FILE) {
+    return {};
+  }
+
+  const rulesPath = path.resolve(process.cwd(), process.env.INSURANCE_ELIGIBILITY_RULES_FILE);
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load eligibility rules from ${rulesPath}: ${error.message}`);
+  }
+  return validateEligibilityRules(rules);
+}
+
+// In-memory BigCommerce stand-in for development and tests (services/bigcommerceSimulator.js)
+const simulatorEnabled = process.env.BC_SIMULATOR === 'true';
+
 module.exports = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   
   bigcommerce: {
-    storeHash: process.env.BC_STORE_HASH,
-    authToken: process.env.BC_AUTH_TOKEN,
+    storeHash: process.env.BC_STORE_HASH || (simulatorEnabled ? 'simulator' : undefined),
+    authToken: process.env.BC_AUTH_TOKEN || (simulatorEnabled ? 'simulator' : undefined),
     storefrontApiToken: process.env.BC_STOREFRONT_API_TOKEN || process.env.BC_AUTH_TOKEN, // Fallback to Admin token if Storefront token not set
+    // Single-click app credentials (multi-store installs)
     clientId: process.env.BC_CLIENT_ID,
-    apiUrl: `https://api.bigcommerce.com/stores/${process.env.BC_STORE_HASH}/v3`,
-    storefrontApiUrl: `https://api.bigcommerce.com/stores/${process.env.BC_STORE_HASH}/v3/storefront`
+    clientSecret: process.env.BC_CLIENT_SECRET,
+    authCallbackUrl: process.env.BC_AUTH_CALLBACK_URL ||
+      `${(process.env.SERVER_URL || 'http://localhost:3000').replace(/\/$/, '')}/api/app/auth`,
+    // API client resilience: request timeout, retries with backoff, circuit breaker
+    http: {
+      timeoutMs: intFromEnv('BC_TIMEOUT_MS', 10000),
+      maxRetries: intFromEnv('BC_MAX_RETRIES', 3),
+      retryBaseDelayMs: intFromEnv('BC_RETRY_BASE_DELAY_MS', 250),
+      retryMaxDelayMs: intFromEnv('BC_RETRY_MAX_DELAY_MS', 5000),
+      circuitFailureThreshold: intFromEnv('BC_CIRCUIT_FAILURE_THRESHOLD', 5),
+      circuitResetMs: intFromEnv('BC_CIRCUIT_RESET_MS', 30000)
+    },
+    // Answer BigCommerce API calls from memory instead of api.bigcommerce.com
+    simulator: {
+      enabled: simulatorEnabled,
+      // JSON file with { products, carts, orders, hooks }; built-in fixtures when unset
+      fixturesFile: process.env.BC_SIMULATOR_FIXTURES || null
+    }
   },
   
   products: {
-    insuranceProductId: parseInt(process.env.INSURANCE_PRODUCT_ID) || 6817
+    insuranceProductId: parseInt(process.env.INSURANCE_PRODUCT_ID) || 6817,
+    // False while the 6817 fallback is in use (run `npm run setup` to create the product)
+    insuranceProductIdSet: Boolean(parseInt(process.env.INSURANCE_PRODUCT_ID))
   },
   
   insurance: {
+    // How protection is charged:
+    // product - the insurance product as a cart line item with a custom price
+    // fee     - a checkout fee (no catalog product, not discounted by coupons)
+    mode: choiceFromEnv('INSURANCE_MODE', ['product', 'fee'], 'product'),
+    // Whether carts start with protection:
+    // opt-in  - only when the shopper adds it
+    // opt-out - added on the first cart fetch (or cart-created webhook) until the shopper removes it
+    selection: choiceFromEnv('INSURANCE_SELECTION', ['opt-in', 'opt-out'], 'opt-in'),
+    fee: {
+      displayName: process.env.INSURANCE_FEE_DISPLAY_NAME || 'Shipping Protection',
+      taxClassId: intFromEnv('INSURANCE_FEE_TAX_CLASS_ID', null)
+    },
     percentageOver200: parseFloat(process.env.INSURANCE_PERCENTAGE_OVER_200) || 4,
-    percentageUnder200: parseFloat(process.env.INSURANCE_PERCENTAGE_UNDER_200) || 4
+    percentageUnder200: parseFloat(process.env.INSURANCE_PERCENTAGE_UNDER_200) || 4,
+    pricingRules: loadPricingRules(),
+    // Where the insured amount comes from:
+    // client - trust cartTotal/cartData sent by the storefront (legacy)
+    // server - always fetch the cart and ignore any client-supplied total
+    // verify - fetch the cart and reject client totals that disagree with it
+    totalSource: process.env.INSURANCE_TOTAL_SOURCE || 'client',
+    totalTolerance: parseFloat(process.env.INSURANCE_TOTAL_TOLERANCE) || 0.01,
+    // list | sale | net (sale price minus discounts and coupons)
+    valueBasis: process.env.INSURANCE_VALUE_BASIS || 'net',
+    includeCustomItems: process.env.INSURANCE_INCLUDE_CUSTOM_ITEMS !== 'false',
+    // Protection is only offered for insured values inside this range
+    minCartTotal: parseFloat(process.env.INSURANCE_MIN_CART_TOTAL) || 0,
+    maxCartTotal: parseFloat(process.env.INSURANCE_MAX_CART_TOTAL) || null,
+    eligibilityRules: loadEligibilityRules()
+  },
+
+  catalog: {
+    // How long product categories, brands and shipping details are cached
+    cacheTtlSeconds: intFromEnv('CATALOG_CACHE_TTL_SECONDS', 600)
+  },
+
+  freight: {
+    // Units the store's catalog uses for product weight and dimensions
+    weightUnit: choiceFromEnv('FREIGHT_WEIGHT_UNIT', ['lb', 'oz', 'kg', 'g'], 'lb'),
+    dimensionUnit: choiceFromEnv('FREIGHT_DIMENSION_UNIT', ['in', 'cm'], 'in'),
+    // A cart needs LTL when a unit exceeds parcel limits (lb / in) or the whole
+    // shipment is heavier than ltlWeightThreshold (lb)
+    parcelMaxWeight: parseFloat(process.env.FREIGHT_PARCEL_MAX_WEIGHT) || 150,
+    parcelMaxLength: parseFloat(process.env.FREIGHT_PARCEL_MAX_LENGTH) || 108,
+    parcelMaxLengthPlusGirth: parseFloat(process.env.FREIGHT_PARCEL_MAX_LENGTH_PLUS_GIRTH) || 165,
+    ltlWeightThreshold: parseFloat(process.env.FREIGHT_LTL_WEIGHT_THRESHOLD) || 500,
+    // Class used for items with neither dimensions nor a freight_class custom field
+    defaultFreightClass: parseFloat(process.env.FREIGHT_DEFAULT_CLASS) || 100
   },
   
   cors: {
-    origin: process.env.CORS_ORIGIN || '*',
-    allowedOrigins: process.env.CORS_ALLOWED_ORIGINS 
-      ? process.env.CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
+    // '*' allows any origin (never with credentials); unset, only the origins below may call the API
+    origin: process.env.CORS_ORIGIN || null,
+    // Exact origins (https://shop.example.com) or subdomain wildcards (https://*.example.com)
+    allowedOrigins: process.env.CORS_ALLOWED_ORIGINS
+      ? process.env.CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
       : [],
+    // https://*.mybigcommerce.com and https://*.bigcommerce.com storefronts and control panel
     allowBigCommerce: process.env.CORS_ALLOW_BIGCOMMERCE !== 'false'
   },
+
+  storefront: {
+    // optional - storefront routes check a publishable key or token when one is sent
+    // required - storefront routes reject requests without one
+    auth: choiceFromEnv('STOREFRONT_AUTH', ['optional', 'required'], 'optional'),
+    // Longest lifetime accepted for signed storefront tokens
+    tokenMaxTtlSeconds: intFromEnv('STOREFRONT_TOKEN_MAX_TTL_SECONDS', 3600)
+  },
+
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    windowMs: intFromEnv('RATE_LIMIT_WINDOW_MS', 60000),
+    // Requests per window to the insurance routes, per client IP and per cart (0 = no limit)
+    perIp: intFromEnv('RATE_LIMIT_PER_IP', 120),
+    perCart: intFromEnv('RATE_LIMIT_PER_CART', 30)
+  },
+
+  // Express "trust proxy": which X-Forwarded-For hops to believe for the client IP
+  trustProxy: trustProxyFromEnv(),
   
+  webhooks: {
+    // Webhook secret of the store configured through environment variables (optional): sent
+    // in the X-Webhook-Secret hook header and the HMAC key for signed deliveries. Other stores
+    // get their own, see services/webhookSecrets.js
+    secret: process.env.BC_WEBHOOK_SECRET,
+    scopes: [
+      'store/cart/created',
+      'store/cart/updated',
+      'store/cart/deleted',
+      'store/cart/lineItem/*',
+      'store/order/created',
+      'store/order/statusUpdated',
+      'store/order/refund/created'
+    ]
+  },
+
+  policies: {
+    // Refund premiums through the Admin API when policies are voided or prorated;
+    // otherwise the refund is only recorded as due
+    refundPremiums: process.env.POLICY_REFUND_PREMIUMS === 'true',
+    // Refund the share of the premium for items refunded from a protected order
+    prorateOnPartialRefund: process.env.POLICY_PRORATE_PARTIAL_REFUNDS === 'true'
+  },
+
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY,
+    // Lifetime of the admin session issued by the app's /load callback
+    sessionTtlMinutes: parseInt(process.env.ADMIN_SESSION_TTL_MINUTES) || 60
+  },
+
+  storage: {
+    // Vercel only allows writes under /tmp, so data does not survive between deployments there
+    dataDir: process.env.DATA_DIR
+      ? path.resolve(process.cwd(), process.env.DATA_DIR)
+      : (process.env.VERCEL === '1' ? '/tmp/shipping-protection' : path.join(__dirname, '..', 'data'))
+  },
+
+  claims: {
+    filingWindowDays: parseInt(process.env.CLAIMS_FILING_WINDOW_DAYS) || 30,
+    maxPhotos: parseInt(process.env.CLAIMS_MAX_PHOTOS) || 5,
+    maxPhotoSizeMb: parseFloat(process.env.CLAIMS_MAX_PHOTO_SIZE_MB) || 10
+  },
+
+  widget: {
+    enabled: process.env.WIDGET_ENABLED !== 'false',
+    headline: process.env.WIDGET_HEADLINE || 'Shipping Protection',
+    // {price} is replaced with the live premium
+    description: process.env.WIDGET_DESCRIPTION || 'Protect your order from loss, damage or theft for {price}',
+    disclaimer: process.env.WIDGET_DISCLAIMER || '',
+    onText: process.env.WIDGET_ON_TEXT || 'ON',
+    offText: process.env.WIDGET_OFF_TEXT || 'OFF',
+    colors: {
+      accent: process.env.WIDGET_ACCENT_COLOR || '#F58220',
+      text: process.env.WIDGET_TEXT_COLOR || '#333333'
+    },
+    // on | off - whether protection starts selected for new carts
+    defaultState: process.env.WIDGET_DEFAULT_STATE === 'on' ? 'on' : 'off'
+  },
+
+  logging: {
+    level: choiceFromEnv('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], 'info'),
+    // json: one object per line (for log search); pretty: readable lines for local development
+    format: choiceFromEnv('LOG_FORMAT', ['json', 'pretty'], process.env.NODE_ENV === 'production' || process.env.VERCEL === '1' ? 'json' : 'pretty')
+  },
+
+  health: {
+    // How long GET /health/ready reuses its BigCommerce checks, so probes do not use up the API quota
+    readyCacheSeconds: intFromEnv('HEALTH_READY_CACHE_SECONDS', 15)
+  },
+
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // Bearer token required to scrape /metrics; open when unset
+    token: process.env.METRICS_TOKEN || null
+  },
+
   serverUrl: process.env.SERVER_URL || 'http://localhost:3000'
 };
 
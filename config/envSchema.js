@@ -0,0 +1,149 @@
+const { validateSchema } = require('../services/schema');
+
+/**
+ * Schema of the environment variables read by config/config.js
+ * Values are checked as strings converted to their schema's type ("true"/"false" for
+ * booleans), so a typo such as BC_TIMEOUT_MS=10s fails at startup instead of quietly
+ * falling back to the default. Empty variables count as unset. Choices are case-insensitive.
+ */
+
+const integer = (minimum, extra = {}) => ({ type: 'integer', minimum, ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const boolean = { type: 'boolean' };
+const choice = (...options) => ({ type: 'string', enum: options });
+const url = { type: 'string', format: 'uri' };
+const color = { type: 'string', pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$', 'x-error-message': 'must be a hex colour such as #F58220' };
+const percentage = number({ minimum: 0, maximum: 100 });
+const positive = number({ exclusiveMinimum: 0 });
+
+const ENV_SCHEMA = {
+  type: 'object',
+  properties: {
+    PORT: integer(1, { maximum: 65535 }),
+    SERVER_URL: url,
+
+    BC_STORE_HASH: { type: 'string', pattern: '^[A-Za-z0-9]+$', 'x-error-message': 'must be the store hash from the API path (letters and digits only, e.g. abc123xyz)' },
+    BC_AUTH_CALLBACK_URL: url,
+    BC_TIMEOUT_MS: integer(1),
+    BC_MAX_RETRIES: integer(0, { maximum: 10 }),
+    BC_RETRY_BASE_DELAY_MS: integer(0),
+    BC_RETRY_MAX_DELAY_MS: integer(0),
+    BC_CIRCUIT_FAILURE_THRESHOLD: integer(0),
+    BC_CIRCUIT_RESET_MS: integer(1),
+    BC_SIMULATOR: boolean,
+
+    INSURANCE_PRODUCT_ID: integer(1),
+    INSURANCE_MODE: choice('product', 'fee'),
+    INSURANCE_SELECTION: choice('opt-in', 'opt-out'),
+    INSURANCE_FEE_TAX_CLASS_ID: integer(0),
+    INSURANCE_PERCENTAGE_OVER_200: percentage,
+    INSURANCE_PERCENTAGE_UNDER_200: percentage,
+    INSURANCE_TIER_THRESHOLD: positive,
+    INSURANCE_MIN_PREMIUM: number({ minimum: 0 }),
+    INSURANCE_MAX_PREMIUM: number({ minimum: 0 }),
+    INSURANCE_ROUNDING_MODE: choice('nearest', 'up', 'down'),
+    INSURANCE_ROUNDING_INCREMENT: positive,
+    INSURANCE_TOTAL_SOURCE: choice('client', 'server', 'verify'),
+    INSURANCE_TOTAL_TOLERANCE: number({ minimum: 0 }),
+    INSURANCE_VALUE_BASIS: choice('list', 'sale', 'net'),
+    INSURANCE_INCLUDE_CUSTOM_ITEMS: boolean,
+    INSURANCE_MIN_CART_TOTAL: number({ minimum: 0 }),
+    INSURANCE_MAX_CART_TOTAL: positive,
+
+    CATALOG_CACHE_TTL_SECONDS: integer(0),
+
+    FREIGHT_WEIGHT_UNIT: choice('lb', 'oz', 'kg', 'g'),
+    FREIGHT_DIMENSION_UNIT: choice('in', 'cm'),
+    FREIGHT_PARCEL_MAX_WEIGHT: positive,
+    FREIGHT_PARCEL_MAX_LENGTH: positive,
+    FREIGHT_PARCEL_MAX_LENGTH_PLUS_GIRTH: positive,
+    FREIGHT_LTL_WEIGHT_THRESHOLD: positive,
+    FREIGHT_DEFAULT_CLASS: number({ minimum: 50, maximum: 500 }),
+
+    CORS_ORIGIN: { type: 'string', pattern: '^\\*$', 'x-error-message': 'must be * or unset; list origins in CORS_ALLOWED_ORIGINS' },
+    CORS_ALLOW_BIGCOMMERCE: boolean,
+
+    STOREFRONT_AUTH: choice('optional', 'required'),
+    STOREFRONT_TOKEN_MAX_TTL_SECONDS: integer(60),
+
+    RATE_LIMIT_ENABLED: boolean,
+    RATE_LIMIT_WINDOW_MS: integer(1000),
+    RATE_LIMIT_PER_IP: integer(0),
+    RATE_LIMIT_PER_CART: integer(0),
+
+    POLICY_REFUND_PREMIUMS: boolean,
+    POLICY_PRORATE_PARTIAL_REFUNDS: boolean,
+
+    ADMIN_SESSION_TTL_MINUTES: integer(1),
+
+    CLAIMS_FILING_WINDOW_DAYS: integer(1),
+    CLAIMS_MAX_PHOTOS: integer(0, { maximum: 20 }),
+    CLAIMS_MAX_PHOTO_SIZE_MB: positive,
+
+    WIDGET_ENABLED: boolean,
+    WIDGET_ACCENT_COLOR: color,
+    WIDGET_TEXT_COLOR: color,
+    WIDGET_DEFAULT_STATE: choice('on', 'off'),
+
+    LOG_LEVEL: choice('debug', 'info', 'warn', 'error'),
+    LOG_FORMAT: choice('json', 'pretty'),
+    METRICS_ENABLED: boolean,
+
+    HEALTH_READY_CACHE_SECONDS: integer(0)
+  }
+};
+
+/**
+ * Settings that are valid one by one but not together
+ * Each takes the converted values and returns a problem message or null.
+ */
+const CONFLICTS = [
+  env => env.CORS_ORIGIN === '*' && env.CORS_ALLOWED_ORIGINS
+    ? 'CORS_ORIGIN=* allows every origin, so CORS_ALLOWED_ORIGINS has no effect; set only one of them'
+    : null,
+  env => env.CORS_ALLOWED_ORIGINS && env.CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).includes('*')
+    ? 'CORS_ALLOWED_ORIGINS cannot contain *; use CORS_ORIGIN=* to allow every origin'
+    : null,
+  env => env.BC_RETRY_BASE_DELAY_MS > (env.BC_RETRY_MAX_DELAY_MS ?? 5000)
+    ? 'BC_RETRY_BASE_DELAY_MS must not be greater than BC_RETRY_MAX_DELAY_MS'
+    : null,
+  env => env.INSURANCE_MAX_CART_TOTAL !== undefined && (env.INSURANCE_MIN_CART_TOTAL || 0) > env.INSURANCE_MAX_CART_TOTAL
+    ? 'INSURANCE_MIN_CART_TOTAL must not be greater than INSURANCE_MAX_CART_TOTAL'
+    : null,
+  env => env.INSURANCE_MAX_PREMIUM !== undefined && (env.INSURANCE_MIN_PREMIUM || 0) > env.INSURANCE_MAX_PREMIUM
+    ? 'INSURANCE_MIN_PREMIUM must not be greater than INSURANCE_MAX_PREMIUM'
+    : null,
+  env => Boolean(env.BC_CLIENT_ID) !== Boolean(env.BC_CLIENT_SECRET)
+    ? 'BC_CLIENT_ID and BC_CLIENT_SECRET must be set together'
+    : null,
+  // Without a store the backend starts but every storefront request fails
+  env => env.NODE_ENV === 'production' && !env.BC_SIMULATOR && !env.BC_CLIENT_SECRET && !(env.BC_STORE_HASH && env.BC_AUTH_TOKEN)
+    ? 'BC_STORE_HASH and BC_AUTH_TOKEN are required in production (or BC_CLIENT_ID and BC_CLIENT_SECRET for app installs)'
+    : null
+];
+
+/**
+ * Check environment variables against ENV_SCHEMA and CONFLICTS
+ * Returns a list of problem messages, empty when the configuration is valid
+ */
+function validateEnv(env = process.env) {
+  const values = {};
+  Object.entries(env).forEach(([name, value]) => {
+    if (value === undefined || value === '') {
+      return;
+    }
+    values[name] = ENV_SCHEMA.properties[name]?.enum ? value.toLowerCase() : value;
+  });
+
+  const { value: converted, problems } = validateSchema(ENV_SCHEMA, values, { coerceStrings: true });
+  const messages = problems.map(problem => `${problem.message} (got ${JSON.stringify(env[problem.path])})`);
+  if (messages.length > 0) {
+    return messages;
+  }
+  return CONFLICTS.map(conflict => conflict(converted)).filter(Boolean);
+}
+
+module.exports = {
+  ENV_SCHEMA,
+  validateEnv
+};
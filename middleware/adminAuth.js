@@ -0,0 +1,92 @@
+const config = require('../config/config');
+const { safeEqual } = require('../services/jwt');
+const { verifySession } = require('../services/bcApp');
+const { getStoreContext } = require('../services/stores');
+const { apiError, sendError } = require('../services/errors');
+
+/**
+ * Read the credential from the X-Admin-Key header or an Authorization: Bearer header
+ */
+function getProvidedKey(req) {
+  const headerKey = req.get('x-admin-key');
+  if (headerKey) {
+    return headerKey;
+  }
+
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Pin a session-authenticated request to the session's store
+ * Returns false when the request explicitly asks for a different store
+ */
+function bindSessionStore(req, storeHash) {
+  const requested = req.get('x-store-hash') || req.query.storeHash || req.body?.storeHash;
+  if (requested && requested !== storeHash) {
+    return false;
+  }
+
+  // storeContext may not have run yet (it reads this header) or may have picked the default store
+  req.headers['x-store-hash'] = storeHash;
+  if (req.storeContext && req.storeContext.storeHash !== storeHash) {
+    req.storeContext = getStoreContext(storeHash);
+  }
+  return true;
+}
+
+/**
+ * Require admin credentials for admin-only routes
+ * Accepts either ADMIN_API_KEY, or an admin session issued by the app's /load callback
+ * (bound to that store). Sets req.admin = { type, user, storeHash } for audit records.
+ */
+function adminAuth(req, res, next) {
+  const providedKey = getProvidedKey(req);
+
+  if (providedKey && config.admin.apiKey && safeEqual(providedKey, config.admin.apiKey)) {
+    req.admin = { type: 'api_key', user: req.get('x-admin-user') || null, storeHash: null };
+    return next();
+  }
+
+  // Session tokens are JWTs; anything else can only have been an API key
+  if (providedKey && providedKey.split('.').length === 3 && config.bigcommerce.clientSecret) {
+    let claims;
+    try {
+      claims = verifySession(providedKey);
+    } catch (error) {
+      return sendError(res, apiError('UNAUTHORIZED', `Invalid admin session: ${error.message}`));
+    }
+
+    const storeHash = String(claims.sub || '').replace(/^stores\//, '');
+    if (!bindSessionStore(req, storeHash)) {
+      return sendError(res, apiError('FORBIDDEN', 'Admin session is not valid for this store'));
+    }
+    if (req.storeContext === null) {
+      return sendError(res, apiError('STORE_NOT_FOUND', `Store not found or app not installed: ${storeHash}`));
+    }
+
+    req.admin = { type: 'session', user: claims.user?.email || null, storeHash };
+    return next();
+  }
+
+  if (!config.admin.apiKey && !config.bigcommerce.clientSecret) {
+    return sendError(res, apiError('NOT_CONFIGURED', 'Admin API is disabled (ADMIN_API_KEY not set)'));
+  }
+
+  return sendError(res, apiError('UNAUTHORIZED', 'Invalid or missing admin credentials'));
+}
+
+/**
+ * Restrict a route to ADMIN_API_KEY callers (cross-store operations)
+ * Use after adminAuth
+ */
+function apiKeyOnly(req, res, next) {
+  if (req.admin?.type !== 'api_key') {
+    return sendError(res, apiError('FORBIDDEN', 'This endpoint requires the admin API key'));
+  }
+  next();
+}
+
+module.exports = adminAuth;
+module.exports.apiKeyOnly = apiKeyOnly;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { apiError, sendError } = require('../services/errors');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Fingerprint of what a request asks for, so a reused key with a different body is caught
+ */
+function getFingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Honour an Idempotency-Key header on mutating endpoints
+ * The first request with a key runs normally and its response is stored for 24 hours;
+ * repeats get the stored response back instead of running again. A repeat that arrives
+ * while the first is still running gets 409. Server errors are not stored, so the
+ * request can be retried with the same key. Requires storeContext.
+ */
+function idempotency(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendError(res, apiError('VALIDATION_FAILED', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+  }
+
+  const records = req.storeContext.data.collection('idempotency', 'key');
+  const now = Date.now();
+  const fingerprint = getFingerprint(req);
+  const existing = records.get(key);
+
+  if (existing && now - new Date(existing.createdAt).getTime() < KEY_TTL_MS) {
+    if (existing.fingerprint !== fingerprint) {
+      return sendError(res, apiError('IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request'));
+    }
+    if (existing.state === 'pending') {
+      return sendError(res, apiError('IDEMPOTENCY_REQUEST_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed'));
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.body);
+  }
+
+  // Expired keys are dropped whenever a new one is stored
+  records.removeWhere(record => now - new Date(record.createdAt).getTime() >= KEY_TTL_MS);
+  records.put({ key, fingerprint, state: 'pending', createdAt: new Date(now).toISOString() });
+
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 500) {
+      records.remove(key);
+    } else {
+      records.update(key, { state: 'complete', statusCode: res.statusCode, body });
+    }
+    return sendJson(body);
+  };
+
+  // A response sent without res.json (or a dropped connection) must not leave the key stuck
+  res.on('close', () => {
+    if (records.get(key)?.state === 'pending') {
+      records.remove(key);
+    }
+  });
+
+  next();
+}
+
+module.exports = idempotency;
@@ -0,0 +1,45 @@
+const config = require('../config/config');
+const { getRateLimitStore } = require('../services/rateLimit');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+/**
+ * Limit requests to `max` per window for each value of `keyFor(req)` (e.g. client IP)
+ * Requests without a key, or with max 0, are not limited. Responses carry RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset (from the tightest limiter that ran); over the
+ * limit they get 429 RATE_LIMITED with Retry-After. If the counter store fails the request
+ * is let through, so a broken backend cannot take the storefront down.
+ */
+function rateLimit({ name, max, keyFor, windowMs = config.rateLimit.windowMs }) {
+  return async (req, res, next) => {
+    const key = config.rateLimit.enabled && max > 0 ? keyFor(req) : null;
+    if (!key) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      logger.warn('Rate limit store failed; request allowed', { limiter: name, error });
+      return next();
+    }
+
+    const remaining = Math.max(max - result.count, 0);
+    const resetSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0);
+    const current = res.get('RateLimit-Remaining');
+    if (current === undefined || remaining < Number(current)) {
+      res.set({ 'RateLimit-Limit': String(max), 'RateLimit-Remaining': String(remaining), 'RateLimit-Reset': String(resetSeconds) });
+    }
+
+    if (result.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, apiError('RATE_LIMITED', `Too many requests; retry in ${resetSeconds}s`, {
+        fields: { retryAfter: resetSeconds }
+      }));
+    }
+    next();
+  };
+}
+
+module.exports = rateLimit;
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+
+// Caller-supplied IDs are kept only if they are short and log-safe
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Route pattern a request matched, for metrics and logs (raw paths carry cart and order IDs)
+ */
+function getRouteLabel(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/';
+  }
+  return 'unmatched';
+}
+
+/**
+ * Give each request an ID and log and measure it when it completes
+ * The ID comes from the caller's X-Request-Id header when valid, otherwise it is
+ * generated; it is returned in the X-Request-Id response header.
+ */
+function requestContext(req, res, next) {
+  const supplied = req.get('x-request-id');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const route = getRouteLabel(req);
+    metrics.observeRequest({ method: req.method, route, status: res.statusCode, durationMs });
+
+    const log = res.statusCode >= 500 ? logger.warn : logger.info;
+    log('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs)
+    });
+  });
+
+  logger.runWithContext({ requestId: req.id }, next);
+}
+
+/**
+ * Re-enter the request's log context
+ * Body parsers resume the request from stream events, which loses the context set by
+ * requestContext, so this runs again once the body has been read.
+ */
+function bindRequestContext(req, res, next) {
+  logger.runWithContext({ requestId: req.id }, next);
+}
+
+module.exports = requestContext;
+module.exports.bindRequestContext = bindRequestContext;
@@ -0,0 +1,35 @@
+const { getStoreContext } = require('../services/stores');
+const logger = require('../services/logger');
+const { apiError, sendError } = require('../services/errors');
+
+/**
+ * Read the store hash a request is for
+ * Storefront scripts send X-Store-Hash; storeHash in the query or body also works
+ */
+function getRequestStoreHash(req) {
+  return req.get('x-store-hash') || req.query.storeHash || req.body?.storeHash || null;
+}
+
+/**
+ * Resolve the store a request acts on and attach it as req.storeContext
+ * Requests without a store hash use the store configured through environment variables
+ */
+function storeContext(req, res, next) {
+  const storeHash = getRequestStoreHash(req);
+
+  let context;
+  try {
+    context = getStoreContext(storeHash);
+  } catch (error) {
+    return sendError(res, apiError('INVALID_STORE_HASH', error.message));
+  }
+
+  if (!context) {
+    return sendError(res, apiError('STORE_NOT_FOUND', `Store not found or app not installed: ${storeHash}`));
+  }
+
+  req.storeContext = context;
+  logger.runWithContext({ storeHash: context.storeHash || null }, next);
+}
+
+module.exports = storeContext;
@@ -0,0 +1,42 @@
+const config = require('../config/config');
+const { verifyPublishableKey, verifyStorefrontToken } = require('../services/storefrontKeys');
+const { apiError, sendError } = require('../services/errors');
+
+/**
+ * The cart a storefront request acts on, for tokens limited to one cart
+ */
+function getRequestCartId(req) {
+  const cartId = req.params.cartId || req.body?.cartId || req.query.cartId;
+  return typeof cartId === 'string' ? cartId : null;
+}
+
+/**
+ * Check the storefront credentials on routes the storefront calls
+ * Accepts the store's publishable key (X-Publishable-Key) or a storefront token signed
+ * with its token secret (X-Storefront-Token). Credentials that are sent must be valid;
+ * with STOREFRONT_AUTH=required they must also be present. Sets req.storefront.
+ * Use after storeContext.
+ */
+function storefrontAuth(req, res, next) {
+  const publishableKey = req.get('x-publishable-key');
+  const token = req.get('x-storefront-token');
+
+  if (!publishableKey && !token) {
+    if (config.storefront.auth === 'required') {
+      return sendError(res, apiError('STOREFRONT_AUTH_REQUIRED', 'Send the store\'s publishable key as X-Publishable-Key or a storefront token as X-Storefront-Token'));
+    }
+    req.storefront = null;
+    return next();
+  }
+
+  try {
+    req.storefront = token
+      ? verifyStorefrontToken(req.storeContext, token, { cartId: getRequestCartId(req) })
+      : verifyPublishableKey(req.storeContext, publishableKey);
+  } catch (error) {
+    return sendError(res, error);
+  }
+  next();
+}
+
+module.exports = storefrontAuth;
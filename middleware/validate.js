@@ -0,0 +1,42 @@
+const { getOperation } = require('../services/apiSpec');
+const { validateSchema } = require('../services/schema');
+const { apiError, sendError } = require('../services/errors');
+
+/**
+ * Check a request's path parameters, query string and body against its operation's schemas
+ * (services/apiSpec.js). Query strings, and multipart bodies, are converted to the schema
+ * types and replace req.query / req.body. Failures get 400 with the first problem's error
+ * code (VALIDATION_FAILED unless the schema names one) and every problem in `details`.
+ */
+function validate(operationId) {
+  const operation = getOperation(operationId);
+
+  return (req, res, next) => {
+    const problems = [];
+    const check = (schema, value, coerceStrings) => {
+      const result = validateSchema(schema, value, { coerceStrings });
+      problems.push(...result.problems);
+      return result.value;
+    };
+
+    if (operation.params) {
+      check(operation.params, req.params, false);
+    }
+    if (operation.query) {
+      req.query = check(operation.query, req.query, true);
+    }
+    if (operation.body) {
+      req.body = check(operation.body, req.body || {}, Boolean(req.is('multipart/form-data')));
+    }
+
+    if (problems.length === 0) {
+      return next();
+    }
+
+    const [first] = problems;
+    const message = problems.length === 1 ? first.message : `${first.message} (and ${problems.length - 1} more)`;
+    sendError(res, apiError(first.code || 'VALIDATION_FAILED', message, { details: problems.map(problem => problem.message) }));
+  };
+}
+
+module.exports = validate;
@@ -0,0 +1,305 @@
+/**
+ * Shipping Protection storefront widget
+ *
+ * Embed in the theme's cart template:
+ *   <div data-shipping-protection></div>
+ *   <script src="https://your-server/api/widget/latest/shipping_protection.js"
+ *           data-store-hash="abc123" async></script>
+ *
+ * Optional script attributes:
+ *   data-store-hash  Store hash for multi-store backends
+ *   data-publishable-key  The store's publishable key (required when STOREFRONT_AUTH=required)
+ *   data-container   CSS selector to render into (default: [data-shipping-protection])
+ *   data-cart-id     Cart ID, when the theme already knows it (default: Storefront Cart API)
+ *   data-reload      "false" to skip reloading the page after the toggle changes
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  if (!script) {
+    return;
+  }
+
+  // Everything is served from the same backend as this script
+  var serverUrl = script.src.replace(/\/api\/widget\/[^/]+\/shipping_protection\.js.*$/, '');
+  var storeHash = script.getAttribute('data-store-hash');
+  var publishableKey = script.getAttribute('data-publishable-key');
+  var containerSelector = script.getAttribute('data-container') || '[data-shipping-protection]';
+  var reloadOnChange = script.getAttribute('data-reload') !== 'false';
+
+  function apiHeaders() {
+    var headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (storeHash) {
+      headers['X-Store-Hash'] = storeHash;
+    }
+    if (publishableKey) {
+      headers['X-Publishable-Key'] = publishableKey;
+    }
+    return headers;
+  }
+
+  function getJson(url, options) {
+    return fetch(url, options).then(function (response) {
+      return response.json().then(function (body) {
+        if (!response.ok || body.success === 0) {
+          throw new Error(body.error || ('Request failed with status ' + response.status));
+        }
+        return body;
+      });
+    });
+  }
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, function (char) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char];
+    });
+  }
+
+  function formatPrice(amount, currencyCode) {
+    try {
+      return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+        style: 'currency',
+        currency: currencyCode || 'USD'
+      }).format(amount);
+    } catch (error) {
+      return amount.toFixed(2);
+    }
+  }
+
+  function loadStylesheet() {
+    var href = serverUrl + '/css/shipping_protection.css';
+    if (document.querySelector('link[href="' + href + '"]')) {
+      return;
+    }
+    var link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Current cart from the Storefront Cart API (same-origin, uses the shopper's session)
+   */
+  function loadCart() {
+    return fetch('/api/storefront/carts', { credentials: 'same-origin' })
+      .then(function (response) { return response.json(); })
+      .then(function (carts) {
+        var cart = Array.isArray(carts) ? carts[0] : null;
+        var cartId = script.getAttribute('data-cart-id');
+        if (cartId && cart && cart.id !== cartId) {
+          return null;
+        }
+        return cart || null;
+      });
+  }
+
+  /**
+   * Estimate of the insured amount for the live price; the server has the final say
+   */
+  function getCartTotal(cart, insuranceProductId) {
+    var lineItems = cart.lineItems || {};
+    var total = 0;
+    (lineItems.physicalItems || []).forEach(function (item) {
+      if (item.productId === insuranceProductId) {
+        return;
+      }
+      total += (item.extendedSalePrice || 0) - (item.discountAmount || 0) - (item.couponAmount || 0);
+    });
+    (lineItems.customItems || []).forEach(function (item) {
+      total += item.extendedListPrice || 0;
+    });
+    return Math.max(total, 0);
+  }
+
+  function hasProtection(cart, insuranceProductId) {
+    var lineItems = cart.lineItems || {};
+    return (lineItems.digitalItems || []).some(function (item) {
+      return item.productId === insuranceProductId;
+    });
+  }
+
+  /**
+   * Remember the shopper's choice per cart so the default state is applied only once
+   */
+  function choiceKey(cartId) {
+    return 'shippingProtection:' + cartId;
+  }
+
+  function getStoredChoice(cartId) {
+    try {
+      return window.localStorage.getItem(choiceKey(cartId));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function storeChoice(cartId, protection) {
+    try {
+      window.localStorage.setItem(choiceKey(cartId), protection ? 'on' : 'off');
+    } catch (error) {
+      // Private browsing - the widget may send its default again; the backend refuses it
+      // once the cart has a decision, so a shopper's opt-out is kept
+    }
+  }
+
+  function render(container, settings, price, checked) {
+    var state = checked ? 'rw-checked' : 'rw-unchecked';
+    var colors = settings.colors || {};
+    var description = escapeHtml(settings.description).replace(
+      '{price}',
+      '<strong>' + escapeHtml(price) + '</strong>'
+    );
+
+    container.innerHTML =
+      '<div id="insuranceWidget">' +
+        '<div class="insurance-widget">' +
+          '<div class="rw-contents">' +
+            '<div class="rw-center">' +
+              '<div class="rw-text-top"' + (colors.text ? ' style="color:' + escapeHtml(colors.text) + '"' : '') + '>' +
+                escapeHtml(settings.headline) +
+              '</div>' +
+              '<div class="rw-text-bottom">' + description + '</div>' +
+            '</div>' +
+            '<div class="rw-right">' +
+              '<span class="rw-checkbox-span ' + state + '" role="switch" tabindex="0" aria-checked="' + checked + '"' +
+                (checked && colors.accent ? ' style="background-color:' + escapeHtml(colors.accent) + '"' : '') + '>' +
+                '<p class="rw-on-text ' + state + '">' + escapeHtml(settings.onText) + '</p>' +
+                '<span class="rw-slider ' + state + '"></span>' +
+                '<p class="rw-off-text ' + state + '">' + escapeHtml(settings.offText) + '</p>' +
+              '</span>' +
+            '</div>' +
+          '</div>' +
+        '</div>' +
+        (settings.disclaimer ? '<div class="insurance-disclaimer">' + escapeHtml(settings.disclaimer) + '</div>' : '') +
+      '</div>';
+  }
+
+  /**
+   * source is 'default' when the widget pre-selects protection rather than the shopper
+   */
+  function setProtection(cart, protection, source) {
+    return getJson(serverUrl + '/api/insurance/add', {
+      method: 'POST',
+      headers: apiHeaders(),
+      body: JSON.stringify({ cartId: cart.id, protection: protection ? 1 : 0, cartData: cart, source: source || 'shopper' })
+    });
+  }
+
+  function init() {
+    var container = document.querySelector(containerSelector);
+    if (!container) {
+      return;
+    }
+
+    var storeQuery = storeHash ? ('?storeHash=' + encodeURIComponent(storeHash)) : '';
+
+    Promise.all([getJson(serverUrl + '/api/widget/config' + storeQuery, { headers: apiHeaders() }), loadCart()])
+      .then(function (results) {
+        var settings = results[0].data;
+        var cart = results[1];
+        if (!settings.enabled || !cart) {
+          return;
+        }
+
+        var currencyCode = cart.currency && cart.currency.code;
+        var cartTotal = getCartTotal(cart, settings.insuranceProductId);
+        if (cartTotal <= 0) {
+          return;
+        }
+
+        var calculateUrl = serverUrl + '/api/insurance/calculate?cartTotal=' + encodeURIComponent(cartTotal) +
+          '&cartId=' + encodeURIComponent(cart.id) +
+          (currencyCode ? '&currency=' + encodeURIComponent(currencyCode) : '') +
+          (storeHash ? '&storeHash=' + encodeURIComponent(storeHash) : '');
+
+        return getJson(calculateUrl, { headers: apiHeaders() }).then(function (quote) {
+          // A cart in an experiment gets its variant's copy, colours and default state
+          if (quote.widget) {
+            settings = Object.assign({}, settings, quote.widget);
+            if (!settings.enabled) {
+              return;
+            }
+          }
+
+          // Outside the store's eligible cart range: offer nothing
+          if (quote.eligible === false) {
+            return;
+          }
+
+          // In fee mode protection is a checkout fee the storefront cart does not show
+          var checked = typeof quote.protected === 'boolean'
+            ? quote.protected
+            : hasProtection(cart, settings.insuranceProductId);
+          var price = formatPrice(quote.insuranceAmount, currencyCode);
+          var busy = false;
+
+          render(container, settings, price, checked);
+          loadStylesheet();
+
+          function toggle(protection, source) {
+            if (busy) {
+              return;
+            }
+            busy = true;
+            storeChoice(cart.id, protection);
+            render(container, settings, price, protection);
+
+            setProtection(cart, protection, source)
+              .then(function () {
+                checked = protection;
+                document.dispatchEvent(new CustomEvent('shipping-protection:change', {
+                  detail: { cartId: cart.id, protection: protection }
+                }));
+                if (reloadOnChange) {
+                  window.location.reload();
+                }
+              })
+              .catch(function (error) {
+                console.error('Shipping protection update failed:', error.message);
+                render(container, settings, price, checked);
+              })
+              .then(function () {
+                busy = false;
+              });
+          }
+
+          container.addEventListener('click', function (event) {
+            if (event.target.closest('.rw-checkbox-span')) {
+              toggle(!checked);
+            }
+          });
+          container.addEventListener('keydown', function (event) {
+            if ((event.key === ' ' || event.key === 'Enter') && event.target.closest('.rw-checkbox-span')) {
+              event.preventDefault();
+              toggle(!checked);
+            }
+          });
+
+          if (quote.preselected) {
+            // The backend added protection (opt-out selection); the page's cart does not show it yet
+            storeChoice(cart.id, true);
+            document.dispatchEvent(new CustomEvent('shipping-protection:change', {
+              detail: { cartId: cart.id, protection: true, preselected: true }
+            }));
+            if (reloadOnChange) {
+              window.location.reload();
+            }
+          } else if (settings.selection !== 'opt-out' && settings.defaultState === 'on' && !checked && getStoredChoice(cart.id) === null) {
+            // Pre-select protection once per cart when the store defaults it on; recorded as a
+            // default, not as the shopper's decision
+            toggle(true, 'default');
+          }
+        });
+      })
+      .catch(function (error) {
+        console.error('Shipping protection widget failed to load:', error.message);
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
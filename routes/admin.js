@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const { getDefaults, getSettings, updateSettings, getAuditTrail } = require('../services/settings');
+const { getKeys, toPublicKeys, rotateKeys } = require('../services/storefrontKeys');
+const { getConsent } = require('../services/consent');
+const { listExperiments, saveExperiment } = require('../services/experiments');
+const validate = require('../middleware/validate');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+router.use(adminAuth);
+
+/**
+ * Top-level settings keys that currently differ from the environment defaults
+ */
+function getOverriddenKeys(settings, defaults) {
+  return Object.keys(defaults).filter(
+    key => JSON.stringify(settings[key]) !== JSON.stringify(defaults[key])
+  );
+}
+
+/**
+ * GET /api/admin/settings
+ * Effective settings for the store, the environment defaults and which keys are overridden
+ */
+router.get('/settings', validate('getSettings'), (req, res) => {
+  try {
+    const settings = getSettings(req.storeContext.data);
+    const defaults = getDefaults();
+
+    res.json({
+      success: 1,
+      storeHash: req.storeContext.storeHash,
+      data: settings,
+      defaults,
+      overridden: getOverriddenKeys(settings, defaults)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/admin/settings
+ * Change settings. Objects (eligibility, widget) merge key by key; pricingRules is replaced
+ * whole; a top-level key set to null restores its environment default.
+ * Body: { protectionMode?, selection?, insuranceProductId?, pricingRules?, eligibility?, widget? }
+ */
+router.put('/settings', validate('updateSettings'), (req, res) => {
+  try {
+    const actor = { type: req.admin.type, user: req.admin.user };
+    const { settings, changes } = updateSettings(req.storeContext.data, req.body, actor);
+
+    logger.info('Settings updated', { storeHash: req.storeContext.storeHash, actor, paths: changes.map(c => c.path) });
+
+    res.json({ success: 1, data: settings, changes });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/settings/audit
+ * Settings change history, newest first
+ * Optional: ?limit= (default 100, max 1000)
+ */
+router.get('/settings/audit', validate('getSettingsAudit'), (req, res) => {
+  try {
+    const limit = req.query.limit || 100;
+    const data = getAuditTrail(req.storeContext.data, limit);
+    res.json({ success: 1, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/storefront-keys
+ * The store's publishable key (data is null until keys are issued); the token secret is not shown
+ */
+router.get('/storefront-keys', validate('getStorefrontKeys'), (req, res) => {
+  try {
+    res.json({ success: 1, data: toPublicKeys(getKeys(req.storeContext.data)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/storefront-keys/rotate
+ * Issue a new publishable key and token secret; the old ones stop working at once
+ * The response is the only time the token secret is shown.
+ */
+router.post('/storefront-keys/rotate', validate('rotateStorefrontKeys'), (req, res) => {
+  try {
+    const actor = { type: req.admin.type, user: req.admin.user };
+    const keys = rotateKeys(req.storeContext.data, actor);
+    logger.info('Storefront keys rotated', { storeHash: req.storeContext.storeHash, actor });
+
+    const { publishableKey, tokenSecret, createdAt, createdBy } = keys;
+    res.status(201).json({ success: 1, data: { publishableKey, tokenSecret, createdAt, createdBy } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/consents/:cartId
+ * The protection decision recorded for a cart with its full history (for disputes)
+ */
+router.get('/consents/:cartId', validate('getConsent'), (req, res) => {
+  const consent = getConsent(req.storeContext, req.params.cartId);
+  if (!consent) {
+    return sendError(res, apiError('CONSENT_NOT_FOUND', `No protection decision recorded for cart ${req.params.cartId}`));
+  }
+  res.json({ success: 1, data: consent });
+});
+
+/**
+ * GET /api/admin/experiments
+ * The store's experiments, newest first
+ */
+router.get('/experiments', validate('listExperiments'), (req, res) => {
+  try {
+    const data = listExperiments(req.storeContext);
+    res.json({ success: 1, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/admin/experiments/:experimentId
+ * Create or replace an experiment; set status to running to start it and stopped to end it
+ * Body: { name?, status?: 'draft' | 'running' | 'stopped', variants: [{ name, weight?, pricingRules?, selection?, widget? }] }
+ */
+router.put('/experiments/:experimentId', validate('saveExperiment'), (req, res) => {
+  try {
+    const actor = { type: req.admin.type, user: req.admin.user };
+    const { experiment, created } = saveExperiment(req.storeContext, req.params.experimentId, req.body, actor);
+    logger.info('Experiment saved', { storeHash: req.storeContext.storeHash, experimentId: experiment.id, status: experiment.status, created, actor });
+    res.status(created ? 201 : 200).json({ success: 1, created, data: experiment });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config/config');
+const adminAuth = require('../middleware/adminAuth');
+const { apiKeyOnly } = adminAuth;
+const { exchangeCode, verifySignedPayload, createSession } = require('../services/bcApp');
+const {
+  parseStoreHash,
+  saveInstallation,
+  markUninstalled,
+  listInstallations,
+  toPublicInstallation,
+  updateStoreCredentials,
+  getStoreContext
+} = require('../services/stores');
+const validate = require('../middleware/validate');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+/**
+ * Escape text for inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  }[char]));
+}
+
+/**
+ * Minimal page rendered inside the BigCommerce control panel iframe
+ */
+function renderPage(title, rows, session = null) {
+  const body = rows
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  // Admin session for scripts calling /api/admin/* as "Authorization: Bearer <token>"
+  const sessionMeta = session ? `<meta name="admin-session" content="${escapeHtml(session)}">` : '';
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>${sessionMeta}` +
+    '<style>body{font-family:Arial,sans-serif;padding:24px;color:#313440}th{text-align:left;padding:4px 16px 4px 0}</style>' +
+    `</head><body><h1>${escapeHtml(title)}</h1><table>${body}</table></body></html>`;
+}
+
+/**
+ * Reject app callbacks when the app credentials are not configured
+ */
+function requireAppCredentials(req, res, next) {
+  if (!config.bigcommerce.clientId || !config.bigcommerce.clientSecret) {
+    return sendError(res, apiError('NOT_CONFIGURED', 'BC_CLIENT_ID and BC_CLIENT_SECRET must be set to use the app callbacks'));
+  }
+  next();
+}
+
+/**
+ * GET /api/app/auth
+ * OAuth install callback: exchange the code for a store access token and save it
+ */
+router.get('/auth', requireAppCredentials, validate('appAuth'), async (req, res) => {
+  const { code, scope, context } = req.query;
+
+  try {
+    const token = await exchangeCode({ code, scope, context });
+    const storeHash = parseStoreHash(token.context || context);
+    if (!storeHash) {
+      return sendError(res, apiError('INVALID_STORE_HASH', `Unexpected store context: ${token.context || context}`));
+    }
+
+    saveInstallation({
+      storeHash,
+      accessToken: token.access_token,
+      scope: token.scope,
+      user: token.user,
+      accountUuid: token.account_uuid
+    });
+    logger.info('App installed', { storeHash, scope: token.scope });
+
+    res.send(renderPage('Shipping Protection installed', [
+      ['Store', storeHash],
+      ['Insurance product ID', getStoreContext(storeHash).insuranceProductId]
+    ]));
+  } catch (error) {
+    logger.error('App installation failed', { error });
+    sendError(res, apiError('APP_INSTALL_FAILED', 'Could not complete the app installation with BigCommerce'));
+  }
+});
+
+/**
+ * GET /api/app/load
+ * Control panel load callback: verify the signed payload, show the store's setup and
+ * issue an admin session for the settings API
+ */
+router.get('/load', requireAppCredentials, validate('appLoad'), (req, res) => {
+  let claims;
+  try {
+    claims = verifySignedPayload(req.query.signed_payload_jwt);
+  } catch (error) {
+    logger.warn('Rejected app load', { error });
+    return sendError(res, apiError('INVALID_SIGNED_PAYLOAD', error.message));
+  }
+
+  const storeHash = parseStoreHash(claims.sub);
+  const context = getStoreContext(storeHash);
+  if (!context) {
+    return sendError(res, apiError('STORE_NOT_FOUND', `App is not installed for store ${storeHash}`));
+  }
+
+  res.send(renderPage('Shipping Protection', [
+    ['Store', storeHash],
+    ['User', claims.user?.email],
+    ['Insurance product ID', context.insuranceProductId],
+    ['Pricing tiers', context.pricingRules.tiers.map(tier => tier.name || `${tier.min}+`).join(', ')]
+  ], createSession({ storeHash, user: claims.user })));
+});
+
+/**
+ * GET /api/app/uninstall
+ * Uninstall callback: forget the store's access token
+ */
+router.get('/uninstall', requireAppCredentials, validate('appUninstall'), (req, res) => {
+  let claims;
+  try {
+    claims = verifySignedPayload(req.query.signed_payload_jwt);
+  } catch (error) {
+    logger.warn('Rejected app uninstall', { error });
+    return sendError(res, apiError('INVALID_SIGNED_PAYLOAD', error.message));
+  }
+
+  const storeHash = parseStoreHash(claims.sub);
+  markUninstalled(storeHash);
+  logger.info('App uninstalled', { storeHash });
+  res.json({ success: 1 });
+});
+
+/**
+ * GET /api/app/stores
+ * List app installations (admin only, access tokens are never returned)
+ */
+router.get('/stores', adminAuth, apiKeyOnly, validate('listStores'), (req, res) => {
+  const data = listInstallations();
+  res.json({ success: 1, count: data.length, data });
+});
+
+/**
+ * PUT /api/app/stores/:storeHash/credentials
+ * Set the Storefront API token for an installed store (admin only)
+ * Product, pricing and widget settings are managed through /api/admin/settings
+ */
+router.put('/stores/:storeHash/credentials', adminAuth, apiKeyOnly, validate('updateStoreCredentials'), (req, res) => {
+  const { storefrontApiToken } = req.body;
+
+  const installation = updateStoreCredentials(req.params.storeHash, { storefrontApiToken });
+  if (!installation) {
+    return sendError(res, apiError('STORE_NOT_FOUND', `No installation for store ${req.params.storeHash}`));
+  }
+  res.json({ success: 1, data: toPublicInstallation(installation) });
+});
+
+module.exports = router;
@@ -1,26 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const bigcommerce = require('../services/bigcommerce');
+const validate = require('../middleware/validate');
+const storefrontAuth = require('../middleware/storefrontAuth');
+const { applyDefaultProtection } = require('../services/insurance');
+const { applyExperiment, recordAssignment } = require('../services/experiments');
+const { sendError } = require('../services/errors');
+const logger = require('../services/logger');
 
 /**
  * GET /api/cart/:cartId
  * Get cart data
+ * Returns { success: 1, data } with the BigCommerce cart; a missing cart is CART_NOT_FOUND
+ * Under opt-out selection (the store's or the cart's experiment variant's) the first fetch
+ * of a cart adds protection before it is returned.
  */
-router.get('/:cartId', async (req, res) => {
+router.get('/:cartId', validate('getCart'), storefrontAuth, async (req, res) => {
   try {
-    const { cartId } = req.params;
-    const { include } = req.query;
-
-    const cartData = await bigcommerce.getCart(cartId);
-    
-    res.json(cartData);
+    const cartContext = applyExperiment(req.storeContext, req.params.cartId);
+    try {
+      await applyDefaultProtection(cartContext, req.params.cartId, 'cart_fetch');
+    } catch (error) {
+      // The cart is still returned; a missing cart is reported by the fetch below
+      logger.warn('Could not pre-select protection', { cartId: req.params.cartId, error });
+    }
+    const cartData = await req.storeContext.bigcommerce.getCart(req.params.cartId);
+    recordAssignment(cartContext, req.params.cartId);
+    res.json({ success: 1, data: cartData?.data ?? cartData });
   } catch (error) {
-    console.error('Error in /cart/:cartId:', error);
-    res.status(500).json({ 
-      error: error.message || 'Internal server error' 
-    });
+    sendError(res, error);
   }
 });
 
 module.exports = router;
-
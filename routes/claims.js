@@ -0,0 +1,180 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config/config');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const {
+  createClaim,
+  updateClaimStatus,
+  listClaims,
+  getClaim,
+  discardUploads
+} = require('../services/claims');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+const uploadDir = path.join(config.storage.dataDir, 'uploads', 'claims');
+const ALLOWED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+
+// Photos are written to local disk under random names; the original name is kept on the claim
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(uploadDir, { recursive: true }, error => cb(error, uploadDir));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+      cb(null, `${crypto.randomBytes(12).toString('hex')}${extension}`);
+    }
+  }),
+  limits: {
+    files: config.claims.maxPhotos,
+    fileSize: config.claims.maxPhotoSizeMb * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_PHOTO_TYPES.includes(file.mimetype)) {
+      return cb(apiError('VALIDATION_FAILED', `Photos must be one of: ${ALLOWED_PHOTO_TYPES.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept up to maxPhotos files in the "photos" field, turning upload errors into 400s
+ * The files are deleted again if the claim is rejected.
+ */
+function uploadPhotos(req, res, next) {
+  upload.array('photos', config.claims.maxPhotos)(req, res, error => {
+    if (!error) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          discardUploads(req.files);
+        }
+      });
+      // Multer reads the body from stream events, which loses the request's log context
+      return logger.runWithContext({ requestId: req.id, storeHash: req.storeContext.storeHash || null }, next);
+    }
+    discardUploads(req.files);
+    const message = error instanceof multer.MulterError ? `Photo upload failed: ${error.message}` : error.message;
+    sendError(res, apiError('VALIDATION_FAILED', message));
+  });
+}
+
+/**
+ * POST /api/claims
+ * File a claim against a protected order
+ * Accepts JSON or multipart/form-data (with up to CLAIMS_MAX_PHOTOS files in "photos")
+ */
+router.post('/', uploadPhotos, validate('fileClaim'), async (req, res) => {
+  try {
+    const { orderId, email, reason, description, items } = req.body;
+
+    const claim = await createClaim(req.storeContext, {
+      orderId,
+      email,
+      reason,
+      description,
+      items,
+      photos: req.files || []
+    });
+
+    res.status(201).json({
+      success: 1,
+      data: {
+        id: claim.id,
+        orderId: claim.orderId,
+        status: claim.status,
+        claimedValue: claim.claimedValue,
+        currency: claim.currency,
+        createdAt: claim.createdAt
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/claims/:id/status?email=
+ * Let the customer who filed a claim check its status
+ */
+router.get('/:id/status', validate('getClaimStatus'), (req, res) => {
+  const claim = getClaim(req.storeContext, req.params.id);
+  const email = req.query.email.trim().toLowerCase();
+
+  // Same response for unknown claims and wrong emails so IDs cannot be probed
+  if (!claim || !email || claim.customerEmail.toLowerCase() !== email) {
+    return sendError(res, apiError('CLAIM_NOT_FOUND', 'Claim not found'));
+  }
+
+  res.json({
+    success: 1,
+    data: {
+      id: claim.id,
+      orderId: claim.orderId,
+      status: claim.status,
+      payoutAmount: claim.payoutAmount,
+      currency: claim.currency,
+      updatedAt: claim.updatedAt
+    }
+  });
+});
+
+/**
+ * GET /api/claims
+ * List claims (admin only)
+ * Optional filters: status, reason, orderId, from, to
+ */
+router.get('/', adminAuth, validate('listClaims'), (req, res) => {
+  const { status, reason, orderId, from, to } = req.query;
+
+  const data = listClaims(req.storeContext, { status, reason, orderId, from, to });
+  res.json({ success: 1, count: data.length, data });
+});
+
+/**
+ * GET /api/claims/:id
+ * Get a claim with its full history (admin only)
+ */
+router.get('/:id', adminAuth, validate('getClaim'), (req, res) => {
+  const claim = getClaim(req.storeContext, req.params.id);
+  if (!claim) {
+    return sendError(res, apiError('CLAIM_NOT_FOUND', `Claim not found: ${req.params.id}`));
+  }
+  res.json({ success: 1, data: claim });
+});
+
+/**
+ * GET /api/claims/:id/photos/:filename
+ * Download a photo attached to a claim (admin only)
+ */
+router.get('/:id/photos/:filename', adminAuth, validate('getClaimPhoto'), (req, res) => {
+  const claim = getClaim(req.storeContext, req.params.id);
+  const photo = claim?.photos.find(item => item.filename === req.params.filename);
+  if (!photo) {
+    return sendError(res, apiError('CLAIM_NOT_FOUND', 'Photo not found'));
+  }
+  res.type(photo.mimeType).sendFile(path.join(uploadDir, photo.filename));
+});
+
+/**
+ * PATCH /api/claims/:id/status
+ * Move a claim through the workflow (admin only)
+ * Body: { status, note, payoutAmount }
+ */
+router.patch('/:id/status', adminAuth, validate('updateClaimStatus'), (req, res) => {
+  try {
+    const { status, note, payoutAmount } = req.body || {};
+    const claim = updateClaimStatus(req.storeContext, req.params.id, { status, note, payoutAmount });
+    logger.info('Claim status changed', { id: claim.id, status: claim.status });
+    res.json({ success: 1, data: claim });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,254 +1,413 @@
 const express = require('express');
 const router = express.Router();
-const bigcommerce = require('../services/bigcommerce');
 const config = require('../config/config');
+const {
+  calculateInsuranceAmount,
+  isDestinationSupported,
+  getShippingDestinations,
+  valueCart,
+  isEligible,
+  hasProtection,
+  withCartLock,
+  reconcileInsurance,
+  preselectProtection,
+  applyDefaultProtection
+} = require('../services/insurance');
+const { getConsent, recordConsent } = require('../services/consent');
+const { getCartCurrency } = require('../services/cartValue');
+const { normalizeCurrency } = require('../services/pricing');
+const { recordEvent } = require('../services/analytics');
+const { applyExperiment, recordAssignment } = require('../services/experiments');
+const idempotency = require('../middleware/idempotency');
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const storefrontAuth = require('../middleware/storefrontAuth');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+// Every insurance call can reach BigCommerce, so clients are limited per IP and per cart
+router.use(
+  rateLimit({ name: 'ip', max: config.rateLimit.perIp, keyFor: req => req.ip }),
+  storefrontAuth,
+  rateLimit({
+    name: 'cart',
+    max: config.rateLimit.perCart,
+    keyFor: req => {
+      const cartId = req.body?.cartId || req.query.cartId;
+      return typeof cartId === 'string' ? cartId : null;
+    }
+  })
+);
 
 /**
- * Calculate insurance amount based on cart total
- * Always uses 4% regardless of cart total
+ * Switch the request to the store context of its cart's experiment variant, if any, so
+ * pricing, selection and analytics events follow the variant. Runs after validation; the
+ * assignment is stored only once the route has read the cart (see recordAssignment).
  */
-function calculateInsuranceAmount(cartTotal) {
-  // Always use 4% as per requirements
-  const percentage = 4;
-  return (cartTotal * percentage) / 100;
+function assignExperiment(req, res, next) {
+  try {
+    req.storeContext = applyExperiment(req.storeContext, req.body?.cartId || req.query.cartId);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
 }
 
 /**
- * Get total price of physical items in cart (excluding insurance product)
- * Handles both Admin API and Storefront API response formats
+ * Resolve the amount to insure for a request
+ * Depending on config.insurance.totalSource the client-supplied total is trusted,
+ * ignored in favour of the real cart, or checked against it.
+ * Returns { baseAmount, source, cartData, valuation } where cartData is set when the cart
+ * was fetched and valuation when cart data (fetched or client-supplied) was valued
  */
-function getCartPrice(cartData) {
-  let listPrice = 0;
-  
-  // Storefront API format: cartData.data.line_items.physical_items
-  // Admin API format: cartData.data.line_items.physical_items (same)
-  const lineItems = cartData.data?.line_items || cartData.line_items;
-  const physicalItems = lineItems?.physical_items || [];
-  
-  physicalItems.forEach(item => {
-    // Exclude insurance product from calculation
-    const productId = item.product_id || item.productId;
-    if (productId !== config.products.insuranceProductId) {
-      listPrice += (item.list_price || item.listPrice || 0) * (item.quantity || 0);
+async function resolveBaseAmount(context, cartId, { cartTotal, cartData: frontendCartData }) {
+  const { totalSource, totalTolerance } = config.insurance;
+  const hasClientTotal = cartTotal !== undefined && cartTotal !== null && cartTotal !== '';
+
+  if (totalSource === 'client') {
+    let baseAmount;
+    let valuation = null;
+    if (hasClientTotal) {
+      baseAmount = parseFloat(cartTotal);
+    } else if (frontendCartData) {
+      valuation = await valueCart(context, frontendCartData);
+      baseAmount = valuation.total;
+    } else {
+      throw apiError('INVALID_CART_TOTAL', 'Cart total or cart data is required');
+    }
+
+    if (isNaN(baseAmount) || baseAmount < 0) {
+      throw apiError('INVALID_CART_TOTAL', 'Cart total must be a non-negative number');
     }
-  });
-  
-  return listPrice;
+    return { baseAmount, source: 'client', cartData: null, valuation };
+  }
+
+  const cartData = await context.bigcommerce.getCart(cartId);
+  const valuation = await valueCart(context, cartData);
+  const serverTotal = valuation.total;
+
+  if (totalSource === 'verify' && hasClientTotal) {
+    const clientTotal = parseFloat(cartTotal);
+    if (isNaN(clientTotal) || Math.abs(clientTotal - serverTotal) > totalTolerance) {
+      throw apiError('CART_TOTAL_MISMATCH', `Cart total mismatch: client sent ${cartTotal}, server calculated ${serverTotal}`, {
+        fields: { clientTotal: isNaN(clientTotal) ? cartTotal : clientTotal, serverTotal }
+      });
+    }
+  }
+
+  return { baseAmount: serverTotal, source: 'server', cartData, valuation };
+}
+
+/**
+ * Who made a shopper's consent decision, for answering disputes later
+ */
+function describeRequester(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') || null };
 }
 
 /**
- * Find insurance product in cart
- * Handles both Admin API and Storefront API response formats
+ * Cart items as reported to clients: what was insured, excluded or blocks protection
  */
-function findInsuranceProduct(cartData) {
-  // Storefront API format: cartData.data.line_items.digital_items
-  // Admin API format: cartData.data.line_items.digital_items (same)
-  const lineItems = cartData.data?.line_items || cartData.line_items;
-  const digitalItems = lineItems?.digital_items || [];
-  
-  return digitalItems.find(
-    item => (item.product_id || item.productId) === config.products.insuranceProductId
-  );
+function describeItems(items) {
+  return items.map(({ id, productId, sku, name, quantity, value, reason }) => (
+    reason ? { id, productId, sku, name, quantity, value, reason } : { id, productId, sku, name, quantity, value }
+  ));
 }
 
 /**
  * POST /api/insurance/add
  * Add or remove insurance product
+ * Runs under the cart's lock and always ends with exactly zero or one insurance item.
+ * The shopper's decision is recorded as consent; a removal is remembered so default-on
+ * selection never adds protection back. The widget sends `source: 'default'` when it
+ * pre-selects protection itself, so that is not recorded as the shopper's choice; it is
+ * refused (409 DECISION_RECORDED) once the cart has a decision.
+ * Send an Idempotency-Key header to make retries safe.
  */
-router.post('/add', async (req, res) => {
+router.post('/add', validate('addInsurance'), idempotency, assignExperiment, async (req, res) => {
   try {
-    const { cartId, protection, cartTotal, cartData: frontendCartData } = req.body;
+    const { cartId, protection, cartTotal, cartData: frontendCartData, source = 'shopper' } = req.body;
 
-    console.log('Insurance add request:', { cartId, protection, cartIdType: typeof cartId, hasCartTotal: !!cartTotal, hasCartData: !!frontendCartData });
-
-    if (!cartId) {
-      return res.status(400).json({ success: 0, error: 'Cart ID is required' });
-    }
+    logger.debug('Insurance add request', { cartId, protection, cartIdType: typeof cartId, hasCartTotal: !!cartTotal, hasCartData: !!frontendCartData });
 
     const protectionValue = parseInt(protection);
-    if (protectionValue !== 0 && protectionValue !== 1) {
-      return res.status(400).json({ success: 0, error: 'Protection must be 0 or 1' });
+    if (source === 'default' && protectionValue === 0) {
+      throw apiError('VALIDATION_FAILED', 'source "default" can only add protection');
     }
 
-    // Calculate insurance amount - ALWAYS use cartTotal from frontend (excludes insurance)
-    // Don't recalculate from cart data as it might include insurance with wrong price
-    let baseAmount;
-    if (cartTotal !== undefined && cartTotal !== null) {
-      baseAmount = parseFloat(cartTotal);
-    } else if (frontendCartData) {
-      baseAmount = getCartPrice(frontendCartData);
-    } else {
-      return res.status(400).json({ success: 0, error: 'Cart total or cart data is required' });
-    }
-    
-    const insuranceAmount = protectionValue === 1 ? calculateInsuranceAmount(baseAmount) : 0;
-    const formattedPrice = parseFloat(insuranceAmount.toFixed(2));
-    
-    console.log('Insurance calculation:', { baseAmount, insuranceAmount: formattedPrice, protection: protectionValue, cartTotalFromFrontend: cartTotal });
-
-    // Backend handles cart operations using Admin API (supports custom prices)
-    if (protectionValue === 1) {
-      // Check if insurance already exists
-      let cartData;
-      try {
-        cartData = await bigcommerce.getCart(cartId);
-        const existingInsurance = findInsuranceProduct(cartData);
-        
-        if (existingInsurance) {
-          // Remove existing insurance first
-          await bigcommerce.removeCartItem(cartId, existingInsurance.id);
+    const result = await withCartLock(req.storeContext, cartId, async () => {
+      if (protectionValue === 0) {
+        let reconciled = { removed: 0 };
+        try {
+          reconciled = await reconcileInsurance(req.storeContext, cartId, null);
+        } catch (error) {
+          // A cart that no longer exists has no protection to remove
+          if (error.status !== 404) {
+            throw error;
+          }
         }
-      } catch (error) {
-        // If cart fetch fails, try to add anyway (might be a new cart)
-        console.log('Could not fetch cart, proceeding with add:', error.message);
-      }
-      
-      // Add insurance with custom price
-      await bigcommerce.addCartItem(
-        cartId,
-        config.products.insuranceProductId,
-        1,
-        formattedPrice
-      );
-    } else {
-      // Remove insurance
-      try {
-        const cartData = await bigcommerce.getCart(cartId);
-        const existingInsurance = findInsuranceProduct(cartData);
-        
-        if (existingInsurance) {
-          await bigcommerce.removeCartItem(cartId, existingInsurance.id);
+        if (reconciled.removed > 0) {
+          recordEvent(req.storeContext, 'removed', { cartId });
         }
-      } catch (error) {
-        console.log('Could not remove insurance (may not exist):', error.message);
+        recordConsent(req.storeContext, cartId, 'declined', 'shopper', { trigger: 'add', ...describeRequester(req) });
+        return { baseAmount: 0, pricing: null, reconciled };
       }
-    }
+
+      // A default only applies to carts nobody has decided about, as for opt-out selection
+      if (source === 'default' && getConsent(req.storeContext, cartId)) {
+        throw apiError('DECISION_RECORDED', 'Protection has already been decided for this cart; a default cannot change it');
+      }
+
+      // Work out the amount to insure
+      const resolved = await resolveBaseAmount(req.storeContext, cartId, { cartTotal, cartData: frontendCartData });
+      const baseAmount = resolved.baseAmount;
+
+      // The premium is charged in the cart's currency; blocking rules are checked
+      // against the real cart even when the client supplied the total
+      const cartData = resolved.cartData || await req.storeContext.bigcommerce.getCart(cartId);
+      recordAssignment(req.storeContext, cartId);
+      const currency = getCartCurrency(cartData);
+      const valuation = resolved.cartData ? resolved.valuation : await valueCart(req.storeContext, cartData);
+
+      if (!isEligible(req.storeContext, baseAmount, currency, valuation)) {
+        throw apiError('NOT_ELIGIBLE', 'Shipping protection is not available for this cart', {
+          fields: valuation.blocked
+            ? { insuredValue: baseAmount, blockedBy: describeItems(valuation.blockedBy) }
+            : { insuredValue: baseAmount }
+        });
+      }
+
+      const destinations = await getShippingDestinations(req.storeContext, cartId);
+      const pricing = calculateInsuranceAmount(req.storeContext, baseAmount, currency, destinations);
+      if (!isDestinationSupported(pricing)) {
+        throw apiError('DESTINATION_NOT_SUPPORTED', 'Shipping protection is not available for this destination', {
+          fields: { destination: pricing.destination }
+        });
+      }
+      logger.info('Insurance calculation', { baseAmount, insuranceAmount: pricing.premium, currency: pricing.currency, tier: pricing.tier, protection: protectionValue, totalSource: resolved.source, cartTotalFromFrontend: cartTotal });
+
+      // Backend handles cart operations using Admin API (supports custom prices)
+      const reconciled = await reconcileInsurance(req.storeContext, cartId, pricing.premium, cartData);
+      recordEvent(req.storeContext, 'added', {
+        cartId,
+        insuredValue: baseAmount,
+        premium: pricing.premium,
+        tier: pricing.tier,
+        currency: pricing.currency,
+        source: source === 'default' ? 'default' : 'api'
+      });
+      recordConsent(req.storeContext, cartId, 'accepted', source, {
+        trigger: 'add',
+        premium: pricing.premium,
+        currency: pricing.currency,
+        ...describeRequester(req)
+      });
+      return { baseAmount, pricing, reconciled };
+    });
 
     res.json({ 
       success: 1,
-      insuranceAmount: formattedPrice,
-      productId: config.products.insuranceProductId,
+      insuranceAmount: result.pricing ? result.pricing.premium : 0,
+      insuredValue: result.baseAmount,
+      tier: result.pricing ? result.pricing.tier : null,
+      currency: result.pricing ? result.pricing.currency : null,
+      destination: result.pricing ? result.pricing.destination : null,
+      mode: req.storeContext.protectionMode,
+      productId: req.storeContext.insuranceProductId,
       action: protectionValue === 1 ? 'add' : 'remove',
+      experiment: req.storeContext.experiment || null,
       cartId: cartId
     });
   } catch (error) {
-    console.error('Error in /insurance/add:', error);
-    const errorMessage = error.response?.data?.message || error.response?.data?.error || error.message || 'Internal server error';
-    const statusCode = error.response?.status || 500;
-    
-    // Log detailed error for debugging
-    console.error('Error details:', {
-      message: errorMessage,
-      status: statusCode,
-      response: error.response?.data,
-      stack: error.stack
-    });
-    
-    res.status(500).json({ 
-      success: 0, 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? {
-        status: statusCode,
-        response: error.response?.data
-      } : undefined
-    });
+    sendError(res, error);
   }
 });
 
 /**
  * POST /api/insurance/update
  * Update insurance product price based on current cart total
- * Returns instructions for frontend to handle cart operations
+ * Carts without protection are left alone (under opt-out selection, protection is added to
+ * carts nobody has decided about yet); ineligible carts have it removed.
  */
-router.post('/update', async (req, res) => {
+router.post('/update', validate('updateInsurance'), idempotency, assignExperiment, async (req, res) => {
   try {
     const { cartId, cartTotal, cartData: frontendCartData } = req.body;
+    const { bigcommerce } = req.storeContext;
 
-    console.log('Insurance update request:', { cartId, hasCartTotal: !!cartTotal, hasCartData: !!frontendCartData });
+    logger.debug('Insurance update request', { cartId, hasCartTotal: !!cartTotal, hasCartData: !!frontendCartData });
 
-    if (!cartId) {
-      return res.status(400).json({ success: 0, error: 'Cart ID is required' });
-    }
+    const result = await withCartLock(req.storeContext, cartId, async () => {
+      const resolved = await resolveBaseAmount(req.storeContext, cartId, { cartTotal, cartData: frontendCartData });
+      const baseAmount = resolved.baseAmount;
+      const cartData = resolved.cartData || await bigcommerce.getCart(cartId);
+      recordAssignment(req.storeContext, cartId);
+      const currency = getCartCurrency(cartData);
+      const valuation = resolved.cartData ? resolved.valuation : await valueCart(req.storeContext, cartData);
+      // Re-read the checkout's consignments so a new address or shipping option re-prices
+      const destinations = await getShippingDestinations(req.storeContext, cartId);
+      const pricing = calculateInsuranceAmount(req.storeContext, baseAmount, currency, destinations);
+      const eligible = isEligible(req.storeContext, baseAmount, currency, valuation) && isDestinationSupported(pricing);
 
-    // Calculate insurance amount - ALWAYS use cartTotal from frontend (excludes insurance)
-    let baseAmount;
-    if (cartTotal !== undefined && cartTotal !== null) {
-      baseAmount = parseFloat(cartTotal);
-    } else if (frontendCartData) {
-      baseAmount = getCartPrice(frontendCartData);
-    } else {
-      return res.status(400).json({ success: 0, error: 'Cart total or cart data is required' });
-    }
-    
-    const insuranceAmount = calculateInsuranceAmount(baseAmount);
-    const formattedPrice = parseFloat(insuranceAmount.toFixed(2));
-    
-    console.log('Insurance update calculation:', { baseAmount, insuranceAmount: formattedPrice });
-
-    // Backend handles cart update using Admin API (supports custom prices)
-    try {
-      const cartData = await bigcommerce.getCart(cartId);
-      const existingInsurance = findInsuranceProduct(cartData);
-      
-      if (existingInsurance) {
-        // Remove existing insurance
-        await bigcommerce.removeCartItem(cartId, existingInsurance.id);
-        
-        // Add insurance with updated price
-        await bigcommerce.addCartItem(
-          cartId,
-          config.products.insuranceProductId,
-          1,
-          formattedPrice
-        );
+      logger.info('Insurance update calculation', { baseAmount, insuranceAmount: pricing.premium, currency: pricing.currency, eligible, tier: pricing.tier, destination: pricing.destination?.matched, totalSource: resolved.source });
+
+      let added = false;
+      if (await hasProtection(req.storeContext, cartId, cartData)) {
+        // Backend handles cart update using Admin API (supports custom prices)
+        const reconciled = await reconcileInsurance(req.storeContext, cartId, eligible ? pricing.premium : null, cartData);
+        if (!eligible) {
+          recordEvent(req.storeContext, 'removed', { cartId, insuredValue: baseAmount, currency: pricing.currency });
+        } else if (reconciled.added > 0 || reconciled.updated > 0) {
+          recordEvent(req.storeContext, 'updated', { cartId, insuredValue: baseAmount, premium: pricing.premium, tier: pricing.tier, currency: pricing.currency });
+        }
+      } else if (eligible) {
+        added = (await preselectProtection(req.storeContext, cartId, cartData, 'update')).action === 'added';
       }
-    } catch (error) {
-      console.error('Error updating insurance in cart:', error);
-      return res.status(500).json({ 
-        success: 0, 
-        error: error.message || 'Failed to update insurance in cart' 
-      });
-    }
 
+      return { baseAmount, eligible, pricing, added };
+    });
+
+    const { baseAmount, eligible, pricing, added } = result;
     res.json({ 
       success: 1,
-      insuranceAmount: formattedPrice,
-      productId: config.products.insuranceProductId,
-      action: 'update',
+      insuranceAmount: eligible ? pricing.premium : 0,
+      insuredValue: baseAmount,
+      tier: eligible ? pricing.tier : null,
+      currency: pricing.currency,
+      destination: pricing.destination,
+      eligible,
+      mode: req.storeContext.protectionMode,
+      productId: req.storeContext.insuranceProductId,
+      action: added ? 'add' : (eligible ? 'update' : 'remove'),
+      experiment: req.storeContext.experiment || null,
       cartId: cartId
     });
   } catch (error) {
-    console.error('Error in /insurance/update:', error);
-    res.status(500).json({ 
-      success: 0, 
-      error: error.message || 'Internal server error' 
-    });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /api/insurance/calculate
  * Calculate insurance amount for a given cart total
+ * With a cartId the cart is fetched and valued under the store's eligibility rules, and
+ * the response lists the insured and excluded items; cartTotal is then only a fallback
+ * for when the cart cannot be fetched. Optional currency (default: the pricing rules'
+ * base currency) prices a plain cartTotal in that currency.
+ * When the pricing rules have destinations, the checkout's shipping destination is used
+ * (or country/region/shippingMethod from the query before the shopper has entered one, or
+ * when the cart or its checkout cannot be read).
+ * Under opt-out selection a quote for a cart nobody has decided about adds protection first.
+ * For a cart in an experiment the quote uses its variant's pricing and includes the
+ * variant's widget settings; a quote that falls back to cartTotal uses the store's.
  */
-router.get('/calculate', (req, res) => {
+router.get('/calculate', validate('calculateInsurance'), async (req, res) => {
   try {
-    const cartTotal = parseFloat(req.query.cartTotal);
+    // The query has been checked and converted by validate('calculateInsurance')
+    const { cartId = null, country = null, region, shippingMethod } = req.query;
+    let cartTotal = req.query.cartTotal;
+    const hasCartTotal = cartTotal !== undefined;
+    let currency = req.query.currency === undefined ? null : normalizeCurrency(req.query.currency);
 
-    if (isNaN(cartTotal) || cartTotal < 0) {
-      return res.status(400).json({ error: 'Valid cartTotal is required' });
+    let valuation = null;
+    let cartData = null;
+    let preselected = false;
+    if (cartId) {
+      const cartContext = applyExperiment(req.storeContext, cartId);
+      try {
+        preselected = (await applyDefaultProtection(cartContext, cartId, 'quote')).action === 'added';
+      } catch (error) {
+        logger.warn('Could not pre-select protection', { cartId, error });
+      }
+      try {
+        cartData = await req.storeContext.bigcommerce.getCart(cartId);
+        // Only a cart that exists joins the experiment
+        req.storeContext = cartContext;
+        recordAssignment(cartContext, cartId);
+        valuation = await valueCart(req.storeContext, cartData);
+        cartTotal = valuation.total;
+        currency = valuation.currency || currency;
+      } catch (error) {
+        if (!hasCartTotal) {
+          throw error;
+        }
+        logger.warn('Could not value cart for quote, using cartTotal', { error });
+      }
+    }
+
+    // A quote is an estimate: when the checkout cannot be read (or the cart could not be,
+    // and the quote falls back to cartTotal) the query's destination is used instead
+    let destinations = [];
+    if (valuation) {
+      try {
+        destinations = await getShippingDestinations(req.storeContext, cartId);
+      } catch (error) {
+        logger.warn('Could not read shipping destination for quote, using the query', { cartId, error });
+      }
+    }
+    if (destinations.length === 0 && country) {
+      destinations = [{
+        countryCode: country,
+        regionCode: region ? region.trim() || null : null,
+        shippingMethod: shippingMethod || null
+      }];
     }
 
-    const insuranceAmount = calculateInsuranceAmount(cartTotal);
-    const formattedAmount = parseFloat(insuranceAmount.toFixed(2));
+    const pricing = calculateInsuranceAmount(req.storeContext, cartTotal, currency, destinations);
+    const eligible = isEligible(req.storeContext, cartTotal, pricing.currency, valuation) && isDestinationSupported(pricing);
 
-    res.json({
+    if (eligible) {
+      recordEvent(req.storeContext, 'quote_shown', {
+        cartId,
+        insuredValue: cartTotal,
+        premium: pricing.premium,
+        tier: pricing.tier,
+        currency: pricing.currency
+      });
+    }
+
+    const body = {
+      success: 1,
       cartTotal,
-      insuranceAmount: formattedAmount,
-      percentage: 4 // Always 4%
-    });
+      currency: pricing.currency,
+      eligible,
+      insuranceAmount: pricing.premium,
+      percentage: pricing.percentage,
+      flatFee: pricing.flatFee,
+      tier: pricing.tier,
+      destination: pricing.destination
+    };
+    if (req.storeContext.experiment) {
+      // The widget shows the variant's copy and default state instead of /api/widget/config's
+      const { widget } = req.storeContext.settings;
+      Object.assign(body, {
+        experiment: req.storeContext.experiment,
+        widget: {
+          enabled: widget.enabled,
+          headline: widget.headline,
+          description: widget.description,
+          disclaimer: widget.disclaimer,
+          onText: widget.onText,
+          offText: widget.offText,
+          colors: widget.colors,
+          defaultState: widget.defaultState,
+          selection: req.storeContext.selection
+        }
+      });
+    }
+    if (valuation) {
+      Object.assign(body, {
+        protected: await hasProtection(req.storeContext, cartId, cartData),
+        preselected,
+        insuredValue: valuation.total,
+        insuredItems: describeItems(valuation.items),
+        excludedItems: describeItems(valuation.excludedItems),
+        blocked: valuation.blocked,
+        blockedBy: describeItems(valuation.blockedBy)
+      });
+    }
+    res.json(body);
   } catch (error) {
-    console.error('Error in /insurance/calculate:', error);
-    res.status(500).json({ error: error.message || 'Internal server error' });
+    sendError(res, error);
   }
 });
 
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const {
+  listPolicies,
+  getPolicy,
+  syncPolicies,
+  recordPolicyForOrder,
+  voidPolicy,
+  applyOrderRefunds
+} = require('../services/policies');
+const { apiError, fromBigCommerce, sendError } = require('../services/errors');
+
+// Policies hold customer names and addresses, so the whole ledger is admin only
+router.use(adminAuth);
+
+/**
+ * The error for an order without a recorded policy
+ */
+function policyNotFound(orderId) {
+  return apiError('POLICY_NOT_FOUND', `No policy for order ${orderId}`);
+}
+
+/**
+ * GET /api/policies
+ * List protection policies
+ * Optional filters: status, customerId, from, to
+ */
+router.get('/', validate('listPolicies'), (req, res) => {
+  try {
+    const { status, customerId, from, to } = req.query;
+
+    const data = listPolicies(req.storeContext, { status, customerId, from, to });
+    res.json({ success: 1, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/policies/sync
+ * Poll the Orders API for new orders and record policies for protected ones
+ * Optional body: { since } to re-scan from a given date
+ */
+router.post('/sync', validate('syncPolicies'), async (req, res) => {
+  try {
+    const summary = await syncPolicies(req.storeContext, req.body.since);
+    res.json({ success: 1, ...summary });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/policies/:orderId/record
+ * Check a single order and record its policy if it bought protection
+ */
+router.post('/:orderId/record', validate('recordPolicy'), async (req, res) => {
+  try {
+    const { created, policy } = await recordPolicyForOrder(req.storeContext, req.params.orderId);
+    if (!policy) {
+      return sendError(res, apiError('ORDER_NOT_PROTECTED', 'Order does not include shipping protection'));
+    }
+    res.status(created ? 201 : 200).json({ success: 1, created, data: policy });
+  } catch (error) {
+    sendError(res, fromBigCommerce(error, { notFound: 'ORDER_NOT_FOUND', message: `Order not found: ${req.params.orderId}` }) || error);
+  }
+});
+
+/**
+ * POST /api/policies/:orderId/void
+ * Void a policy by hand and refund its remaining premium
+ * Body: { reason }
+ */
+router.post('/:orderId/void', validate('voidPolicy'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const existing = getPolicy(req.storeContext, req.params.orderId);
+    if (!existing) {
+      return sendError(res, policyNotFound(req.params.orderId));
+    }
+    if (existing.status === 'voided') {
+      return sendError(res, apiError('POLICY_NOT_ACTIVE', 'Policy is already voided', { fields: { data: existing } }));
+    }
+
+    const policy = await voidPolicy(req.storeContext, req.params.orderId, { reason: reason || 'Voided by admin' });
+    res.json({ success: 1, data: policy });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/policies/:orderId/refunds/sync
+ * Apply the order's refunds to its policy (for refunds whose webhook was missed)
+ */
+router.post('/:orderId/refunds/sync', validate('syncPolicyRefunds'), async (req, res) => {
+  try {
+    if (!getPolicy(req.storeContext, req.params.orderId)) {
+      return sendError(res, policyNotFound(req.params.orderId));
+    }
+
+    const policy = await applyOrderRefunds(req.storeContext, req.params.orderId);
+    res.json({ success: 1, data: policy });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/policies/:orderId
+ * Get the policy recorded for an order
+ */
+router.get('/:orderId', validate('getPolicy'), (req, res) => {
+  const policy = getPolicy(req.storeContext, req.params.orderId);
+  if (!policy) {
+    return sendError(res, policyNotFound(req.params.orderId));
+  }
+  res.json({ success: 1, data: policy });
+});
+
+module.exports = router;
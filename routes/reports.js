@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const { getSummary, listEvents, toCsv } = require('../services/analytics');
+const { getExperimentReport } = require('../services/experiments');
+const validate = require('../middleware/validate');
+const { sendError } = require('../services/errors');
+
+router.use(adminAuth);
+
+/**
+ * GET /api/reports/summary
+ * Attach rate, premium collected and average insured value
+ * Optional: from, to (default: last 30 days), groupBy=day|week (default: day)
+ */
+router.get('/summary', validate('getReportSummary'), (req, res) => {
+  try {
+    const { from, to, groupBy } = req.query;
+    const data = getSummary(req.storeContext, { from, to, groupBy });
+    res.json({ success: 1, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/reports/events.csv
+ * Raw protection events as CSV for finance
+ * Optional: from, to (default: last 30 days), type (e.g. order_placed)
+ */
+router.get('/events.csv', validate('exportEvents'), (req, res) => {
+  try {
+    const { from, to, type } = req.query;
+
+    const events = listEvents(req.storeContext, { from, to, type });
+    const filename = `shipping-protection-${type || 'events'}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type('text/csv').send(toCsv(events));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/reports/experiments/:experimentId
+ * Attach rate and premium revenue for each variant of an experiment
+ * Optional: from, to (default: while the experiment ran)
+ */
+router.get('/experiments/:experimentId', validate('getExperimentReport'), (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const data = getExperimentReport(req.storeContext, req.params.experimentId, { from, to });
+    res.json({ success: 1, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const { checkCart, quoteCart, listCarriers, saveCarrier, removeCarrier } = require('../services/freight');
+const validate = require('../middleware/validate');
+const storefrontAuth = require('../middleware/storefrontAuth');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+/**
+ * Read the requested accessorials from a comma-separated query value
+ */
+function parseAccessorials(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return [];
+  }
+  return [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+}
+
+/**
+ * GET /api/shipping/ltl/check?cartId=...
+ * Whether a cart needs LTL freight, why, and what it would ship as
+ */
+router.get('/ltl/check', storefrontAuth, validate('checkLtl'), async (req, res) => {
+  try {
+    const { cartId } = req.query;
+
+    const result = await checkCart(req.storeContext, cartId);
+    res.json({ success: 1, cartId, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/shipping/ltl/quote?cartId=...&accessorials=liftgate,residential
+ * Freight quotes from the store's carrier rate tables, cheapest first
+ * Quotes are only produced for carts that need LTL.
+ */
+router.get('/ltl/quote', storefrontAuth, validate('quoteLtl'), async (req, res) => {
+  try {
+    const { cartId } = req.query;
+
+    const result = await quoteCart(req.storeContext, cartId, parseAccessorials(req.query.accessorials));
+    res.json({ success: 1, cartId, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/shipping/ltl/carriers (admin)
+ * List the store's carrier rate tables
+ */
+router.get('/ltl/carriers', adminAuth, validate('listCarriers'), (req, res) => {
+  try {
+    const data = listCarriers(req.storeContext);
+    res.json({ success: 1, count: data.length, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/shipping/ltl/carriers/:carrierId (admin)
+ * Create or replace a carrier's rate table
+ */
+router.put('/ltl/carriers/:carrierId', adminAuth, validate('saveCarrier'), (req, res) => {
+  try {
+    const { carrier, created } = saveCarrier(req.storeContext, req.params.carrierId, req.body);
+    logger.info('Freight carrier saved', { storeHash: req.storeContext.storeHash, carrierId: carrier.id, created });
+    res.status(created ? 201 : 200).json({ success: 1, created, data: carrier });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/shipping/ltl/carriers/:carrierId (admin)
+ */
+router.delete('/ltl/carriers/:carrierId', adminAuth, validate('deleteCarrier'), (req, res) => {
+  try {
+    if (!removeCarrier(req.storeContext, req.params.carrierId)) {
+      return sendError(res, apiError('CARRIER_NOT_FOUND', `Carrier not found: ${req.params.carrierId}`));
+    }
+    res.json({ success: 1 });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
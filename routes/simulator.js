@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const simulator = require('../services/bigcommerceSimulator');
+const validate = require('../middleware/validate');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+// Control API for the in-memory BigCommerce simulator (mounted only with BC_SIMULATOR=true)
+router.use(adminAuth);
+
+/**
+ * GET /api/simulator
+ * The store's simulated products, carts (with checkout fees), orders, webhooks and queued failures
+ */
+router.get('/', validate('getSimulatorState'), (req, res) => {
+  const { storeHash } = req.storeContext;
+  res.json({ success: 1, data: { ...simulator.snapshot(storeHash), failures: simulator.listFailures(storeHash) } });
+});
+
+/**
+ * POST /api/simulator/reset
+ * Back to the fixtures, with no queued failures
+ */
+router.post('/reset', validate('resetSimulator'), (req, res) => {
+  simulator.reset(req.storeContext.storeHash);
+  logger.info('Simulator reset', { storeHash: req.storeContext.storeHash });
+  res.json({ success: 1 });
+});
+
+/**
+ * POST /api/simulator/carts
+ * Body: a cart in the fixture shape ({ id?, line_items, custom_items?, currency?, customer_id?, consignments? })
+ */
+router.post('/carts', validate('createSimulatorCart'), (req, res) => {
+  try {
+    const cart = simulator.createCart(req.storeContext.storeHash, req.body);
+    res.status(201).json({ success: 1, data: cart });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/simulator/carts/:cartId/order
+ * Check the cart out: it becomes an order (ready for the order webhooks or a policy sync)
+ * Body: { billingAddress?, shippingAddress?, statusId? }
+ */
+router.post('/carts/:cartId/order', validate('placeSimulatorOrder'), (req, res) => {
+  const order = simulator.placeOrder(req.storeContext.storeHash, req.params.cartId, req.body);
+  if (!order) {
+    return sendError(res, apiError('CART_NOT_FOUND', `Cart not found: ${req.params.cartId}`));
+  }
+  logger.info('Simulator order placed', { storeHash: req.storeContext.storeHash, cartId: req.params.cartId, orderId: order.id });
+  res.status(201).json({ success: 1, data: order });
+});
+
+/**
+ * POST /api/simulator/failures
+ * Body: { status, method?, path?, times?, resetMs?, title? } (see BigCommerceSimulator#injectFailure)
+ */
+router.post('/failures', validate('injectSimulatorFailure'), (req, res) => {
+  const failure = simulator.injectFailure({ ...req.body, storeHash: req.storeContext.storeHash });
+  res.status(201).json({ success: 1, data: failure });
+});
+
+/**
+ * DELETE /api/simulator/failures
+ */
+router.delete('/failures', validate('clearSimulatorFailures'), (req, res) => {
+  simulator.clearFailures(req.storeContext.storeHash);
+  res.json({ success: 1 });
+});
+
+module.exports = router;
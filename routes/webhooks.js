@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config/config');
+const adminAuth = require('../middleware/adminAuth');
+const storeContext = require('../middleware/storeContext');
+const { verifySignature, handleEvent } = require('../services/webhooks');
+const { ensureWebhookSecret } = require('../services/webhookSecrets');
+const validate = require('../middleware/validate');
+const { apiError, sendError } = require('../services/errors');
+const logger = require('../services/logger');
+
+/**
+ * Destination URL BigCommerce should deliver webhooks to
+ */
+function getDestination() {
+  return `${config.serverUrl.replace(/\/$/, '')}/api/webhooks/bigcommerce`;
+}
+
+/**
+ * POST /api/webhooks/bigcommerce
+ * Receive BigCommerce webhook deliveries and re-price protection on cart changes
+ */
+router.post('/bigcommerce', (req, res, next) => {
+  if (!verifySignature(req)) {
+    logger.warn('Rejected webhook with invalid signature', { scope: req.body?.scope });
+    return sendError(res, apiError('INVALID_WEBHOOK_SIGNATURE', 'Invalid webhook signature'));
+  }
+  next();
+}, validate('receiveWebhook'), async (req, res) => {
+  try {
+    const result = await handleEvent(req.body);
+    logger.info('Webhook handled', result);
+    res.json({ success: 1, ...result });
+  } catch (error) {
+    // A non-2xx response makes BigCommerce retry the delivery later
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List webhooks registered on the store (admin only)
+ */
+router.get('/', adminAuth, storeContext, validate('listWebhooks'), async (req, res) => {
+  try {
+    const hooks = await req.storeContext.bigcommerce.getWebhooks();
+    res.json({ success: 1, data: hooks.data || [] });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/webhooks/register
+ * Register the cart webhooks this server handles (admin only)
+ * Hooks carry the store's own webhook secret, generated on first registration. Scopes that
+ * already point at this server are skipped, or updated when they carry another secret.
+ */
+router.post('/register', adminAuth, storeContext, validate('registerWebhooks'), async (req, res) => {
+  const { bigcommerce } = req.storeContext;
+
+  try {
+    const headers = { 'X-Webhook-Secret': ensureWebhookSecret(req.storeContext) };
+    const destination = getDestination();
+    const existing = (await bigcommerce.getWebhooks()).data || [];
+    const results = [];
+
+    for (const scope of config.webhooks.scopes) {
+      const match = existing.find(hook => hook.scope === scope && hook.destination === destination);
+      if (match && match.headers?.['X-Webhook-Secret'] === headers['X-Webhook-Secret']) {
+        results.push({ scope, id: match.id, status: 'exists' });
+      } else if (match) {
+        await bigcommerce.updateWebhook(match.id, { headers });
+        results.push({ scope, id: match.id, status: 'updated' });
+      } else {
+        const created = await bigcommerce.createWebhook(scope, destination, headers);
+        results.push({ scope, id: created.data?.id, status: 'created' });
+      }
+    }
+
+    res.json({ success: 1, destination, hooks: results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
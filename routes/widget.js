@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const storeContext = require('../middleware/storeContext');
+const validate = require('../middleware/validate');
+const storefrontAuth = require('../middleware/storefrontAuth');
+const { loadWidgetScript } = require('../services/widget');
+const { apiError, sendError } = require('../services/errors');
+
+/**
+ * GET /api/widget/config
+ * Copy, colours, default state and selection (opt-in or opt-out) for the storefront widget
+ */
+router.get('/config', storeContext, storefrontAuth, validate('getWidgetConfig'), (req, res) => {
+  const { widget } = req.storeContext.settings;
+
+  res.json({
+    success: 1,
+    data: {
+      version: loadWidgetScript().version,
+      enabled: widget.enabled,
+      headline: widget.headline,
+      description: widget.description,
+      disclaimer: widget.disclaimer,
+      onText: widget.onText,
+      offText: widget.offText,
+      colors: widget.colors,
+      defaultState: widget.defaultState,
+      selection: req.storeContext.selection,
+      insuranceProductId: req.storeContext.insuranceProductId
+    }
+  });
+});
+
+/**
+ * GET /api/widget/:version/shipping_protection.js
+ * Embeddable widget script
+ * The version is a hash of the script, so versioned URLs are cached for a year; "latest" is
+ * cached briefly so themes pick up changes
+ */
+router.get('/:version/shipping_protection.js', validate('getWidgetScript'), (req, res) => {
+  try {
+    const requested = req.params.version;
+    const { source, version } = loadWidgetScript();
+
+    if (requested !== version && requested !== 'latest') {
+      throw apiError('WIDGET_VERSION_NOT_FOUND', `Widget version ${requested} is not available (current: ${version})`);
+    }
+
+    res.set('Cache-Control', requested === 'latest'
+      ? 'public, max-age=300'
+      : 'public, max-age=31536000, immutable');
+    res.type('application/javascript').send(source);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Store setup: check the BigCommerce credentials, create (or find and correct) the
+// shipping protection product and save its ID, then run the configuration diagnostics.
+// Exits with 1 when a check fails.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { getStoreContext } = require('../services/stores');
+const { provisionProtectionProduct, checkConnection, runDiagnostics } = require('../services/provisioning');
+
+const USAGE = `Usage: npm run setup -- [options]
+
+  (no options)        Set up the protection product and write INSURANCE_PRODUCT_ID to .env
+  --check             Run the diagnostics only; changes nothing
+  --product-id <id>   Use this existing product (its settings are corrected)
+  --env-file <file>   File to write INSURANCE_PRODUCT_ID to (default: .env)
+  --dry-run           Set up the product but do not write the env file`;
+
+const STATUS_ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌', skip: '➖' };
+
+function parseArgs(argv) {
+  const options = { check: false, dryRun: false, envFile: '.env', productId: null, help: false };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--env-file') {
+      options.envFile = argv[++index];
+    } else if (arg === '--product-id') {
+      options.productId = parseInt(argv[++index]);
+      if (!options.productId) {
+        throw new Error('--product-id needs a numeric product ID');
+      }
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  if (!options.envFile) {
+    throw new Error('--env-file needs a file name');
+  }
+  return options;
+}
+
+/**
+ * Set KEY=value in an env file, replacing an existing (or commented-out) assignment
+ * or appending one. Other lines are left as they are.
+ */
+function writeEnvValue(file, key, value) {
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split(/\r?\n/) : [];
+  const pattern = new RegExp(`^\\s*#?\\s*${key}=`);
+  const index = lines.findIndex(line => pattern.test(line));
+  if (index >= 0) {
+    lines[index] = `${key}=${value}`;
+  } else {
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    lines.push(`${key}=${value}`, '');
+  }
+  fs.writeFileSync(file, lines.join('\n'));
+}
+
+async function setUpProduct(context, options) {
+  if (context.protectionMode === 'fee') {
+    console.log(`${STATUS_ICONS.skip} Protection product: not needed with INSURANCE_MODE=fee`);
+    return;
+  }
+
+  const { product, action, changes } = await provisionProtectionProduct(context, { productId: options.productId });
+  const label = `#${product.id} "${product.name}"`;
+  if (action === 'created') {
+    console.log(`${STATUS_ICONS.ok} Protection product: created ${label}`);
+  } else if (action === 'updated') {
+    console.log(`${STATUS_ICONS.ok} Protection product: found ${label} and corrected ${changes.join(', ')}`);
+  } else {
+    console.log(`${STATUS_ICONS.ok} Protection product: found ${label}, settings correct`);
+  }
+
+  const envFile = path.resolve(process.cwd(), options.envFile);
+  if (options.dryRun) {
+    console.log(`   Dry run: would write INSURANCE_PRODUCT_ID=${product.id} to ${envFile}`);
+  } else if (config.products.insuranceProductIdSet && config.products.insuranceProductId === product.id) {
+    console.log(`   INSURANCE_PRODUCT_ID is already ${product.id}`);
+  } else {
+    writeEnvValue(envFile, 'INSURANCE_PRODUCT_ID', product.id);
+    console.log(`   Wrote INSURANCE_PRODUCT_ID=${product.id} to ${envFile}; restart the server to use it`);
+  }
+  // Diagnose the product that was just set up, whatever the environment still says
+  context.insuranceProductId = product.id;
+}
+
+function printDiagnostics({ ok, checks }) {
+  console.log('\nDiagnostics:');
+  checks.forEach(({ name, status, message }) => console.log(`  ${STATUS_ICONS[status]} ${name}: ${message}`));
+  const warnings = checks.filter(result => result.status === 'warn').length;
+  const failures = checks.filter(result => result.status === 'fail').length;
+  console.log(`\n${ok ? 'Ready' : 'Not ready'}: ${failures} failed, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const context = getStoreContext(null);
+  console.log(`Shipping protection setup for store ${config.bigcommerce.storeHash || '(BC_STORE_HASH not set)'}${config.bigcommerce.simulator.enabled ? ' (simulator)' : ''}\n`);
+
+  if (!options.check) {
+    const connection = await checkConnection(context);
+    if (connection.some(result => result.status === 'fail')) {
+      printDiagnostics({ ok: false, checks: connection });
+      return 1;
+    }
+    await setUpProduct(context, options);
+  }
+
+  const result = await runDiagnostics(context);
+  printDiagnostics(result);
+  return result.ok ? 0 : 1;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
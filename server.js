@@ -2,45 +2,62 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const config = require('./config/config');
+const metrics = require('./services/metrics');
+const { safeEqual } = require('./services/jwt');
+const { apiError, sendError } = require('./services/errors');
+const { buildOpenApiDocument } = require('./services/apiSpec');
+const { createOriginPolicy } = require('./services/origins');
+const { checkReadiness } = require('./services/readiness');
+const logger = require('./services/logger');
 
 // Import routes
 const insuranceRoutes = require('./routes/insurance');
 const cartRoutes = require('./routes/cart');
+const webhookRoutes = require('./routes/webhooks');
+const policyRoutes = require('./routes/policies');
+const claimRoutes = require('./routes/claims');
+const appRoutes = require('./routes/app');
+const widgetRoutes = require('./routes/widget');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const shippingRoutes = require('./routes/shipping');
+const simulatorRoutes = require('./routes/simulator');
+const storeContext = require('./middleware/storeContext');
+const requestContext = require('./middleware/requestContext');
+const { bindRequestContext } = requestContext;
 
 const app = express();
 
+if (config.bigcommerce.simulator.enabled && config.nodeEnv === 'production') {
+  logger.warn('BC_SIMULATOR is on: BigCommerce calls are answered from memory, not by the store');
+}
+
+// Client IPs (used for rate limiting) come from X-Forwarded-For only through trusted proxies
+app.set('trust proxy', config.trustProxy);
+
+// Request IDs, request logging and HTTP metrics (first, so every request is counted)
+app.use(requestContext);
+
 // CORS Configuration
+// Origins are matched exactly or by subdomain wildcard (see services/origins.js). The API
+// authenticates with headers, never cookies, so credentials are not allowed cross-origin.
+const originPolicy = createOriginPolicy();
+if (originPolicy.allowAll && config.nodeEnv === 'production') {
+  logger.warn('CORS allows every origin; set CORS_ALLOWED_ORIGINS instead of CORS_ORIGIN=*');
+}
+
 const corsOptions = {
   origin: function (origin, callback) {
     // Allow requests with no origin (like mobile apps, Postman, etc.)
-    if (!origin) return callback(null, true);
-    
-    // Get allowed origins from config
-    const allowedOrigins = config.cors.allowedOrigins || [];
-    
-    // If '*' is specified, allow all origins
-    if (config.cors.origin === '*' || allowedOrigins.includes('*')) {
+    if (!origin || originPolicy.isAllowed(origin)) {
       return callback(null, true);
     }
-    
-    // Check if origin is in allowed list
-    if (allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      // Also check if origin matches a pattern (for BigCommerce stores)
-      const isBigCommerceOrigin = origin.includes('.mybigcommerce.com') || 
-                                   origin.includes('.bigcommerce.com');
-      if (isBigCommerceOrigin && config.cors.allowBigCommerce) {
-        callback(null, true);
-      } else {
-        callback(new Error('Not allowed by CORS'));
-      }
-    }
+    callback(apiError('ORIGIN_NOT_ALLOWED', `Origin ${origin} is not allowed`));
   },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  credentials: false,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Store-Hash', 'Idempotency-Key', 'X-Request-Id', 'X-Publishable-Key', 'X-Storefront-Token'],
+  exposedHeaders: ['Content-Length', 'Idempotent-Replayed', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   maxAge: 86400 // 24 hours
 };
 
@@ -50,8 +67,14 @@ app.use(cors(corsOptions));
 // Handle preflight requests
 app.options('*', cors(corsOptions));
 
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+app.use(bindRequestContext);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -62,9 +85,55 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Readiness: whether the store can actually serve protection (503 when a check fails)
+app.get('/health/ready', storeContext, async (req, res) => {
+  try {
+    const { ready, checkedAt, checks } = await checkReadiness(req.storeContext);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checkedAt,
+      checks
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Prometheus metrics; needs `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set
+app.get('/metrics', (req, res) => {
+  if (!config.metrics.enabled) {
+    return sendError(res, apiError('ROUTE_NOT_FOUND', 'Route not found'));
+  }
+  if (config.metrics.token) {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!match || !safeEqual(match[1], config.metrics.token)) {
+      return sendError(res, apiError('UNAUTHORIZED', 'Invalid or missing metrics token'));
+    }
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// OpenAPI document, generated from the same schemas the endpoints validate against
+app.get('/api/docs', (req, res) => {
+  res.json(buildOpenApiDocument(config.serverUrl));
+});
+
 // API Routes
-app.use('/api/insurance', insuranceRoutes);
-app.use('/api/cart', cartRoutes);
+// Store-scoped routes act on the store named by X-Store-Hash (or the env-configured store)
+app.use('/api/insurance', storeContext, insuranceRoutes);
+app.use('/api/cart', storeContext, cartRoutes);
+app.use('/api/policies', storeContext, policyRoutes);
+app.use('/api/claims', storeContext, claimRoutes);
+app.use('/api/admin', storeContext, adminRoutes);
+app.use('/api/reports', storeContext, reportRoutes);
+app.use('/api/shipping', storeContext, shippingRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/app', appRoutes);
+app.use('/api/widget', widgetRoutes);
+if (config.bigcommerce.simulator.enabled) {
+  app.use('/api/simulator', storeContext, simulatorRoutes);
+}
 
 // Serve static files (CSS, etc.)
 // Use path.join for better path resolution across platforms
@@ -72,37 +141,77 @@ app.use('/css', express.static(path.join(__dirname, 'public', 'css')));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    success: 0,
-    error: err.message || 'Internal server error'
-  });
+  sendError(res, err);
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    success: 0,
-    error: 'Route not found'
-  });
+  sendError(res, apiError('ROUTE_NOT_FOUND', 'Route not found'));
 });
 
 // Export for Vercel serverless function
 module.exports = app;
 
-// Start server only if not in Vercel environment
-if (process.env.VERCEL !== '1') {
+// Start server only when run directly (not on Vercel, or when required by the tests)
+if (require.main === module && process.env.VERCEL !== '1') {
   const PORT = config.port;
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📦 Environment: ${config.nodeEnv}`);
     console.log(`🏪 BigCommerce Store: ${config.bigcommerce.storeHash}`);
+    console.log(`🧩 App callbacks: ${config.bigcommerce.clientId && config.bigcommerce.clientSecret ? 'enabled' : 'disabled'}`);
+    if (config.bigcommerce.simulator.enabled) {
+      console.log(`🧪 BigCommerce simulator: enabled (${config.bigcommerce.simulator.fixturesFile || 'built-in fixtures'})`);
+    }
     console.log(`\nAvailable endpoints:`);
     console.log(`  GET  /health`);
+    console.log(`  GET  /health/ready`);
+    console.log(`  GET  /metrics`);
+    console.log(`  GET  /api/docs`);
     console.log(`  POST /api/insurance/add`);
     console.log(`  POST /api/insurance/update`);
     console.log(`  GET  /api/insurance/calculate`);
     console.log(`  GET  /api/cart/:cartId`);
+    console.log(`  POST /api/webhooks/bigcommerce`);
+    console.log(`  GET  /api/webhooks`);
+    console.log(`  POST /api/webhooks/register`);
+    console.log(`  GET  /api/policies`);
+    console.log(`  GET  /api/policies/:orderId`);
+    console.log(`  POST /api/policies/sync`);
+    console.log(`  POST /api/policies/:orderId/void`);
+    console.log(`  POST /api/policies/:orderId/refunds/sync`);
+    console.log(`  POST /api/claims`);
+    console.log(`  GET  /api/claims/:id/status`);
+    console.log(`  GET  /api/claims`);
+    console.log(`  PATCH /api/claims/:id/status`);
+    console.log(`  GET  /api/app/auth | /api/app/load | /api/app/uninstall`);
+    console.log(`  GET  /api/app/stores`);
+    console.log(`  PUT  /api/app/stores/:storeHash/credentials`);
+    console.log(`  GET  /api/admin/settings`);
+    console.log(`  PUT  /api/admin/settings`);
+    console.log(`  GET  /api/admin/settings/audit`);
+    console.log(`  GET  /api/admin/storefront-keys`);
+    console.log(`  POST /api/admin/storefront-keys/rotate`);
+    console.log(`  GET  /api/admin/consents/:cartId`);
+    console.log(`  GET  /api/admin/experiments`);
+    console.log(`  PUT  /api/admin/experiments/:experimentId`);
+    console.log(`  GET  /api/reports/summary`);
+    console.log(`  GET  /api/reports/experiments/:experimentId`);
+    console.log(`  GET  /api/reports/events.csv`);
+    console.log(`  GET  /api/shipping/ltl/check`);
+    console.log(`  GET  /api/shipping/ltl/quote`);
+    console.log(`  GET  /api/shipping/ltl/carriers`);
+    console.log(`  PUT  /api/shipping/ltl/carriers/:carrierId`);
+    console.log(`  GET  /api/widget/config`);
+    console.log(`  GET  /api/widget/:version/shipping_protection.js`);
+    if (config.bigcommerce.simulator.enabled) {
+      console.log(`  GET  /api/simulator`);
+      console.log(`  POST /api/simulator/reset`);
+      console.log(`  POST /api/simulator/carts`);
+      console.log(`  POST /api/simulator/carts/:cartId/order`);
+      console.log(`  POST /api/simulator/failures`);
+      console.log(`  DELETE /api/simulator/failures`);
+    }
   });
 }
 
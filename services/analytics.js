@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const { normalizeCurrency, getExchangeRate } = require('./pricing');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { apiError } = require('./errors');
+
+const EVENT_TYPES = ['quote_shown', 'added', 'removed', 'updated', 'order_placed', 'policy_voided', 'premium_refunded'];
+const CSV_COLUMNS = ['at', 'type', 'cartId', 'orderId', 'insuredValue', 'premium', 'currency', 'exchangeRate', 'tier', 'source', 'experimentId', 'variant'];
+
+/**
+ * Events are appended to one log per month so no single file grows without bound
+ * (see services/store.js Log); recording one never rewrites the month's file.
+ */
+function getMonthLog(context, month) {
+  return context.data.log(`events-${month}`);
+}
+
+function toMonth(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Months (YYYY-MM) touched by a date range, oldest first
+ */
+function monthsBetween(from, to) {
+  const months = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (cursor <= to) {
+    months.push(toMonth(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+function roundMoney(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Record an analytics event
+ * Never throws: a failed write is logged and the caller's cart operation carries on.
+ * `fields` may include cartId, orderId, insuredValue, premium, currency, tier and source,
+ * and `at` to date the event other than now (orders are dated by when they were placed).
+ * The exchange rate to the pricing base currency is stored with the event so reports
+ * can total carts in different currencies. Events for carts in an experiment are tagged
+ * with its ID and the cart's variant, from `fields.experiment` or else the context (see
+ * services/experiments.js applyExperiment).
+ */
+function recordEvent(context, type, fields = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown analytics event type: ${type}`);
+  }
+
+  const at = fields.at ? new Date(fields.at) : new Date();
+  const currency = normalizeCurrency(fields.currency);
+  const experiment = fields.experiment || context.experiment || null;
+  const event = {
+    id: `evt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    at: at.toISOString(),
+    type,
+    cartId: fields.cartId || null,
+    orderId: fields.orderId || null,
+    insuredValue: typeof fields.insuredValue === 'number' ? roundMoney(fields.insuredValue) : null,
+    premium: typeof fields.premium === 'number' ? roundMoney(fields.premium) : null,
+    currency,
+    exchangeRate: context.pricingRules ? getExchangeRate(context.pricingRules, currency) : null,
+    tier: fields.tier || null,
+    source: fields.source || 'api',
+    experimentId: experiment ? experiment.id : null,
+    variant: experiment ? experiment.variant : null
+  };
+
+  metrics.countProtectionEvent(type);
+  try {
+    getMonthLog(context, toMonth(at)).append(event);
+  } catch (error) {
+    logger.error('Could not record analytics event', { type, error });
+  }
+  return event;
+}
+
+/**
+ * Resolve a report date range; defaults to the last 30 days
+ * A date-only `to` (YYYY-MM-DD) includes that whole day
+ */
+function resolveRange({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw apiError('INVALID_DATE_RANGE', 'from and to must be valid dates');
+  }
+  if (start > end) {
+    throw apiError('INVALID_DATE_RANGE', 'from must be before to');
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Events in a date range, oldest first
+ * Filters: from, to, type
+ */
+function listEvents(context, filters = {}) {
+  const { from, to } = resolveRange(filters);
+  const fromIso = from.toISOString();
+  const toIso = to.toISOString();
+
+  return monthsBetween(from, to)
+    .flatMap(month => getMonthLog(context, month).all(event =>
+      event.at >= fromIso && event.at <= toIso && (!filters.type || event.type === filters.type)
+    ))
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Reporting period an event falls in: the day, or the Monday starting its week (UTC)
+ */
+function getPeriod(isoDate, groupBy) {
+  const date = new Date(isoDate);
+  if (groupBy === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * An event amount in the pricing base currency (as-is when the event has no rate)
+ */
+function toBase(event, amount) {
+  return event.exchangeRate ? amount / event.exchangeRate : amount;
+}
+
+/**
+ * Aggregate a list of events into report figures
+ * Attach rate is carts that added protection over carts that were shown a quote.
+ * Quotes without a cart ID count once each. Money figures are in the base currency.
+ */
+function aggregate(events) {
+  const quoted = new Set();
+  const protectedCarts = new Set();
+  let anonymousQuotes = 0;
+  let removals = 0;
+  let orders = 0;
+  let premium = 0;
+  let insuredValue = 0;
+  let voided = 0;
+  let refundedPremium = 0;
+
+  events.forEach(event => {
+    switch (event.type) {
+      case 'quote_shown':
+        if (event.cartId) {
+          quoted.add(event.cartId);
+        } else {
+          anonymousQuotes++;
+        }
+        break;
+      case 'added':
+        protectedCarts.add(event.cartId);
+        break;
+      case 'removed':
+        removals++;
+        break;
+      case 'order_placed':
+        orders++;
+        premium += toBase(event, event.premium || 0);
+        insuredValue += toBase(event, event.insuredValue || 0);
+        break;
+      case 'policy_voided':
+        voided++;
+        break;
+      case 'premium_refunded':
+        refundedPremium += toBase(event, event.premium || 0);
+        break;
+      default:
+        break;
+    }
+  });
+
+  const quotes = quoted.size + anonymousQuotes;
+  return {
+    quotes,
+    protectedCarts: protectedCarts.size,
+    attachRate: quotes > 0 ? parseFloat((protectedCarts.size / quotes).toFixed(4)) : null,
+    removals,
+    protectedOrders: orders,
+    totalPremium: roundMoney(premium),
+    voidedPolicies: voided,
+    refundedPremium: roundMoney(refundedPremium),
+    averageInsuredValue: orders > 0 ? roundMoney(insuredValue / orders) : null
+  };
+}
+
+/**
+ * Attach rate, premium and insured value totals, broken down by day or week
+ * Returns { from, to, groupBy, currency, totals, periods: [{ period, ...figures }] }
+ */
+function getSummary(context, { from, to, groupBy = 'day' } = {}) {
+  if (!['day', 'week'].includes(groupBy)) {
+    throw apiError('VALIDATION_FAILED', 'groupBy must be "day" or "week"');
+  }
+
+  const range = resolveRange({ from, to });
+  const events = listEvents(context, { from, to });
+
+  const byPeriod = new Map();
+  events.forEach(event => {
+    const period = getPeriod(event.at, groupBy);
+    if (!byPeriod.has(period)) {
+      byPeriod.set(period, []);
+    }
+    byPeriod.get(period).push(event);
+  });
+
+  return {
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    groupBy,
+    currency: context.pricingRules?.baseCurrency || 'USD',
+    totals: aggregate(events),
+    periods: [...byPeriod.entries()].map(([period, periodEvents]) => ({
+      period,
+      ...aggregate(periodEvents)
+    }))
+  };
+}
+
+/**
+ * Report figures for each variant of an experiment over a date range
+ * `variants` are the variant names, in the order to report them.
+ * premiumPerQuote (premium collected per cart shown a quote) compares revenue across
+ * variants of different sizes.
+ * Returns { from, to, currency, variants: [{ variant, ...figures, premiumPerQuote }] }
+ */
+function getVariantSummary(context, experimentId, variants, { from, to } = {}) {
+  const range = resolveRange({ from, to });
+  const events = listEvents(context, { from, to }).filter(event => event.experimentId === experimentId);
+
+  return {
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    currency: context.pricingRules?.baseCurrency || 'USD',
+    variants: variants.map(variant => {
+      const figures = aggregate(events.filter(event => event.variant === variant));
+      return { variant, ...figures, premiumPerQuote: figures.quotes > 0 ? roundMoney(figures.totalPremium / figures.quotes) : null };
+    })
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  // Cart IDs come from the storefront; keep spreadsheets from reading them as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Events as CSV, one row per event with a header row
+ */
+function toCsv(events) {
+  const rows = events.map(event => CSV_COLUMNS.map(column => csvValue(event[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  listEvents,
+  getSummary,
+  getVariantSummary,
+  toCsv
+};
@@ -0,0 +1,1146 @@
+const { version } = require('../package.json');
+const { ERROR_CODES } = require('./errors');
+const { EVENT_TYPES } = require('./analytics');
+const { REASONS, STATUSES } = require('./claims');
+
+/**
+ * API operations: request schemas used by middleware/validate.js and the OpenAPI document
+ * served at /api/docs, so the two cannot drift apart.
+ *
+ * Each operation has { id, method, path, summary, tags, auth, storeScoped, params?, query?,
+ * body?, multipart?, response or responseContentType, responseStatus?, errors }. `auth` is null, 'storefront'
+ * (publishable key or storefront token), 'admin' (API key or admin session), 'adminKey'
+ * (API key only), 'webhook', 'app' (BigCommerce signed callbacks) or 'metrics'. Request schemas use the subset of JSON Schema checked by services/schema.js.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const cartId = string({ minLength: 1, maxLength: 64, description: 'BigCommerce cart ID' });
+const orderId = string({ pattern: '^[0-9]{1,12}$', 'x-error-message': 'must be a numeric order ID', description: 'BigCommerce order ID' });
+const date = string({ format: 'date-time', description: 'ISO 8601 date or date-time' });
+const money = { type: 'number', minimum: 0 };
+const nullableMoney = { type: ['number', 'string', 'null'], description: 'Non-negative number (numeric strings accepted)' };
+const experimentRef = { type: ['object', 'null'], description: 'The experiment and variant the cart is in, or null', properties: { id: string(), variant: string() } };
+
+/**
+ * Object schema from a map of properties; names listed in `required` must be present
+ */
+function object(properties, required = [], extra = {}) {
+  return { type: 'object', properties, ...(required.length > 0 ? { required } : {}), ...extra };
+}
+
+/**
+ * Successful response envelope: { success: 1, ...fields }
+ */
+function success(fields = {}) {
+  return object({ success: { type: 'integer', enum: [1] }, ...fields }, ['success']);
+}
+
+const list = name => success({ count: { type: 'integer' }, data: { type: 'array', items: ref(name) } });
+
+const schemas = {
+  Error: object({
+    success: { type: 'integer', enum: [0] },
+    error: string({ description: 'Human-readable message; may change between releases' }),
+    code: string({ enum: Object.keys(ERROR_CODES), description: 'Machine-readable error code' }),
+    details: { type: 'array', items: string(), description: 'Individual problems for validation errors' },
+    requestId: string({ description: 'Request ID to quote for server errors' })
+  }, ['success', 'error', 'code']),
+  Destination: {
+    type: ['object', 'null'],
+    description: 'Destination pricing applied (null when the pricing rules have no destinations)',
+    properties: {
+      countryCode: string(),
+      regionCode: { type: ['string', 'null'] },
+      shippingMethod: { type: ['string', 'null'] },
+      multiplier: { type: 'number' },
+      surcharge: { type: 'number' },
+      supported: { type: 'boolean' },
+      matched: { type: 'array', items: string() }
+    }
+  },
+  CartItem: object({
+    id: string(),
+    productId: { type: 'integer' },
+    sku: { type: ['string', 'null'] },
+    name: string(),
+    quantity: { type: 'integer' },
+    value: money,
+    reason: string({ description: 'Why the item was excluded or blocks protection' })
+  }),
+  ProtectionResult: success({
+    insuranceAmount: money,
+    insuredValue: money,
+    tier: { type: ['string', 'null'] },
+    currency: { type: ['string', 'null'] },
+    destination: ref('Destination'),
+    mode: string({ enum: ['product', 'fee'] }),
+    productId: { type: 'integer' },
+    action: string({ enum: ['add', 'remove', 'update'] }),
+    eligible: { type: 'boolean', description: 'Only returned by /update' },
+    experiment: experimentRef,
+    cartId: string()
+  }),
+  Quote: success({
+    cartTotal: money,
+    currency: string(),
+    eligible: { type: 'boolean' },
+    insuranceAmount: money,
+    percentage: { type: ['number', 'null'] },
+    flatFee: { type: ['number', 'null'] },
+    tier: { type: ['string', 'null'] },
+    destination: ref('Destination'),
+    experiment: { ...experimentRef, description: 'For a cart in an experiment: its experiment and variant' },
+    widget: { type: 'object', description: 'For a cart in an experiment: the variant\'s widget settings (as /api/widget/config), which replace the store\'s' },
+    protected: { type: 'boolean', description: 'With cartId: whether the cart already has protection' },
+    preselected: { type: 'boolean', description: 'With cartId: whether this request added protection under opt-out selection' },
+    insuredValue: money,
+    insuredItems: { type: 'array', items: ref('CartItem') },
+    excludedItems: { type: 'array', items: ref('CartItem') },
+    blocked: { type: 'boolean' },
+    blockedBy: { type: 'array', items: ref('CartItem') }
+  }),
+  Policy: object({
+    orderId: { type: 'integer' },
+    cartId: { type: ['string', 'null'] },
+    status: string({ enum: ['active', 'voided'] }),
+    customerId: { type: ['integer', 'null'] },
+    customerEmail: { type: ['string', 'null'] },
+    customerName: { type: ['string', 'null'] },
+    insuredValue: money,
+    originalInsuredValue: money,
+    premium: money,
+    premiumRefunded: money,
+    premiumRefundDue: money,
+    currency: string(),
+    insuranceLineItemId: { type: ['integer', 'null'] },
+    insuranceFeeId: { type: ['integer', 'null'] },
+    insuredItems: { type: 'array', items: object({ lineItemId: { type: 'integer' }, productId: { type: 'integer' }, sku: string(), name: string(), quantity: { type: 'integer' }, refundedQuantity: { type: 'integer' }, value: money }) },
+    shippingAddress: { type: ['object', 'null'] },
+    adjustments: { type: 'array', items: object({ at: date, type: string({ enum: ['refund', 'premium_refund', 'voided'] }) }) },
+    voidedAt: date,
+    voidReason: string(),
+    consent: { anyOf: [ref('Consent'), { type: 'null' }], description: 'The cart\'s consent record when the order was placed' },
+    experiment: { ...experimentRef, description: 'The experiment and variant the cart was in, or null' },
+    orderCreatedAt: date,
+    createdAt: date
+  }),
+  Consent: object({
+    cartId: string(),
+    decision: string({ enum: ['accepted', 'declined'] }),
+    source: string({ enum: ['shopper', 'default'], description: 'shopper: chosen through /api/insurance/add; default: pre-selected under opt-out selection' }),
+    trigger: string({ description: 'What recorded the decision: add, cart_fetch, quote, cart_created or update' }),
+    at: date,
+    history: {
+      type: 'array',
+      description: 'Every decision for the cart, oldest first',
+      items: object({
+        decision: string({ enum: ['accepted', 'declined'] }),
+        source: string({ enum: ['shopper', 'default'] }),
+        trigger: string(),
+        at: date,
+        requestId: { type: ['string', 'null'] },
+        premium: { type: ['number', 'null'] },
+        currency: { type: ['string', 'null'] },
+        ip: { type: ['string', 'null'] },
+        userAgent: { type: ['string', 'null'] }
+      })
+    }
+  }),
+  Claim: object({
+    id: string(),
+    orderId: { type: 'integer' },
+    customerEmail: string(),
+    reason: string({ enum: REASONS }),
+    description: string(),
+    items: { type: 'array', items: object({ lineItemId: { type: 'integer' }, productId: { type: 'integer' }, sku: string(), name: string(), quantity: { type: 'integer' }, value: money }) },
+    claimedValue: money,
+    currency: string(),
+    photos: { type: 'array', items: object({ filename: string(), originalName: string(), mimeType: string(), size: { type: 'integer' } }) },
+    status: string({ enum: STATUSES }),
+    payoutAmount: { type: ['number', 'null'] },
+    history: { type: 'array', items: object({ status: string(), at: date, by: string(), note: { type: ['string', 'null'] } }) },
+    createdAt: date,
+    updatedAt: date
+  }),
+  Settings: object({
+    protectionMode: string({ enum: ['product', 'fee'] }),
+    selection: string({ enum: ['opt-in', 'opt-out'] }),
+    insuranceProductId: { type: 'integer' },
+    pricingRules: { type: 'object', description: 'See config/pricing-rules.example.json' },
+    eligibility: { type: 'object' },
+    widget: { type: 'object' }
+  }),
+  Experiment: object({
+    id: string(),
+    name: string(),
+    status: string({ enum: ['draft', 'running', 'stopped'] }),
+    variants: {
+      type: 'array',
+      items: object({
+        name: string(),
+        weight: { type: 'number', description: 'Share of carts, relative to the other variants' },
+        pricingRules: { type: 'object', description: 'Replaces the store\'s pricing rules' },
+        selection: string({ enum: ['opt-in', 'opt-out'] }),
+        widget: { type: 'object', description: 'Merged into the store\'s widget settings' }
+      })
+    },
+    createdAt: date,
+    updatedAt: date,
+    startedAt: { type: ['string', 'null'] },
+    stoppedAt: { type: ['string', 'null'] }
+  }),
+  ExperimentReport: object({
+    experiment: object({ id: string(), name: string(), status: string(), startedAt: { type: ['string', 'null'] }, stoppedAt: { type: ['string', 'null'] } }),
+    from: date,
+    to: date,
+    currency: string({ description: 'Currency of the money figures (the pricing rules\' base currency)' }),
+    variants: {
+      type: 'array',
+      items: object({
+        variant: string(),
+        weight: { type: 'number' },
+        share: { type: 'number', description: 'Intended share of carts (0-1)' },
+        assignedCarts: { type: 'integer' },
+        quotes: { type: 'integer' },
+        protectedCarts: { type: 'integer' },
+        attachRate: { type: ['number', 'null'] },
+        removals: { type: 'integer' },
+        protectedOrders: { type: 'integer' },
+        totalPremium: money,
+        premiumPerQuote: { type: ['number', 'null'], description: 'Premium collected per cart shown a quote' },
+        voidedPolicies: { type: 'integer' },
+        refundedPremium: money,
+        averageInsuredValue: { type: ['number', 'null'] }
+      })
+    }
+  }),
+  Carrier: object({
+    id: string(),
+    name: string(),
+    enabled: { type: 'boolean' },
+    currency: string(),
+    transitDays: { type: ['integer', 'null'] },
+    maxWeight: { type: ['number', 'null'] },
+    minimumCharge: money,
+    fuelSurchargePercent: { type: 'number' },
+    rates: { type: 'object', description: 'Per-class weight bracket rates; see config/freight-carrier.example.json' },
+    accessorials: { type: 'object' },
+    createdAt: date,
+    updatedAt: date
+  }),
+  FreightCheck: success({
+    cartId: string(),
+    currency: string(),
+    ltlRequired: { type: 'boolean' },
+    reasons: { type: 'array', items: string() },
+    shipment: object({ totalWeight: { type: 'number' }, totalCubicFeet: { type: 'number' }, density: { type: ['number', 'null'] }, classes: { type: 'array', items: object({ freightClass: { type: 'number' }, weight: { type: 'number' } }) }, items: { type: 'array', items: { type: 'object' } } }),
+    warnings: { type: 'array', items: string() }
+  }),
+  StorefrontKeys: object({
+    publishableKey: string(),
+    hasTokenSecret: { type: 'boolean' },
+    createdAt: date,
+    createdBy: { type: 'object' }
+  }),
+  ReadinessCheck: object({
+    status: string({ enum: ['ok', 'warn', 'fail', 'skip'] }),
+    message: string(),
+    durationMs: { type: 'integer' }
+  }),
+  Installation: object({
+    storeHash: string(),
+    status: string({ enum: ['installed', 'uninstalled'] }),
+    scope: string(),
+    hasStorefrontApiToken: { type: 'boolean' }
+  })
+};
+
+const operations = [
+  {
+    id: 'addInsurance',
+    method: 'post',
+    path: '/api/insurance/add',
+    summary: 'Add (protection: 1) or remove (protection: 0) shipping protection on a cart',
+    description: 'Runs under the cart\'s lock and leaves exactly zero or one protection item or fee. Send an Idempotency-Key header to make retries safe.',
+    tags: ['Insurance'],
+    auth: 'storefront',
+    storeScoped: true,
+    idempotent: true,
+    body: object({
+      cartId,
+      protection: { type: ['integer', 'string'], enum: [0, 1, '0', '1'], 'x-error-code': 'INVALID_PROTECTION', description: '1 to add protection, 0 to remove it' },
+      cartTotal: nullableMoney,
+      cartData: { type: 'object', description: 'Storefront cart, valued instead of cartTotal when INSURANCE_TOTAL_SOURCE=client' },
+      source: string({ enum: ['shopper', 'default'], description: 'default when the widget pre-selects protection (widget defaultState on); recorded as the consent source. Only with protection: 1' })
+    }, ['cartId', 'protection']),
+    response: ref('ProtectionResult'),
+    errors: ['VALIDATION_FAILED', 'INVALID_PROTECTION', 'INVALID_CART_TOTAL', 'CART_NOT_FOUND', 'CART_TOTAL_MISMATCH', 'DECISION_RECORDED', 'NOT_ELIGIBLE', 'DESTINATION_NOT_SUPPORTED', 'IDEMPOTENCY_REQUEST_IN_PROGRESS', 'IDEMPOTENCY_KEY_REUSED', 'BC_AUTH_FAILED', 'BC_REQUEST_FAILED', 'BC_RATE_LIMITED', 'RECONCILE_FAILED', 'UPSTREAM_UNAVAILABLE', 'STOREFRONT_AUTH_REQUIRED', 'INVALID_STOREFRONT_CREDENTIALS', 'RATE_LIMITED']
+  },
+  {
+    id: 'updateInsurance',
+    method: 'post',
+    path: '/api/insurance/update',
+    summary: 'Re-price the protection on a cart after it changed',
+    description: 'Carts without protection are left alone; carts that are no longer eligible have it removed.',
+    tags: ['Insurance'],
+    auth: 'storefront',
+    storeScoped: true,
+    idempotent: true,
+    body: object({ cartId, cartTotal: nullableMoney, cartData: { type: 'object' } }, ['cartId']),
+    response: ref('ProtectionResult'),
+    errors: ['VALIDATION_FAILED', 'INVALID_CART_TOTAL', 'CART_NOT_FOUND', 'CART_TOTAL_MISMATCH', 'IDEMPOTENCY_REQUEST_IN_PROGRESS', 'IDEMPOTENCY_KEY_REUSED', 'BC_AUTH_FAILED', 'BC_REQUEST_FAILED', 'BC_RATE_LIMITED', 'RECONCILE_FAILED', 'UPSTREAM_UNAVAILABLE', 'STOREFRONT_AUTH_REQUIRED', 'INVALID_STOREFRONT_CREDENTIALS', 'RATE_LIMITED']
+  },
+  {
+    id: 'calculateInsurance',
+    method: 'get',
+    path: '/api/insurance/calculate',
+    summary: 'Quote the protection premium for a cart or a cart total',
+    description: 'With cartId the cart is fetched and valued under the eligibility rules (cartTotal is then only a fallback). country/region/shippingMethod price a destination before the shopper has entered one.',
+    tags: ['Insurance'],
+    auth: 'storefront',
+    storeScoped: true,
+    query: object({
+      cartId,
+      cartTotal: { type: 'number', minimum: 0, 'x-error-code': 'INVALID_CART_TOTAL' },
+      currency: string({ pattern: '^[A-Za-z]{3}$', 'x-error-message': 'must be a 3-letter currency code such as USD' }),
+      country: string({ pattern: '^[A-Za-z]{2}$', 'x-error-message': 'must be a 2-letter country code such as US' }),
+      region: string({ maxLength: 10 }),
+      shippingMethod: string({ maxLength: 100 })
+    }, [], {
+      anyOf: [object({}, ['cartId']), object({}, ['cartTotal'])],
+      'x-error-message': 'must include a valid cartTotal or cartId',
+      'x-error-code': 'INVALID_CART_TOTAL'
+    }),
+    response: ref('Quote'),
+    errors: ['VALIDATION_FAILED', 'INVALID_CART_TOTAL', 'CART_NOT_FOUND', 'BC_AUTH_FAILED', 'BC_REQUEST_FAILED', 'BC_RATE_LIMITED', 'UPSTREAM_UNAVAILABLE', 'STOREFRONT_AUTH_REQUIRED', 'INVALID_STOREFRONT_CREDENTIALS', 'RATE_LIMITED']
+  },
+  {
+    id: 'getCart',
+    method: 'get',
+    path: '/api/cart/:cartId',
+    summary: 'Get a cart from BigCommerce',
+    tags: ['Cart'],
+    auth: 'storefront',
+    storeScoped: true,
+    params: object({ cartId }, ['cartId']),
+    response: success({ data: { type: 'object', description: 'BigCommerce cart' } }),
+    errors: ['VALIDATION_FAILED', 'CART_NOT_FOUND', 'BC_AUTH_FAILED', 'BC_REQUEST_FAILED', 'BC_RATE_LIMITED', 'UPSTREAM_UNAVAILABLE', 'STOREFRONT_AUTH_REQUIRED', 'INVALID_STOREFRONT_CREDENTIALS']
+  },
+  {
+    id: 'receiveWebhook',
+    method: 'post',
+    path: '/api/webhooks/bigcommerce',
+    summary: 'Receive a BigCommerce webhook delivery',
+    description: 'Any non-2xx response makes BigCommerce retry the delivery.',
+    tags: ['Webhooks'],
+    auth: 'webhook',
+    body: object({
+      scope: string({ minLength: 1 }),
+      producer: string(),
+      data: { type: 'object' }
+    }, ['scope']),
+    response: success({ scope: string(), action: string() }),
+    errors: ['VALIDATION_FAILED', 'INVALID_WEBHOOK_SIGNATURE']
+  },
+  {
+    id: 'listWebhooks',
+    method: 'get',
+    path: '/api/webhooks',
+    summary: 'List the webhooks registered on the store',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success({ data: { type: 'array', items: { type: 'object' } } }),
+    errors: ['UNAUTHORIZED', 'BC_AUTH_FAILED', 'BC_REQUEST_FAILED', 'UPSTREAM_UNAVAILABLE']
+  },
+  {
+    id: 'registerWebhooks',
+    method: 'post',
+    path: '/api/webhooks/register',
+    summary: 'Register the webhook scopes this server handles',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success({ destination: string(), hooks: { type: 'array', items: object({ scope: string(), id: { type: 'integer' }, status: string({ enum: ['created', 'updated', 'exists'] }) }) } }),
+    errors: ['UNAUTHORIZED', 'NOT_CONFIGURED', 'BC_AUTH_FAILED', 'BC_REQUEST_FAILED', 'UPSTREAM_UNAVAILABLE']
+  },
+  {
+    id: 'listPolicies',
+    method: 'get',
+    path: '/api/policies',
+    summary: 'List protection policies, newest order first',
+    tags: ['Policies'],
+    auth: 'admin',
+    storeScoped: true,
+    query: object({ status: string({ enum: ['active', 'voided'] }), customerId: string({ pattern: '^[0-9]+$' }), from: date, to: date }),
+    response: list('Policy'),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED']
+  },
+  {
+    id: 'syncPolicies',
+    method: 'post',
+    path: '/api/policies/sync',
+    summary: 'Record policies for orders created since the last sync',
+    tags: ['Policies'],
+    auth: 'admin',
+    storeScoped: true,
+    body: object({ since: date }),
+    response: success({ scanned: { type: 'integer' }, created: { type: 'integer' }, since: { type: ['string', 'null'] } }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'BC_AUTH_FAILED', 'BC_REQUEST_FAILED', 'UPSTREAM_UNAVAILABLE']
+  },
+  {
+    id: 'recordPolicy',
+    method: 'post',
+    path: '/api/policies/:orderId/record',
+    summary: 'Check one order and record its policy',
+    tags: ['Policies'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ orderId }, ['orderId']),
+    response: success({ created: { type: 'boolean' }, data: ref('Policy') }),
+    responseStatus: [200, 201],
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'ORDER_NOT_FOUND', 'ORDER_NOT_PROTECTED', 'BC_AUTH_FAILED', 'UPSTREAM_UNAVAILABLE']
+  },
+  {
+    id: 'voidPolicy',
+    method: 'post',
+    path: '/api/policies/:orderId/void',
+    summary: 'Void a policy and refund its remaining premium',
+    tags: ['Policies'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ orderId }, ['orderId']),
+    body: object({ reason: string({ maxLength: 500 }) }),
+    response: success({ data: ref('Policy') }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'POLICY_NOT_FOUND', 'POLICY_NOT_ACTIVE']
+  },
+  {
+    id: 'syncPolicyRefunds',
+    method: 'post',
+    path: '/api/policies/:orderId/refunds/sync',
+    summary: 'Apply the order\'s refunds to its policy',
+    tags: ['Policies'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ orderId }, ['orderId']),
+    response: success({ data: ref('Policy') }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'POLICY_NOT_FOUND', 'BC_AUTH_FAILED', 'UPSTREAM_UNAVAILABLE']
+  },
+  {
+    id: 'getPolicy',
+    method: 'get',
+    path: '/api/policies/:orderId',
+    summary: 'Get the policy recorded for an order',
+    tags: ['Policies'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ orderId }, ['orderId']),
+    response: success({ data: ref('Policy') }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'POLICY_NOT_FOUND']
+  },
+  {
+    id: 'fileClaim',
+    method: 'post',
+    path: '/api/claims',
+    summary: 'File a claim against a protected order',
+    description: 'JSON, or multipart/form-data with photos in the "photos" field and items as a JSON string.',
+    tags: ['Claims'],
+    auth: null,
+    storeScoped: true,
+    multipart: true,
+    body: object({
+      orderId: { type: ['integer', 'string'], pattern: '^[0-9]{1,12}$', minimum: 1, 'x-error-message': 'must be a numeric order ID' },
+      email: string({ format: 'email', maxLength: 254 }),
+      reason: string({ enum: REASONS }),
+      description: string({ maxLength: 5000 }),
+      items: {
+        type: 'array',
+        minItems: 1,
+        'x-error-code': 'INVALID_CLAIM_ITEMS',
+        items: object({
+          lineItemId: { type: ['integer', 'string'] },
+          quantity: { type: 'integer', minimum: 1 }
+        }, ['lineItemId'])
+      }
+    }, ['orderId', 'email', 'reason', 'items']),
+    response: success({ data: object({ id: string(), orderId: { type: 'integer' }, status: string(), claimedValue: money, currency: string(), createdAt: date }) }),
+    responseStatus: 201,
+    errors: ['VALIDATION_FAILED', 'INVALID_CLAIM_ITEMS', 'EMAIL_MISMATCH', 'ORDER_NOT_PROTECTED', 'POLICY_NOT_ACTIVE', 'CLAIM_WINDOW_CLOSED']
+  },
+  {
+    id: 'getClaimStatus',
+    method: 'get',
+    path: '/api/claims/:id/status',
+    summary: 'Let the customer who filed a claim check its status',
+    tags: ['Claims'],
+    auth: null,
+    storeScoped: true,
+    params: object({ id: string({ maxLength: 64 }) }, ['id']),
+    query: object({ email: string({ maxLength: 254 }) }, ['email']),
+    response: success({ data: object({ id: string(), orderId: { type: 'integer' }, status: string(), payoutAmount: { type: ['number', 'null'] }, currency: string(), updatedAt: date }) }),
+    errors: ['VALIDATION_FAILED', 'CLAIM_NOT_FOUND']
+  },
+  {
+    id: 'listClaims',
+    method: 'get',
+    path: '/api/claims',
+    summary: 'List claims, newest first',
+    tags: ['Claims'],
+    auth: 'admin',
+    storeScoped: true,
+    query: object({ status: string({ enum: STATUSES }), reason: string({ enum: REASONS }), orderId, from: date, to: date }),
+    response: list('Claim'),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED']
+  },
+  {
+    id: 'getClaim',
+    method: 'get',
+    path: '/api/claims/:id',
+    summary: 'Get a claim with its full history',
+    tags: ['Claims'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ id: string({ maxLength: 64 }) }, ['id']),
+    response: success({ data: ref('Claim') }),
+    errors: ['UNAUTHORIZED', 'CLAIM_NOT_FOUND']
+  },
+  {
+    id: 'getClaimPhoto',
+    method: 'get',
+    path: '/api/claims/:id/photos/:filename',
+    summary: 'Download a photo attached to a claim',
+    tags: ['Claims'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ id: string({ maxLength: 64 }), filename: string({ pattern: '^[a-z0-9]+(\\.[a-z0-9]+)?$' }) }, ['id', 'filename']),
+    responseContentType: 'image/*',
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'CLAIM_NOT_FOUND']
+  },
+  {
+    id: 'updateClaimStatus',
+    method: 'patch',
+    path: '/api/claims/:id/status',
+    summary: 'Move a claim through the workflow',
+    tags: ['Claims'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ id: string({ maxLength: 64 }) }, ['id']),
+    body: object({
+      status: string({ enum: STATUSES }),
+      note: string({ maxLength: 2000 }),
+      payoutAmount: { type: ['number', 'null'], minimum: 0 }
+    }, ['status']),
+    response: success({ data: ref('Claim') }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'CLAIM_NOT_FOUND', 'INVALID_CLAIM_TRANSITION']
+  },
+  {
+    id: 'appAuth',
+    method: 'get',
+    path: '/api/app/auth',
+    summary: 'OAuth install callback',
+    tags: ['App'],
+    auth: 'app',
+    query: object({ code: string({ minLength: 1 }), scope: string(), context: string({ minLength: 1 }) }, ['code', 'context']),
+    responseContentType: 'text/html',
+    errors: ['VALIDATION_FAILED', 'NOT_CONFIGURED', 'INVALID_STORE_HASH', 'APP_INSTALL_FAILED']
+  },
+  {
+    id: 'appLoad',
+    method: 'get',
+    path: '/api/app/load',
+    summary: 'Control panel load callback; issues an admin session',
+    tags: ['App'],
+    auth: 'app',
+    query: object({ signed_payload_jwt: string({ minLength: 1 }) }, ['signed_payload_jwt']),
+    responseContentType: 'text/html',
+    errors: ['VALIDATION_FAILED', 'NOT_CONFIGURED', 'INVALID_SIGNED_PAYLOAD', 'STORE_NOT_FOUND']
+  },
+  {
+    id: 'appUninstall',
+    method: 'get',
+    path: '/api/app/uninstall',
+    summary: 'Uninstall callback; forgets the store\'s access token',
+    tags: ['App'],
+    auth: 'app',
+    query: object({ signed_payload_jwt: string({ minLength: 1 }) }, ['signed_payload_jwt']),
+    response: success(),
+    errors: ['VALIDATION_FAILED', 'NOT_CONFIGURED', 'INVALID_SIGNED_PAYLOAD']
+  },
+  {
+    id: 'listStores',
+    method: 'get',
+    path: '/api/app/stores',
+    summary: 'List app installations (access tokens are never returned)',
+    tags: ['App'],
+    auth: 'adminKey',
+    response: list('Installation'),
+    errors: ['UNAUTHORIZED', 'FORBIDDEN']
+  },
+  {
+    id: 'updateStoreCredentials',
+    method: 'put',
+    path: '/api/app/stores/:storeHash/credentials',
+    summary: 'Set the Storefront API token for an installed store',
+    tags: ['App'],
+    auth: 'adminKey',
+    params: object({ storeHash: string({ pattern: '^[a-z0-9]+$' }) }, ['storeHash']),
+    body: object({ storefrontApiToken: { type: ['string', 'null'], maxLength: 500 } }, ['storefrontApiToken']),
+    response: success({ data: ref('Installation') }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'FORBIDDEN', 'STORE_NOT_FOUND']
+  },
+  {
+    id: 'getSettings',
+    method: 'get',
+    path: '/api/admin/settings',
+    summary: 'Effective settings, environment defaults and overridden keys',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success({ storeHash: string(), data: ref('Settings'), defaults: ref('Settings'), overridden: { type: 'array', items: string() } }),
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'updateSettings',
+    method: 'put',
+    path: '/api/admin/settings',
+    summary: 'Change settings',
+    description: 'Objects merge key by key; pricingRules is replaced whole; a key set to null restores its default. Values are checked by the settings service and reported as INVALID_SETTINGS.',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    body: object({
+      protectionMode: { type: ['string', 'null'] },
+      selection: { type: ['string', 'null'] },
+      insuranceProductId: { type: ['integer', 'null'] },
+      pricingRules: { type: ['object', 'null'] },
+      eligibility: { type: ['object', 'null'] },
+      widget: { type: ['object', 'null'] }
+    }, [], { 'x-error-code': 'INVALID_SETTINGS' }),
+    response: success({ data: ref('Settings'), changes: { type: 'array', items: object({ path: string(), from: {}, to: {} }) } }),
+    errors: ['VALIDATION_FAILED', 'INVALID_SETTINGS', 'UNAUTHORIZED']
+  },
+  {
+    id: 'getSettingsAudit',
+    method: 'get',
+    path: '/api/admin/settings/audit',
+    summary: 'Settings change history, newest first',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    query: object({ limit: { type: 'integer', minimum: 1, maximum: 1000 } }),
+    response: success({ count: { type: 'integer' }, data: { type: 'array', items: { type: 'object' } } }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED']
+  },
+  {
+    id: 'getStorefrontKeys',
+    method: 'get',
+    path: '/api/admin/storefront-keys',
+    summary: 'The store\'s publishable key (the token secret is never shown again)',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success({ data: { ...ref('StorefrontKeys'), description: 'null until keys are issued' } }),
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'rotateStorefrontKeys',
+    method: 'post',
+    path: '/api/admin/storefront-keys/rotate',
+    summary: 'Issue a new publishable key and token secret',
+    description: 'The previous key and secret stop working immediately. The response is the only time the token secret is shown.',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success({ data: object({ publishableKey: string(), tokenSecret: string(), createdAt: date, createdBy: { type: 'object' } }) }),
+    responseStatus: 201,
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'getConsent',
+    method: 'get',
+    path: '/api/admin/consents/:cartId',
+    summary: 'The protection decision recorded for a cart, with its history',
+    description: 'Decisions are recorded when the shopper adds or removes protection and when opt-out selection pre-selects it. Policies keep a copy from when the order was placed.',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ cartId }, ['cartId']),
+    response: success({ data: ref('Consent') }),
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'CONSENT_NOT_FOUND']
+  },
+  {
+    id: 'listExperiments',
+    method: 'get',
+    path: '/api/admin/experiments',
+    summary: 'List experiments, newest first',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    response: list('Experiment'),
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'saveExperiment',
+    method: 'put',
+    path: '/api/admin/experiments/:experimentId',
+    summary: 'Create or replace an experiment; its status starts and stops it',
+    description: 'Variants are checked like settings changes and reported as INVALID_EXPERIMENT. Only one experiment runs at a time, and variants cannot change once it has started.',
+    tags: ['Admin'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ experimentId: string({ pattern: '^[a-z0-9][a-z0-9-]{0,63}$', 'x-error-message': 'must be lowercase letters, digits and dashes' }) }, ['experimentId']),
+    body: object({
+      name: string({ maxLength: 200 }),
+      status: string({ enum: ['draft', 'running', 'stopped'] }),
+      variants: { type: 'array', minItems: 2, maxItems: 10, items: { type: 'object' } }
+    }, ['variants'], { 'x-error-code': 'INVALID_EXPERIMENT' }),
+    response: success({ created: { type: 'boolean' }, data: ref('Experiment') }),
+    responseStatus: [200, 201],
+    errors: ['VALIDATION_FAILED', 'INVALID_EXPERIMENT', 'EXPERIMENT_CONFLICT', 'UNAUTHORIZED']
+  },
+  {
+    id: 'getReportSummary',
+    method: 'get',
+    path: '/api/reports/summary',
+    summary: 'Attach rate, premium and insured value totals by day or week',
+    tags: ['Reports'],
+    auth: 'admin',
+    storeScoped: true,
+    query: object({ from: date, to: date, groupBy: string({ enum: ['day', 'week'] }) }),
+    response: success({ data: { type: 'object' } }),
+    errors: ['VALIDATION_FAILED', 'INVALID_DATE_RANGE', 'UNAUTHORIZED']
+  },
+  {
+    id: 'getExperimentReport',
+    method: 'get',
+    path: '/api/reports/experiments/:experimentId',
+    summary: 'Attach rate and premium revenue for each variant of an experiment',
+    description: 'The range defaults to the day the experiment started through now. Money figures are in the pricing rules\' base currency.',
+    tags: ['Reports'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ experimentId: string({ maxLength: 64 }) }, ['experimentId']),
+    query: object({ from: date, to: date }),
+    response: success({ data: ref('ExperimentReport') }),
+    errors: ['VALIDATION_FAILED', 'INVALID_DATE_RANGE', 'UNAUTHORIZED', 'EXPERIMENT_NOT_FOUND']
+  },
+  {
+    id: 'exportEvents',
+    method: 'get',
+    path: '/api/reports/events.csv',
+    summary: 'Raw protection events as CSV',
+    tags: ['Reports'],
+    auth: 'admin',
+    storeScoped: true,
+    query: object({ from: date, to: date, type: string({ enum: EVENT_TYPES }) }),
+    responseContentType: 'text/csv',
+    errors: ['VALIDATION_FAILED', 'INVALID_DATE_RANGE', 'UNAUTHORIZED']
+  },
+  {
+    id: 'checkLtl',
+    method: 'get',
+    path: '/api/shipping/ltl/check',
+    summary: 'Whether a cart needs LTL freight, and why',
+    tags: ['Shipping'],
+    auth: 'storefront',
+    storeScoped: true,
+    query: object({ cartId }, ['cartId']),
+    response: ref('FreightCheck'),
+    errors: ['VALIDATION_FAILED', 'CART_NOT_FOUND', 'BC_AUTH_FAILED', 'UPSTREAM_UNAVAILABLE', 'STOREFRONT_AUTH_REQUIRED', 'INVALID_STOREFRONT_CREDENTIALS']
+  },
+  {
+    id: 'quoteLtl',
+    method: 'get',
+    path: '/api/shipping/ltl/quote',
+    summary: 'Freight quotes from the store\'s carrier rate tables, cheapest first',
+    tags: ['Shipping'],
+    auth: 'storefront',
+    storeScoped: true,
+    query: object({ cartId, accessorials: string({ pattern: '^[A-Za-z0-9,\\s]*$', maxLength: 500, description: 'Comma-separated accessorial names' }) }, ['cartId']),
+    response: success({ quotes: { type: 'array', items: { type: 'object' } }, unavailable: { type: 'array', items: { type: 'object' } } }),
+    errors: ['VALIDATION_FAILED', 'CART_NOT_FOUND', 'BC_AUTH_FAILED', 'UPSTREAM_UNAVAILABLE', 'STOREFRONT_AUTH_REQUIRED', 'INVALID_STOREFRONT_CREDENTIALS']
+  },
+  {
+    id: 'listCarriers',
+    method: 'get',
+    path: '/api/shipping/ltl/carriers',
+    summary: 'List carrier rate tables',
+    tags: ['Shipping'],
+    auth: 'admin',
+    storeScoped: true,
+    response: list('Carrier'),
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'saveCarrier',
+    method: 'put',
+    path: '/api/shipping/ltl/carriers/:carrierId',
+    summary: 'Create or replace a carrier rate table',
+    description: 'The rate table itself is checked by the freight service and reported as INVALID_CARRIER.',
+    tags: ['Shipping'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ carrierId: string({ pattern: '^[a-z0-9][a-z0-9-]{0,63}$', 'x-error-message': 'must be lowercase letters, digits and dashes' }) }, ['carrierId']),
+    body: { type: 'object', 'x-error-code': 'INVALID_CARRIER', description: 'See config/freight-carrier.example.json' },
+    response: success({ created: { type: 'boolean' }, data: ref('Carrier') }),
+    responseStatus: [200, 201],
+    errors: ['VALIDATION_FAILED', 'INVALID_CARRIER', 'UNAUTHORIZED']
+  },
+  {
+    id: 'deleteCarrier',
+    method: 'delete',
+    path: '/api/shipping/ltl/carriers/:carrierId',
+    summary: 'Delete a carrier rate table',
+    tags: ['Shipping'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ carrierId: string({ maxLength: 64 }) }, ['carrierId']),
+    response: success(),
+    errors: ['UNAUTHORIZED', 'CARRIER_NOT_FOUND']
+  },
+  {
+    id: 'getWidgetConfig',
+    method: 'get',
+    path: '/api/widget/config',
+    summary: 'Copy, colours and default state for the storefront widget',
+    tags: ['Widget'],
+    auth: 'storefront',
+    storeScoped: true,
+    response: success({ data: { type: 'object' } }),
+    errors: ['STORE_NOT_FOUND', 'STOREFRONT_AUTH_REQUIRED', 'INVALID_STOREFRONT_CREDENTIALS']
+  },
+  {
+    id: 'getWidgetScript',
+    method: 'get',
+    path: '/api/widget/:version/shipping_protection.js',
+    summary: 'The embeddable widget script ("latest" or the current version from /api/widget/config)',
+    tags: ['Widget'],
+    auth: null,
+    params: object({ version: string({ maxLength: 32 }) }, ['version']),
+    responseContentType: 'application/javascript',
+    errors: ['WIDGET_VERSION_NOT_FOUND']
+  },
+  {
+    id: 'getSimulatorState',
+    method: 'get',
+    path: '/api/simulator',
+    summary: 'Simulated BigCommerce state: products, carts, orders, webhooks and queued failures',
+    description: 'Only served with BC_SIMULATOR=true.',
+    tags: ['Simulator'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success({ data: { type: 'object' } }),
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'resetSimulator',
+    method: 'post',
+    path: '/api/simulator/reset',
+    summary: 'Restore the store\'s simulated state to the fixtures and clear its failures',
+    description: 'Only served with BC_SIMULATOR=true.',
+    tags: ['Simulator'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success(),
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'createSimulatorCart',
+    method: 'post',
+    path: '/api/simulator/carts',
+    summary: 'Create a simulated cart',
+    description: 'Same shape as a fixture cart. Only served with BC_SIMULATOR=true.',
+    tags: ['Simulator'],
+    auth: 'admin',
+    storeScoped: true,
+    body: object({
+      id: string({ minLength: 1, maxLength: 64 }),
+      line_items: {
+        type: 'array',
+        minItems: 1,
+        items: object({
+          product_id: { type: 'integer', minimum: 1 },
+          quantity: { type: 'integer', minimum: 1 },
+          list_price: money,
+          sale_price: money,
+          discount_amount: money,
+          coupon_amount: money
+        }, ['product_id'])
+      },
+      custom_items: { type: 'array', items: object({ name: string(), sku: string(), quantity: { type: 'integer', minimum: 1 }, list_price: money }) },
+      currency: object({ code: string({ pattern: '^[A-Z]{3}$' }) }),
+      customer_id: { type: 'integer', minimum: 0 },
+      consignments: { type: 'array', items: { type: 'object' }, description: 'Checkout consignments: { shipping_address, selected_shipping_option }' }
+    }, ['line_items']),
+    response: success({ data: { type: 'object' } }),
+    responseStatus: 201,
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED']
+  },
+  {
+    id: 'placeSimulatorOrder',
+    method: 'post',
+    path: '/api/simulator/carts/:cartId/order',
+    summary: 'Turn a simulated cart into an order, as checkout would',
+    description: 'The cart is deleted. Only served with BC_SIMULATOR=true.',
+    tags: ['Simulator'],
+    auth: 'admin',
+    storeScoped: true,
+    params: object({ cartId }, ['cartId']),
+    body: object({
+      billingAddress: { type: 'object', description: 'v2 order address fields (first_name, last_name, email, ...)' },
+      shippingAddress: { type: 'object', description: 'v2 shipping address fields; defaults to the first consignment\'s address' },
+      statusId: { type: 'integer', minimum: 0 }
+    }),
+    response: success({ data: { type: 'object' } }),
+    responseStatus: 201,
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED', 'CART_NOT_FOUND']
+  },
+  {
+    id: 'injectSimulatorFailure',
+    method: 'post',
+    path: '/api/simulator/failures',
+    summary: 'Make matching BigCommerce calls fail',
+    description: 'Failures apply to the store\'s calls in the order they were queued. Only served with BC_SIMULATOR=true.',
+    tags: ['Simulator'],
+    auth: 'admin',
+    storeScoped: true,
+    body: object({
+      status: { anyOf: [{ type: 'integer', minimum: 400, maximum: 599 }, { type: 'string', enum: ['timeout'] }], description: 'HTTP status or "timeout"' },
+      method: string({ enum: ['get', 'post', 'put', 'delete', 'GET', 'POST', 'PUT', 'DELETE'] }),
+      path: string({ pattern: '^/v[23]/', 'x-error-message': 'must be a BigCommerce API path such as /v3/carts/:id', description: 'Path or template prefix, e.g. /v3/carts/:id/items' }),
+      times: { type: 'integer', minimum: 0, description: 'Requests to fail (0 = until cleared; default 1)' },
+      resetMs: { type: 'integer', minimum: 0, description: 'X-Rate-Limit-Time-Reset-Ms sent with 429s (default 1000)' },
+      title: string({ maxLength: 200 })
+    }, ['status']),
+    response: success({ data: { type: 'object' } }),
+    responseStatus: 201,
+    errors: ['VALIDATION_FAILED', 'UNAUTHORIZED']
+  },
+  {
+    id: 'clearSimulatorFailures',
+    method: 'delete',
+    path: '/api/simulator/failures',
+    summary: 'Clear the store\'s queued failures',
+    description: 'Only served with BC_SIMULATOR=true.',
+    tags: ['Simulator'],
+    auth: 'admin',
+    storeScoped: true,
+    response: success(),
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'getHealth',
+    method: 'get',
+    path: '/health',
+    summary: 'Server status',
+    tags: ['Operations'],
+    auth: null,
+    response: object({ status: string(), timestamp: date, environment: string() }),
+    errors: []
+  },
+  {
+    id: 'getReadiness',
+    method: 'get',
+    path: '/health/ready',
+    summary: 'Whether the store can serve shipping protection',
+    description: 'Checks the BigCommerce credentials, the insurance product and the storefront token. Answers 503 with the same body when a check fails; results are cached for HEALTH_READY_CACHE_SECONDS.',
+    tags: ['Operations'],
+    auth: null,
+    storeScoped: true,
+    response: object({
+      status: string({ enum: ['ready', 'not_ready'] }),
+      timestamp: date,
+      checkedAt: date,
+      checks: object({
+        bigcommerceAuth: ref('ReadinessCheck'),
+        insuranceProduct: ref('ReadinessCheck'),
+        storefrontToken: ref('ReadinessCheck')
+      })
+    }),
+    errors: ['INVALID_STORE_HASH', 'STORE_NOT_FOUND']
+  },
+  {
+    id: 'getMetrics',
+    method: 'get',
+    path: '/metrics',
+    summary: 'Prometheus metrics',
+    tags: ['Operations'],
+    auth: 'metrics',
+    responseContentType: 'text/plain',
+    errors: ['UNAUTHORIZED']
+  },
+  {
+    id: 'getApiDocs',
+    method: 'get',
+    path: '/api/docs',
+    summary: 'This OpenAPI document',
+    tags: ['Operations'],
+    auth: null,
+    response: { type: 'object' },
+    errors: []
+  }
+];
+
+const byId = new Map(operations.map(operation => [operation.id, operation]));
+
+/**
+ * Look up an operation; unknown IDs are a programming error and throw at startup
+ */
+function getOperation(id) {
+  const operation = byId.get(id);
+  if (!operation) {
+    throw new Error(`Unknown API operation: ${id}`);
+  }
+  return operation;
+}
+
+const SECURITY = {
+  // An empty requirement makes the credentials optional (STOREFRONT_AUTH=optional)
+  storefront: [{}, { publishableKey: [] }, { storefrontToken: [] }],
+  admin: [{ adminKey: [] }, { adminBearer: [] }],
+  adminKey: [{ adminKey: [] }, { adminBearer: [] }],
+  metrics: [{ metricsBearer: [] }],
+  webhook: [{ webhookSecret: [] }, { webhookSignature: [] }]
+};
+
+/**
+ * Remove the validator-only keywords from a schema for the OpenAPI document
+ */
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toOpenApiSchema);
+  }
+  if (schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+  const result = {};
+  Object.keys(schema).forEach(key => {
+    if (key === 'x-error-code' || key === 'x-error-message') {
+      return;
+    }
+    result[key] = toOpenApiSchema(schema[key]);
+  });
+  return result;
+}
+
+function toParameters(schema, location) {
+  if (!schema) {
+    return [];
+  }
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: toOpenApiSchema(property)
+  }));
+}
+
+function toOperation(operation) {
+  const parameters = [
+    ...toParameters(operation.params, 'path'),
+    ...toParameters(operation.query, 'query')
+  ];
+  if (operation.storeScoped) {
+    parameters.push({
+      name: 'X-Store-Hash',
+      in: 'header',
+      required: false,
+      description: 'Store to act on (storeHash in the query or body also works); defaults to the store configured through BC_STORE_HASH',
+      schema: string()
+    });
+  }
+  if (operation.idempotent) {
+    parameters.push({ name: 'Idempotency-Key', in: 'header', required: false, schema: string({ maxLength: 255 }) });
+  }
+
+  const successContent = operation.responseContentType
+    ? { [operation.responseContentType]: { schema: string({ format: 'binary' }) } }
+    : { 'application/json': { schema: toOpenApiSchema(operation.response) } };
+  const responses = {};
+  [].concat(operation.responseStatus || 200).forEach(status => {
+    responses[status] = { description: status === 201 ? 'Created' : 'Success', content: successContent };
+  });
+
+  operation.errors.forEach(code => {
+    const { status } = ERROR_CODES[code];
+    if (!responses[status]) {
+      responses[status] = { description: '', content: { 'application/json': { schema: ref('Error') } } };
+    }
+    responses[status].description = [responses[status].description, code].filter(Boolean).join(', ');
+  });
+  responses[500] = responses[500] || { description: 'INTERNAL_ERROR', content: { 'application/json': { schema: ref('Error') } } };
+
+  const result = {
+    operationId: operation.id,
+    summary: operation.summary,
+    tags: operation.tags,
+    parameters,
+    responses
+  };
+  if (operation.description) {
+    result.description = operation.description;
+  }
+  if (operation.auth && SECURITY[operation.auth]) {
+    result.security = SECURITY[operation.auth];
+  }
+  if (operation.body) {
+    const body = toOpenApiSchema(operation.body);
+    result.requestBody = {
+      required: (operation.body.required || []).length > 0,
+      content: operation.multipart
+        ? {
+            'application/json': { schema: body },
+            'multipart/form-data': {
+              schema: { ...body, properties: { ...body.properties, items: string({ description: 'JSON array of { lineItemId, quantity }' }), photos: { type: 'array', items: string({ format: 'binary' }) } } }
+            }
+          }
+        : { 'application/json': { schema: body } }
+    };
+  }
+  return result;
+}
+
+/**
+ * The OpenAPI 3.1 document for the API
+ * `serverUrl` is listed as the server the document describes.
+ */
+function buildOpenApiDocument(serverUrl) {
+  const paths = {};
+  operations.forEach(operation => {
+    const path = operation.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = toOperation(operation);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Shipping Protection API',
+      version,
+      description: 'Error responses are { success: 0, error, code } where code is one of the values listed in components.schemas.Error. Browser requests from origins outside the CORS policy get 403 ORIGIN_NOT_ALLOWED.'
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: toOpenApiSchema(schemas),
+      securitySchemes: {
+        adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'ADMIN_API_KEY' },
+        adminBearer: { type: 'http', scheme: 'bearer', description: 'ADMIN_API_KEY or an admin session token from the app\'s load callback' },
+        metricsBearer: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN, when set' },
+        publishableKey: { type: 'apiKey', in: 'header', name: 'X-Publishable-Key', description: 'The store\'s publishable key; required for storefront routes when STOREFRONT_AUTH=required' },
+        storefrontToken: { type: 'apiKey', in: 'header', name: 'X-Storefront-Token', description: 'HS256 JWT signed with the store\'s token secret (sub stores/<storeHash>, aud shipping-protection/storefront, exp, optional cartId)' },
+        webhookSecret: { type: 'apiKey', in: 'header', name: 'X-Webhook-Secret' },
+        webhookSignature: { type: 'apiKey', in: 'header', name: 'webhook-signature', description: 'HMAC-SHA256 with the store\'s webhook secret' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  operations,
+  getOperation,
+  buildOpenApiDocument
+};
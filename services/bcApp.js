@@ -0,0 +1,92 @@
+const axios = require('axios');
+const config = require('../config/config');
+const jwt = require('./jwt');
+const logger = require('./logger');
+
+const TOKEN_URL = 'https://login.bigcommerce.com/oauth2/token';
+const SESSION_AUDIENCE = 'shipping-protection-admin';
+
+/**
+ * Exchange the temporary OAuth code from the /auth callback for a permanent access token
+ * Returns BigCommerce's response: { access_token, scope, user, context, account_uuid }
+ */
+async function exchangeCode({ code, scope, context }) {
+  try {
+    const response = await axios.post(TOKEN_URL, {
+      client_id: config.bigcommerce.clientId,
+      client_secret: config.bigcommerce.clientSecret,
+      code,
+      scope,
+      context,
+      grant_type: 'authorization_code',
+      redirect_uri: config.bigcommerce.authCallbackUrl
+    }, {
+      headers: { 'accept': 'application/json', 'content-type': 'application/json' },
+      timeout: config.bigcommerce.http.timeoutMs
+    });
+    return response.data;
+  } catch (error) {
+    logger.error('Error exchanging OAuth code', {
+      context,
+      status: error.response?.status,
+      data: error.response?.data || error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Verify a signed_payload_jwt from the /load, /uninstall or /remove_user callbacks
+ * Checks the HS256 signature against the app's client secret, the audience and expiry.
+ * Returns the claims ({ sub: 'stores/abc123', user, owner, url, ... }) or throws
+ */
+function verifySignedPayload(token) {
+  if (!config.bigcommerce.clientSecret) {
+    throw new Error('BC_CLIENT_SECRET is not configured');
+  }
+
+  const claims = jwt.verify(token, config.bigcommerce.clientSecret);
+  if (claims.aud !== config.bigcommerce.clientId) {
+    throw new Error('Signed payload was issued for a different app');
+  }
+
+  return claims;
+}
+
+/**
+ * Issue an admin session for a control panel user after a verified /load
+ * The token is signed with the app's client secret and bound to one store
+ */
+function createSession({ storeHash, user }) {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign({
+    aud: SESSION_AUDIENCE,
+    sub: `stores/${storeHash}`,
+    user: user ? { id: user.id, email: user.email } : null,
+    iat: now,
+    exp: now + config.admin.sessionTtlMinutes * 60
+  }, config.bigcommerce.clientSecret);
+}
+
+/**
+ * Verify an admin session token and return its claims
+ */
+function verifySession(token) {
+  if (!config.bigcommerce.clientSecret) {
+    throw new Error('BC_CLIENT_SECRET is not configured');
+  }
+
+  const claims = jwt.verify(token, config.bigcommerce.clientSecret);
+  if (claims.aud !== SESSION_AUDIENCE) {
+    throw new Error('Not an admin session token');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  exchangeCode,
+  verifySignedPayload,
+  createSession,
+  verifySession
+};
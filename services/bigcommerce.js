@@ -1,31 +1,182 @@
 const axios = require('axios');
 const config = require('../config/config');
+const CircuitBreaker = require('./circuitBreaker');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { fromBigCommerce } = require('./errors');
+const simulator = require('./bigcommerceSimulator');
+
+// Safe to repeat after a timeout or server error; POSTs are only retried on 429
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Milliseconds until BigCommerce's rate-limit window resets, from the response headers
+ */
+function getRateLimitResetMs(headers = {}) {
+  const resetMs = parseInt(headers['x-rate-limit-time-reset-ms']);
+  if (!isNaN(resetMs)) {
+    return resetMs;
+  }
+  const retryAfter = parseInt(headers['retry-after']);
+  return isNaN(retryAfter) ? null : retryAfter * 1000;
+}
+
+/**
+ * Whether a failed request is worth retrying
+ */
+function isRetryable(error, method) {
+  const status = error.response?.status;
+  if (status === 429) {
+    return true;
+  }
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+  return !status || status >= 500;
+}
+
+/**
+ * API path of a request URL with IDs replaced, for metrics and logs
+ * e.g. https://api.bigcommerce.com/stores/abc/v3/carts/<uuid>/items/12 -> /v3/carts/:id/items/:id
+ */
+function getEndpointLabel(url = '') {
+  const path = url.replace(/^https?:\/\/[^/]+\/stores\/[^/]+/, '').split('?')[0];
+  return path
+    .split('/')
+    .map(segment => (/^\d+$/.test(segment) || /^[0-9a-f-]{16,}$/i.test(segment) ? ':id' : segment))
+    .join('/');
+}
+
+/**
+ * Whether a failure means BigCommerce itself is unhealthy (counts towards the circuit breaker)
+ */
+function isUpstreamFailure(error) {
+  const status = error.response?.status;
+  return !status || status >= 500;
+}
 
 class BigCommerceService {
-  constructor() {
-    this.baseURL = config.bigcommerce.apiUrl;
+  /**
+   * @param {Object} [credentials] - { storeHash, authToken, storefrontApiToken } for an
+   *   app-installed store; defaults to the store configured through environment variables
+   */
+  constructor(credentials = null) {
+    const { storeHash, authToken, storefrontApiToken } = credentials || config.bigcommerce;
+
+    this.storeHash = storeHash;
+    this.httpOptions = config.bigcommerce.http;
+    this.http = axios.create({
+      timeout: this.httpOptions.timeoutMs,
+      // BC_SIMULATOR: requests are answered in memory, after the same retry and breaker handling
+      ...(config.bigcommerce.simulator.enabled ? { adapter: simulator.adapter } : {})
+    });
+    this.circuitBreaker = new CircuitBreaker({
+      name: `BigCommerce API (${storeHash})`,
+      failureThreshold: this.httpOptions.circuitFailureThreshold,
+      resetMs: this.httpOptions.circuitResetMs
+    });
+    // Set when a response says the rate-limit quota is used up
+    this.rateLimitedUntil = 0;
+    this.baseURL = `https://api.bigcommerce.com/stores/${storeHash}/v3`;
+    this.v2BaseURL = `https://api.bigcommerce.com/stores/${storeHash}/v2`;
+    this.storefrontBaseURL = `${this.baseURL}/storefront`;
     this.adminHeaders = {
       'accept': 'application/json',
       'content-type': 'application/json',
-      'x-auth-token': config.bigcommerce.authToken
+      'x-auth-token': authToken
     };
     
     // Storefront API uses different authentication
+    // Fallback to Admin token if Storefront token not set
     this.storefrontHeaders = {
       'accept': 'application/json',
       'content-type': 'application/json',
-      'x-auth-token': config.bigcommerce.storefrontApiToken
+      'x-auth-token': storefrontApiToken || authToken
     };
+    this.hasStorefrontToken = Boolean(storefrontApiToken) && storefrontApiToken !== authToken;
     
-    // Log configuration (without sensitive data)
-    console.log('BigCommerce Service initialized:', {
-      baseURL: this.baseURL,
-      hasAuthToken: !!config.bigcommerce.authToken,
-      hasStorefrontToken: !!config.bigcommerce.storefrontApiToken,
-      storeHash: config.bigcommerce.storeHash
+    logger.debug('BigCommerce service initialized', {
+      storeHash,
+      hasAuthToken: !!authToken,
+      hasStorefrontToken: !!storefrontApiToken
     });
   }
 
+  /**
+   * Send a request to BigCommerce with timeout, retries and circuit breaker
+   * Retries 429s (all methods) and timeouts/5xx (GET, PUT, DELETE) with exponential
+   * backoff, waiting for the rate-limit window to reset when BigCommerce says so.
+   * Waits longer than BC_RETRY_MAX_DELAY_MS are not attempted; the error is thrown instead.
+   * Throws axios errors (with .response) like axios itself, or a 503 when the circuit is open.
+   * The circuit is checked once per call and a failed call counts once, after its retries,
+   * so one slow or failing request cannot open it for every shopper.
+   * The current request ID is sent as X-Request-Id; every attempt is logged (debug) and measured.
+   */
+  async request(options) {
+    const method = (options.method || 'get').toLowerCase();
+    const endpoint = getEndpointLabel(options.url);
+    const { maxRetries, retryBaseDelayMs, retryMaxDelayMs } = this.httpOptions;
+    const requestId = logger.getRequestId();
+    const headers = requestId ? { ...options.headers, 'x-request-id': requestId } : options.headers;
+
+    try {
+      this.circuitBreaker.check();
+    } catch (error) {
+      metrics.observeBigCommerceCall({ method, endpoint, errorCode: error.code });
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const rateLimitWait = this.rateLimitedUntil - Date.now();
+      if (rateLimitWait > 0 && rateLimitWait <= retryMaxDelayMs) {
+        await sleep(rateLimitWait);
+      }
+
+      const startedAt = Date.now();
+      try {
+        const response = await this.http.request({ ...options, method, headers });
+        const durationMs = Date.now() - startedAt;
+        metrics.observeBigCommerceCall({ method, endpoint, status: response.status, durationMs });
+        logger.debug('BigCommerce request', { method, endpoint, status: response.status, durationMs, attempt: attempt + 1 });
+        this.circuitBreaker.recordSuccess();
+        if (response.headers['x-rate-limit-requests-left'] === '0') {
+          this.rateLimitedUntil = Date.now() + (getRateLimitResetMs(response.headers) || 0);
+        }
+        return response;
+      } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        metrics.observeBigCommerceCall({ method, endpoint, status: error.response?.status, errorCode: error.code, durationMs });
+        logger.debug('BigCommerce request failed', { method, endpoint, status: error.response?.status || error.code, durationMs, attempt: attempt + 1 });
+
+        const resetMs = error.response?.status === 429 ? getRateLimitResetMs(error.response.headers) : null;
+        const backoffMs = retryBaseDelayMs * 2 ** attempt + Math.floor(Math.random() * retryBaseDelayMs);
+        const delayMs = resetMs !== null ? resetMs : Math.min(backoffMs, retryMaxDelayMs);
+
+        if (attempt >= maxRetries || !isRetryable(error, method) || delayMs > retryMaxDelayMs) {
+          if (isUpstreamFailure(error)) {
+            this.circuitBreaker.recordFailure();
+          } else {
+            this.circuitBreaker.recordSuccess();
+          }
+          throw error;
+        }
+
+        logger.warn('Retrying BigCommerce request', {
+          method,
+          endpoint,
+          status: error.response?.status || error.code,
+          attempt: attempt + 1,
+          delayMs
+        });
+        await sleep(delayMs);
+      }
+    }
+  }
+
   /**
    * Get cart data by cart ID
    * Tries Storefront API first (for Storefront cart IDs), falls back to Admin API
@@ -39,44 +190,149 @@ class BigCommerceService {
       
       // Try Storefront API first (for Storefront cart IDs which are UUIDs)
       try {
-        const storefrontUrl = config.bigcommerce.storefrontApiUrl || `${this.baseURL.replace('/v3', '/v3/storefront')}`;
-        const endpointUrl = `${storefrontUrl}/carts/${cartId}`;
-        console.log('Fetching cart from Storefront API URL:', endpointUrl);
-        const response = await axios.get(endpointUrl, {
+        const endpointUrl = `${this.storefrontBaseURL}/carts/${cartId}`;
+        const response = await this.request({
+          method: 'get',
+          url: endpointUrl,
           headers: this.storefrontHeaders
         });
         return response.data;
       } catch (storefrontError) {
-        // If Storefront API fails, try Admin API
-        console.log('Storefront API failed, trying Admin API:', storefrontError.message);
+        // BigCommerce itself is failing (and the failure has been counted): asking the
+        // Admin API as well would only double the load and the count
+        if (isUpstreamFailure(storefrontError)) {
+          throw storefrontError;
+        }
+        // Not a storefront cart (or no storefront access): try the Admin API
+        logger.debug('Storefront cart lookup failed, trying Admin API', { status: storefrontError.response?.status });
         const adminEndpointUrl = `${this.baseURL}/carts/${cartId}`;
-        console.log('Fetching cart from Admin API URL:', adminEndpointUrl);
-        const response = await axios.get(adminEndpointUrl, {
+        const response = await this.request({
+          method: 'get',
+          url: adminEndpointUrl,
           headers: this.adminHeaders
         });
         return response.data;
       }
     } catch (error) {
       const errorDetails = error.response?.data || error.message;
-      console.error('Error fetching cart:', {
+      logger.error('Error fetching cart', {
         cartId,
         status: error.response?.status,
         data: errorDetails,
         message: error.message
       });
       
-      // Provide more helpful error message
+      // Report it with an error code (CART_NOT_FOUND, BC_AUTH_FAILED, ...) callers can pass on
+      throw fromBigCommerce(error, { notFound: 'CART_NOT_FOUND', message: `Cart not found: ${cartId}` }) || error;
+    }
+  }
+
+  /**
+   * Get the checkout for a cart (the checkout ID is the cart ID)
+   * Uses Admin API; returns the checkout with its consignments (shipping address and
+   * selected shipping option), or null when the cart has no checkout yet
+   */
+  async getCheckout(checkoutId) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.baseURL}/checkouts/${checkoutId}`,
+        headers: this.adminHeaders
+      });
+      return response.data?.data || null;
+    } catch (error) {
       if (error.response?.status === 404) {
-        throw new Error(`Cart not found: ${cartId}`);
-      } else if (error.response?.status === 401 || error.response?.status === 403) {
-        throw new Error('BigCommerce API authentication failed. Please check your credentials.');
-      } else if (error.response?.status) {
-        throw new Error(`BigCommerce API error: ${error.response.status} - ${JSON.stringify(errorDetails)}`);
+        return null;
       }
+      logger.error('Error fetching checkout', {
+        checkoutId,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a custom fee to a checkout
+   * Uses Admin API (checkout fees); `fee` is { name, displayName, cost, source, taxClassId }
+   */
+  async addCheckoutFee(checkoutId, fee) {
+    try {
+      const response = await this.request({
+        method: 'post',
+        url: `${this.baseURL}/checkouts/${checkoutId}/fees`,
+        headers: this.adminHeaders,
+        data: { fees: [this.toFeePayload(fee)] }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error adding checkout fee', {
+        checkoutId,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Change an existing checkout fee in place
+   */
+  async updateCheckoutFee(checkoutId, feeId, fee) {
+    try {
+      const response = await this.request({
+        method: 'put',
+        url: `${this.baseURL}/checkouts/${checkoutId}/fees`,
+        headers: this.adminHeaders,
+        data: { fees: [{ id: feeId, ...this.toFeePayload(fee) }] }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error updating checkout fee', {
+        checkoutId,
+        feeId,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove fees from a checkout
+   */
+  async removeCheckoutFees(checkoutId, feeIds) {
+    try {
+      const response = await this.request({
+        method: 'delete',
+        url: `${this.baseURL}/checkouts/${checkoutId}/fees`,
+        headers: this.adminHeaders,
+        data: { ids: feeIds }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error removing checkout fees', {
+        checkoutId,
+        feeIds,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
       throw error;
     }
   }
 
+  /**
+   * Checkout fee request body from { name, displayName, cost, source, taxClassId }
+   */
+  toFeePayload({ name, displayName, cost, source, taxClassId }) {
+    const payload = { type: 'custom_fee', name, display_name: displayName, cost, source };
+    if (taxClassId !== null && taxClassId !== undefined) {
+      payload.tax_class_id = taxClassId;
+    }
+    return payload;
+  }
+
   /**
    * Add item to cart with custom price
    * Uses Admin API to support custom listPrice (Storefront API doesn't support custom prices)
@@ -99,19 +355,16 @@ class BigCommerceService {
       // Use Admin API for cart operations (supports custom prices)
       // Note: Admin API can work with Storefront cart IDs
       const endpointUrl = `${this.baseURL}/carts/${cartId}/items`;
-      console.log('Admin API URL:', endpointUrl);
-      console.log('Request body:', JSON.stringify(lineItem));
-      console.log('Using Admin API token for custom price support');
-      
-      const response = await axios.post(
-        endpointUrl,
-        lineItem,
-        { headers: this.adminHeaders }
-      );
+      const response = await this.request({
+        method: 'post',
+        url: endpointUrl,
+        data: lineItem,
+        headers: this.adminHeaders
+      });
       return response.data;
     } catch (error) {
       const errorDetails = error.response?.data || error.message;
-      console.error('Error adding cart item:', {
+      logger.error('Error adding cart item', {
         cartId,
         productId,
         listPrice,
@@ -120,14 +373,45 @@ class BigCommerceService {
         message: error.message
       });
       
-      // Provide more helpful error message
-      if (error.response?.status === 404) {
-        throw new Error(`Cart or product not found (404). Cart: ${cartId}, Product: ${productId}`);
-      } else if (error.response?.status === 401 || error.response?.status === 403) {
-        throw new Error('BigCommerce Admin API authentication failed. Please check your BC_AUTH_TOKEN.');
-      } else if (error.response?.status) {
-        throw new Error(`BigCommerce API error: ${error.response.status} - ${JSON.stringify(errorDetails)}`);
+      throw fromBigCommerce(error, {
+        notFound: 'CART_NOT_FOUND',
+        message: `Cart or product not found. Cart: ${cartId}, Product: ${productId}`
+      }) || error;
+    }
+  }
+
+  /**
+   * Change a cart line item in place (quantity and custom price)
+   * Uses Admin API; BigCommerce requires the product ID alongside the new values
+   */
+  async updateCartItem(cartId, itemId, productId, quantity = 1, listPrice = null) {
+    try {
+      const lineItem = {
+        line_item: {
+          quantity: quantity,
+          product_id: productId
+        }
+      };
+
+      if (listPrice !== null) {
+        lineItem.line_item.list_price = parseFloat(listPrice);
       }
+
+      const response = await this.request({
+        method: 'put',
+        url: `${this.baseURL}/carts/${cartId}/items/${itemId}`,
+        data: lineItem,
+        headers: this.adminHeaders
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error updating cart item', {
+        cartId,
+        itemId,
+        listPrice,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
       throw error;
     }
   }
@@ -139,48 +423,422 @@ class BigCommerceService {
   async removeCartItem(cartId, itemId) {
     try {
       // Use Admin API for cart operations
-      const response = await axios.delete(
-        `${this.baseURL}/carts/${cartId}/items/${itemId}`,
-        { headers: this.adminHeaders }
-      );
+      const response = await this.request({
+        method: 'delete',
+        url: `${this.baseURL}/carts/${cartId}/items/${itemId}`,
+        headers: this.adminHeaders
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error removing cart item', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * List webhooks registered for the store
+   * Uses Admin API
+   */
+  async getWebhooks() {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.baseURL}/hooks`,
+        headers: this.adminHeaders
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error listing webhooks', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Register a webhook for a scope
+   * Custom headers are sent back by BigCommerce with every delivery
+   */
+  async createWebhook(scope, destination, headers = {}) {
+    try {
+      const response = await this.request({
+        method: 'post',
+        url: `${this.baseURL}/hooks`,
+        data: {
+          scope,
+          destination,
+          is_active: true,
+          headers
+        },
+        headers: this.adminHeaders
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error creating webhook', {
+        scope,
+        destination,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a registered webhook (e.g. its headers)
+   */
+  async updateWebhook(hookId, changes) {
+    try {
+      const response = await this.request({
+        method: 'put',
+        url: `${this.baseURL}/hooks/${hookId}`,
+        data: changes,
+        headers: this.adminHeaders
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error updating webhook', {
+        hookId,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an order by ID
+   * Uses Admin API (v2 - orders are not available on v3)
+   */
+  async getOrder(orderId) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.v2BaseURL}/orders/${orderId}`,
+        headers: this.adminHeaders
+      });
       return response.data;
     } catch (error) {
-      console.error('Error removing cart item:', error.response?.data || error.message);
+      logger.error('Error fetching order', {
+        orderId,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the custom fees of an order (checkout fees carried over at order creation)
+   * Returns [] for orders without fees
+   */
+  async getOrderFees(orderId) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.v2BaseURL}/orders/${orderId}/fees`,
+        headers: this.adminHeaders
+      });
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      logger.error('Error fetching order fees', {
+        orderId,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the products (line items) of an order
+   */
+  async getOrderProducts(orderId) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.v2BaseURL}/orders/${orderId}/products`,
+        headers: this.adminHeaders,
+        params: { limit: 250 }
+      });
+      // v2 returns 204 with an empty body when there is nothing to list
+      return response.data || [];
+    } catch (error) {
+      logger.error('Error fetching order products', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the shipping addresses of an order
+   */
+  async getOrderShippingAddresses(orderId) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.v2BaseURL}/orders/${orderId}/shipping_addresses`,
+        headers: this.adminHeaders
+      });
+      return response.data || [];
+    } catch (error) {
+      logger.error('Error fetching order shipping addresses', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * List orders
+   * Accepts v2 filters such as min_date_created, page, limit and sort
+   */
+  async getOrders(params = {}) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.v2BaseURL}/orders`,
+        headers: this.adminHeaders,
+        params
+      });
+      return response.data || [];
+    } catch (error) {
+      logger.error('Error listing orders', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the refunds issued against an order
+   * Uses Admin API (v3 payment actions); returns [{ id, items: [{ item_type, item_id, quantity, requested_amount }], total_amount, ... }]
+   */
+  async getOrderRefunds(orderId) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.baseURL}/orders/${orderId}/payment_actions/refunds`,
+        headers: this.adminHeaders
+      });
+      return response.data?.data || [];
+    } catch (error) {
+      logger.error('Error fetching order refunds', {
+        orderId,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a metafield to an order
+   * Uses Admin API (v3); `metafield` is { namespace, key, value, permission_set, description? }
+   */
+  async createOrderMetafield(orderId, metafield) {
+    try {
+      const response = await this.request({
+        method: 'post',
+        url: `${this.baseURL}/orders/${orderId}/metafields`,
+        headers: this.adminHeaders,
+        data: metafield
+      });
+      return response.data?.data;
+    } catch (error) {
+      logger.error('Error creating order metafield', {
+        orderId,
+        key: metafield.key,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Refund part of an order
+   * Asks BigCommerce for a refund quote first, then refunds the quoted amount through the
+   * first refund method it offers (normally the original payment).
+   * `items` are refund items such as { item_type: 'PRODUCT', item_id, quantity } or
+   * { item_type: 'ORDER', item_id: orderId, amount }. Returns the created refund.
+   */
+  async createOrderRefund(orderId, items, reason = null) {
+    try {
+      const quoteResponse = await this.request({
+        method: 'post',
+        url: `${this.baseURL}/orders/${orderId}/payment_actions/refund_quotes`,
+        headers: this.adminHeaders,
+        data: { items }
+      });
+      const quote = quoteResponse.data?.data || {};
+      const [method] = quote.refund_methods || [];
+      if (!method || method.length === 0) {
+        throw new Error(`No refund method available for order ${orderId}`);
+      }
+
+      const response = await this.request({
+        method: 'post',
+        url: `${this.baseURL}/orders/${orderId}/payment_actions/refunds`,
+        headers: this.adminHeaders,
+        data: {
+          items: reason ? items.map(item => ({ ...item, reason })) : items,
+          payments: method.map(({ provider_id, amount, offline }) => ({ provider_id, amount, offline }))
+        }
+      });
+      return response.data?.data;
+    } catch (error) {
+      logger.error('Error refunding order', {
+        orderId,
+        items,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
       throw error;
     }
   }
 
   /**
-   * Get product by ID (using GraphQL)
+   * Get catalog products by ID with their categories, brand, shipping dimensions and custom fields
+   * Uses Admin API (v3 catalog); IDs are fetched in batches of 50
+   * Returns [{ id, sku, categories: [categoryId], brand_id, weight, width, height, depth, custom_fields }]
    */
-  async getProductCategories(productId, storefrontApiToken) {
+  async getProducts(productIds) {
+    const products = [];
     try {
-      // Note: This requires Storefront API token, not Admin API token
-      // The client will need to make this call directly or pass the token
-      const query = `query productById { 
-        site { 
-          product(entityId: ${productId}) { 
-            categories (first: 50) { 
-              edges { 
-                node { 
-                  entityId 
-                  name 
-                } 
-              } 
-            } 
-          } 
-        } 
-      }`;
+      for (let index = 0; index < productIds.length; index += 50) {
+        const batch = productIds.slice(index, index + 50);
+        const response = await this.request({
+          method: 'get',
+          url: `${this.baseURL}/catalog/products`,
+          headers: this.adminHeaders,
+          params: {
+            'id:in': batch.join(','),
+            include: 'custom_fields',
+            include_fields: 'id,sku,categories,brand_id,weight,width,height,depth',
+            limit: batch.length
+          }
+        });
+        products.push(...(response.data?.data || []));
+      }
+      return products;
+    } catch (error) {
+      logger.error('Error fetching products', {
+        productIds,
+        status: error.response?.status,
+        data: error.response?.data || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a catalog product by ID, or null when it does not exist
+   */
+  async getProduct(productId) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.baseURL}/catalog/products/${productId}`,
+        headers: this.adminHeaders
+      });
+      return response.data?.data || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error('Error fetching product', { productId, status: error.response?.status, data: error.response?.data || error.message });
+      throw error;
+    }
+  }
 
-      // This would typically be called from the frontend with storefront API token
-      // Returning the query for frontend use
-      return { query, productId };
+  /**
+   * Find catalog products by exact SKU
+   */
+  async findProductsBySku(sku) {
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.baseURL}/catalog/products`,
+        headers: this.adminHeaders,
+        params: { sku }
+      });
+      return response.data?.data || [];
     } catch (error) {
-      console.error('Error getting product categories:', error.message);
+      logger.error('Error searching products', { sku, status: error.response?.status, data: error.response?.data || error.message });
       throw error;
     }
   }
+
+  /**
+   * Create a catalog product; returns the created product
+   */
+  async createProduct(product) {
+    try {
+      const response = await this.request({
+        method: 'post',
+        url: `${this.baseURL}/catalog/products`,
+        headers: this.adminHeaders,
+        data: product
+      });
+      return response.data?.data;
+    } catch (error) {
+      logger.error('Error creating product', { status: error.response?.status, data: error.response?.data || error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Change fields of a catalog product; returns the updated product
+   */
+  async updateProduct(productId, changes) {
+    try {
+      const response = await this.request({
+        method: 'put',
+        url: `${this.baseURL}/catalog/products/${productId}`,
+        headers: this.adminHeaders,
+        data: changes
+      });
+      return response.data?.data;
+    } catch (error) {
+      logger.error('Error updating product', { productId, status: error.response?.status, data: error.response?.data || error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the store's profile (name, domain, default currency)
+   * Uses Admin API (v2 store information); a cheap way to check the credentials
+   */
+  async getStoreInfo() {
+    const response = await this.request({
+      method: 'get',
+      url: `${this.v2BaseURL}/store`,
+      headers: this.adminHeaders
+    });
+    return response.data;
+  }
+
+  /**
+   * Check that BigCommerce accepts the Storefront API token
+   * Looks up a cart that cannot exist: a 404 means the token was accepted; anything else throws.
+   */
+  async checkStorefrontToken() {
+    try {
+      await this.request({
+        method: 'get',
+        url: `${this.storefrontBaseURL}/carts/00000000-0000-0000-0000-000000000000`,
+        headers: this.storefrontHeaders
+      });
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get the category IDs a product is assigned to
+   */
+  async getProductCategories(productId) {
+    const [product] = await this.getProducts([productId]);
+    return product ? product.categories || [] : [];
+  }
 }
 
 module.exports = new BigCommerceService();
+module.exports.BigCommerceService = BigCommerceService;
 
@@ -0,0 +1,869 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AxiosError } = require('axios');
+const config = require('../config/config');
+const { apiError } = require('./errors');
+
+// Order status IDs the simulator uses (same as BigCommerce)
+const ORDER_STATUS_AWAITING_FULFILLMENT = 11;
+
+// Catalog fields fixture products get when they do not set them
+const PRODUCT_DEFAULTS = {
+  type: 'physical', price: 0, weight: 0, width: 0, height: 0, depth: 0, categories: [], brand_id: 0,
+  is_visible: true, availability: 'available', inventory_tracking: 'none', tax_class_id: 0
+};
+
+/**
+ * Built-in catalog and carts used when BC_SIMULATOR_FIXTURES is not set
+ * The insurance product is added to every fixture set that does not list it.
+ */
+const DEFAULT_FIXTURES = {
+  products: [
+    { id: 101, name: 'Canvas Backpack', sku: 'BAG-001', type: 'physical', price: 89.99, categories: [23], brand_id: 5, weight: 2, width: 12, height: 18, depth: 6 },
+    { id: 102, name: 'Ceramic Mug', sku: 'MUG-002', type: 'physical', price: 14.5, categories: [24], brand_id: 6, weight: 1, width: 4, height: 4, depth: 4 },
+    { id: 103, name: 'Patio Table', sku: 'FRN-003', type: 'physical', price: 649, categories: [25], brand_id: 7, weight: 180, width: 60, height: 30, depth: 36, custom_fields: [{ id: 1, name: 'freight_class', value: '125' }] },
+    { id: 104, name: 'E-Gift Card', sku: 'GIFT-004', type: 'digital', price: 25, categories: [26], brand_id: 0, weight: 0, width: 0, height: 0, depth: 0 }
+  ],
+  carts: [
+    { id: 'sim-cart-1', line_items: [{ product_id: 101, quantity: 1 }, { product_id: 102, quantity: 2 }] },
+    { id: 'sim-cart-freight', line_items: [{ product_id: 103, quantity: 4 }] }
+  ],
+  orders: [],
+  hooks: []
+};
+
+/**
+ * Read simulator fixtures from a JSON file: { products, carts, orders, hooks }
+ * Missing lists are empty. Throws when the file cannot be read or parsed.
+ */
+function loadFixtures(file) {
+  if (!file) {
+    return DEFAULT_FIXTURES;
+  }
+
+  const fixturesPath = path.resolve(process.cwd(), file);
+  try {
+    return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load BigCommerce simulator fixtures from ${fixturesPath}: ${error.message}`);
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function roundMoney(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * v2 APIs return money as strings with four decimals
+ */
+function toV2Amount(value) {
+  return (parseFloat(value) || 0).toFixed(4);
+}
+
+// Fixed segments of the simulated API paths; anything else in a path is an ID
+const PATH_WORDS = new Set([
+  '', 'v2', 'v3', 'storefront', 'carts', 'items', 'checkouts', 'fees', 'catalog', 'products', 'hooks',
+  'orders', 'shipping_addresses', 'payment_actions', 'refunds', 'refund_quotes'
+]);
+
+/**
+ * API path with IDs replaced, e.g. /v3/carts/<cartId>/items/<itemId> -> /v3/carts/:id/items/:id
+ */
+function toPathTemplate(apiPath) {
+  return apiPath
+    .split('/')
+    .map(segment => (PATH_WORDS.has(segment) ? segment : ':id'))
+    .join('/');
+}
+
+/**
+ * Error body in the shape BigCommerce v3 uses
+ */
+function errorBody(status, title) {
+  return { status, title, type: 'https://developer.bigcommerce.com/api-docs/getting-started/api-status-codes', errors: {} };
+}
+
+function respond(status, data, headers = {}) {
+  return { status, data, headers };
+}
+
+function notFound(title) {
+  return respond(404, errorBody(404, title));
+}
+
+function unprocessable(title) {
+  return respond(422, errorBody(422, title));
+}
+
+/**
+ * In-memory stand-in for the BigCommerce APIs BigCommerceService calls
+ * Serves carts and cart items, checkouts and checkout fees, catalog products, webhooks,
+ * orders, order refunds and metafields, and the store profile for any number of stores, each seeded from the same fixtures
+ * on first use. Plugs into axios as an adapter, so requests go through the service's
+ * retries, circuit breaker, logging and metrics exactly as they would against BigCommerce.
+ * Failures (404, 401, 429, 5xx, timeouts) can be queued with injectFailure.
+ */
+class BigCommerceSimulator {
+  constructor(fixtures = DEFAULT_FIXTURES) {
+    this.fixtures = fixtures;
+    this.stores = new Map();
+    this.failures = [];
+    this.nextFailureId = 1;
+    this.routes = this.buildRoutes();
+    this.adapter = this.handle.bind(this);
+  }
+
+  /**
+   * Drop a store's state and queued failures (every store's without `storeHash`)
+   * Stores are re-seeded from the fixtures on next use.
+   */
+  reset(storeHash = null) {
+    if (storeHash) {
+      this.stores.delete(storeHash);
+      this.clearFailures(storeHash);
+      return;
+    }
+    this.stores.clear();
+    this.failures = [];
+  }
+
+  /**
+   * State of a store, seeded from the fixtures the first time it is used
+   */
+  getStore(storeHash) {
+    if (!this.stores.has(storeHash)) {
+      this.stores.set(storeHash, this.seed(storeHash));
+    }
+    return this.stores.get(storeHash);
+  }
+
+  seed(storeHash) {
+    const fixtures = clone(this.fixtures);
+    const store = {
+      storeHash,
+      products: new Map(),
+      carts: new Map(),
+      orders: new Map(),
+      hooks: [],
+      nextId: { hook: 1, orderProduct: 1, refund: 1, order: 100, product: 1, metafield: 1 }
+    };
+
+    (fixtures.products || []).forEach(product => store.products.set(product.id, { ...PRODUCT_DEFAULTS, ...product }));
+    const { insuranceProductId } = config.products;
+    if (!store.products.has(insuranceProductId)) {
+      // Set up the way the setup command creates it (hidden, non-taxable)
+      store.products.set(insuranceProductId, {
+        ...PRODUCT_DEFAULTS, id: insuranceProductId, name: 'Shipping Protection', sku: 'SHIPPING-PROTECTION', type: 'digital', is_visible: false, tax_class_id: 1
+      });
+    }
+    store.nextId.product = Math.max(0, ...store.products.keys()) + 1;
+
+    (fixtures.carts || []).forEach(cart => this.insertCart(store, cart));
+
+    (fixtures.orders || []).forEach(fixture => {
+      const { products = [], shipping_addresses: shippingAddresses = [], fees = [], refunds = [], ...order } = fixture;
+      store.orders.set(Number(order.id), { order: { status_id: ORDER_STATUS_AWAITING_FULFILLMENT, ...order }, products, shippingAddresses, fees, refunds, metafields: [] });
+      store.nextId.order = Math.max(store.nextId.order, Number(order.id) + 1);
+    });
+
+    (fixtures.hooks || []).forEach(hook => {
+      store.hooks.push({ ...hook, id: hook.id || store.nextId.hook });
+      store.nextId.hook = Math.max(store.nextId.hook, (hook.id || 0) + 1);
+    });
+    return store;
+  }
+
+  /**
+   * Queue a failure for matching requests
+   * `path` matches the request path after /stores/<storeHash> (e.g. /v3/carts/abc/items) or
+   * its template (/v3/carts/:id/items); a prefix is enough and no path matches everything.
+   * `status` is an HTTP status or 'timeout'; `times` is how many requests fail (0 = until
+   * cleared). 429s carry X-Rate-Limit-Time-Reset-Ms (`resetMs`, default 1000) unless
+   * `headers` says otherwise. Returns the failure record.
+   */
+  injectFailure({ status, method = null, path: pathPrefix = null, storeHash = null, times = 1, resetMs = 1000, headers = null, title = null }) {
+    const failure = {
+      id: this.nextFailureId++,
+      status,
+      method: method ? method.toLowerCase() : null,
+      path: pathPrefix,
+      storeHash,
+      remaining: times > 0 ? times : null,
+      headers: headers || (status === 429 ? { 'x-rate-limit-time-reset-ms': String(resetMs), 'x-rate-limit-requests-left': '0' } : {}),
+      title,
+      triggered: 0
+    };
+    this.failures.push(failure);
+    return failure;
+  }
+
+  /**
+   * Queued failures, for a store or all of them
+   */
+  listFailures(storeHash = null) {
+    return this.failures.filter(failure => !storeHash || failure.storeHash === storeHash);
+  }
+
+  clearFailures(storeHash = null) {
+    this.failures = this.failures.filter(failure => storeHash && failure.storeHash !== storeHash);
+  }
+
+  /**
+   * The first queued failure matching a request, used up by one
+   */
+  takeFailure(storeHash, method, apiPath) {
+    const template = toPathTemplate(apiPath);
+    const failure = this.failures.find(candidate =>
+      (!candidate.storeHash || candidate.storeHash === storeHash) &&
+      (!candidate.method || candidate.method === method) &&
+      (!candidate.path || apiPath.startsWith(candidate.path) || template.startsWith(candidate.path))
+    );
+    if (!failure) {
+      return null;
+    }
+
+    failure.triggered++;
+    if (failure.remaining !== null && --failure.remaining === 0) {
+      this.failures = this.failures.filter(candidate => candidate !== failure);
+    }
+    return failure;
+  }
+
+  /**
+   * axios adapter: answer a request from the in-memory state
+   * Rejects like axios for statuses outside validateStatus, and with ECONNABORTED for
+   * simulated timeouts.
+   */
+  async handle(axiosConfig) {
+    const url = new URL(axiosConfig.url);
+    const match = /^\/stores\/([^/]+)(\/.*)$/.exec(url.pathname);
+    const method = (axiosConfig.method || 'get').toLowerCase();
+    const request = {
+      params: { ...Object.fromEntries(url.searchParams), ...axiosConfig.params },
+      data: typeof axiosConfig.data === 'string' && axiosConfig.data ? JSON.parse(axiosConfig.data) : axiosConfig.data || {}
+    };
+
+    let result;
+    const failure = match ? this.takeFailure(match[1], method, match[2]) : null;
+    if (failure?.status === 'timeout') {
+      throw new AxiosError(`timeout of ${axiosConfig.timeout}ms exceeded`, AxiosError.ECONNABORTED, axiosConfig, {});
+    } else if (failure) {
+      result = respond(failure.status, errorBody(failure.status, failure.title || `Simulated ${failure.status} response`), failure.headers);
+    } else if (!match) {
+      result = notFound(`Not a BigCommerce API URL: ${axiosConfig.url}`);
+    } else {
+      result = this.route(this.getStore(match[1]), method, match[2], request);
+    }
+
+    const response = {
+      data: result.data,
+      status: result.status,
+      statusText: result.status < 400 ? 'OK' : 'Error',
+      headers: { 'content-type': 'application/json', ...result.headers },
+      config: axiosConfig,
+      request: {}
+    };
+    const validateStatus = axiosConfig.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(response.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        axiosConfig,
+        response.request,
+        response
+      );
+    }
+    return response;
+  }
+
+  route(store, method, apiPath, request) {
+    for (const [routeMethod, pattern, handler] of this.routes) {
+      const params = routeMethod === method ? pattern.exec(apiPath) : null;
+      if (params) {
+        return handler(store, params.slice(1).map(decodeURIComponent), request);
+      }
+    }
+    return notFound(`The simulator does not implement ${method.toUpperCase()} ${apiPath}`);
+  }
+
+  buildRoutes() {
+    return [
+      ['get', /^\/v3\/carts\/([^/]+)$/, (store, [cartId]) => this.cartResponse(store, cartId)],
+      ['post', /^\/v3\/carts\/([^/]+)\/items$/, (store, [cartId], { data }) => this.addItems(store, cartId, data.line_items || [])],
+      ['put', /^\/v3\/carts\/([^/]+)\/items\/([^/]+)$/, (store, [cartId, itemId], { data }) => this.updateItem(store, cartId, itemId, data.line_item || {})],
+      ['delete', /^\/v3\/carts\/([^/]+)\/items\/([^/]+)$/, (store, [cartId, itemId]) => this.removeItem(store, cartId, itemId)],
+      ['get', /^\/v3\/checkouts\/([^/]+)$/, (store, [cartId]) => this.checkoutResponse(store, cartId)],
+      ['post', /^\/v3\/checkouts\/([^/]+)\/fees$/, (store, [cartId], { data }) => this.addFees(store, cartId, data.fees || [])],
+      ['put', /^\/v3\/checkouts\/([^/]+)\/fees$/, (store, [cartId], { data }) => this.updateFees(store, cartId, data.fees || [])],
+      ['delete', /^\/v3\/checkouts\/([^/]+)\/fees$/, (store, [cartId], { data }) => this.removeFees(store, cartId, data.ids || [])],
+      ['get', /^\/v3\/catalog\/products$/, (store, params, { params: query }) => this.listProducts(store, query)],
+      ['get', /^\/v3\/catalog\/products\/(\d+)$/, (store, [productId]) => this.productResponse(store, productId)],
+      ['post', /^\/v3\/catalog\/products$/, (store, params, { data }) => this.createProduct(store, data)],
+      ['put', /^\/v3\/catalog\/products\/(\d+)$/, (store, [productId], { data }) => this.updateProduct(store, productId, data)],
+      ['get', /^\/v2\/store$/, store => respond(200, this.storeInfo(store))],
+      ['get', /^\/v3\/hooks$/, store => respond(200, { data: clone(store.hooks), meta: {} })],
+      ['post', /^\/v3\/hooks$/, (store, params, { data }) => this.createHook(store, data)],
+      ['put', /^\/v3\/hooks\/(\d+)$/, (store, [hookId], { data }) => this.updateHook(store, hookId, data)],
+      ['get', /^\/v2\/orders$/, (store, params, { params: query }) => this.listOrders(store, query)],
+      ['get', /^\/v2\/orders\/(\d+)$/, (store, [orderId]) => this.orderPart(store, orderId, record => record.order)],
+      ['get', /^\/v2\/orders\/(\d+)\/products$/, (store, [orderId]) => this.orderPart(store, orderId, record => record.products)],
+      ['get', /^\/v2\/orders\/(\d+)\/shipping_addresses$/, (store, [orderId]) => this.orderPart(store, orderId, record => record.shippingAddresses)],
+      ['get', /^\/v2\/orders\/(\d+)\/fees$/, (store, [orderId]) => this.orderPart(store, orderId, record => record.fees)],
+      ['get', /^\/v3\/orders\/(\d+)\/payment_actions\/refunds$/, (store, [orderId]) => this.orderPart(store, orderId, record => ({ data: record.refunds, meta: {} }))],
+      ['post', /^\/v3\/orders\/(\d+)\/payment_actions\/refund_quotes$/, (store, [orderId], { data }) => this.quoteRefund(store, orderId, data.items || [])],
+      ['post', /^\/v3\/orders\/(\d+)\/payment_actions\/refunds$/, (store, [orderId], { data }) => this.createRefund(store, orderId, data)],
+      ['get', /^\/v3\/orders\/(\d+)\/metafields$/, (store, [orderId]) => this.orderPart(store, orderId, record => ({ data: record.metafields, meta: {} }))],
+      ['post', /^\/v3\/orders\/(\d+)\/metafields$/, (store, [orderId], { data }) => this.createOrderMetafield(store, orderId, data)]
+    ];
+  }
+
+  /**
+   * Create a cart (the state a shopper's storefront cart would be in), in the fixture shape:
+   * { id?, line_items: [{ product_id, quantity?, list_price?, sale_price?, discount_amount?, coupon_amount? }],
+   *   custom_items?, currency?: { code }, customer_id?, consignments? } where consignments are
+   * checkout consignments ({ shipping_address, selected_shipping_option }).
+   * Returns the cart; throws VALIDATION_FAILED when a product does not exist.
+   */
+  createCart(storeHash, cart = {}) {
+    return this.insertCart(this.getStore(storeHash), cart);
+  }
+
+  insertCart(store, { id = null, line_items: lineItems = [], custom_items: customItems = [], currency = null, customer_id: customerId = 0, consignments = [] }) {
+    const now = new Date().toISOString();
+    const record = {
+      cart: {
+        id: id || crypto.randomUUID(),
+        customer_id: customerId || 0,
+        channel_id: 1,
+        email: '',
+        currency: { code: currency?.code || 'USD' },
+        tax_included: false,
+        base_amount: 0,
+        discount_amount: 0,
+        cart_amount: 0,
+        coupons: [],
+        discounts: [],
+        line_items: { physical_items: [], digital_items: [], gift_certificates: [], custom_items: [] },
+        created_time: now,
+        updated_time: now
+      },
+      consignments: consignments || [],
+      fees: []
+    };
+
+    lineItems.forEach(item => {
+      const lineItem = this.buildLineItem(store, item);
+      if (!lineItem) {
+        throw apiError('VALIDATION_FAILED', `Product ${item.product_id} does not exist in the simulated catalog`);
+      }
+      this.itemList(record.cart, lineItem).push(lineItem);
+    });
+    record.cart.line_items.custom_items = customItems.map(item => ({
+      id: item.id || crypto.randomUUID(),
+      quantity: item.quantity || 1,
+      list_price: item.list_price || 0,
+      extended_list_price: roundMoney((item.list_price || 0) * (item.quantity || 1)),
+      name: item.name || 'Custom item',
+      sku: item.sku || ''
+    }));
+
+    this.updateTotals(record.cart);
+    store.carts.set(record.cart.id, record);
+    return clone(record.cart);
+  }
+
+  /**
+   * Turn a cart into an order the way checkout would: the cart is deleted and an order
+   * (with products, shipping address and checkout fees) is created for it.
+   * `billingAddress` and `shippingAddress` use the v2 field names.
+   * Returns the order, or null when the cart does not exist.
+   */
+  placeOrder(storeHash, cartId, { billingAddress = {}, shippingAddress = null, statusId = ORDER_STATUS_AWAITING_FULFILLMENT } = {}) {
+    const store = this.getStore(storeHash);
+    const record = store.carts.get(cartId);
+    if (!record) {
+      return null;
+    }
+
+    const { cart } = record;
+    const orderId = store.nextId.order++;
+    const items = [...cart.line_items.physical_items, ...cart.line_items.digital_items];
+    const products = items.map(item => {
+      const product = store.products.get(item.product_id) || {};
+      const total = item.extended_sale_price - (item.discount_amount || 0) - (item.coupon_amount || 0);
+      return {
+        id: store.nextId.orderProduct++,
+        order_id: orderId,
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        name: item.name,
+        sku: item.sku,
+        type: product.type === 'digital' ? 'digital' : 'physical',
+        quantity: item.quantity,
+        base_price: toV2Amount(item.list_price),
+        price_ex_tax: toV2Amount(item.sale_price),
+        price_inc_tax: toV2Amount(item.sale_price),
+        total_ex_tax: toV2Amount(item.extended_sale_price),
+        total_inc_tax: toV2Amount(total),
+        applied_discounts: item.discount_amount ? [{ id: 'discount', amount: toV2Amount(item.discount_amount) }] : []
+      };
+    });
+    const fees = record.fees.map(fee => ({
+      id: fee.id,
+      type: fee.type,
+      name: fee.name,
+      display_name: fee.display_name,
+      cost_ex_tax: toV2Amount(fee.cost),
+      cost_inc_tax: toV2Amount(fee.cost),
+      source: fee.source
+    }));
+    const address = shippingAddress || this.consignmentAddress(record.consignments[0]) || billingAddress;
+    const feeTotal = record.fees.reduce((sum, fee) => sum + fee.cost, 0);
+    const total = cart.cart_amount + feeTotal;
+
+    const order = {
+      id: orderId,
+      cart_id: cart.id,
+      customer_id: cart.customer_id,
+      status_id: statusId,
+      date_created: new Date().toUTCString(),
+      currency_code: cart.currency.code,
+      subtotal_ex_tax: toV2Amount(cart.base_amount),
+      total_ex_tax: toV2Amount(total),
+      total_inc_tax: toV2Amount(total),
+      items_total: items.reduce((sum, item) => sum + item.quantity, 0),
+      billing_address: billingAddress
+    };
+    store.orders.set(orderId, {
+      order,
+      products,
+      shippingAddresses: address && Object.keys(address).length > 0 ? [{ id: 1, order_id: orderId, ...address }] : [],
+      fees,
+      refunds: [],
+      metafields: []
+    });
+    store.carts.delete(cartId);
+    return clone(order);
+  }
+
+  consignmentAddress(consignment) {
+    const address = consignment?.shipping_address;
+    if (!address) {
+      return null;
+    }
+    return {
+      first_name: address.first_name,
+      last_name: address.last_name,
+      street_1: address.address1,
+      street_2: address.address2,
+      city: address.city,
+      state: address.state_or_province,
+      zip: address.postal_code,
+      country: address.country,
+      country_iso2: address.country_code,
+      email: address.email,
+      phone: address.phone
+    };
+  }
+
+  /**
+   * Store state for inspection: products, carts (with checkout fees), orders and webhooks
+   */
+  snapshot(storeHash) {
+    const store = this.getStore(storeHash);
+    return clone({
+      storeHash,
+      products: [...store.products.values()],
+      carts: [...store.carts.values()].map(record => ({ ...record.cart, consignments: record.consignments, fees: record.fees })),
+      orders: [...store.orders.values()].map(record => ({ ...record.order, products: record.products, shipping_addresses: record.shippingAddresses, fees: record.fees, refunds: record.refunds, metafields: record.metafields })),
+      hooks: store.hooks
+    });
+  }
+
+  buildLineItem(store, { product_id: productId, variant_id: variantId, quantity = 1, list_price: listPrice, sale_price: salePrice, discount_amount: discountAmount = 0, coupon_amount: couponAmount = 0 }) {
+    const product = store.products.get(Number(productId));
+    if (!product) {
+      return null;
+    }
+
+    const price = listPrice !== undefined && listPrice !== null ? parseFloat(listPrice) : product.price;
+    const item = {
+      id: crypto.randomUUID(),
+      parent_id: null,
+      variant_id: variantId || product.base_variant_id || product.id,
+      product_id: product.id,
+      sku: product.sku,
+      name: product.name,
+      url: `https://store.example.com/${product.sku.toLowerCase()}/`,
+      quantity: parseInt(quantity) || 1,
+      is_taxable: true,
+      discounts: [],
+      coupons: [],
+      discount_amount: discountAmount,
+      coupon_amount: couponAmount,
+      list_price: price,
+      sale_price: salePrice !== undefined && salePrice !== null ? parseFloat(salePrice) : price,
+      is_mutable: true
+    };
+    if (product.type !== 'digital') {
+      item.is_require_shipping = true;
+    }
+    return this.priceLineItem(item);
+  }
+
+  priceLineItem(item) {
+    item.extended_list_price = roundMoney(item.list_price * item.quantity);
+    item.extended_sale_price = roundMoney(item.sale_price * item.quantity);
+    return item;
+  }
+
+  itemList(cart, item) {
+    return item.is_require_shipping ? cart.line_items.physical_items : cart.line_items.digital_items;
+  }
+
+  updateTotals(cart) {
+    const items = [...cart.line_items.physical_items, ...cart.line_items.digital_items];
+    const custom = cart.line_items.custom_items.reduce((sum, item) => sum + item.extended_list_price, 0);
+    const base = items.reduce((sum, item) => sum + item.extended_sale_price, 0) + custom;
+    const discounts = items.reduce((sum, item) => sum + (item.discount_amount || 0) + (item.coupon_amount || 0), 0);
+    cart.base_amount = roundMoney(base);
+    cart.discount_amount = roundMoney(discounts);
+    cart.cart_amount = roundMoney(base - discounts);
+    cart.updated_time = new Date().toISOString();
+  }
+
+  findItem(cart, itemId) {
+    return Object.values(cart.line_items).flat().find(item => item.id === itemId) || null;
+  }
+
+  cartResponse(store, cartId) {
+    const record = store.carts.get(cartId);
+    return record ? respond(200, { data: clone(record.cart), meta: {} }) : notFound(`Cart ${cartId} does not exist`);
+  }
+
+  addItems(store, cartId, lineItems) {
+    const record = store.carts.get(cartId);
+    if (!record) {
+      return notFound(`Cart ${cartId} does not exist`);
+    }
+
+    const items = lineItems.map(item => this.buildLineItem(store, item));
+    const missing = lineItems.find((item, index) => !items[index]);
+    if (missing) {
+      return unprocessable(`Product ${missing.product_id} does not exist`);
+    }
+    items.forEach(item => {
+      // Adding a product already in the cart at the same price raises its quantity
+      const existing = this.itemList(record.cart, item).find(candidate =>
+        candidate.product_id === item.product_id && candidate.variant_id === item.variant_id && candidate.list_price === item.list_price
+      );
+      if (existing) {
+        existing.quantity += item.quantity;
+        this.priceLineItem(existing);
+      } else {
+        this.itemList(record.cart, item).push(item);
+      }
+    });
+    this.updateTotals(record.cart);
+    return respond(201, { data: clone(record.cart), meta: {} });
+  }
+
+  updateItem(store, cartId, itemId, lineItem) {
+    const record = store.carts.get(cartId);
+    const item = record && this.findItem(record.cart, itemId);
+    if (!item) {
+      return notFound(`Line item ${itemId} does not exist in cart ${cartId}`);
+    }
+    if (lineItem.product_id !== undefined && Number(lineItem.product_id) !== item.product_id) {
+      return unprocessable('product_id does not match the line item');
+    }
+
+    if (lineItem.quantity !== undefined) {
+      item.quantity = parseInt(lineItem.quantity) || 1;
+    }
+    if (lineItem.list_price !== undefined) {
+      item.list_price = parseFloat(lineItem.list_price);
+      item.sale_price = item.list_price;
+    }
+    this.priceLineItem(item);
+    this.updateTotals(record.cart);
+    return respond(200, { data: clone(record.cart), meta: {} });
+  }
+
+  removeItem(store, cartId, itemId) {
+    const record = store.carts.get(cartId);
+    if (!record || !this.findItem(record.cart, itemId)) {
+      return notFound(`Line item ${itemId} does not exist in cart ${cartId}`);
+    }
+
+    Object.keys(record.cart.line_items).forEach(kind => {
+      record.cart.line_items[kind] = record.cart.line_items[kind].filter(item => item.id !== itemId);
+    });
+    // Like BigCommerce, removing the last line item deletes the cart
+    if (Object.values(record.cart.line_items).every(list => list.length === 0)) {
+      store.carts.delete(cartId);
+      return respond(204, null);
+    }
+    this.updateTotals(record.cart);
+    return respond(200, { data: clone(record.cart), meta: {} });
+  }
+
+  toCheckout(record) {
+    const feeTotal = record.fees.reduce((sum, fee) => sum + fee.cost, 0);
+    return {
+      id: record.cart.id,
+      cart: clone(record.cart),
+      consignments: clone(record.consignments),
+      fees: clone(record.fees),
+      subtotal_ex_tax: record.cart.cart_amount,
+      grand_total: roundMoney(record.cart.cart_amount + feeTotal)
+    };
+  }
+
+  checkoutResponse(store, cartId) {
+    const record = store.carts.get(cartId);
+    return record ? respond(200, { data: this.toCheckout(record), meta: {} }) : notFound(`Checkout ${cartId} does not exist`);
+  }
+
+  toFee(fee, id = crypto.randomUUID()) {
+    const cost = parseFloat(fee.cost) || 0;
+    return {
+      id,
+      type: fee.type || 'custom_fee',
+      name: fee.name,
+      display_name: fee.display_name || fee.name,
+      cost,
+      cost_inc_tax: cost,
+      cost_ex_tax: cost,
+      source: fee.source || null,
+      tax_class_id: fee.tax_class_id ?? null
+    };
+  }
+
+  addFees(store, cartId, fees) {
+    const record = store.carts.get(cartId);
+    if (!record) {
+      return notFound(`Checkout ${cartId} does not exist`);
+    }
+    record.fees.push(...fees.map(fee => this.toFee(fee)));
+    return respond(200, { data: this.toCheckout(record), meta: {} });
+  }
+
+  updateFees(store, cartId, fees) {
+    const record = store.carts.get(cartId);
+    if (!record) {
+      return notFound(`Checkout ${cartId} does not exist`);
+    }
+    const unknown = fees.find(fee => !record.fees.some(existing => existing.id === fee.id));
+    if (unknown) {
+      return unprocessable(`Fee ${unknown.id} does not exist on checkout ${cartId}`);
+    }
+    record.fees = record.fees.map(existing => {
+      const change = fees.find(fee => fee.id === existing.id);
+      return change ? this.toFee({ ...existing, ...change }, existing.id) : existing;
+    });
+    return respond(200, { data: this.toCheckout(record), meta: {} });
+  }
+
+  removeFees(store, cartId, ids) {
+    const record = store.carts.get(cartId);
+    if (!record) {
+      return notFound(`Checkout ${cartId} does not exist`);
+    }
+    record.fees = record.fees.filter(fee => !ids.includes(fee.id));
+    return respond(200, { data: this.toCheckout(record), meta: {} });
+  }
+
+  listProducts(store, query) {
+    const ids = query['id:in'] ? String(query['id:in']).split(',').map(Number) : [...store.products.keys()];
+    const withCustomFields = String(query.include || '').split(',').includes('custom_fields');
+    const products = ids
+      .map(id => store.products.get(id))
+      .filter(product => product && (!query.sku || product.sku === query.sku))
+      .map(product => {
+        const { custom_fields: customFields = [], ...fields } = clone(product);
+        return withCustomFields ? { ...fields, custom_fields: customFields } : fields;
+      });
+    return respond(200, { data: products, meta: { pagination: { total: products.length, count: products.length, per_page: products.length, current_page: 1, total_pages: 1 } } });
+  }
+
+  productResponse(store, productId) {
+    const product = store.products.get(Number(productId));
+    return product ? respond(200, { data: clone(product), meta: {} }) : notFound(`Product ${productId} does not exist`);
+  }
+
+  /**
+   * Name and SKU must be unique, as in BigCommerce (409 otherwise)
+   */
+  findConflict(store, product, exceptId = null) {
+    return [...store.products.values()].find(existing => existing.id !== exceptId &&
+      (existing.name === product.name || (product.sku && existing.sku === product.sku))) || null;
+  }
+
+  createProduct(store, product) {
+    const missing = ['name', 'type', 'weight', 'price'].filter(field => product[field] === undefined);
+    if (missing.length > 0) {
+      return unprocessable(`Missing required fields: ${missing.join(', ')}`);
+    }
+    if (!['physical', 'digital'].includes(product.type)) {
+      return unprocessable('type must be physical or digital');
+    }
+    if (this.findConflict(store, product)) {
+      return respond(409, errorBody(409, 'A product with the same name or SKU already exists'));
+    }
+
+    const created = { ...PRODUCT_DEFAULTS, sku: '', ...clone(product), id: store.nextId.product++ };
+    store.products.set(created.id, created);
+    return respond(200, { data: clone(created), meta: {} });
+  }
+
+  updateProduct(store, productId, changes) {
+    const product = store.products.get(Number(productId));
+    if (!product) {
+      return notFound(`Product ${productId} does not exist`);
+    }
+    if (changes.type !== undefined && !['physical', 'digital'].includes(changes.type)) {
+      return unprocessable('type must be physical or digital');
+    }
+    if (this.findConflict(store, { ...product, ...changes }, product.id)) {
+      return respond(409, errorBody(409, 'A product with the same name or SKU already exists'));
+    }
+
+    Object.assign(product, clone(changes), { id: product.id });
+    return respond(200, { data: clone(product), meta: {} });
+  }
+
+  storeInfo(store) {
+    return {
+      id: store.storeHash,
+      name: 'Simulated Store',
+      domain: `${store.storeHash}.example.com`,
+      secure_url: `https://${store.storeHash}.example.com`,
+      currency: 'USD',
+      plan_name: 'Simulator'
+    };
+  }
+
+  createHook(store, { scope, destination, is_active: isActive = true, headers = {} }) {
+    if (!scope || !destination) {
+      return unprocessable('scope and destination are required');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const hook = { id: store.nextId.hook++, client_id: 'simulator', store_hash: store.storeHash, scope, destination, headers, is_active: isActive, created_at: now, updated_at: now };
+    store.hooks.push(hook);
+    return respond(200, { data: clone(hook), meta: {} });
+  }
+
+  updateHook(store, hookId, { scope, destination, is_active: isActive, headers }) {
+    const hook = store.hooks.find(candidate => candidate.id === Number(hookId));
+    if (!hook) {
+      return notFound(`Webhook ${hookId} does not exist`);
+    }
+    Object.entries({ scope, destination, is_active: isActive, headers })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => { hook[field] = clone(value); });
+    hook.updated_at = Math.floor(Date.now() / 1000);
+    return respond(200, { data: clone(hook), meta: {} });
+  }
+
+  listOrders(store, query) {
+    const minCreated = query.min_date_created ? new Date(query.min_date_created).getTime() : null;
+    const limit = parseInt(query.limit) || 50;
+    const page = parseInt(query.page) || 1;
+    const orders = [...store.orders.values()]
+      .map(record => record.order)
+      .filter(order => minCreated === null || new Date(order.date_created).getTime() >= minCreated)
+      .sort((a, b) => new Date(a.date_created) - new Date(b.date_created) || a.id - b.id)
+      .slice((page - 1) * limit, page * limit);
+    // v2 answers an empty page with 204 and no body
+    return orders.length > 0 ? respond(200, clone(orders)) : respond(204, '');
+  }
+
+  orderPart(store, orderId, pick) {
+    const record = store.orders.get(Number(orderId));
+    return record ? respond(200, clone(pick(record))) : notFound(`Order ${orderId} does not exist`);
+  }
+
+  /**
+   * Refund quote: the requested amount (line items at their paid price) through store credit
+   */
+  quoteRefund(store, orderId, items) {
+    const record = store.orders.get(Number(orderId));
+    if (!record) {
+      return notFound(`Order ${orderId} does not exist`);
+    }
+    const amount = roundMoney(items.reduce((sum, item) => sum + this.refundItemAmount(record, item), 0));
+    return respond(201, {
+      data: {
+        order_id: Number(orderId),
+        total_refund_amount: amount,
+        total_refund_tax_amount: 0,
+        rounding: 0,
+        adjustment: 0,
+        tax_inclusive: false,
+        refund_methods: [[{ provider_id: 'storecredit', provider_description: 'Store Credit', amount, offline: false, offline_provider: false, offline_reason: '' }]]
+      },
+      meta: {}
+    });
+  }
+
+  refundItemAmount(record, item) {
+    if (item.item_type === 'ORDER') {
+      return parseFloat(item.amount) || 0;
+    }
+    const product = record.products.find(candidate => candidate.id === item.item_id);
+    if (!product) {
+      return 0;
+    }
+    return item.amount !== undefined ? parseFloat(item.amount) : (parseFloat(product.total_inc_tax) / product.quantity) * (item.quantity || 0);
+  }
+
+  createRefund(store, orderId, { items = [], payments = [] }) {
+    const record = store.orders.get(Number(orderId));
+    if (!record) {
+      return notFound(`Order ${orderId} does not exist`);
+    }
+    const refund = {
+      id: store.nextId.refund++,
+      order_id: Number(orderId),
+      user_id: 0,
+      created: new Date().toISOString(),
+      reason: items[0]?.reason || '',
+      total_amount: roundMoney(payments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0)),
+      total_tax: 0,
+      uses_merchant_override_values: false,
+      items: items.map(item => ({ ...item, requested_amount: item.amount ?? roundMoney(this.refundItemAmount(record, item)) })),
+      payments: payments.map((payment, index) => ({ id: index + 1, ...payment, is_declined: false, declined_message: '' }))
+    };
+    record.refunds.push(refund);
+    return respond(201, { data: clone(refund), meta: {} });
+  }
+
+  createOrderMetafield(store, orderId, { namespace, key, value, permission_set: permissionSet, description = '' }) {
+    const record = store.orders.get(Number(orderId));
+    if (!record) {
+      return notFound(`Order ${orderId} does not exist`);
+    }
+    if (!namespace || !key || typeof value !== 'string' || !permissionSet) {
+      return unprocessable('namespace, key, value and permission_set are required');
+    }
+    if (record.metafields.some(metafield => metafield.namespace === namespace && metafield.key === key)) {
+      return respond(409, errorBody(409, `Metafield ${namespace}.${key} already exists`));
+    }
+    const now = new Date().toISOString();
+    const metafield = { id: store.nextId.metafield++, namespace, key, value, permission_set: permissionSet, description, resource_type: 'order', resource_id: Number(orderId), date_created: now, date_modified: now };
+    record.metafields.push(metafield);
+    return respond(200, { data: clone(metafield), meta: {} });
+  }
+}
+
+module.exports = new BigCommerceSimulator(
+  config.bigcommerce.simulator.enabled ? loadFixtures(config.bigcommerce.simulator.fixturesFile) : DEFAULT_FIXTURES
+);
+module.exports.BigCommerceSimulator = BigCommerceSimulator;
+module.exports.DEFAULT_FIXTURES = DEFAULT_FIXTURES;
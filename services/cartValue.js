@@ -0,0 +1,186 @@
+const config = require('../config/config');
+const { normalizeCurrency, getCurrencyDecimals } = require('./pricing');
+const { hasCriteria, matchCriteria } = require('./eligibilityRules');
+
+/**
+ * Currency code of a cart (Admin and Storefront APIs both return currency.code)
+ * Returns null when the cart does not say
+ */
+function getCartCurrency(cartData) {
+  const cart = cartData?.data || cartData || {};
+  return normalizeCurrency(cart.currency?.code || cart.currency_code || cart.currencyCode);
+}
+
+/**
+ * Read a numeric field from a line item, accepting both the Admin API (snake_case)
+ * and Storefront API (camelCase) spellings
+ */
+function readAmount(item, snakeKey, camelKey) {
+  const value = item[snakeKey] !== undefined ? item[snakeKey] : item[camelKey];
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Total of cart-level discounts allocated to a line item (excluding coupons)
+ */
+function getItemDiscount(item) {
+  const discountAmount = readAmount(item, 'discount_amount', 'discountAmount');
+  if (discountAmount !== null) {
+    return discountAmount;
+  }
+
+  return (item.discounts || []).reduce(
+    (sum, discount) => sum + (parseFloat(discount.discounted_amount ?? discount.discountedAmount) || 0),
+    0
+  );
+}
+
+/**
+ * Insurable value of a single line item
+ *
+ * Bases:
+ * - list: list_price x quantity (price before sale pricing and discounts)
+ * - sale: sale price x quantity (sale pricing applied, cart discounts and coupons ignored)
+ * - net:  sale price x quantity minus allocated discounts and coupons (what the shopper pays)
+ */
+function getItemValue(item, basis) {
+  const quantity = parseFloat(item.quantity) || 0;
+  const listPrice = readAmount(item, 'list_price', 'listPrice') || 0;
+  const extendedList = readAmount(item, 'extended_list_price', 'extendedListPrice');
+
+  if (basis === 'list') {
+    return extendedList !== null ? extendedList : listPrice * quantity;
+  }
+
+  const salePrice = readAmount(item, 'sale_price', 'salePrice');
+  const extendedSale = readAmount(item, 'extended_sale_price', 'extendedSalePrice');
+  let value;
+  if (extendedSale !== null) {
+    value = extendedSale;
+  } else if (salePrice !== null) {
+    value = salePrice * quantity;
+  } else {
+    value = extendedList !== null ? extendedList : listPrice * quantity;
+  }
+
+  if (basis === 'net') {
+    value -= getItemDiscount(item);
+    value -= readAmount(item, 'coupon_amount', 'couponAmount') || 0;
+  }
+
+  return Math.max(value, 0);
+}
+
+/**
+ * Work out the insurable base of a cart
+ * Covers shipped goods only: physical items, plus custom items when enabled.
+ * Digital items and gift certificates are never insured, and neither is the
+ * insurance product itself.
+ *
+ * `options.rules` applies item eligibility rules (see services/eligibilityRules.js), using
+ * `options.products` ({ [productId]: { categoryIds, brandId } }) for category and brand rules.
+ *
+ * Returns {
+ *   total, currency,
+ *   items: [{ id, productId, sku, name, quantity, value, type }],  // insured
+ *   excludedItems: [{ ...item, reason }],
+ *   blocked, blockedBy: [{ ...item, reason }]
+ * }
+ */
+function getInsurableValue(cartData, options = {}) {
+  const basis = options.basis || config.insurance.valueBasis;
+  const includeCustomItems = options.includeCustomItems !== undefined
+    ? options.includeCustomItems
+    : config.insurance.includeCustomItems;
+  const insuranceProductId = options.insuranceProductId || config.products.insuranceProductId;
+
+  const cart = cartData?.data || cartData || {};
+  const lineItems = cart.line_items || cart.lineItems || {};
+  const physicalItems = lineItems.physical_items || lineItems.physicalItems || [];
+  const customItems = includeCustomItems ? (lineItems.custom_items || lineItems.customItems || []) : [];
+
+  const items = [];
+
+  physicalItems.forEach(item => {
+    const productId = item.product_id || item.productId;
+    if (productId === insuranceProductId) {
+      return;
+    }
+    items.push({
+      id: item.id,
+      productId,
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      value: getItemValue(item, basis),
+      type: 'physical'
+    });
+  });
+
+  customItems.forEach(item => {
+    items.push({
+      id: item.id,
+      productId: null,
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      // Custom items only carry a list price
+      value: getItemValue(item, 'list'),
+      type: 'custom'
+    });
+  });
+
+  const rules = options.rules || {};
+  const products = options.products || {};
+  const insured = [];
+  const excludedItems = [];
+  const blockedBy = [];
+
+  items.forEach(item => {
+    const product = item.productId ? products[item.productId] : null;
+
+    const blockReason = matchCriteria(item, rules.block, product);
+    if (blockReason) {
+      blockedBy.push({ ...item, reason: `Blocked by ${blockReason}` });
+    }
+
+    const excludeReason = matchCriteria(item, rules.exclude, product);
+    if (excludeReason) {
+      excludedItems.push({ ...item, reason: `Excluded by ${excludeReason}` });
+    } else if (hasCriteria(rules.include) && !matchCriteria(item, rules.include, product)) {
+      excludedItems.push({ ...item, reason: 'Not covered by the include rules' });
+    } else {
+      insured.push(item);
+    }
+  });
+
+  const total = insured.reduce((sum, item) => sum + item.value, 0);
+  const currency = getCartCurrency(cartData);
+
+  return {
+    total: parseFloat(total.toFixed(currency ? getCurrencyDecimals(currency) : 2)),
+    currency,
+    items: insured,
+    excludedItems,
+    blocked: blockedBy.length > 0,
+    blockedBy
+  };
+}
+
+/**
+ * Product IDs of the physical items in a cart (for catalog lookups)
+ */
+function getCartProductIds(cartData) {
+  const cart = cartData?.data || cartData || {};
+  const lineItems = cart.line_items || cart.lineItems || {};
+  const physicalItems = lineItems.physical_items || lineItems.physicalItems || [];
+  return [...new Set(physicalItems.map(item => item.product_id || item.productId).filter(Boolean))];
+}
+
+module.exports = {
+  getCartCurrency,
+  getCartProductIds,
+  getItemValue,
+  getInsurableValue
+};
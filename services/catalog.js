@@ -0,0 +1,58 @@
+const config = require('../config/config');
+const { apiError, fromBigCommerce } = require('./errors');
+
+// Catalog records by `${storeHash}:${productId}`: product info (see getProductInfo) plus expiresAt
+const cache = new Map();
+
+/**
+ * Category, brand and shipping details of the given products, looked up in the store's catalog
+ * Results are cached per store for CATALOG_CACHE_TTL_SECONDS; only missing or expired
+ * products are fetched. Products the catalog does not return (deleted since they were
+ * added to the cart) get no categories, brand, weight or dimensions.
+ * Weight and dimensions are in the store's units; custom fields are keyed by name.
+ * Returns { [productId]: { categoryIds, brandId, weight, width, height, depth, customFields } }
+ */
+async function getProductInfo(context, productIds) {
+  const now = Date.now();
+  const keyFor = productId => `${context.storeHash || 'default'}:${productId}`;
+  const missing = productIds.filter(productId => {
+    const cached = cache.get(keyFor(productId));
+    return !cached || cached.expiresAt <= now;
+  });
+
+  if (missing.length > 0) {
+    let products;
+    try {
+      products = await context.bigcommerce.getProducts(missing);
+    } catch (error) {
+      throw apiError(fromBigCommerce(error)?.code || 'BC_REQUEST_FAILED', `Could not look up catalog products: ${error.message}`);
+    }
+
+    const expiresAt = now + config.catalog.cacheTtlSeconds * 1000;
+    const byId = new Map(products.map(product => [product.id, product]));
+    missing.forEach(productId => {
+      const product = byId.get(productId);
+      cache.set(keyFor(productId), {
+        categoryIds: product?.categories || [],
+        brandId: product?.brand_id || null,
+        weight: product?.weight || 0,
+        width: product?.width || 0,
+        height: product?.height || 0,
+        depth: product?.depth || 0,
+        customFields: Object.fromEntries((product?.custom_fields || []).map(field => [field.name, field.value])),
+        expiresAt
+      });
+    });
+  }
+
+  const info = {};
+  productIds.forEach(productId => {
+    const { expiresAt, ...product } = cache.get(keyFor(productId));
+    info[productId] = product;
+  });
+  return info;
+}
+
+module.exports = {
+  getProductInfo
+};
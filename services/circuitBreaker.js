@@ -0,0 +1,64 @@
+const logger = require('./logger');
+
+/**
+ * Circuit breaker for an upstream API
+ * After `failureThreshold` consecutive failures the circuit opens and calls fail fast
+ * for `resetMs`. The first call after that is let through as a trial: success closes
+ * the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  constructor({ name, failureThreshold, resetMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Throw if calls should not be attempted right now
+   */
+  check() {
+    if (this.failureThreshold <= 0 || this.state === 'closed') {
+      return;
+    }
+
+    const retryInMs = this.openedAt + this.resetMs - Date.now();
+    if (this.state === 'open' && retryInMs <= 0) {
+      this.state = 'half_open';
+      return;
+    }
+
+    const error = new Error(
+      `${this.name} is unavailable after repeated failures; retrying in ${Math.max(Math.ceil(retryInMs / 1000), 1)}s`
+    );
+    error.status = 503;
+    error.code = 'UPSTREAM_UNAVAILABLE';
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('Circuit closed', { circuit: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.error('Circuit opened', { circuit: this.name, failures: this.failures });
+    }
+  }
+
+  getState() {
+    return { state: this.state, failures: this.failures, openedAt: this.openedAt };
+  }
+}
+
+module.exports = CircuitBreaker;
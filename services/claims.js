@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/config');
+const { getPolicy, recordPolicyForOrder } = require('./policies');
+const logger = require('./logger');
+const { apiError } = require('./errors');
+
+const REASONS = ['lost', 'damaged', 'stolen'];
+
+// Allowed status changes: submitted -> under_review -> approved/denied, approved -> paid
+const TRANSITIONS = {
+  submitted: ['under_review'],
+  under_review: ['approved', 'denied'],
+  approved: ['paid'],
+  denied: [],
+  paid: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Claims collection for a store
+ */
+function getClaims(context) {
+  return context.data.collection('claims', 'id');
+}
+
+/**
+ * Find the policy for an order, checking BigCommerce if it has not been recorded yet
+ */
+async function findPolicy(context, orderId) {
+  const policy = getPolicy(context, orderId);
+  if (policy) {
+    return policy;
+  }
+
+  try {
+    return (await recordPolicyForOrder(context, orderId)).policy;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Match requested line items against the items the policy insured
+ * Each entry is { lineItemId, quantity }; quantity defaults to everything purchased
+ */
+function resolveClaimItems(policy, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw apiError('INVALID_CLAIM_ITEMS', 'At least one affected line item is required');
+  }
+
+  return items.map(item => {
+    const insured = policy.insuredItems.find(
+      insuredItem => String(insuredItem.lineItemId) === String(item.lineItemId)
+    );
+    if (!insured) {
+      throw apiError('INVALID_CLAIM_ITEMS', `Line item ${item.lineItemId} is not covered by this order's protection`);
+    }
+
+    const quantity = item.quantity === undefined ? insured.quantity : parseInt(item.quantity, 10);
+    if (isNaN(quantity) || quantity < 1 || quantity > insured.quantity) {
+      throw apiError('INVALID_CLAIM_ITEMS', `Quantity for line item ${item.lineItemId} must be between 1 and ${insured.quantity}`);
+    }
+
+    return {
+      lineItemId: insured.lineItemId,
+      productId: insured.productId,
+      sku: insured.sku,
+      name: insured.name,
+      quantity,
+      value: parseFloat(((insured.value / insured.quantity) * quantity).toFixed(2))
+    };
+  });
+}
+
+/**
+ * File a new claim against a protected order
+ * photos are multer file objects already written to disk
+ */
+async function createClaim(context, { orderId, email, reason, items, description, photos = [] }) {
+  if (!orderId) {
+    throw apiError('VALIDATION_FAILED', 'Order ID is required');
+  }
+  if (!REASONS.includes(reason)) {
+    throw apiError('VALIDATION_FAILED', `Reason must be one of ${REASONS.join(', ')}`);
+  }
+
+  const policy = await findPolicy(context, orderId);
+  if (!policy) {
+    throw apiError('ORDER_NOT_PROTECTED', `Order ${orderId} does not have shipping protection`);
+  }
+  if (policy.status !== 'active') {
+    throw apiError('POLICY_NOT_ACTIVE', `The protection policy for order ${orderId} is ${policy.status}`);
+  }
+
+  // The customer proves ownership of the order with the billing email
+  if (!email || !policy.customerEmail ||
+      String(email).trim().toLowerCase() !== policy.customerEmail.toLowerCase()) {
+    throw apiError('EMAIL_MISMATCH', 'Email does not match the order');
+  }
+
+  const windowDays = config.claims.filingWindowDays;
+  const deadline = new Date(new Date(policy.orderCreatedAt).getTime() + windowDays * 24 * 60 * 60 * 1000);
+  if (Date.now() > deadline.getTime()) {
+    throw apiError('CLAIM_WINDOW_CLOSED', `Claims must be filed within ${windowDays} days of the order (deadline was ${deadline.toISOString()})`);
+  }
+
+  const claimItems = resolveClaimItems(policy, items);
+  const now = new Date().toISOString();
+
+  const claim = {
+    id: `clm_${crypto.randomBytes(8).toString('hex')}`,
+    orderId: policy.orderId,
+    storeHash: context.storeHash || null,
+    customerEmail: policy.customerEmail,
+    reason,
+    description: description ? String(description).slice(0, 5000) : '',
+    items: claimItems,
+    claimedValue: parseFloat(claimItems.reduce((sum, item) => sum + item.value, 0).toFixed(2)),
+    currency: policy.currency,
+    photos: photos.map(photo => ({
+      filename: photo.filename,
+      originalName: photo.originalname,
+      mimeType: photo.mimetype,
+      size: photo.size
+    })),
+    status: 'submitted',
+    payoutAmount: null,
+    history: [{ status: 'submitted', at: now, by: 'customer', note: null }],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  getClaims(context).put(claim);
+  logger.info('Claim submitted', { id: claim.id, orderId: claim.orderId, reason, claimedValue: claim.claimedValue });
+  return claim;
+}
+
+/**
+ * Move a claim to a new status, enforcing the workflow
+ */
+function updateClaimStatus(context, id, { status, note, payoutAmount, by = 'admin' }) {
+  const claims = getClaims(context);
+  const claim = claims.get(id);
+  if (!claim) {
+    throw apiError('CLAIM_NOT_FOUND', `Claim not found: ${id}`);
+  }
+  if (!STATUSES.includes(status)) {
+    throw apiError('VALIDATION_FAILED', `Status must be one of ${STATUSES.join(', ')}`);
+  }
+  if (!TRANSITIONS[claim.status].includes(status)) {
+    throw apiError('INVALID_CLAIM_TRANSITION', `Cannot move a claim from ${claim.status} to ${status}`);
+  }
+
+  const changes = { status, updatedAt: new Date().toISOString() };
+
+  if (status === 'approved' || status === 'paid') {
+    const amount = payoutAmount === undefined || payoutAmount === null
+      ? (claim.payoutAmount ?? claim.claimedValue)
+      : parseFloat(payoutAmount);
+    if (isNaN(amount) || amount < 0) {
+      throw apiError('VALIDATION_FAILED', 'payoutAmount must be a non-negative number');
+    }
+    changes.payoutAmount = amount;
+  }
+
+  changes.history = [
+    ...claim.history,
+    { status, at: changes.updatedAt, by, note: note || null }
+  ];
+
+  return claims.update(id, changes);
+}
+
+/**
+ * List claims, newest first
+ * Filters: status, reason, orderId, from/to (filing date)
+ */
+function listClaims(context, filters = {}) {
+  return getClaims(context)
+    .all(claim => {
+      if (filters.status && claim.status !== filters.status) return false;
+      if (filters.reason && claim.reason !== filters.reason) return false;
+      if (filters.orderId && String(claim.orderId) !== String(filters.orderId)) return false;
+      if (filters.from && claim.createdAt < new Date(filters.from).toISOString()) return false;
+      if (filters.to && claim.createdAt > new Date(filters.to).toISOString()) return false;
+      return true;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getClaim(context, id) {
+  return getClaims(context).get(id);
+}
+
+/**
+ * Delete uploaded files that will not be attached to a claim
+ */
+function discardUploads(files = []) {
+  files.forEach(file => {
+    fs.unlink(file.path, () => {});
+  });
+}
+
+module.exports = {
+  REASONS,
+  STATUSES,
+  createClaim,
+  updateClaimStatus,
+  listClaims,
+  getClaim,
+  discardUploads
+};
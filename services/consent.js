@@ -0,0 +1,62 @@
+const logger = require('./logger');
+
+const DECISIONS = ['accepted', 'declined'];
+// shopper - chosen through /api/insurance/add (the widget toggle)
+// default - pre-selected by the backend under opt-out selection
+const SOURCES = ['shopper', 'default'];
+
+function getCollection(context) {
+  return context.data.collection('consents', 'cartId');
+}
+
+/**
+ * The protection decision recorded for a cart, or null when nobody has decided yet
+ * Returns { cartId, decision, source, trigger, at, history } where history lists every
+ * decision, oldest first
+ */
+function getConsent(context, cartId) {
+  return getCollection(context).get(cartId);
+}
+
+/**
+ * Record a protection decision for a cart; earlier decisions stay in its history
+ * `trigger` names what made the decision (add, cart_fetch, quote, cart_created, update) and
+ * `details` may carry the premium, currency, ip and userAgent shown when it was made.
+ * Returns the updated consent record
+ */
+function recordConsent(context, cartId, decision, source, { trigger = null, ...details } = {}) {
+  if (!DECISIONS.includes(decision) || !SOURCES.includes(source)) {
+    throw new Error(`Invalid consent decision: ${decision} (${source})`);
+  }
+
+  const consents = getCollection(context);
+  const entry = {
+    decision,
+    source,
+    trigger,
+    at: new Date().toISOString(),
+    requestId: logger.getRequestId() || null,
+    premium: details.premium ?? null,
+    currency: details.currency || null,
+    ip: details.ip || null,
+    userAgent: details.userAgent || null
+  };
+  const history = [...(consents.get(cartId)?.history || []), entry];
+
+  logger.info('Protection consent recorded', { cartId, decision, source, trigger });
+  return consents.put({ cartId, decision, source, trigger, at: entry.at, history });
+}
+
+/**
+ * Whether protection should be added to a cart without being asked for: the store
+ * pre-selects it (opt-out selection) and no decision has been recorded for the cart
+ */
+function isDefaultPending(context, cartId) {
+  return context.selection === 'opt-out' && !getConsent(context, cartId);
+}
+
+module.exports = {
+  getConsent,
+  recordConsent,
+  isDefaultPending
+};
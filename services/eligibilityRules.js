@@ -0,0 +1,92 @@
+/**
+ * Item eligibility rules
+ *
+ * Decide which cart items count towards the insured value, and which items stop
+ * protection being offered at all:
+ * {
+ *   include: { productIds, skus, categoryIds, brandIds },  // when set, only matching items are insured
+ *   exclude: { productIds, skus, categoryIds, brandIds },  // matching items are never insured
+ *   block:   { productIds, skus, categoryIds, brandIds }   // a matching item blocks the offer for the cart
+ * }
+ *
+ * Product IDs and SKUs come from the cart line items; categories and brands need a
+ * catalog lookup (see services/catalog.js).
+ */
+
+const RULE_LISTS = ['include', 'exclude', 'block'];
+const RULE_FIELDS = ['productIds', 'skus', 'categoryIds', 'brandIds'];
+
+/**
+ * Validate item eligibility rules, throwing a descriptive error if they are unusable
+ */
+function validateEligibilityRules(rules) {
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Eligibility rules must be an object');
+  }
+
+  Object.keys(rules).forEach(list => {
+    if (!RULE_LISTS.includes(list)) {
+      throw new Error(`Eligibility rules: unknown list ${list} (expected ${RULE_LISTS.join(', ')})`);
+    }
+    const criteria = rules[list] || {};
+    Object.keys(criteria).forEach(field => {
+      if (!RULE_FIELDS.includes(field)) {
+        throw new Error(`Eligibility rules: unknown field ${list}.${field} (expected ${RULE_FIELDS.join(', ')})`);
+      }
+      const values = criteria[field];
+      const valid = Array.isArray(values) && values.every(value => field === 'skus'
+        ? typeof value === 'string' && value.length > 0
+        : Number.isInteger(value) && value > 0);
+      if (!valid) {
+        throw new Error(`Eligibility rules: ${list}.${field} must be a list of ${field === 'skus' ? 'SKUs' : 'positive integer IDs'}`);
+      }
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Whether any rule needs catalog data (categories or brands) that line items do not carry
+ */
+function needsCatalogLookup(rules) {
+  return RULE_LISTS.some(list => {
+    const criteria = rules?.[list] || {};
+    return (criteria.categoryIds || []).length > 0 || (criteria.brandIds || []).length > 0;
+  });
+}
+
+function hasCriteria(criteria) {
+  return RULE_FIELDS.some(field => (criteria?.[field] || []).length > 0);
+}
+
+/**
+ * Describe why an item matches a set of criteria, or return null when it does not
+ * `product` is the catalog record ({ categoryIds, brandId }) when one was looked up
+ */
+function matchCriteria(item, criteria, product) {
+  if (!criteria) {
+    return null;
+  }
+  if (item.productId && (criteria.productIds || []).includes(item.productId)) {
+    return `product ${item.productId}`;
+  }
+  if (item.sku && (criteria.skus || []).includes(item.sku)) {
+    return `SKU ${item.sku}`;
+  }
+  const categoryId = (product?.categoryIds || []).find(id => (criteria.categoryIds || []).includes(id));
+  if (categoryId) {
+    return `category ${categoryId}`;
+  }
+  if (product?.brandId && (criteria.brandIds || []).includes(product.brandId)) {
+    return `brand ${product.brandId}`;
+  }
+  return null;
+}
+
+module.exports = {
+  validateEligibilityRules,
+  needsCatalogLookup,
+  hasCriteria,
+  matchCriteria
+};
@@ -0,0 +1,159 @@
+const logger = require('./logger');
+
+/**
+ * Machine-readable error codes returned as `code` in error responses, with their HTTP status
+ * Clients should branch on the code; messages are for people and may change.
+ */
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, description: 'The request does not match the endpoint schema; `details` lists each problem' },
+  INVALID_PROTECTION: { status: 400, description: 'protection must be 0 or 1' },
+  INVALID_CART_TOTAL: { status: 400, description: 'The cart total is missing or not a non-negative number' },
+  INVALID_CLAIM_ITEMS: { status: 400, description: 'Claim line items are missing, not insured or have an invalid quantity' },
+  INVALID_SETTINGS: { status: 400, description: 'The settings change is invalid; `details` lists each problem' },
+  INVALID_CARRIER: { status: 400, description: 'The carrier rate table is invalid; `details` lists each problem' },
+  INVALID_EXPERIMENT: { status: 400, description: 'The experiment definition is invalid; `details` lists each problem' },
+  INVALID_DATE_RANGE: { status: 400, description: 'from/to are not valid dates or from is after to' },
+  INVALID_STORE_HASH: { status: 400, description: 'The store hash is malformed' },
+  UNAUTHORIZED: { status: 401, description: 'Admin credentials or metrics token are missing or invalid' },
+  INVALID_WEBHOOK_SIGNATURE: { status: 401, description: 'The webhook delivery could not be verified' },
+  INVALID_SIGNED_PAYLOAD: { status: 401, description: 'The BigCommerce signed payload is invalid or expired' },
+  STOREFRONT_AUTH_REQUIRED: { status: 401, description: 'The storefront route needs a publishable key or storefront token' },
+  INVALID_STOREFRONT_CREDENTIALS: { status: 401, description: 'The publishable key or storefront token is not valid for this store' },
+  FORBIDDEN: { status: 403, description: 'The credentials are not allowed to use this endpoint or store' },
+  EMAIL_MISMATCH: { status: 403, description: 'The email does not match the order' },
+  ORIGIN_NOT_ALLOWED: { status: 403, description: 'The browser origin is not allowed to call the API' },
+  ROUTE_NOT_FOUND: { status: 404, description: 'No endpoint matches the method and path' },
+  STORE_NOT_FOUND: { status: 404, description: 'The store is unknown or the app is not installed' },
+  CART_NOT_FOUND: { status: 404, description: 'The cart does not exist (or has been converted to an order)' },
+  ORDER_NOT_FOUND: { status: 404, description: 'The order does not exist' },
+  ORDER_NOT_PROTECTED: { status: 404, description: 'The order did not buy shipping protection' },
+  POLICY_NOT_FOUND: { status: 404, description: 'No policy has been recorded for the order' },
+  CLAIM_NOT_FOUND: { status: 404, description: 'The claim (or photo) does not exist' },
+  CARRIER_NOT_FOUND: { status: 404, description: 'The freight carrier does not exist' },
+  CONSENT_NOT_FOUND: { status: 404, description: 'No protection decision has been recorded for the cart' },
+  EXPERIMENT_NOT_FOUND: { status: 404, description: 'The experiment does not exist' },
+  WIDGET_VERSION_NOT_FOUND: { status: 404, description: 'The requested widget version is not served' },
+  CART_TOTAL_MISMATCH: { status: 409, description: 'The client cart total disagrees with the BigCommerce cart' },
+  POLICY_NOT_ACTIVE: { status: 409, description: 'The policy is voided' },
+  DECISION_RECORDED: { status: 409, description: 'The cart already has a protection decision, so a default cannot be applied' },
+  CLAIM_WINDOW_CLOSED: { status: 409, description: 'The claim filing window for the order has passed' },
+  INVALID_CLAIM_TRANSITION: { status: 409, description: 'The claim cannot move to the requested status' },
+  EXPERIMENT_CONFLICT: { status: 409, description: 'Another experiment is running, or the experiment has started and its variants cannot change' },
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: { status: 409, description: 'A request with the same Idempotency-Key is still running' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, description: 'The Idempotency-Key was used for a different request' },
+  NOT_ELIGIBLE: { status: 422, description: 'Shipping protection is not offered for this cart' },
+  DESTINATION_NOT_SUPPORTED: { status: 422, description: 'Shipping protection is not offered for the shipping destination' },
+  RATE_LIMITED: { status: 429, description: 'Too many requests from this client or for this cart; retry after `Retry-After` seconds' },
+  INTERNAL_ERROR: { status: 500, description: 'Unexpected server error; quote the requestId when reporting it' },
+  BC_AUTH_FAILED: { status: 502, description: 'BigCommerce rejected the store credentials' },
+  BC_REQUEST_FAILED: { status: 502, description: 'BigCommerce rejected or failed the request' },
+  RECONCILE_FAILED: { status: 502, description: 'The cart kept changing while protection was being applied' },
+  APP_INSTALL_FAILED: { status: 502, description: 'The app installation could not be completed with BigCommerce' },
+  BC_RATE_LIMITED: { status: 503, description: 'The BigCommerce API rate limit is used up; retry later' },
+  UPSTREAM_UNAVAILABLE: { status: 503, description: 'BigCommerce is unreachable or failing; retry later' },
+  NOT_CONFIGURED: { status: 503, description: 'A setting this endpoint needs is not configured on the server' }
+};
+
+// Codes for errors that carry only an HTTP status
+const STATUS_CODES = {
+  400: 'VALIDATION_FAILED',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  502: 'BC_REQUEST_FAILED',
+  503: 'UPSTREAM_UNAVAILABLE'
+};
+
+/**
+ * Build an error for a code from ERROR_CODES
+ * `extra` may carry `details` (a list of problems) and `fields` (extra response body fields).
+ */
+function apiError(code, message, extra = {}) {
+  if (!ERROR_CODES[code]) {
+    throw new Error(`Unknown error code: ${code}`);
+  }
+  const error = new Error(message);
+  error.status = ERROR_CODES[code].status;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Turn a failed BigCommerce call (axios error) into an API error
+ * `notFound` is the code to use when BigCommerce answers 404 (e.g. CART_NOT_FOUND).
+ * Errors that already have a code are returned unchanged; non-BigCommerce errors give null.
+ */
+function fromBigCommerce(error, { notFound = null, message = null } = {}) {
+  if (error.code && ERROR_CODES[error.code]) {
+    return error;
+  }
+  if (!error.isAxiosError && !error.response) {
+    return null;
+  }
+
+  const status = error.response?.status;
+  const detail = error.response?.data?.title || error.response?.data?.error || error.message;
+  if (status === 404 && notFound) {
+    return apiError(notFound, message || detail);
+  }
+  if (status === 401 || status === 403) {
+    return apiError('BC_AUTH_FAILED', 'BigCommerce API authentication failed. Please check the store credentials.');
+  }
+  if (status === 429) {
+    return apiError('BC_RATE_LIMITED', 'BigCommerce API rate limit reached; retry later');
+  }
+  if (!status || status >= 500) {
+    return apiError('UPSTREAM_UNAVAILABLE', `BigCommerce is unavailable: ${detail}`);
+  }
+  return apiError('BC_REQUEST_FAILED', `BigCommerce API error: ${status} - ${detail}`, { upstreamStatus: status });
+}
+
+/**
+ * The code and status to report for any error
+ */
+function toApiError(error) {
+  if (error.code && ERROR_CODES[error.code]) {
+    error.status = error.status || ERROR_CODES[error.code].status;
+    return error;
+  }
+  const upstream = fromBigCommerce(error);
+  if (upstream) {
+    return upstream;
+  }
+  if (error.status && error.status < 500) {
+    // body-parser errors (malformed JSON, oversized bodies) and other plain status errors
+    return Object.assign(error, { code: STATUS_CODES[error.status] || 'VALIDATION_FAILED' });
+  }
+  if (error.status) {
+    return Object.assign(error, { code: STATUS_CODES[error.status] || 'INTERNAL_ERROR' });
+  }
+  return apiError('INTERNAL_ERROR', error.message || 'Internal server error', { cause: error });
+}
+
+/**
+ * Send an error response: { success: 0, error, code, details?, requestId?, ...fields }
+ * Server errors are logged with their cause and carry the request ID for support.
+ */
+function sendError(res, error) {
+  const apiErr = toApiError(error);
+  const body = { success: 0, error: apiErr.message, code: apiErr.code, ...apiErr.fields };
+  if (apiErr.details) {
+    body.details = apiErr.details;
+  }
+
+  if (apiErr.status >= 500) {
+    logger.error('Request failed', { code: apiErr.code, error: apiErr.cause || error });
+    body.requestId = res.req?.id;
+  } else {
+    logger.info('Request rejected', { code: apiErr.code, message: apiErr.message });
+  }
+  return res.status(apiErr.status).json(body);
+}
+
+module.exports = {
+  ERROR_CODES,
+  apiError,
+  fromBigCommerce,
+  toApiError,
+  sendError
+};
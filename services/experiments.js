@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { validateSettings, mergeSettings } = require('./settings');
+const { getVariantSummary } = require('./analytics');
+const { apiError } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * A/B experiments on premium rates and widget presentation
+ *
+ * An experiment splits carts between variants:
+ * {
+ *   id, name, status: 'draft' | 'running' | 'stopped',
+ *   variants: [{
+ *     name, weight,             // share of carts, relative to the other variants' weights
+ *     pricingRules?,            // replaces the store's pricing rules
+ *     selection?,               // 'opt-in' | 'opt-out'
+ *     widget?                   // merged into the store's widget settings (copy, defaultState)
+ *   }]
+ * }
+ *
+ * Each cart is assigned to a variant by hashing the experiment and cart IDs, so the same
+ * cart always lands in the same variant. The assignment is stored once the cart has been read
+ * from BigCommerce (requests naming carts that do not exist leave nothing behind), and the
+ * protection item added under it and the eventual order are tagged with it.
+ * At most one experiment runs at a time; a variant without overrides is the control.
+ */
+
+const STATUSES = ['draft', 'running', 'stopped'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MAX_VARIANTS = 10;
+// Settings a variant may change; everything else is the store's
+const VARIANT_SETTINGS = ['pricingRules', 'selection', 'widget'];
+
+// Order metafield holding the experiment an order was placed under
+const ORDER_METAFIELD = { namespace: 'shipping_protection', key: 'experiment' };
+
+function getCollections(context) {
+  return {
+    experiments: context.data.collection('experiments', 'id'),
+    assignments: context.data.collection('experiment_assignments', 'cartId')
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate an experiment definition, returning a list of problems (empty when valid)
+ */
+function validateExperiment(experiment) {
+  if (!isPlainObject(experiment)) {
+    return ['Experiment must be an object'];
+  }
+
+  const errors = [];
+  if (experiment.name !== undefined && (typeof experiment.name !== 'string' || experiment.name.length > 200)) {
+    errors.push('name must be a string of at most 200 characters');
+  }
+  if (experiment.status !== undefined && !STATUSES.includes(experiment.status)) {
+    errors.push(`status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  const { variants } = experiment;
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    errors.push(`variants must be a list of 2 to ${MAX_VARIANTS} variants`);
+    return errors;
+  }
+
+  const names = new Set();
+  variants.forEach((variant, index) => {
+    if (!isPlainObject(variant)) {
+      errors.push(`variants[${index}] must be an object`);
+      return;
+    }
+    const label = typeof variant.name === 'string' ? variant.name : `#${index}`;
+    if (typeof variant.name !== 'string' || !ID_PATTERN.test(variant.name)) {
+      errors.push(`variants[${index}].name must be lowercase letters, digits and dashes`);
+    } else if (names.has(variant.name)) {
+      errors.push(`Variant names must be unique: ${variant.name}`);
+    }
+    names.add(variant.name);
+
+    if (variant.weight !== undefined && (typeof variant.weight !== 'number' || !isFinite(variant.weight) || variant.weight <= 0)) {
+      errors.push(`Variant ${label}: weight must be a positive number`);
+    }
+    Object.keys(variant).forEach(key => {
+      if (!['name', 'weight', ...VARIANT_SETTINGS].includes(key)) {
+        errors.push(`Variant ${label}: unknown field ${key} (variants can change ${VARIANT_SETTINGS.join(', ')})`);
+      }
+    });
+
+    const overrides = Object.fromEntries(VARIANT_SETTINGS.filter(key => variant[key] !== undefined).map(key => [key, variant[key]]));
+    validateSettings(overrides).forEach(error => errors.push(`Variant ${label}: ${error}`));
+  });
+
+  return errors;
+}
+
+function normalizeVariant(variant) {
+  const normalized = { name: variant.name, weight: variant.weight || 1 };
+  VARIANT_SETTINGS.forEach(key => {
+    if (variant[key] !== undefined && variant[key] !== null) {
+      normalized[key] = variant[key];
+    }
+  });
+  return normalized;
+}
+
+function listExperiments(context) {
+  return getCollections(context).experiments.all().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getExperiment(context, experimentId) {
+  return getCollections(context).experiments.get(experimentId);
+}
+
+/**
+ * The experiment carts are currently split by, or null
+ */
+function getRunningExperiment(context) {
+  return getCollections(context).experiments.all(experiment => experiment.status === 'running')[0] || null;
+}
+
+/**
+ * Create or replace an experiment
+ * Variants cannot change once the experiment has started, since carts already assigned
+ * would be compared against a different split; create a new experiment instead. Starting
+ * an experiment while another one runs is refused.
+ * `actor` describes who made the change: { type: 'api_key' | 'session', user }
+ * Returns { experiment, created }
+ */
+function saveExperiment(context, experimentId, definition, actor) {
+  if (!ID_PATTERN.test(experimentId)) {
+    throw apiError('VALIDATION_FAILED', 'Experiment ID must be lowercase letters, digits and dashes');
+  }
+  const errors = validateExperiment(definition);
+  if (errors.length > 0) {
+    throw apiError('INVALID_EXPERIMENT', `Invalid experiment: ${errors.join('; ')}`, { details: errors });
+  }
+
+  const { experiments } = getCollections(context);
+  const existing = experiments.get(experimentId);
+  const variants = definition.variants.map(normalizeVariant);
+  if (existing?.startedAt && JSON.stringify(variants) !== JSON.stringify(existing.variants)) {
+    throw apiError('EXPERIMENT_CONFLICT', `Experiment ${experimentId} has started, so its variants cannot change; create a new experiment instead`);
+  }
+
+  const status = definition.status || existing?.status || 'draft';
+  const running = getRunningExperiment(context);
+  if (status === 'running' && running && running.id !== experimentId) {
+    throw apiError('EXPERIMENT_CONFLICT', `Experiment ${running.id} is already running; stop it first`);
+  }
+  if (status === 'draft' && existing?.startedAt) {
+    throw apiError('EXPERIMENT_CONFLICT', `Experiment ${experimentId} has started and cannot go back to draft`);
+  }
+
+  const now = new Date().toISOString();
+  const experiment = experiments.put({
+    id: experimentId,
+    name: definition.name ?? existing?.name ?? experimentId,
+    status,
+    variants,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    updatedBy: actor,
+    startedAt: existing?.startedAt || (status === 'running' ? now : null),
+    stoppedAt: status === 'stopped' ? (existing?.stoppedAt || now) : null
+  });
+
+  if (existing?.status !== status) {
+    logger.info('Experiment status changed', { storeHash: context.storeHash, experimentId, from: existing?.status || null, to: status });
+  }
+  return { experiment, created: !existing };
+}
+
+/**
+ * Pick a cart's variant: the cart's hash point on the experiment's cumulative weights
+ */
+function pickVariant(experiment, cartId) {
+  const digest = crypto.createHash('sha256').update(`${experiment.id}:${cartId}`).digest();
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = (digest.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  let cumulative = 0;
+  return experiment.variants.find(variant => (cumulative += variant.weight) > point) ||
+    experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * The variant of the running experiment a cart is in: its stored assignment, or else the
+ * one its hash picks. Nothing is stored.
+ * Returns { experiment, variant } or null when no experiment is running
+ */
+function findVariant(context, cartId) {
+  const experiment = getRunningExperiment(context);
+  if (!experiment || typeof cartId !== 'string' || !cartId) {
+    return null;
+  }
+
+  const existing = getCollections(context).assignments.get(cartId);
+  const name = existing?.experimentId === experiment.id ? existing.variant : pickVariant(experiment, cartId).name;
+  return { experiment, variant: experiment.variants.find(variant => variant.name === name) };
+}
+
+/**
+ * The store context as a cart sees it: the store's settings with the cart's variant applied
+ * Adds `experiment: { id, variant }` to the context, which analytics events pick up.
+ * Returns the context unchanged when no experiment is running or there is no cart.
+ * Nothing is stored: call recordAssignment once the cart has been read from BigCommerce.
+ */
+function applyExperiment(context, cartId) {
+  const assignment = findVariant(context, cartId);
+  if (!assignment) {
+    return context;
+  }
+
+  const { experiment, variant } = assignment;
+  const overrides = Object.fromEntries(VARIANT_SETTINGS.filter(key => variant[key] !== undefined).map(key => [key, variant[key]]));
+  const settings = mergeSettings(context.settings, overrides);
+  return {
+    ...context,
+    settings,
+    pricingRules: settings.pricingRules,
+    selection: settings.selection,
+    experiment: { id: experiment.id, variant: variant.name }
+  };
+}
+
+/**
+ * A cart's stored assignment: { cartId, experimentId, variant, assignedAt, itemId }
+ */
+function getAssignment(context, cartId) {
+  return getCollections(context).assignments.get(cartId);
+}
+
+/**
+ * Store a cart's assignment to the variant applied to `context` (see applyExperiment)
+ * Only for carts read from BigCommerce, so made-up cart IDs cannot fill the store or the
+ * experiment report. `itemId` records the protection line item (or fee) added under the
+ * variant: BigCommerce line items cannot carry data of their own. A no-op outside experiments.
+ */
+function recordAssignment(context, cartId, itemId = null) {
+  if (!context.experiment) {
+    return;
+  }
+  const { assignments } = getCollections(context);
+  const existing = assignments.get(cartId);
+  const current = existing?.experimentId === context.experiment.id ? existing : null;
+  if (current && (!itemId || current.itemId === itemId)) {
+    return;
+  }
+  assignments.put({
+    cartId,
+    experimentId: context.experiment.id,
+    variant: context.experiment.variant,
+    assignedAt: current?.assignedAt || new Date().toISOString(),
+    itemId: itemId || current?.itemId || null
+  });
+}
+
+/**
+ * Tag a BigCommerce order with the experiment its cart was in, as an order metafield
+ * Never throws: the experiment is also kept on the policy, so a failed write is only logged.
+ */
+async function tagOrder(context, orderId, { id, variant }) {
+  try {
+    await context.bigcommerce.createOrderMetafield(orderId, {
+      ...ORDER_METAFIELD,
+      value: JSON.stringify({ experimentId: id, variant }),
+      permission_set: 'app_only',
+      description: 'Shipping protection experiment variant'
+    });
+  } catch (error) {
+    logger.warn('Could not tag order with experiment', { orderId, experimentId: id, error });
+  }
+}
+
+/**
+ * Number of carts assigned to each variant of an experiment
+ */
+function countAssignments(context, experimentId) {
+  const counts = {};
+  getCollections(context).assignments.all(assignment => assignment.experimentId === experimentId).forEach(assignment => {
+    counts[assignment.variant] = (counts[assignment.variant] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Compare an experiment's variants: attach rate, premium collected and premium per quote
+ * The range defaults to the day the experiment started through now: only its carts' events
+ * carry its ID, and their orders may come in after it stops.
+ * Returns { experiment, from, to, currency, variants: [{ variant, weight, share, assignedCarts, ...figures }] }
+ * where share is the variant's intended share of carts (0-1)
+ */
+function getExperimentReport(context, experimentId, { from, to } = {}) {
+  const experiment = getExperiment(context, experimentId);
+  if (!experiment) {
+    throw apiError('EXPERIMENT_NOT_FOUND', `Experiment not found: ${experimentId}`);
+  }
+
+  const { variants, ...summary } = getVariantSummary(
+    context,
+    experiment.id,
+    experiment.variants.map(variant => variant.name),
+    { from: from || (experiment.startedAt || experiment.createdAt).slice(0, 10), to }
+  );
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const assigned = countAssignments(context, experiment.id);
+
+  return {
+    experiment: { id: experiment.id, name: experiment.name, status: experiment.status, startedAt: experiment.startedAt, stoppedAt: experiment.stoppedAt },
+    ...summary,
+    variants: variants.map((figures, index) => ({
+      variant: figures.variant,
+      weight: experiment.variants[index].weight,
+      share: parseFloat((experiment.variants[index].weight / totalWeight).toFixed(4)),
+      assignedCarts: assigned[figures.variant] || 0,
+      ...figures
+    }))
+  };
+}
+
+module.exports = {
+  listExperiments,
+  getExperiment,
+  getRunningExperiment,
+  saveExperiment,
+  applyExperiment,
+  getAssignment,
+  recordAssignment,
+  tagOrder,
+  getExperimentReport
+};
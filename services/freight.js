@@ -0,0 +1,416 @@
+const config = require('../config/config');
+const { getCartCurrency, getCartProductIds } = require('./cartValue');
+const { getProductInfo } = require('./catalog');
+const { normalizeCurrency, getCurrencyDecimals, getExchangeRate, toBaseAmount } = require('./pricing');
+const { apiError } = require('./errors');
+
+// NMFC freight classes, lowest (dense, cheap) to highest
+const FREIGHT_CLASSES = [50, 55, 60, 65, 70, 77.5, 85, 92.5, 100, 110, 125, 150, 175, 200, 250, 300, 400, 500];
+
+// Density guideline: the first row whose minimum density (lb/ft³) the item reaches gives its class
+const DENSITY_CLASSES = [
+  [50, 50], [35, 55], [30, 60], [22.5, 65], [15, 70], [13.5, 77.5], [12, 85], [10.5, 92.5],
+  [9, 100], [8, 110], [7, 125], [6, 150], [5, 175], [4, 200], [3, 250], [2, 300], [1, 400], [0, 500]
+];
+
+const POUNDS_PER = { lb: 1, oz: 1 / 16, kg: 2.20462, g: 0.00220462 };
+const INCHES_PER = { in: 1, cm: 1 / 2.54 };
+
+// Product custom fields merchants can set to steer freight handling
+const CUSTOM_FIELDS = {
+  ltlRequired: 'ltl_required',
+  freightClass: 'freight_class'
+};
+
+const CARRIER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const ACCESSORIAL_PATTERN = /^[a-z][a-zA-Z0-9]{0,39}$/;
+
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Freight class for a density in lb/ft³
+ */
+function getFreightClass(density) {
+  return DENSITY_CLASSES.find(([minDensity]) => density >= minDensity)[1];
+}
+
+/**
+ * Read a freight class from a custom field value ("92.5", "class 70"); null when it is not one
+ */
+function parseFreightClass(value) {
+  const freightClass = parseFloat(String(value ?? '').replace(/^class\s*/i, ''));
+  return FREIGHT_CLASSES.includes(freightClass) ? freightClass : null;
+}
+
+function isTruthyField(value) {
+  return ['true', 'yes', '1', 'y'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Work out what a cart would ship as and whether it needs LTL freight
+ * `products` is the catalog info from services/catalog.js. Weights are reported in lb,
+ * lengths in inches and volumes in ft³ whatever units the catalog uses.
+ *
+ * Returns {
+ *   ltlRequired, reasons: [string],
+ *   shipment: { totalWeight, totalCubicFeet, density, classes: [{ freightClass, weight }], items },
+ *   warnings: [string]
+ * }
+ */
+function analyzeShipment(cartData, products, options = {}) {
+  const settings = { ...config.freight, ...options };
+  const toPounds = POUNDS_PER[settings.weightUnit];
+  const toInches = INCHES_PER[settings.dimensionUnit];
+  const insuranceProductId = options.insuranceProductId || config.products.insuranceProductId;
+
+  const cart = cartData?.data || cartData || {};
+  const lineItems = cart.line_items || cart.lineItems || {};
+  const physicalItems = lineItems.physical_items || lineItems.physicalItems || [];
+  const customItems = lineItems.custom_items || lineItems.customItems || [];
+
+  const reasons = [];
+  const warnings = [];
+  const items = [];
+
+  physicalItems.forEach(item => {
+    const productId = item.product_id || item.productId;
+    if (productId === insuranceProductId) {
+      return;
+    }
+
+    const product = products[productId] || {};
+    const customFields = product.customFields || {};
+    const quantity = parseFloat(item.quantity) || 0;
+    const unitWeight = (parseFloat(product.weight) || 0) * toPounds;
+    const [length, width, height] = [product.width, product.height, product.depth]
+      .map(size => (parseFloat(size) || 0) * toInches)
+      .sort((a, b) => b - a);
+    const unitCubicFeet = (length * width * height) / 1728;
+
+    if (unitWeight <= 0) {
+      warnings.push(`"${item.name}" has no weight in the catalog`);
+    }
+
+    if (isTruthyField(customFields[CUSTOM_FIELDS.ltlRequired])) {
+      reasons.push(`"${item.name}" ships by freight only`);
+    }
+    if (unitWeight > settings.parcelMaxWeight) {
+      reasons.push(`"${item.name}" weighs ${round(unitWeight)} lb (parcel limit ${settings.parcelMaxWeight} lb)`);
+    }
+    if (length > settings.parcelMaxLength) {
+      reasons.push(`"${item.name}" is ${round(length)} in long (parcel limit ${settings.parcelMaxLength} in)`);
+    }
+    if (length + 2 * (width + height) > settings.parcelMaxLengthPlusGirth) {
+      reasons.push(
+        `"${item.name}" measures ${round(length + 2 * (width + height))} in length plus girth ` +
+        `(parcel limit ${settings.parcelMaxLengthPlusGirth} in)`
+      );
+    }
+
+    const density = unitCubicFeet > 0 ? unitWeight / unitCubicFeet : null;
+    let freightClass = parseFreightClass(customFields[CUSTOM_FIELDS.freightClass]);
+    let classSource = 'custom_field';
+    if (!freightClass && density !== null && unitWeight > 0) {
+      freightClass = getFreightClass(density);
+      classSource = 'density';
+    }
+    if (!freightClass) {
+      freightClass = settings.defaultFreightClass;
+      classSource = 'default';
+    }
+
+    items.push({
+      id: item.id,
+      productId,
+      sku: item.sku,
+      name: item.name,
+      quantity,
+      unitWeight: round(unitWeight),
+      weight: round(unitWeight * quantity),
+      cubicFeet: round(unitCubicFeet * quantity),
+      density: density !== null ? round(density) : null,
+      freightClass,
+      classSource
+    });
+  });
+
+  customItems.forEach(item => {
+    warnings.push(`Custom item "${item.name}" has no catalog weight or dimensions and is not counted`);
+  });
+
+  const totalWeight = round(items.reduce((sum, item) => sum + item.weight, 0));
+  const totalCubicFeet = round(items.reduce((sum, item) => sum + item.cubicFeet, 0));
+  if (totalWeight > settings.ltlWeightThreshold) {
+    reasons.push(`Shipment weighs ${totalWeight} lb (LTL from ${settings.ltlWeightThreshold} lb)`);
+  }
+
+  const weightByClass = new Map();
+  items.forEach(item => {
+    weightByClass.set(item.freightClass, (weightByClass.get(item.freightClass) || 0) + item.weight);
+  });
+  const classes = [...weightByClass.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([freightClass, weight]) => ({ freightClass, weight: round(weight) }));
+
+  return {
+    ltlRequired: reasons.length > 0,
+    reasons,
+    shipment: {
+      totalWeight,
+      totalCubicFeet,
+      density: totalCubicFeet > 0 ? round(totalWeight / totalCubicFeet) : null,
+      classes,
+      items
+    },
+    warnings
+  };
+}
+
+/**
+ * Validate a carrier rate table, returning a list of problems (empty when valid)
+ *
+ * {
+ *   name, enabled?, currency?, transitDays?, maxWeight?, minimumCharge?, fuelSurchargePercent?,
+ *   rates: { "<freight class>": [{ minWeight, ratePerCwt }] },   // lb, price per 100 lb
+ *   accessorials?: { liftgate: 85, residential: 95, ... }         // flat charges
+ * }
+ */
+function validateCarrier(carrier) {
+  const errors = [];
+  const isNonNegative = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+  if (carrier === null || typeof carrier !== 'object' || Array.isArray(carrier)) {
+    return ['Carrier must be an object'];
+  }
+  if (typeof carrier.name !== 'string' || !carrier.name.trim()) {
+    errors.push('name is required');
+  }
+  if (carrier.enabled !== undefined && typeof carrier.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (carrier.currency !== undefined && !normalizeCurrency(carrier.currency)) {
+    errors.push('currency must be a 3-letter currency code such as USD');
+  }
+  if (carrier.transitDays !== undefined && (!Number.isInteger(carrier.transitDays) || carrier.transitDays < 0)) {
+    errors.push('transitDays must be a non-negative integer');
+  }
+  ['maxWeight', 'minimumCharge', 'fuelSurchargePercent'].forEach(field => {
+    if (carrier[field] !== undefined && !isNonNegative(carrier[field])) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+
+  const rates = carrier.rates;
+  if (rates === null || typeof rates !== 'object' || Array.isArray(rates) || Object.keys(rates).length === 0) {
+    errors.push('rates must map freight classes to weight brackets');
+  } else {
+    Object.entries(rates).forEach(([freightClass, brackets]) => {
+      if (!FREIGHT_CLASSES.includes(parseFloat(freightClass))) {
+        errors.push(`rates.${freightClass}: not a freight class (expected one of ${FREIGHT_CLASSES.join(', ')})`);
+        return;
+      }
+      if (!Array.isArray(brackets) || brackets.length === 0) {
+        errors.push(`rates.${freightClass} must be a non-empty list of { minWeight, ratePerCwt }`);
+        return;
+      }
+      brackets.forEach((bracket, index) => {
+        if (!isNonNegative(bracket?.minWeight) || !isNonNegative(bracket?.ratePerCwt)) {
+          errors.push(`rates.${freightClass}[${index}] needs non-negative minWeight and ratePerCwt`);
+        } else if (index > 0 && bracket.minWeight <= brackets[index - 1].minWeight) {
+          errors.push(`rates.${freightClass}[${index}].minWeight must be greater than the previous bracket's`);
+        }
+      });
+    });
+  }
+
+  if (carrier.accessorials !== undefined) {
+    if (carrier.accessorials === null || typeof carrier.accessorials !== 'object' || Array.isArray(carrier.accessorials)) {
+      errors.push('accessorials must be an object of flat charges');
+    } else {
+      Object.entries(carrier.accessorials).forEach(([name, charge]) => {
+        if (!ACCESSORIAL_PATTERN.test(name)) {
+          errors.push(`accessorials.${name}: names must be camelCase letters and digits`);
+        } else if (!isNonNegative(charge)) {
+          errors.push(`accessorials.${name} must be a non-negative number`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Carrier rate tables collection for a store
+ */
+function getCarriers(context) {
+  return context.data.collection('freight_carriers', 'id');
+}
+
+function listCarriers(context) {
+  return getCarriers(context).all().sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Create or replace a carrier's rate table
+ * Returns { carrier, created }
+ */
+function saveCarrier(context, carrierId, carrier) {
+  if (!CARRIER_ID_PATTERN.test(carrierId)) {
+    throw apiError('VALIDATION_FAILED', 'Carrier ID must be lowercase letters, digits and dashes');
+  }
+  const errors = validateCarrier(carrier);
+  if (errors.length > 0) {
+    throw apiError('INVALID_CARRIER', 'Invalid carrier rate table', { details: errors });
+  }
+
+  const carriers = getCarriers(context);
+  const existing = carriers.get(carrierId);
+  const now = new Date().toISOString();
+  const record = carriers.put({
+    id: carrierId,
+    name: carrier.name.trim(),
+    enabled: carrier.enabled !== false,
+    currency: normalizeCurrency(carrier.currency) || context.pricingRules.baseCurrency || 'USD',
+    transitDays: carrier.transitDays ?? null,
+    maxWeight: carrier.maxWeight ?? null,
+    minimumCharge: carrier.minimumCharge || 0,
+    fuelSurchargePercent: carrier.fuelSurchargePercent || 0,
+    rates: carrier.rates,
+    accessorials: carrier.accessorials || {},
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  });
+  return { carrier: record, created: !existing };
+}
+
+function removeCarrier(context, carrierId) {
+  return getCarriers(context).remove(carrierId);
+}
+
+/**
+ * Convert a carrier amount into the cart's currency using the pricing rules' exchange rates
+ * Returns null when either rate is unknown
+ */
+function convertAmount(context, amount, fromCurrency, toCurrency) {
+  if (!toCurrency || fromCurrency === toCurrency) {
+    return amount;
+  }
+  const fromRate = getExchangeRate(context.pricingRules, fromCurrency);
+  const toRate = getExchangeRate(context.pricingRules, toCurrency);
+  return fromRate && toRate ? (amount / fromRate) * toRate : null;
+}
+
+/**
+ * Price a shipment with one carrier's rate table
+ * Each class is charged at the rate for the next class up the carrier publishes, using the
+ * weight bracket for the whole shipment. Returns { quote } or { reason } when the carrier
+ * cannot take the shipment.
+ */
+function rateCarrier(context, carrier, shipment, accessorials, currency) {
+  if (carrier.maxWeight && shipment.totalWeight > carrier.maxWeight) {
+    return { reason: `Shipment exceeds the carrier's ${carrier.maxWeight} lb limit` };
+  }
+
+  const missing = accessorials.filter(name => carrier.accessorials[name] === undefined);
+  if (missing.length > 0) {
+    return { reason: `Does not offer ${missing.join(', ')}` };
+  }
+
+  const publishedClasses = Object.keys(carrier.rates).map(parseFloat).sort((a, b) => a - b);
+  let linehaul = 0;
+  for (const { freightClass, weight } of shipment.classes) {
+    const ratedClass = publishedClasses.find(published => published >= freightClass);
+    if (ratedClass === undefined) {
+      return { reason: `No rate for class ${freightClass}` };
+    }
+    const brackets = carrier.rates[String(ratedClass)];
+    const bracket = [...brackets].reverse().find(entry => entry.minWeight <= shipment.totalWeight) || brackets[0];
+    linehaul += (weight / 100) * bracket.ratePerCwt;
+  }
+  linehaul = Math.max(linehaul, carrier.minimumCharge || 0);
+
+  const fuelSurcharge = linehaul * (carrier.fuelSurchargePercent || 0) / 100;
+  const accessorialCharges = Object.fromEntries(accessorials.map(name => [name, carrier.accessorials[name]]));
+  const total = linehaul + fuelSurcharge + Object.values(accessorialCharges).reduce((sum, charge) => sum + charge, 0);
+
+  // Quote in the cart's currency when the pricing rules can convert, else in the carrier's
+  const quoteCurrency = currency && convertAmount(context, 1, carrier.currency, currency) !== null
+    ? currency
+    : carrier.currency;
+  const decimals = getCurrencyDecimals(quoteCurrency);
+  const inQuoteCurrency = amount => round(convertAmount(context, amount, carrier.currency, quoteCurrency), decimals);
+
+  return {
+    quote: {
+      carrierId: carrier.id,
+      carrierName: carrier.name,
+      currency: quoteCurrency,
+      transitDays: carrier.transitDays ?? null,
+      linehaul: inQuoteCurrency(linehaul),
+      fuelSurcharge: inQuoteCurrency(fuelSurcharge),
+      accessorials: Object.fromEntries(Object.entries(accessorialCharges).map(([name, charge]) => [name, inQuoteCurrency(charge)])),
+      total: inQuoteCurrency(total)
+    }
+  };
+}
+
+/**
+ * Fetch a cart with the catalog details of its products and work out its shipment
+ */
+async function checkCart(context, cartId) {
+  const cartData = await context.bigcommerce.getCart(cartId);
+  const productIds = getCartProductIds(cartData).filter(productId => productId !== context.insuranceProductId);
+
+  const products = productIds.length > 0 ? await getProductInfo(context, productIds) : {};
+  return {
+    currency: getCartCurrency(cartData),
+    ...analyzeShipment(cartData, products, { insuranceProductId: context.insuranceProductId })
+  };
+}
+
+/**
+ * Check a cart and, when it needs LTL, quote it with every enabled carrier
+ * Quotes are in the cart's currency where the pricing rules' exchange rates allow, and sorted
+ * cheapest first; carriers that cannot take the shipment are listed
+ * in `unavailable` with the reason.
+ */
+async function quoteCart(context, cartId, accessorials = []) {
+  const result = await checkCart(context, cartId);
+  const quotes = [];
+  const unavailable = [];
+
+  if (result.ltlRequired) {
+    listCarriers(context)
+      .filter(carrier => carrier.enabled)
+      .forEach(carrier => {
+        const { quote, reason } = rateCarrier(context, carrier, result.shipment, accessorials, result.currency);
+        if (quote) {
+          quotes.push(quote);
+        } else {
+          unavailable.push({ carrierId: carrier.id, carrierName: carrier.name, reason });
+        }
+      });
+    // Quotes may be in different currencies when a carrier's cannot be converted
+    const inBase = quote => toBaseAmount(quote.total, context.pricingRules, quote.currency);
+    quotes.sort((a, b) => inBase(a) - inBase(b));
+  }
+
+  return { ...result, accessorials, quotes, unavailable };
+}
+
+module.exports = {
+  FREIGHT_CLASSES,
+  CUSTOM_FIELDS,
+  getFreightClass,
+  analyzeShipment,
+  validateCarrier,
+  listCarriers,
+  saveCarrier,
+  removeCarrier,
+  rateCarrier,
+  checkCart,
+  quoteCart
+};
@@ -0,0 +1,406 @@
+const config = require('../config/config');
+const { calculatePremium, toBaseAmount } = require('./pricing');
+const { getInsurableValue, getCartCurrency, getCartProductIds } = require('./cartValue');
+const { needsCatalogLookup } = require('./eligibilityRules');
+const { getProductInfo } = require('./catalog');
+const { recordConsent, isDefaultPending } = require('./consent');
+const { recordEvent } = require('./analytics');
+const { recordAssignment } = require('./experiments');
+const logger = require('./logger');
+const { apiError, fromBigCommerce } = require('./errors');
+
+const MAX_RECONCILE_ATTEMPTS = 3;
+
+// Checkout fee name that identifies protection in fee mode (shoppers see the display name)
+const PROTECTION_FEE_NAME = 'shipping_protection';
+const FEE_SOURCE = 'shipping-protection-app';
+
+// Tail of the queue of insurance operations for each cart, keyed by store and cart ID
+const cartLocks = new Map();
+
+/**
+ * Calculate insurance premium for a cart total using the store's pricing rules
+ * `currency` is the cart's currency (default: the rules' base currency) and `destinations`
+ * the cart's shipping destinations (see getShippingDestinations). A split shipment is priced
+ * for its most expensive destination, and any unsupported destination declines the cart.
+ * Returns { premium, tier, percentage, flatFee, currency, exchangeRate, destination }
+ */
+function calculateInsuranceAmount(context, cartTotal, currency = null, destinations = []) {
+  if (destinations.length === 0) {
+    return calculatePremium(cartTotal, context.pricingRules, currency);
+  }
+
+  const quotes = destinations.map(destination => calculatePremium(cartTotal, context.pricingRules, currency, destination));
+  return quotes.find(quote => !isDestinationSupported(quote)) ||
+    quotes.reduce((highest, quote) => (quote.premium > highest.premium ? quote : highest));
+}
+
+/**
+ * Whether a premium calculation's destination (if any) may be protected
+ */
+function isDestinationSupported(pricing) {
+  return pricing.destination?.supported !== false;
+}
+
+/**
+ * Shipping destinations of a cart's checkout, for destination-aware pricing
+ * Only read when the pricing rules have destinations. Empty until the shopper has
+ * entered a shipping address; one entry per consignment otherwise.
+ * Returns [{ countryCode, regionCode, shippingMethod }]
+ */
+async function getShippingDestinations(context, cartId) {
+  if (!context.pricingRules.destinations) {
+    return [];
+  }
+
+  let checkout;
+  try {
+    checkout = await context.bigcommerce.getCheckout(cartId);
+  } catch (error) {
+    throw apiError(fromBigCommerce(error)?.code || 'BC_REQUEST_FAILED', `Could not read the checkout's shipping destination: ${error.message}`);
+  }
+
+  return (checkout?.consignments || [])
+    .filter(consignment => consignment.shipping_address?.country_code)
+    .map(consignment => ({
+      countryCode: consignment.shipping_address.country_code,
+      regionCode: consignment.shipping_address.state_or_province_code || null,
+      shippingMethod: consignment.selected_shipping_option?.description || null
+    }));
+}
+
+/**
+ * Value a cart under the store's eligibility settings
+ * Looks up product categories and brands (cached) only when the rules need them.
+ * Returns { total, currency, items, excludedItems, blocked, blockedBy } (see getInsurableValue)
+ */
+async function valueCart(context, cartData) {
+  const { eligibility } = context.settings;
+  const rules = eligibility.rules || {};
+  const products = needsCatalogLookup(rules)
+    ? await getProductInfo(context, getCartProductIds(cartData))
+    : {};
+
+  return getInsurableValue(cartData, {
+    insuranceProductId: context.insuranceProductId,
+    basis: eligibility.valueBasis,
+    includeCustomItems: eligibility.includeCustomItems,
+    rules,
+    products
+  });
+}
+
+/**
+ * Get insurable value of the items in cart (excluding insurance product and excluded items)
+ * Handles both Admin API and Storefront API response formats
+ */
+async function getCartPrice(context, cartData) {
+  return (await valueCart(context, cartData)).total;
+}
+
+/**
+ * Whether protection is offered for an insured value under the store's eligibility settings
+ * The min/max cart totals are in the pricing rules' base currency. Pass the cart's
+ * valuation to also refuse carts holding a blocked item.
+ */
+function isEligible(context, insuredValue, currency = null, valuation = null) {
+  const { minCartTotal, maxCartTotal } = context.settings.eligibility;
+  if (valuation?.blocked) {
+    return false;
+  }
+  const baseValue = toBaseAmount(insuredValue, context.pricingRules, currency);
+  if (insuredValue <= 0 || baseValue < (minCartTotal || 0)) {
+    return false;
+  }
+  return maxCartTotal === null || maxCartTotal === undefined || baseValue <= maxCartTotal;
+}
+
+/**
+ * Find every insurance line item in a cart (there should be at most one)
+ * Handles both Admin API and Storefront API response formats
+ */
+function findInsuranceItems(context, cartData) {
+  // Storefront API format: cartData.data.line_items.digital_items
+  // Admin API format: cartData.data.line_items.digital_items (same)
+  const lineItems = cartData.data?.line_items || cartData.line_items;
+  const digitalItems = lineItems?.digital_items || [];
+
+  return digitalItems.filter(
+    item => (item.product_id || item.productId) === context.insuranceProductId
+  );
+}
+
+/**
+ * Find insurance product in cart
+ */
+function findInsuranceProduct(context, cartData) {
+  return findInsuranceItems(context, cartData)[0];
+}
+
+/**
+ * Find every protection fee on a checkout (there should be at most one)
+ */
+function findProtectionFees(checkout) {
+  return (checkout?.fees || []).filter(fee => fee.name === PROTECTION_FEE_NAME);
+}
+
+/**
+ * Whether a cart currently has protection, in the store's protection mode
+ * `cartData` may be passed when the cart was already fetched (product mode only needs it)
+ */
+async function hasProtection(context, cartId, cartData = null) {
+  if (context.protectionMode === 'fee') {
+    return findProtectionFees(await context.bigcommerce.getCheckout(cartId)).length > 0;
+  }
+  return Boolean(findInsuranceProduct(context, cartData || await context.bigcommerce.getCart(cartId)));
+}
+
+/**
+ * Run an insurance operation with exclusive access to a cart
+ * Operations on the same cart (API requests and webhooks alike) queue up and run one
+ * at a time in this process; a failed operation does not block the ones behind it.
+ */
+function withCartLock(context, cartId, operation) {
+  const key = `${context.storeHash || 'default'}:${cartId}`;
+  const previous = cartLocks.get(key) || Promise.resolve();
+  const result = previous.then(() => operation());
+  const tail = result.catch(() => {});
+
+  cartLocks.set(key, tail);
+  tail.then(() => {
+    if (cartLocks.get(key) === tail) {
+      cartLocks.delete(key);
+    }
+  });
+
+  return result;
+}
+
+function isCorrectItem(item, premium) {
+  const price = parseFloat(item.list_price ?? item.listPrice);
+  return item.quantity === 1 && Math.abs(price - premium) < 0.0001;
+}
+
+function isCorrectFee(fee, premium) {
+  const cost = parseFloat(fee.cost ?? fee.cost_ex_tax);
+  return Math.abs(cost - premium) < 0.0001;
+}
+
+function reconcileFailed(cartId) {
+  return apiError('RECONCILE_FAILED', `Could not reconcile insurance items in cart ${cartId}`);
+}
+
+/**
+ * Bring a cart to exactly one insurance item at `premium`, or none when premium is null
+ * A wrongly priced item is re-priced in place (so the cart is never briefly unprotected)
+ * and duplicates are removed, then the cart is fetched again to confirm the result.
+ * In fee mode the same is done with the checkout's protection fee instead.
+ * Must be called inside withCartLock; `cartData` may be passed when the cart was
+ * already fetched inside the same lock. For carts in an experiment, the protection item is
+ * tagged with the cart's variant.
+ * Returns { removed, added, updated, itemId } (itemId is the fee ID in fee mode)
+ */
+async function reconcileInsurance(context, cartId, premium, cartData = null) {
+  const summary = context.protectionMode === 'fee'
+    ? await reconcileFee(context, cartId, premium)
+    : await reconcileItem(context, cartId, premium, cartData);
+  if (summary.itemId) {
+    recordAssignment(context, cartId, summary.itemId);
+  }
+  return summary;
+}
+
+/**
+ * Product-mode reconcileInsurance: exactly one insurance line item at `premium`, or none
+ */
+async function reconcileItem(context, cartId, premium, cartData) {
+  const { bigcommerce } = context;
+  const summary = { removed: 0, added: 0, updated: 0, itemId: null };
+  cartData = cartData || await bigcommerce.getCart(cartId);
+
+  for (let attempt = 1; attempt <= MAX_RECONCILE_ATTEMPTS; attempt++) {
+    const items = findInsuranceItems(context, cartData);
+    const keep = premium === null ? null : items.find(item => isCorrectItem(item, premium));
+    const target = keep || (premium === null ? null : items[0] || null);
+    const extras = items.filter(item => item !== target);
+    if (items.length > 1) {
+      logger.info('Removing duplicate insurance items', { cartId, count: items.length });
+    }
+
+    if (extras.length === 0 && (premium === null || keep)) {
+      summary.itemId = keep ? keep.id : null;
+      return summary;
+    }
+
+    for (const item of extras) {
+      await bigcommerce.removeCartItem(cartId, item.id);
+      summary.removed++;
+    }
+    if (premium !== null && !target) {
+      await bigcommerce.addCartItem(cartId, context.insuranceProductId, 1, premium);
+      summary.added++;
+    } else if (premium !== null && !keep) {
+      await bigcommerce.updateCartItem(cartId, target.id, context.insuranceProductId, 1, premium);
+      summary.updated++;
+    }
+
+    try {
+      cartData = await bigcommerce.getCart(cartId);
+    } catch (error) {
+      // Removing the last line item deletes the cart, which leaves nothing to reconcile
+      if (error.status === 404 && premium === null) {
+        return summary;
+      }
+      throw error;
+    }
+  }
+
+  throw reconcileFailed(cartId);
+}
+
+/**
+ * Fee-mode counterpart of reconcileInsurance: exactly one protection fee at `premium`
+ * on the cart's checkout, or none when premium is null
+ */
+async function reconcileFee(context, cartId, premium) {
+  const { bigcommerce } = context;
+  const summary = { removed: 0, added: 0, updated: 0, itemId: null };
+  const fee = {
+    name: PROTECTION_FEE_NAME,
+    displayName: config.insurance.fee.displayName,
+    cost: premium,
+    source: FEE_SOURCE,
+    taxClassId: config.insurance.fee.taxClassId
+  };
+
+  for (let attempt = 1; attempt <= MAX_RECONCILE_ATTEMPTS; attempt++) {
+    const checkout = await bigcommerce.getCheckout(cartId);
+    if (!checkout) {
+      // A deleted cart has no protection to remove
+      if (premium === null) {
+        return summary;
+      }
+      throw apiError('CART_NOT_FOUND', `Cart not found: ${cartId}`);
+    }
+
+    const fees = findProtectionFees(checkout);
+    const keep = premium === null ? null : fees.find(existing => isCorrectFee(existing, premium));
+    const target = keep || (premium === null ? null : fees[0] || null);
+    const extras = fees.filter(existing => existing !== target);
+
+    if (extras.length === 0 && (premium === null || keep)) {
+      summary.itemId = keep ? keep.id : null;
+      return summary;
+    }
+
+    if (extras.length > 0) {
+      await bigcommerce.removeCheckoutFees(cartId, extras.map(existing => existing.id));
+      summary.removed += extras.length;
+    }
+    if (premium !== null && !target) {
+      await bigcommerce.addCheckoutFee(cartId, fee);
+      summary.added++;
+    } else if (premium !== null && !keep) {
+      await bigcommerce.updateCheckoutFee(cartId, target.id, fee);
+      summary.updated++;
+    }
+  }
+
+  throw reconcileFailed(cartId);
+}
+
+/**
+ * Re-price the insurance item already in a cart from the cart's current contents
+ * Never adds protection the shopper has not chosen: carts without the insurance
+ * item are left alone. When the cart is no longer eligible, or now ships somewhere that
+ * is not supported, the item is removed.
+ * Returns { action: 'none' | 'repriced' | 'removed', insuranceAmount, insuredValue, currency }
+ */
+function repriceCart(context, cartId) {
+  return withCartLock(context, cartId, async () => {
+    const cartData = await context.bigcommerce.getCart(cartId);
+    const currency = getCartCurrency(cartData);
+
+    if (!await hasProtection(context, cartId, cartData)) {
+      return { action: 'none', insuranceAmount: 0, insuredValue: null, currency };
+    }
+
+    const valuation = await valueCart(context, cartData);
+    const insuredValue = valuation.total;
+    const pricing = calculateInsuranceAmount(context, insuredValue, currency, await getShippingDestinations(context, cartId));
+
+    if (!isEligible(context, insuredValue, currency, valuation) || !isDestinationSupported(pricing)) {
+      await reconcileInsurance(context, cartId, null, cartData);
+      return { action: 'removed', insuranceAmount: 0, insuredValue, currency };
+    }
+
+    // Our own cart changes fire cart webhooks too; a correctly priced item means nothing to do
+    const result = await reconcileInsurance(context, cartId, pricing.premium, cartData);
+    const action = result.added > 0 || result.updated > 0 || result.removed > 0 ? 'repriced' : 'none';
+
+    return { action, insuranceAmount: pricing.premium, insuredValue, tier: pricing.tier, currency: pricing.currency };
+  });
+}
+
+/**
+ * Pre-select protection for a cart under opt-out selection
+ * Only carts nobody has decided about yet are touched: protection is added (when the cart
+ * is eligible) and recorded as accepted by default, so a shopper who later removes it is
+ * never opted back in. Ineligible carts are left undecided and tried again next time.
+ * `trigger` is recorded with the decision (cart_fetch, quote, cart_created, update).
+ * Must be called inside withCartLock with the cart fetched in the same lock; see
+ * applyDefaultProtection otherwise.
+ * Returns { action: 'added' | 'none', insuranceAmount, insuredValue, currency }
+ */
+async function preselectProtection(context, cartId, cartData, trigger) {
+  const currency = getCartCurrency(cartData);
+  const none = { action: 'none', insuranceAmount: 0, insuredValue: null, currency };
+  if (!isDefaultPending(context, cartId) || await hasProtection(context, cartId, cartData)) {
+    return none;
+  }
+
+  const valuation = await valueCart(context, cartData);
+  const insuredValue = valuation.total;
+  const pricing = calculateInsuranceAmount(context, insuredValue, currency, await getShippingDestinations(context, cartId));
+  if (!isEligible(context, insuredValue, currency, valuation) || !isDestinationSupported(pricing)) {
+    return { ...none, insuredValue };
+  }
+
+  await reconcileInsurance(context, cartId, pricing.premium, cartData);
+  recordConsent(context, cartId, 'accepted', 'default', { trigger, premium: pricing.premium, currency: pricing.currency });
+  recordEvent(context, 'added', { cartId, insuredValue, premium: pricing.premium, tier: pricing.tier, currency: pricing.currency, source: 'default' });
+  return { action: 'added', insuranceAmount: pricing.premium, insuredValue, currency: pricing.currency };
+}
+
+/**
+ * preselectProtection under the cart's lock; a no-op (without fetching the cart) for
+ * opt-in stores and carts that already have a decision
+ */
+async function applyDefaultProtection(context, cartId, trigger) {
+  if (!isDefaultPending(context, cartId)) {
+    return { action: 'none', insuranceAmount: 0, insuredValue: null, currency: null };
+  }
+  return withCartLock(context, cartId, async () => {
+    const cartData = await context.bigcommerce.getCart(cartId);
+    return preselectProtection(context, cartId, cartData, trigger);
+  });
+}
+
+module.exports = {
+  PROTECTION_FEE_NAME,
+  calculateInsuranceAmount,
+  isDestinationSupported,
+  getShippingDestinations,
+  valueCart,
+  getCartPrice,
+  isEligible,
+  findInsuranceItems,
+  findInsuranceProduct,
+  findProtectionFees,
+  hasProtection,
+  withCartLock,
+  reconcileInsurance,
+  repriceCart,
+  preselectProtection,
+  applyDefaultProtection
+};
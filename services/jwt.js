@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function signature(input, secret) {
+  return crypto.createHmac('sha256', secret).update(input).digest('base64url');
+}
+
+/**
+ * Sign claims as an HS256 JWT
+ */
+function sign(claims, secret) {
+  const input = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(claims)}`;
+  return `${input}.${signature(input, secret)}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * Checks the signature and the exp/nbf times; callers check audience and subject
+ */
+function verify(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [headerSegment, payloadSegment, tokenSignature] = parts;
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(headerSegment);
+    claims = decodeSegment(payloadSegment);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+  if (!safeEqual(tokenSignature, signature(`${headerSegment}.${payloadSegment}`, secret))) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp && claims.exp < now) {
+    throw new Error('Token has expired');
+  }
+  // Allow a minute of clock skew
+  if (claims.nbf && claims.nbf > now + 60) {
+    throw new Error('Token is not valid yet');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  safeEqual,
+  sign,
+  verify
+};
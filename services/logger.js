@@ -0,0 +1,112 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config/config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Credentials: never logged, whatever the level
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key|cookie|signature|credential/i;
+// Customer details: masked so logs can be kept and shared
+const PII_KEY_PATTERN = /^(e-?mail|customer_?email|phone|first_?name|last_?name|customer_?name|name_on_card|company|street_?[12]?|address_?[12]?|city|zip|postal_?code|billing_?address|shipping_?address(es)?)$/i;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const MAX_DEPTH = 6;
+
+// Per-request fields (requestId, storeHash) added to every line logged while handling it
+const requestScope = new AsyncLocalStorage();
+
+/**
+ * Copy a value with credentials and customer details masked
+ * Errors keep their name, message, status and code; axios errors also keep the
+ * BigCommerce response status and body (but never the request headers).
+ */
+function redact(value, depth = 0) {
+  if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.replace(EMAIL_PATTERN, '[email]');
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redact(value.message) };
+    ['status', 'code'].forEach(field => {
+      if (value[field] !== undefined) {
+        error[field] = value[field];
+      }
+    });
+    if (value.response) {
+      error.responseStatus = value.response.status;
+      error.responseData = redact(value.response.data, depth + 1);
+    }
+    if (!value.response && !value.status && value.stack) {
+      error.stack = value.stack;
+    }
+    return error;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      if (SECRET_KEY_PATTERN.test(key) && typeof value[key] !== 'boolean') {
+        copy[key] = value[key] ? '[redacted]' : value[key];
+      } else if (PII_KEY_PATTERN.test(key)) {
+        copy[key] = value[key] ? '[pii]' : value[key];
+      } else {
+        copy[key] = redact(value[key], depth + 1);
+      }
+    });
+    return copy;
+  }
+  return String(value);
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < LEVELS[config.logging.level]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redact(message),
+    ...requestScope.getStore(),
+    ...redact(fields || {})
+  };
+  const output = level === 'error' ? console.error : (level === 'warn' ? console.warn : console.log);
+
+  if (config.logging.format === 'json') {
+    output(JSON.stringify(entry));
+    return;
+  }
+
+  const { time, level: _level, msg, requestId, ...rest } = entry;
+  const context = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  output(`${time} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''} ${msg}${context}`);
+}
+
+/**
+ * Run `fn` with per-request fields attached to everything it logs
+ */
+function runWithContext(fields, fn) {
+  return requestScope.run({ ...requestScope.getStore(), ...fields }, fn);
+}
+
+/**
+ * The ID of the request being handled, if any
+ */
+function getRequestId() {
+  return requestScope.getStore()?.requestId || null;
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  runWithContext,
+  getRequestId,
+  redact
+};
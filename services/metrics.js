@@ -0,0 +1,156 @@
+// In-process metrics in the Prometheus text format
+// Each server instance (or serverless instance) keeps its own figures from when it started.
+
+const DURATION_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const startedAt = Date.now();
+
+function labelKey(labels) {
+  return JSON.stringify(labels);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const current = this.values.get(key) || { labels, value: 0 };
+    current.value += amount;
+    this.values.set(key, current);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    this.values.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    const current = this.values.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        current.counts[index]++;
+      }
+    });
+    current.sum += value;
+    current.count++;
+    this.values.set(key, current);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.values.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${parseFloat(sum.toFixed(6))}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+const httpRequests = new Counter('http_requests_total', 'HTTP requests handled, by route and status code');
+const httpDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency in seconds');
+const bigcommerceRequests = new Counter('bigcommerce_requests_total', 'BigCommerce API calls (each attempt), by endpoint and outcome');
+const bigcommerceDuration = new Histogram('bigcommerce_request_duration_seconds', 'BigCommerce API call latency in seconds');
+const protectionEvents = new Counter('shipping_protection_events_total', 'Shipping protection events (added, removed, updated, order_placed, ...)');
+
+/**
+ * Record a handled HTTP request
+ * `route` is the matched route pattern (e.g. /api/cart/:cartId), never the raw path
+ */
+function observeRequest({ method, route, status, durationMs }) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, durationMs / 1000);
+}
+
+/**
+ * Outcome label for a BigCommerce call from its response status (or error code)
+ */
+function getOutcome(status, errorCode) {
+  if (errorCode === 'UPSTREAM_UNAVAILABLE') {
+    return 'circuit_open';
+  }
+  if (!status) {
+    return errorCode === 'ECONNABORTED' || errorCode === 'ETIMEDOUT' ? 'timeout' : 'network_error';
+  }
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status >= 500) {
+    return 'server_error';
+  }
+  return status >= 400 ? 'client_error' : 'success';
+}
+
+/**
+ * Record a BigCommerce API call attempt
+ */
+function observeBigCommerceCall({ method, endpoint, status, errorCode, durationMs }) {
+  bigcommerceRequests.inc({ method, endpoint, outcome: getOutcome(status, errorCode) });
+  if (durationMs !== undefined) {
+    bigcommerceDuration.observe({ method, endpoint }, durationMs / 1000);
+  }
+}
+
+/**
+ * Count a shipping protection event (see services/analytics.js EVENT_TYPES)
+ */
+function countProtectionEvent(type) {
+  protectionEvents.inc({ type });
+}
+
+/**
+ * All metrics in the Prometheus text exposition format
+ */
+function render() {
+  const memory = process.memoryUsage();
+  const lines = [
+    ...httpRequests.render(),
+    ...httpDuration.render(),
+    ...bigcommerceRequests.render(),
+    ...bigcommerceDuration.render(),
+    ...protectionEvents.render(),
+    '# HELP process_uptime_seconds Seconds since this instance started',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${Math.round((Date.now() - startedAt) / 1000)}`,
+    '# HELP process_resident_memory_bytes Resident memory size in bytes',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${memory.rss}`
+  ];
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  observeRequest,
+  observeBigCommerceCall,
+  countProtectionEvent,
+  render
+};
@@ -0,0 +1,74 @@
+const config = require('../config/config');
+
+// Hosted BigCommerce storefronts and the control panel
+const BIGCOMMERCE_SUFFIXES = ['.mybigcommerce.com', '.bigcommerce.com'];
+
+/**
+ * Parse an allowed-origin entry: an exact origin (https://shop.example.com) or a
+ * subdomain wildcard (https://*.example.com, which does not match example.com itself)
+ * Throws on entries that are not origins, so typos fail at startup instead of silently
+ */
+function compileOriginRule(entry) {
+  const wildcard = /^(https?:\/\/)\*\.(.+)$/i.exec(entry);
+  let url;
+  try {
+    url = new URL(wildcard ? `${wildcard[1]}${wildcard[2]}` : entry);
+  } catch (error) {
+    throw new Error(`Invalid allowed origin: ${entry}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.pathname !== '/' || url.search || url.hash) {
+    throw new Error(`Invalid allowed origin (expected scheme://host[:port]): ${entry}`);
+  }
+
+  return wildcard
+    ? { protocol: url.protocol, suffix: `.${url.hostname}`, port: url.port }
+    : { origin: url.origin };
+}
+
+/**
+ * Whether a parsed origin matches a compiled rule
+ * Hostnames are compared whole or by dot-suffix, never by substring, so
+ * https://shop.bigcommerce.com.evil.net does not pass for .bigcommerce.com.
+ */
+function matchesRule(url, rule) {
+  if (rule.origin) {
+    return url.origin === rule.origin;
+  }
+  return url.protocol === rule.protocol && url.port === rule.port && url.hostname.endsWith(rule.suffix);
+}
+
+/**
+ * Build the origin policy from config.cors
+ * The server's own origin (SERVER_URL) is always allowed.
+ */
+function createOriginPolicy(corsConfig = config.cors, serverUrl = config.serverUrl) {
+  const rules = corsConfig.allowedOrigins.filter(entry => entry !== '*').map(compileOriginRule);
+  rules.push(compileOriginRule(new URL(serverUrl).origin));
+  if (corsConfig.allowBigCommerce) {
+    BIGCOMMERCE_SUFFIXES.forEach(suffix => rules.push({ protocol: 'https:', suffix, port: '' }));
+  }
+
+  return {
+    allowAll: corsConfig.origin === '*' || corsConfig.allowedOrigins.includes('*'),
+
+    /**
+     * Whether a browser Origin header value may call the API
+     */
+    isAllowed(origin) {
+      if (this.allowAll) {
+        return true;
+      }
+      let url;
+      try {
+        url = new URL(origin);
+      } catch (error) {
+        return false;
+      }
+      return rules.some(rule => matchesRule(url, rule));
+    }
+  };
+}
+
+module.exports = {
+  createOriginPolicy
+};
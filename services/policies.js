@@ -0,0 +1,516 @@
+const config = require('../config/config');
+const { recordEvent } = require('./analytics');
+const { PROTECTION_FEE_NAME } = require('./insurance');
+const { getConsent } = require('./consent');
+const { getAssignment, tagOrder } = require('./experiments');
+const logger = require('./logger');
+
+// BigCommerce order status IDs that end a policy
+const ORDER_STATUS_REFUNDED = 4;
+const ORDER_STATUS_CANCELLED = 5;
+
+// Tail of the operation queue for each order with policy operations in flight
+const orderLocks = new Map();
+
+/**
+ * Policy and sync-cursor collections for a store
+ */
+function getCollections(context) {
+  return {
+    policies: context.data.collection('policies', 'orderId'),
+    meta: context.data.collection('meta', 'key')
+  };
+}
+
+/**
+ * Run a policy operation with exclusive access to an order's policy
+ * Operations on the same order (webhooks, syncs and admin requests alike) queue up and run
+ * one at a time in this process, as cart operations do under withCartLock; a failed
+ * operation does not block the ones behind it.
+ */
+function withOrderLock(context, orderId, operation) {
+  const key = `${context.storeHash || 'default'}:${orderId}`;
+  const previous = orderLocks.get(key) || Promise.resolve();
+  const result = previous.then(() => operation());
+  const tail = result.catch(() => {});
+
+  orderLocks.set(key, tail);
+  tail.then(() => {
+    if (orderLocks.get(key) === tail) {
+      orderLocks.delete(key);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Money value from a v2 order field (returned as strings like "12.5000")
+ */
+function toAmount(value) {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? 0 : amount;
+}
+
+function roundMoney(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Net value of an order product: total excluding tax minus its applied discounts
+ */
+function getOrderProductValue(product) {
+  const discounts = (product.applied_discounts || []).reduce(
+    (sum, discount) => sum + toAmount(discount.amount),
+    0
+  );
+  return Math.max(toAmount(product.total_ex_tax) - discounts, 0);
+}
+
+/**
+ * Pick the fields a policy needs from a v2 shipping address
+ */
+function formatAddress(address) {
+  if (!address) {
+    return null;
+  }
+
+  return {
+    firstName: address.first_name,
+    lastName: address.last_name,
+    company: address.company || null,
+    street1: address.street_1,
+    street2: address.street_2 || null,
+    city: address.city,
+    state: address.state,
+    zip: address.zip,
+    country: address.country,
+    countryCode: address.country_iso2,
+    email: address.email || null,
+    phone: address.phone || null
+  };
+}
+
+/**
+ * Build a policy record from an order, its products and fees
+ * Protection is the insurance product line item, or the protection fee in fee mode.
+ * Returns null when the order did not buy shipping protection
+ */
+function buildPolicy(context, order, products, shippingAddresses, fees = []) {
+  const { insuranceProductId } = context;
+  const insuranceItem = products.find(product => product.product_id === insuranceProductId);
+  const insuranceFee = fees.find(fee => fee.name === PROTECTION_FEE_NAME);
+  if (!insuranceItem && !insuranceFee) {
+    return null;
+  }
+  const premium = insuranceItem
+    ? toAmount(insuranceItem.total_inc_tax)
+    : toAmount(insuranceFee.cost_inc_tax ?? insuranceFee.cost);
+
+  const insuredItems = products.filter(
+    product => product.product_id !== insuranceProductId && product.type === 'physical'
+  );
+  const insuredValue = insuredItems.reduce((sum, product) => sum + getOrderProductValue(product), 0);
+
+  return {
+    orderId: order.id,
+    cartId: order.cart_id || null,
+    storeHash: context.storeHash || null,
+    status: 'active',
+    customerId: order.customer_id || null,
+    customerEmail: order.billing_address?.email || null,
+    customerName: [order.billing_address?.first_name, order.billing_address?.last_name]
+      .filter(Boolean)
+      .join(' ') || null,
+    insuredValue: parseFloat(insuredValue.toFixed(2)),
+    premium: parseFloat(premium.toFixed(2)),
+    currency: order.currency_code,
+    insuranceLineItemId: insuranceItem ? insuranceItem.id : null,
+    insuranceFeeId: insuranceFee && !insuranceItem ? insuranceFee.id : null,
+    insuredItems: insuredItems.map(product => ({
+      lineItemId: product.id,
+      productId: product.product_id,
+      sku: product.sku,
+      name: product.name,
+      quantity: product.quantity,
+      value: parseFloat(getOrderProductValue(product).toFixed(2))
+    })),
+    shippingAddress: formatAddress(shippingAddresses[0]),
+    orderCreatedAt: new Date(order.date_created).toISOString(),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check an order for shipping protection and record a policy if it has one
+ * The cart's consent record (who chose protection, when and how) is copied into the
+ * policy as it stood when the order was placed. When the cart was in an experiment, the
+ * policy and its order_placed event keep the variant and the order is tagged with it.
+ * Safe to call repeatedly (and concurrently) for the same order.
+ * Returns { created, policy } where policy is null for unprotected orders
+ */
+function recordPolicyForOrder(context, orderId) {
+  return withOrderLock(context, orderId, () => recordPolicy(context, orderId));
+}
+
+/**
+ * recordPolicyForOrder for callers already holding the order's lock
+ */
+async function recordPolicy(context, orderId) {
+  const { bigcommerce } = context;
+  const { policies } = getCollections(context);
+  const existing = policies.get(orderId);
+  if (existing) {
+    return { created: false, policy: existing };
+  }
+
+  const [order, products, shippingAddresses, fees] = await Promise.all([
+    bigcommerce.getOrder(orderId),
+    bigcommerce.getOrderProducts(orderId),
+    bigcommerce.getOrderShippingAddresses(orderId),
+    context.protectionMode === 'fee' ? bigcommerce.getOrderFees(orderId) : []
+  ]);
+
+  const policy = buildPolicy(context, order, products, shippingAddresses, fees);
+  if (!policy) {
+    return { created: false, policy: null };
+  }
+
+  policy.consent = policy.cartId ? getConsent(context, policy.cartId) : null;
+  const assignment = policy.cartId ? getAssignment(context, policy.cartId) : null;
+  policy.experiment = assignment ? { id: assignment.experimentId, variant: assignment.variant } : null;
+  policies.put(policy);
+  recordEvent(context, 'order_placed', {
+    cartId: policy.cartId,
+    orderId: policy.orderId,
+    insuredValue: policy.insuredValue,
+    premium: policy.premium,
+    currency: policy.currency,
+    source: 'order',
+    experiment: policy.experiment,
+    at: policy.orderCreatedAt
+  });
+  if (policy.experiment) {
+    await tagOrder(context, policy.orderId, policy.experiment);
+  }
+  logger.info('Recorded protection policy', { storeHash: policy.storeHash, orderId: policy.orderId, insuredValue: policy.insuredValue, premium: policy.premium });
+  return { created: true, policy };
+}
+
+/**
+ * Poll the Orders API for orders created since the last sync and record their policies
+ * `since` overrides the stored cursor (ISO date string)
+ */
+async function syncPolicies(context, since) {
+  const { bigcommerce } = context;
+  const { meta } = getCollections(context);
+  const startedAt = new Date().toISOString();
+  const cursor = since || meta.get('policySync')?.value || null;
+  const params = { sort: 'date_created:asc', limit: 50 };
+  if (cursor) {
+    params.min_date_created = new Date(cursor).toUTCString();
+  }
+
+  const summary = { since: cursor, checked: 0, created: 0 };
+  for (let page = 1; ; page++) {
+    const orders = await bigcommerce.getOrders({ ...params, page });
+    if (!Array.isArray(orders) || orders.length === 0) {
+      break;
+    }
+
+    for (const order of orders) {
+      summary.checked++;
+      const { created } = await recordPolicyForOrder(context, order.id);
+      if (created) {
+        summary.created++;
+      }
+    }
+
+    if (orders.length < params.limit) {
+      break;
+    }
+  }
+
+  meta.put({ key: 'policySync', value: startedAt });
+  return summary;
+}
+
+/**
+ * List recorded policies, newest first
+ * Filters: status, customerId, from/to (order creation date)
+ */
+function listPolicies(context, filters = {}) {
+  return getCollections(context).policies
+    .all(policy => {
+      if (filters.status && policy.status !== filters.status) return false;
+      if (filters.customerId && String(policy.customerId) !== String(filters.customerId)) return false;
+      if (filters.from && policy.orderCreatedAt < new Date(filters.from).toISOString()) return false;
+      if (filters.to && policy.orderCreatedAt > new Date(filters.to).toISOString()) return false;
+      return true;
+    })
+    .sort((a, b) => b.orderCreatedAt.localeCompare(a.orderCreatedAt));
+}
+
+function getPolicy(context, orderId) {
+  return getCollections(context).policies.get(orderId);
+}
+
+/**
+ * Apply changes to a policy and record them in its adjustment history
+ * Returns the updated policy
+ */
+function adjustPolicy(context, policy, changes, adjustment) {
+  return getCollections(context).policies.update(policy.orderId, {
+    ...changes,
+    adjustments: [...(policy.adjustments || []), { at: new Date().toISOString(), ...adjustment }]
+  });
+}
+
+/**
+ * Premium not yet refunded or recorded as due
+ */
+function getRefundablePremium(policy) {
+  return roundMoney(Math.max(policy.premium - (policy.premiumRefunded || 0) - (policy.premiumRefundDue || 0), 0));
+}
+
+/**
+ * Refund part of a policy's premium
+ * With POLICY_REFUND_PREMIUMS the refund is issued through the Admin API (the insurance
+ * line item when the whole premium goes back, otherwise an order-level amount); without
+ * it, or when BigCommerce refuses, the amount is recorded as due for a manual refund.
+ * Must be called under the order's lock. Returns the updated policy
+ */
+async function refundPremium(context, policy, amount, reason) {
+  amount = roundMoney(Math.min(amount, getRefundablePremium(policy)));
+  if (amount <= 0) {
+    return policy;
+  }
+
+  const adjustment = { type: 'premium_refund', reason, amount, status: 'due', refundId: null, error: null };
+  if (config.policies.refundPremiums) {
+    const wholeLineItem = policy.insuranceLineItemId && amount === roundMoney(policy.premium);
+    const items = wholeLineItem
+      ? [{ item_type: 'PRODUCT', item_id: policy.insuranceLineItemId, quantity: 1 }]
+      : [{ item_type: 'ORDER', item_id: Number(policy.orderId), amount }];
+    try {
+      const refund = await context.bigcommerce.createOrderRefund(policy.orderId, items, `Shipping protection: ${reason}`);
+      adjustment.status = 'issued';
+      adjustment.refundId = refund?.id ?? null;
+    } catch (error) {
+      adjustment.status = 'failed';
+      adjustment.error = error.response?.data?.title || error.message;
+    }
+    // Record the refund against the policy as it is now, not as it was before the request
+    policy = getPolicy(context, policy.orderId);
+  }
+
+  const issued = adjustment.status === 'issued';
+  const updated = adjustPolicy(context, policy, {
+    premiumRefunded: roundMoney((policy.premiumRefunded || 0) + (issued ? amount : 0)),
+    premiumRefundDue: roundMoney((policy.premiumRefundDue || 0) + (issued ? 0 : amount)),
+    processedRefundIds: adjustment.refundId !== null
+      ? [...(policy.processedRefundIds || []), adjustment.refundId]
+      : policy.processedRefundIds || []
+  }, adjustment);
+
+  if (issued) {
+    recordEvent(context, 'premium_refunded', { cartId: policy.cartId, orderId: policy.orderId, premium: amount, currency: policy.currency, source: 'order' });
+  }
+  logger.info('Policy premium refund', { storeHash: policy.storeHash, orderId: policy.orderId, amount, status: adjustment.status });
+  return updated;
+}
+
+/**
+ * Void a policy, refunding whatever premium has not been refunded yet
+ * `premiumRefunded: 'included'` records the remaining premium as already refunded with
+ * the order (a full order refund includes the protection). Voiding twice does nothing.
+ * Returns the updated policy, or null when the order has no policy
+ */
+function voidPolicy(context, orderId, options) {
+  return withOrderLock(context, orderId, () => endPolicy(context, orderId, options));
+}
+
+/**
+ * voidPolicy for callers already holding the order's lock
+ */
+async function endPolicy(context, orderId, { reason, premiumRefunded = null } = {}) {
+  const policy = getPolicy(context, orderId);
+  if (!policy || policy.status === 'voided') {
+    return policy;
+  }
+
+  const now = new Date().toISOString();
+  let updated = adjustPolicy(context, policy, { status: 'voided', voidedAt: now, voidReason: reason }, { type: 'voided', reason });
+  recordEvent(context, 'policy_voided', { cartId: policy.cartId, orderId: policy.orderId, insuredValue: policy.insuredValue, premium: policy.premium, currency: policy.currency, source: 'order' });
+  logger.info('Voided protection policy', { storeHash: policy.storeHash, orderId: policy.orderId, reason });
+
+  const remaining = getRefundablePremium(updated);
+  if (premiumRefunded === 'included' && remaining > 0) {
+    updated = adjustPolicy(context, updated, {
+      premiumRefunded: roundMoney((updated.premiumRefunded || 0) + remaining)
+    }, { type: 'premium_refund', reason, amount: remaining, status: 'included_in_order_refund', refundId: null, error: null });
+    recordEvent(context, 'premium_refunded', { cartId: policy.cartId, orderId: policy.orderId, premium: remaining, currency: policy.currency, source: 'order' });
+  } else {
+    updated = await refundPremium(context, updated, remaining, reason);
+  }
+  return updated;
+}
+
+/**
+ * Amount of a refund item, or `fallback` when it does not say
+ */
+function getRefundItemAmount(item, fallback) {
+  const amount = item.requested_amount ?? item.amount;
+  return amount !== undefined && amount !== null ? toAmount(amount) : fallback;
+}
+
+/**
+ * Whether a refund item returns a fee-mode policy's protection fee: the fee itself, or an
+ * order-level amount equal to the fee (how the control panel and refundPremium refund it)
+ */
+function isProtectionFeeRefund(policy, item) {
+  if (!policy.insuranceFeeId) {
+    return false;
+  }
+  if (item.item_type === 'FEE') {
+    return item.item_id === policy.insuranceFeeId;
+  }
+  return item.item_type === 'ORDER' && roundMoney(getRefundItemAmount(item, 0)) === roundMoney(policy.premium);
+}
+
+/**
+ * Apply an order's refunds to its policy
+ * Refunded physical items reduce the insured value; when every insured item has been
+ * refunded the policy is voided. A refund of the insurance line item itself, or in fee
+ * mode of the protection fee, counts as the premium being refunded. With POLICY_PRORATE_PARTIAL_REFUNDS the premium share of
+ * refunded items is refunded too. Refunds already applied are skipped.
+ * Returns the updated policy, or null when the order has no policy
+ */
+function applyOrderRefunds(context, orderId) {
+  return withOrderLock(context, orderId, () => applyRefunds(context, orderId));
+}
+
+/**
+ * applyOrderRefunds for callers already holding the order's lock
+ */
+async function applyRefunds(context, orderId) {
+  const current = getPolicy(context, orderId);
+  if (!current || current.status === 'voided') {
+    return current;
+  }
+
+  const orderRefunds = await context.bigcommerce.getOrderRefunds(orderId);
+  // Work from the policy as it is after the lookup
+  let policy = getPolicy(context, orderId);
+  if (policy.status === 'voided') {
+    return policy;
+  }
+
+  const processed = policy.processedRefundIds || [];
+  const refunds = orderRefunds.filter(refund => !processed.includes(refund.id));
+  if (refunds.length === 0) {
+    return policy;
+  }
+
+  const refundedQuantities = {};
+  let insuranceRefunded = 0;
+  refunds.forEach(refund => {
+    (refund.items || []).forEach(item => {
+      if (item.item_type === 'PRODUCT' && item.item_id === policy.insuranceLineItemId) {
+        insuranceRefunded += getRefundItemAmount(item, policy.premium);
+      } else if (item.item_type === 'PRODUCT') {
+        refundedQuantities[item.item_id] = (refundedQuantities[item.item_id] || 0) + (item.quantity || 0);
+      } else if (isProtectionFeeRefund(policy, item)) {
+        insuranceRefunded += getRefundItemAmount(item, policy.premium);
+      }
+    });
+  });
+
+  const insuredItems = policy.insuredItems.map(item => {
+    const refundedQuantity = Math.min((item.refundedQuantity || 0) + (refundedQuantities[item.lineItemId] || 0), item.quantity);
+    return { ...item, refundedQuantity };
+  });
+  const insuredValue = roundMoney(insuredItems.reduce(
+    (sum, item) => sum + (item.quantity > 0 ? item.value * (item.quantity - item.refundedQuantity) / item.quantity : 0),
+    0
+  ));
+  const originalInsuredValue = policy.originalInsuredValue ?? policy.insuredValue;
+  const premiumAlreadyRefunded = roundMoney(Math.min(insuranceRefunded, getRefundablePremium(policy)));
+
+  policy = adjustPolicy(context, policy, {
+    insuredItems,
+    insuredValue,
+    originalInsuredValue,
+    premiumRefunded: roundMoney((policy.premiumRefunded || 0) + premiumAlreadyRefunded),
+    processedRefundIds: [...processed, ...refunds.map(refund => refund.id)]
+  }, {
+    type: 'refund',
+    refundIds: refunds.map(refund => refund.id),
+    insuredValueBefore: policy.insuredValue,
+    insuredValueAfter: insuredValue,
+    premiumRefunded: premiumAlreadyRefunded
+  });
+
+  if (insuredItems.every(item => item.refundedQuantity >= item.quantity)) {
+    return endPolicy(context, orderId, { reason: 'All insured items refunded' });
+  }
+  if (config.policies.prorateOnPartialRefund && originalInsuredValue > 0) {
+    const earnedPremium = policy.premium * insuredValue / originalInsuredValue;
+    const owed = policy.premium - earnedPremium - (policy.premiumRefunded || 0) - (policy.premiumRefundDue || 0);
+    if (owed >= 0.01) {
+      policy = await refundPremium(context, policy, owed, 'Items refunded');
+    }
+  }
+  return policy;
+}
+
+/**
+ * React to an order status change: cancelled orders void their policy and refund the
+ * premium; fully refunded orders void it with the premium counted as part of the refund
+ * Returns { action, policy }
+ */
+async function handleOrderStatusChange(context, orderId, statusId) {
+  if (statusId !== ORDER_STATUS_CANCELLED && statusId !== ORDER_STATUS_REFUNDED) {
+    return { action: 'none', policy: null };
+  }
+  return withOrderLock(context, orderId, () => endPolicyForStatus(context, orderId, statusId));
+}
+
+/**
+ * handleOrderStatusChange for a cancelled or refunded order, under the order's lock
+ */
+async function endPolicyForStatus(context, orderId, statusId) {
+  // The order may change status before its created webhook was processed
+  const { policy } = await recordPolicy(context, orderId);
+  if (!policy) {
+    return { action: 'not_protected', policy: null };
+  }
+  if (policy.status === 'voided') {
+    return { action: 'none', policy };
+  }
+
+  if (statusId === ORDER_STATUS_CANCELLED) {
+    return { action: 'policy_voided', policy: await endPolicy(context, orderId, { reason: 'Order cancelled' }) };
+  }
+
+  // Pick up item-level refunds first so a refunded insurance line item is not counted twice
+  const refreshed = await applyRefunds(context, orderId);
+  if (refreshed.status === 'voided') {
+    return { action: 'policy_voided', policy: refreshed };
+  }
+  return {
+    action: 'policy_voided',
+    policy: await endPolicy(context, orderId, { reason: 'Order refunded', premiumRefunded: 'included' })
+  };
+}
+
+module.exports = {
+  buildPolicy,
+  recordPolicyForOrder,
+  syncPolicies,
+  listPolicies,
+  getPolicy,
+  voidPolicy,
+  applyOrderRefunds,
+  handleOrderStatusChange
+};
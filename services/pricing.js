@@ -0,0 +1,381 @@
+/**
+ * Shipping protection pricing engine
+ *
+ * Premiums are driven by a rule set:
+ * {
+ *   tiers: [{ name, min, max, percentage, flatFee }],  // ordered, first match wins; no gaps from 0 up
+ *   minPremium: 0,                                      // floor applied after the tier
+ *   maxPremium: null,                                   // cap applied after the tier (null = no cap)
+ *   rounding: { mode: 'nearest' | 'up' | 'down', increment: 0.01 },
+ *   baseCurrency: 'USD',                                // currency the amounts above are in
+ *   exchangeRates: { EUR: 0.92, JPY: 150 },             // units per 1 base currency (optional)
+ *   currencies: {                                       // per-currency overrides (optional)
+ *     JPY: { minPremium: 100, maxPremium: 10000, rounding: { mode: 'up', increment: 10 } }
+ *   },
+ *   destinations: {                                     // shipping adjustments (optional)
+ *     countries: { CA: { multiplier: 1.2 }, BR: { supported: false } },
+ *     regions: { 'US-AK': { multiplier: 1.5, surcharge: 2 } },
+ *     carriers: { economy: { multiplier: 1.3 } },       // matched against the shipping option
+ *     otherCountries: 'allow' | 'decline'
+ *   }
+ * }
+ *
+ * A tier matches when `min <= subtotal < max` (a missing `max` means no upper bound).
+ * A tier's premium is `subtotal * percentage / 100 + flatFee`, so a flat-fee band is
+ * simply a tier with `percentage: 0`.
+ *
+ * Carts in another currency with an exchange rate are converted to the base currency to
+ * pick the tier, and the premium is converted back. Without a rate the cart amount is
+ * used as-is. Minimum/maximum premium and rounding can be set per currency; otherwise
+ * the base values are converted and the premium is rounded to the currency's decimals.
+ *
+ * With a shipping destination, the matching country, region and carrier adjustments scale
+ * the tier premium (multipliers multiply) and add surcharges (in the base currency) before
+ * the minimum/maximum are applied. Any matching `supported: false` entry, or a country not
+ * listed when `otherCountries` is 'decline', marks the destination unsupported.
+ */
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DEFAULT_CURRENCY = 'USD';
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const REGION_PATTERN = /^[A-Z]{2}-[A-Z0-9]{1,3}$/;
+const OTHER_COUNTRIES = ['allow', 'decline'];
+
+/**
+ * Validate a pricing rule set, throwing a descriptive error if it is unusable
+ */
+function validateRules(rules) {
+  if (!rules || !Array.isArray(rules.tiers) || rules.tiers.length === 0) {
+    throw new Error('Pricing rules must define at least one tier');
+  }
+
+  rules.tiers.forEach((tier, index) => {
+    const label = tier.name || `#${index}`;
+    if (typeof tier.min !== 'number' || tier.min < 0) {
+      throw new Error(`Pricing tier ${label}: min must be a non-negative number`);
+    }
+    if (tier.max !== undefined && tier.max !== null && (typeof tier.max !== 'number' || tier.max <= tier.min)) {
+      throw new Error(`Pricing tier ${label}: max must be a number greater than min`);
+    }
+    if (tier.percentage !== undefined && (typeof tier.percentage !== 'number' || tier.percentage < 0)) {
+      throw new Error(`Pricing tier ${label}: percentage must be a non-negative number`);
+    }
+    if (tier.flatFee !== undefined && (typeof tier.flatFee !== 'number' || tier.flatFee < 0)) {
+      throw new Error(`Pricing tier ${label}: flatFee must be a non-negative number`);
+    }
+  });
+  validateTierCoverage(rules.tiers);
+
+  if (rules.minPremium !== undefined && rules.minPremium !== null &&
+      (typeof rules.minPremium !== 'number' || rules.minPremium < 0)) {
+    throw new Error('Pricing rules: minPremium must be a non-negative number');
+  }
+  if (rules.maxPremium !== undefined && rules.maxPremium !== null &&
+      (typeof rules.maxPremium !== 'number' || rules.maxPremium < (rules.minPremium || 0))) {
+    throw new Error('Pricing rules: maxPremium must be a number no lower than minPremium');
+  }
+
+  validateRounding(rules.rounding, 'rounding');
+
+  if (rules.baseCurrency !== undefined && !CURRENCY_PATTERN.test(rules.baseCurrency)) {
+    throw new Error('Pricing rules: baseCurrency must be a 3-letter currency code such as USD');
+  }
+  Object.entries(rules.exchangeRates || {}).forEach(([code, rate]) => {
+    if (!CURRENCY_PATTERN.test(code)) {
+      throw new Error(`Pricing rules: exchangeRates key ${code} must be a 3-letter currency code`);
+    }
+    if (typeof rate !== 'number' || rate <= 0) {
+      throw new Error(`Pricing rules: exchangeRates.${code} must be a positive number`);
+    }
+  });
+  Object.entries(rules.currencies || {}).forEach(([code, overrides]) => {
+    if (!CURRENCY_PATTERN.test(code)) {
+      throw new Error(`Pricing rules: currencies key ${code} must be a 3-letter currency code`);
+    }
+    if (overrides.minPremium !== undefined && (typeof overrides.minPremium !== 'number' || overrides.minPremium < 0)) {
+      throw new Error(`Pricing rules: currencies.${code}.minPremium must be a non-negative number`);
+    }
+    if (overrides.maxPremium !== undefined && overrides.maxPremium !== null &&
+        (typeof overrides.maxPremium !== 'number' || overrides.maxPremium < (overrides.minPremium || 0))) {
+      throw new Error(`Pricing rules: currencies.${code}.maxPremium must be a number no lower than minPremium`);
+    }
+    validateRounding(overrides.rounding, `currencies.${code}.rounding`);
+  });
+
+  if (rules.destinations !== undefined && rules.destinations !== null) {
+    validateDestinations(rules.destinations);
+  }
+
+  return rules;
+}
+
+/**
+ * Every subtotal from 0 up must fall in some tier, or premiums for it cannot be calculated
+ * Tiers may overlap (the first match wins) but not leave gaps.
+ */
+function validateTierCoverage(tiers) {
+  const ranges = tiers
+    .map(tier => [tier.min, tier.max === undefined || tier.max === null ? Infinity : tier.max])
+    .sort((a, b) => a[0] - b[0]);
+
+  let covered = 0;
+  ranges.forEach(([min, max]) => {
+    if (min > covered) {
+      throw new Error(`Pricing rules: tiers must cover every subtotal from 0 up; nothing covers ${covered} to ${min}`);
+    }
+    covered = Math.max(covered, max);
+  });
+  if (covered !== Infinity) {
+    throw new Error(`Pricing rules: tiers must cover every subtotal from 0 up; nothing covers ${covered} and above (omit max on the last tier)`);
+  }
+}
+
+function validateDestinations(destinations) {
+  if (typeof destinations !== 'object' || Array.isArray(destinations)) {
+    throw new Error('Pricing rules: destinations must be an object');
+  }
+
+  const lists = [
+    ['countries', COUNTRY_PATTERN, 'a 2-letter country code such as US'],
+    ['regions', REGION_PATTERN, 'a country-state code such as US-AK'],
+    ['carriers', /\S/, 'a shipping option name']
+  ];
+  lists.forEach(([list, pattern, expected]) => {
+    Object.entries(destinations[list] || {}).forEach(([key, adjustment]) => {
+      const label = `destinations.${list}.${key}`;
+      if (!pattern.test(key)) {
+        throw new Error(`Pricing rules: ${label} key must be ${expected}`);
+      }
+      if (!adjustment || typeof adjustment !== 'object') {
+        throw new Error(`Pricing rules: ${label} must be an object`);
+      }
+      if (adjustment.multiplier !== undefined && (typeof adjustment.multiplier !== 'number' || adjustment.multiplier <= 0)) {
+        throw new Error(`Pricing rules: ${label}.multiplier must be a positive number`);
+      }
+      if (adjustment.surcharge !== undefined && (typeof adjustment.surcharge !== 'number' || adjustment.surcharge < 0)) {
+        throw new Error(`Pricing rules: ${label}.surcharge must be a non-negative number`);
+      }
+      if (adjustment.supported !== undefined && typeof adjustment.supported !== 'boolean') {
+        throw new Error(`Pricing rules: ${label}.supported must be a boolean`);
+      }
+    });
+  });
+
+  if (destinations.otherCountries !== undefined && !OTHER_COUNTRIES.includes(destinations.otherCountries)) {
+    throw new Error(`Pricing rules: destinations.otherCountries must be one of ${OTHER_COUNTRIES.join(', ')}`);
+  }
+}
+
+function validateRounding(rounding = {}, label) {
+  if (rounding.mode !== undefined && !ROUNDING_MODES.includes(rounding.mode)) {
+    throw new Error(`Pricing rules: ${label}.mode must be one of ${ROUNDING_MODES.join(', ')}`);
+  }
+  if (rounding.increment !== undefined && (typeof rounding.increment !== 'number' || rounding.increment <= 0)) {
+    throw new Error(`Pricing rules: ${label}.increment must be a positive number`);
+  }
+}
+
+/**
+ * Normalise a currency code ('usd' -> 'USD'); returns null for anything that is not one
+ */
+function normalizeCurrency(code) {
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  return CURRENCY_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Decimal places used by a currency (USD 2, JPY 0, KWD 3)
+ */
+function getCurrencyDecimals(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+}
+
+/**
+ * Units of `currency` per one unit of the rules' base currency, or null when unknown
+ */
+function getExchangeRate(rules, currency) {
+  const base = rules.baseCurrency || DEFAULT_CURRENCY;
+  if (!currency || currency === base) {
+    return 1;
+  }
+  return rules.exchangeRates?.[currency] ?? null;
+}
+
+/**
+ * Convert an amount in `currency` to the rules' base currency (unchanged when there is no rate)
+ */
+function toBaseAmount(amount, rules, currency) {
+  const rate = getExchangeRate(rules, normalizeCurrency(currency));
+  return rate ? amount / rate : amount;
+}
+
+/**
+ * Find the first tier whose range contains the subtotal
+ */
+function findTier(subtotal, rules) {
+  return rules.tiers.find(tier => {
+    const max = tier.max === undefined || tier.max === null ? Infinity : tier.max;
+    return subtotal >= tier.min && subtotal < max;
+  }) || null;
+}
+
+/**
+ * Number of decimal places implied by a rounding increment (0.05 -> 2, 1 -> 0)
+ */
+function decimalsOf(increment) {
+  const text = String(increment);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/**
+ * Round an amount to the configured increment
+ */
+function roundAmount(amount, rounding = {}) {
+  const increment = rounding.increment || 0.01;
+  const mode = rounding.mode || 'nearest';
+
+  // Trim float noise before rounding so 2.0000000001 does not round "up" to the next step
+  const steps = Math.round((amount / increment) * 1e6) / 1e6;
+  let rounded;
+  if (mode === 'up') {
+    rounded = Math.ceil(steps);
+  } else if (mode === 'down') {
+    rounded = Math.floor(steps);
+  } else {
+    rounded = Math.round(steps);
+  }
+
+  return parseFloat((rounded * increment).toFixed(decimalsOf(increment)));
+}
+
+/**
+ * Rounding for a currency: its override, the base rounding for the base currency,
+ * otherwise the base mode at the currency's own precision
+ */
+function getRounding(rules, currency, overrides) {
+  const base = rules.rounding || {};
+  if (overrides.rounding) {
+    return { mode: base.mode, ...overrides.rounding };
+  }
+  if (currency === (rules.baseCurrency || DEFAULT_CURRENCY)) {
+    return base;
+  }
+  return { mode: base.mode, increment: 1 / 10 ** getCurrencyDecimals(currency) };
+}
+
+/**
+ * Destination adjustment for a shipment { countryCode, regionCode, shippingMethod }
+ * regionCode is the state or province code within the country (AK, ON).
+ * Returns { countryCode, regionCode, shippingMethod, multiplier, surcharge, supported, matched }
+ * with the surcharge in the base currency, or null when the rules have no destinations
+ */
+function getDestinationAdjustment(rules, shipping) {
+  const destinations = rules.destinations;
+  if (!destinations || !shipping) {
+    return null;
+  }
+
+  const countryCode = typeof shipping.countryCode === 'string' ? shipping.countryCode.toUpperCase() : null;
+  const regionCode = countryCode && shipping.regionCode ? `${countryCode}-${String(shipping.regionCode).toUpperCase()}` : null;
+  const shippingMethod = shipping.shippingMethod || null;
+  const method = (shippingMethod || '').toLowerCase();
+
+  const matches = [];
+  const country = countryCode ? destinations.countries?.[countryCode] : null;
+  if (country) {
+    matches.push([`country ${countryCode}`, country]);
+  }
+  const region = regionCode ? destinations.regions?.[regionCode] : null;
+  if (region) {
+    matches.push([`region ${regionCode}`, region]);
+  }
+  // Every carrier key in the option name applies ("Economy Freight" is economy and freight)
+  const carrierKeys = method
+    ? Object.keys(destinations.carriers || {}).filter(key => method.includes(key.toLowerCase()))
+    : [];
+  carrierKeys.forEach(key => {
+    matches.push([`carrier ${key}`, destinations.carriers[key]]);
+  });
+
+  const declinedAsOther = countryCode && !country && destinations.otherCountries === 'decline';
+  return {
+    countryCode,
+    regionCode,
+    shippingMethod,
+    multiplier: matches.reduce((product, [, adjustment]) => product * (adjustment.multiplier || 1), 1),
+    surcharge: matches.reduce((sum, [, adjustment]) => sum + (adjustment.surcharge || 0), 0),
+    supported: !declinedAsOther && matches.every(([, adjustment]) => adjustment.supported !== false),
+    matched: matches.map(([label]) => label)
+  };
+}
+
+/**
+ * Calculate the premium for a cart subtotal in a given currency (default: the base currency)
+ * Returns the premium in that currency along with the tier that produced it, and the
+ * destination adjustment when a shipping destination is given (see getDestinationAdjustment)
+ */
+function calculatePremium(subtotal, rules, currency = null, shipping = null) {
+  const amount = parseFloat(subtotal);
+  if (isNaN(amount) || amount < 0) {
+    throw new Error('Subtotal must be a non-negative number');
+  }
+
+  const code = normalizeCurrency(currency) || rules.baseCurrency || DEFAULT_CURRENCY;
+  const rate = getExchangeRate(rules, code);
+  const toLocal = rate || 1;
+  const baseAmount = amount / toLocal;
+
+  const tier = findTier(baseAmount, rules);
+  if (!tier) {
+    throw new Error(`No pricing tier matches a subtotal of ${amount} ${code}`);
+  }
+
+  const percentage = tier.percentage || 0;
+  const flatFee = (tier.flatFee || 0) * toLocal;
+  let premium = (amount * percentage) / 100 + flatFee;
+
+  const destination = getDestinationAdjustment(rules, shipping);
+  if (destination) {
+    premium = premium * destination.multiplier + destination.surcharge * toLocal;
+  }
+
+  const overrides = rules.currencies?.[code] || {};
+  const minPremium = overrides.minPremium !== undefined ? overrides.minPremium : (rules.minPremium || 0) * toLocal;
+  const maxPremium = overrides.maxPremium !== undefined
+    ? overrides.maxPremium
+    : (rules.maxPremium === undefined || rules.maxPremium === null ? null : rules.maxPremium * toLocal);
+
+  if (minPremium) {
+    premium = Math.max(premium, minPremium);
+  }
+  if (maxPremium !== null) {
+    premium = Math.min(premium, maxPremium);
+  }
+
+  return {
+    premium: roundAmount(premium, getRounding(rules, code, overrides)),
+    tier: tier.name || null,
+    percentage,
+    flatFee: roundAmount(flatFee, getRounding(rules, code, overrides)),
+    currency: code,
+    exchangeRate: rate,
+    destination
+  };
+}
+
+module.exports = {
+  validateRules,
+  findTier,
+  roundAmount,
+  normalizeCurrency,
+  getCurrencyDecimals,
+  getExchangeRate,
+  toBaseAmount,
+  getDestinationAdjustment,
+  calculatePremium
+};
@@ -0,0 +1,187 @@
+const config = require('../config/config');
+const { fromBigCommerce } = require('./errors');
+const { getWebhookSecret } = require('./webhookSecrets');
+
+// BigCommerce's built-in "Non-Taxable Products" tax class
+const NON_TAXABLE_TAX_CLASS_ID = 1;
+
+// The protection product as the setup command creates it; the premium is set per cart
+const PROTECTION_PRODUCT = {
+  name: 'Shipping Protection',
+  type: 'digital',
+  sku: 'SHIPPING-PROTECTION',
+  price: 0,
+  weight: 0,
+  is_visible: false,
+  availability: 'available',
+  inventory_tracking: 'none',
+  tax_class_id: NON_TAXABLE_TAX_CLASS_ID,
+  description: '<p>Protects the order against loss, damage and theft in transit.</p>'
+};
+
+// Product settings the backend depends on, with what goes wrong when they differ
+// `fail` settings break protection; `warn` settings only affect how it is presented
+const PRODUCT_REQUIREMENTS = [
+  { field: 'type', expected: 'digital', severity: 'fail', effect: 'protection is only recognised among digital cart items' },
+  { field: 'availability', expected: 'available', severity: 'fail', effect: 'it cannot be added to carts' },
+  { field: 'inventory_tracking', expected: 'none', severity: 'fail', effect: 'it can go out of stock' },
+  { field: 'is_visible', expected: false, severity: 'warn', effect: 'shoppers can find and buy it in the catalog' },
+  { field: 'price', expected: 0, severity: 'warn', effect: 'the catalog shows a price other than the per-cart premium' },
+  { field: 'tax_class_id', expected: NON_TAXABLE_TAX_CLASS_ID, severity: 'warn', effect: 'the premium is taxed' }
+];
+
+/**
+ * Settings of a product that differ from what protection needs
+ * Returns [{ field, expected, actual, severity, message }]
+ */
+function getProductProblems(product) {
+  return PRODUCT_REQUIREMENTS
+    .filter(({ field, expected }) => product[field] !== expected)
+    .map(({ field, expected, severity, effect }) => ({
+      field,
+      expected,
+      actual: product[field] === undefined ? null : product[field],
+      severity,
+      message: `${field} is ${JSON.stringify(product[field])}, not ${JSON.stringify(expected)}: ${effect}`
+    }));
+}
+
+/**
+ * Whether the store's insurance product ID was chosen (INSURANCE_PRODUCT_ID or a store
+ * setting) rather than left at the 6817 fallback, which may be any product or none
+ */
+function isProductIdConfigured(context) {
+  return config.products.insuranceProductIdSet || context.insuranceProductId !== config.products.insuranceProductId;
+}
+
+/**
+ * Find or create the store's protection product and correct its settings
+ * Uses `productId` when given, otherwise the configured product ID; without either, the
+ * product with the protection SKU, creating it when there is none. Settings that differ
+ * from PRODUCT_REQUIREMENTS are updated in place.
+ * Returns { product, action: 'created' | 'updated' | 'unchanged', changes: [field] }
+ */
+async function provisionProtectionProduct(context, { productId = null } = {}) {
+  const { bigcommerce } = context;
+  const wantedId = productId || (isProductIdConfigured(context) ? context.insuranceProductId : null);
+
+  let product;
+  if (wantedId) {
+    product = await bigcommerce.getProduct(wantedId);
+    if (!product) {
+      throw new Error(`Product ${wantedId} does not exist in the catalog. Remove INSURANCE_PRODUCT_ID (or pass another --product-id) to create a new protection product.`);
+    }
+  } else {
+    [product] = await bigcommerce.findProductsBySku(PROTECTION_PRODUCT.sku);
+  }
+
+  if (!product) {
+    return { product: await bigcommerce.createProduct(PROTECTION_PRODUCT), action: 'created', changes: [] };
+  }
+
+  const problems = getProductProblems(product);
+  if (problems.length === 0) {
+    return { product, action: 'unchanged', changes: [] };
+  }
+  const changes = Object.fromEntries(problems.map(problem => [problem.field, problem.expected]));
+  return {
+    product: await bigcommerce.updateProduct(product.id, changes),
+    action: 'updated',
+    changes: problems.map(problem => problem.field)
+  };
+}
+
+function check(name, status, message) {
+  return { name, status, message };
+}
+
+/**
+ * Check that the credentials reach the store, and that its currency suits the pricing rules
+ * Returns checks as runDiagnostics does
+ */
+async function checkConnection(context) {
+  const { storeHash, authToken } = config.bigcommerce;
+  if (!storeHash || !authToken) {
+    return [check('credentials', 'fail', 'BC_STORE_HASH and BC_AUTH_TOKEN must be set')];
+  }
+
+  let store;
+  try {
+    store = await context.bigcommerce.getStoreInfo();
+  } catch (error) {
+    const upstream = fromBigCommerce(error) || error;
+    return [check('credentials', 'fail', `BigCommerce rejected the request (${upstream.code || error.message}): check BC_STORE_HASH and BC_AUTH_TOKEN`)];
+  }
+
+  const checks = [check('credentials', 'ok', `Connected to "${store.name}" (${store.secure_url || store.domain})`)];
+  const baseCurrency = context.pricingRules.baseCurrency || 'USD';
+  checks.push(store.currency && store.currency !== baseCurrency
+    ? check('currency', 'warn', `The store's default currency is ${store.currency} but the pricing rules are in ${baseCurrency}; add exchangeRates or change baseCurrency`)
+    : check('currency', 'ok', `Pricing rules and store both use ${baseCurrency}`));
+  return checks;
+}
+
+/**
+ * Check the store's configuration against BigCommerce
+ * Covers the API credentials, the storefront token, the webhook secret and, in product
+ * mode, the insurance product and its settings.
+ * Returns { ok, checks: [{ name, status: 'ok' | 'warn' | 'fail' | 'skip', message }] }
+ * where ok is false when any check failed.
+ */
+async function runDiagnostics(context) {
+  const checks = await checkConnection(context);
+  if (checks.some(result => result.status === 'fail')) {
+    return { ok: false, checks };
+  }
+
+  const { authToken, storefrontApiToken } = config.bigcommerce;
+  if (!storefrontApiToken || storefrontApiToken === authToken) {
+    checks.push(check('storefront token', 'warn', 'BC_STOREFRONT_API_TOKEN is not set; cart lookups fall back to the admin token'));
+  } else {
+    checks.push(check('storefront token', 'ok', 'BC_STOREFRONT_API_TOKEN is set'));
+  }
+
+  checks.push(getWebhookSecret(context)
+    ? check('webhook secret', 'ok', 'The store has a webhook secret')
+    : check('webhook secret', 'warn', 'The store has no webhook secret yet; register webhooks (POST /api/webhooks/register) to create one'));
+
+  checks.push(...await checkProtectionProduct(context));
+  return { ok: !checks.some(result => result.status === 'fail'), checks };
+}
+
+/**
+ * Checks for the insurance product (product mode only)
+ */
+async function checkProtectionProduct(context) {
+  if (context.protectionMode === 'fee') {
+    return [check('insurance product', 'skip', 'INSURANCE_MODE=fee charges protection as a checkout fee; no product is needed')];
+  }
+
+  const checks = [];
+  const productId = context.insuranceProductId;
+  if (!isProductIdConfigured(context)) {
+    checks.push(check('insurance product ID', 'warn', `INSURANCE_PRODUCT_ID is not set; using the fallback ${productId}. Run npm run setup to create the product`));
+  }
+
+  const product = await context.bigcommerce.getProduct(productId);
+  if (!product) {
+    checks.push(check('insurance product', 'fail', `Product ${productId} does not exist. Run npm run setup to create it`));
+    return checks;
+  }
+
+  const problems = getProductProblems(product);
+  checks.push(check('insurance product', 'ok', `Product ${product.id} "${product.name}" exists`));
+  problems.forEach(problem => checks.push(check(`insurance product ${problem.field}`, problem.severity, problem.message)));
+  if (problems.length === 0) {
+    checks.push(check('insurance product settings', 'ok', 'Digital, hidden, non-taxable, zero-price and not inventory tracked'));
+  }
+  return checks;
+}
+
+module.exports = {
+  PROTECTION_PRODUCT,
+  getProductProblems,
+  provisionProtectionProduct,
+  checkConnection,
+  runDiagnostics
+};
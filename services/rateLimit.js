@@ -0,0 +1,68 @@
+// Fixed-window request counters for rate limiting
+// The default store keeps counters in memory, so each server (or serverless) instance
+// counts on its own; setRateLimitStore plugs in a shared backend such as Redis.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Count a hit for `key` in its current window
+   * Returns { count, resetAt } where resetAt is when the window ends (ms since epoch)
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Drop finished windows so idle keys do not accumulate
+   */
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweep = now;
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Replace the counter backend
+ * A backend implements `async increment(key, windowMs) => { count, resetAt }`, counting
+ * hits in fixed windows that start with a key's first hit.
+ */
+function setRateLimitStore(backend) {
+  if (!backend || typeof backend.increment !== 'function') {
+    throw new Error('A rate limit store must implement increment(key, windowMs)');
+  }
+  store = backend;
+}
+
+function getRateLimitStore() {
+  return store;
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  setRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,107 @@
+const config = require('../config/config');
+const logger = require('./logger');
+const { fromBigCommerce } = require('./errors');
+const { getProductProblems } = require('./provisioning');
+
+// Latest result per store: storeHash -> { result, expiresAt }
+const cache = new Map();
+
+function result(status, message) {
+  return { status, message };
+}
+
+function describeError(error) {
+  const upstream = fromBigCommerce(error);
+  return `${upstream?.code || error.code || 'ERROR'}: ${upstream?.message || error.message}`;
+}
+
+/**
+ * Run one check, timing it; a thrown error fails the check
+ */
+async function timed(run) {
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    outcome = await run();
+  } catch (error) {
+    outcome = result('fail', describeError(error));
+  }
+  return { ...outcome, durationMs: Date.now() - startedAt };
+}
+
+async function checkBigCommerceAuth(context) {
+  const store = await context.bigcommerce.getStoreInfo();
+  return result('ok', `Connected to "${store.name}"`);
+}
+
+async function checkInsuranceProduct(context) {
+  if (context.protectionMode === 'fee') {
+    return result('skip', 'INSURANCE_MODE=fee does not use a product');
+  }
+
+  const product = await context.bigcommerce.getProduct(context.insuranceProductId);
+  if (!product) {
+    return result('fail', `Product ${context.insuranceProductId} does not exist`);
+  }
+  const problems = getProductProblems(product);
+  const failures = problems.filter(problem => problem.severity === 'fail');
+  if (failures.length > 0) {
+    return result('fail', `Product ${product.id} cannot be sold as protection: ${failures.map(problem => problem.message).join('; ')}`);
+  }
+  if (problems.length > 0) {
+    return result('warn', `Product ${product.id} is purchasable, but ${problems.map(problem => problem.message).join('; ')}`);
+  }
+  return result('ok', `Product ${product.id} "${product.name}" is purchasable`);
+}
+
+async function checkStorefrontToken(context) {
+  if (!context.bigcommerce.hasStorefrontToken) {
+    return result('warn', 'No separate storefront token; cart lookups use the Admin API token');
+  }
+  try {
+    await context.bigcommerce.checkStorefrontToken();
+  } catch (error) {
+    if ([401, 403].includes(error.response?.status)) {
+      return result('fail', `BigCommerce rejected the storefront token (${error.response.status})`);
+    }
+    throw error;
+  }
+  return result('ok', 'Storefront API token accepted');
+}
+
+/**
+ * Check that the store can serve shipping protection: BigCommerce accepts the API
+ * credentials, the insurance product exists and can be added to carts, and the storefront
+ * token works. Results are reused for HEALTH_READY_CACHE_SECONDS.
+ * Returns { ready, checkedAt, checks: { bigcommerceAuth, insuranceProduct, storefrontToken } }
+ * where each check is { status: 'ok' | 'warn' | 'fail' | 'skip', message, durationMs } and
+ * ready is false when any check failed.
+ */
+async function checkReadiness(context) {
+  const key = context.storeHash || '';
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.result;
+  }
+
+  const bigcommerceAuth = await timed(() => checkBigCommerceAuth(context));
+  // Without working credentials the product lookup fails for the same reason
+  const insuranceProduct = bigcommerceAuth.status === 'fail'
+    ? { ...result('skip', 'Not checked: BigCommerce rejected the credentials'), durationMs: 0 }
+    : await timed(() => checkInsuranceProduct(context));
+  const storefrontToken = await timed(() => checkStorefrontToken(context));
+
+  const checks = { bigcommerceAuth, insuranceProduct, storefrontToken };
+  const failed = Object.keys(checks).filter(name => checks[name].status === 'fail');
+  const readiness = { ready: failed.length === 0, checkedAt: new Date().toISOString(), checks };
+  if (failed.length > 0) {
+    logger.warn('Readiness check failed', { failed, storeHash: context.storeHash });
+  }
+
+  cache.set(key, { result: readiness, expiresAt: Date.now() + config.health.readyCacheSeconds * 1000 });
+  return readiness;
+}
+
+module.exports = {
+  checkReadiness
+};
@@ -0,0 +1,193 @@
+/**
+ * Validation against the JSON Schema subset used by the API schemas (services/apiSpec.js)
+ * and the environment schema (config/envSchema.js)
+ * Supported: type (including lists and "null"), enum, minimum, maximum, exclusiveMinimum,
+ * minLength, maxLength, pattern, format (date-time, email, uri: an http(s) URL), items,
+ * minItems, maxItems, properties, required, additionalProperties and anyOf. The non-standard `x-error-code`
+ * names the error code a failure of that schema is reported with.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Convert a query string or multipart field to the type its schema asks for
+ * Values that do not convert are returned unchanged and fail validation.
+ */
+function coerce(value, schema) {
+  if (typeof value !== 'string' || !schema.type) {
+    return value;
+  }
+  const types = [].concat(schema.type);
+  if (types.includes('string')) {
+    return value;
+  }
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (types.includes('null') && value === '') {
+    return null;
+  }
+  if (types.includes('array') || types.includes('object')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+function describe(path) {
+  return path || 'request';
+}
+
+/**
+ * Validate a value, collecting problems as { path, message, code }
+ * With `coerceStrings`, string values are first converted to their schema's type
+ * (query strings and multipart fields). Returns the (possibly converted) value.
+ */
+function check(schema, value, path, problems, coerceStrings) {
+  if (coerceStrings) {
+    value = coerce(value, schema);
+  }
+  const fail = message => problems.push({ path, message: `${describe(path)} ${message}`, code: schema['x-error-code'] || null });
+
+  if (schema.anyOf) {
+    const passing = schema.anyOf.some(option => {
+      const optionProblems = [];
+      check(option, value, path, optionProblems, coerceStrings);
+      return optionProblems.length === 0;
+    });
+    if (!passing) {
+      fail(schema['x-error-message'] || 'does not match any of the allowed forms');
+      return value;
+    }
+  }
+
+  if (schema.type && !matchesType(value, [].concat(schema.type))) {
+    fail(`must be ${[].concat(schema.type).join(' or ')}`);
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema['x-error-message'] || `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+      fail('must be a valid date');
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      fail('must be an email address');
+    }
+    if (schema.format === 'uri' && !isHttpUrl(value)) {
+      fail('must be an http:// or https:// URL');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, item, `${path}[${index}]`, problems, coerceStrings));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        problems.push({
+          path: path ? `${path}.${name}` : name,
+          message: `${path ? `${path}.${name}` : name} is required`,
+          code: properties[name]?.['x-error-code'] || schema['x-error-code'] || null
+        });
+      }
+    });
+
+    const result = { ...value };
+    Object.keys(value).forEach(name => {
+      const childPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        if (value[name] !== undefined) {
+          result[name] = check(properties[name], value[name], childPath, problems, coerceStrings);
+        }
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: childPath, message: `Unknown field: ${childPath}`, code: schema['x-error-code'] || null });
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        result[name] = check(schema.additionalProperties, value[name], childPath, problems, coerceStrings);
+      }
+    });
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Validate `value` against `schema`
+ * Returns { value, problems } where value has strings converted when `coerceStrings` is set
+ */
+function validateSchema(schema, value, { path = '', coerceStrings = false } = {}) {
+  const problems = [];
+  const checked = check(schema, value, path, problems, coerceStrings);
+  return { value: checked, problems };
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { validateRules } = require('./pricing');
+const { validateEligibilityRules } = require('./eligibilityRules');
+const { apiError } = require('./errors');
+
+const VALUE_BASES = ['list', 'sale', 'net'];
+const PROTECTION_MODES = ['product', 'fee'];
+const SELECTIONS = ['opt-in', 'opt-out'];
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i;
+const WIDGET_TEXT_FIELDS = ['headline', 'description', 'disclaimer', 'onText', 'offText'];
+
+/**
+ * Settings that can be changed at runtime, with their environment defaults
+ */
+function getDefaults() {
+  return {
+    protectionMode: config.insurance.mode,
+    selection: config.insurance.selection,
+    insuranceProductId: config.products.insuranceProductId,
+    pricingRules: config.insurance.pricingRules,
+    eligibility: {
+      valueBasis: config.insurance.valueBasis,
+      includeCustomItems: config.insurance.includeCustomItems,
+      minCartTotal: config.insurance.minCartTotal,
+      maxCartTotal: config.insurance.maxCartTotal,
+      rules: config.insurance.eligibilityRules
+    },
+    widget: config.widget
+  };
+}
+
+function getCollections(data) {
+  return {
+    overrides: data.collection('settings', 'key'),
+    audit: data.collection('settings_audit', 'id')
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge overrides into defaults; objects merge key by key, everything else replaces
+ * (pricing rules are always replaced as a whole)
+ */
+function mergeSettings(base, overrides) {
+  const result = { ...base };
+  Object.keys(overrides || {}).forEach(key => {
+    const value = overrides[key];
+    if (value === undefined) {
+      return;
+    }
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) && key !== 'pricingRules'
+      ? mergeSettings(base[key], value)
+      : value;
+  });
+  return result;
+}
+
+/**
+ * Effective settings for a store: environment defaults with stored overrides applied
+ * `data` is the store's data store (see services/store.js forStore)
+ */
+function getSettings(data) {
+  const stored = getCollections(data).overrides.get('current');
+  return mergeSettings(getDefaults(), stored?.values);
+}
+
+/**
+ * Validate a settings change, returning a list of problems (empty when valid)
+ */
+function validateSettings(changes) {
+  const errors = [];
+  const known = ['protectionMode', 'selection', 'insuranceProductId', 'pricingRules', 'eligibility', 'widget'];
+
+  if (!isPlainObject(changes)) {
+    return ['Settings must be an object'];
+  }
+
+  Object.keys(changes).forEach(key => {
+    if (!known.includes(key)) {
+      errors.push(`Unknown setting: ${key}`);
+    }
+  });
+
+  const { protectionMode, selection, insuranceProductId, pricingRules, eligibility, widget } = changes;
+
+  if (protectionMode !== undefined && protectionMode !== null && !PROTECTION_MODES.includes(protectionMode)) {
+    errors.push(`protectionMode must be one of ${PROTECTION_MODES.join(', ')}`);
+  }
+
+  if (selection !== undefined && selection !== null && !SELECTIONS.includes(selection)) {
+    errors.push(`selection must be one of ${SELECTIONS.join(', ')}`);
+  }
+
+  if (insuranceProductId !== undefined && insuranceProductId !== null &&
+      (!Number.isInteger(insuranceProductId) || insuranceProductId < 1)) {
+    errors.push('insuranceProductId must be a positive integer');
+  }
+
+  if (pricingRules !== undefined && pricingRules !== null) {
+    try {
+      validateRules(pricingRules);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (eligibility !== undefined && eligibility !== null) {
+    if (!isPlainObject(eligibility)) {
+      errors.push('eligibility must be an object');
+    } else {
+      if (eligibility.valueBasis !== undefined && !VALUE_BASES.includes(eligibility.valueBasis)) {
+        errors.push(`eligibility.valueBasis must be one of ${VALUE_BASES.join(', ')}`);
+      }
+      if (eligibility.includeCustomItems !== undefined && typeof eligibility.includeCustomItems !== 'boolean') {
+        errors.push('eligibility.includeCustomItems must be a boolean');
+      }
+      ['minCartTotal', 'maxCartTotal'].forEach(field => {
+        const value = eligibility[field];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+          errors.push(`eligibility.${field} must be a non-negative number`);
+        }
+      });
+      if (eligibility.rules !== undefined) {
+        try {
+          validateEligibilityRules(eligibility.rules);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      if (typeof eligibility.minCartTotal === 'number' && typeof eligibility.maxCartTotal === 'number' &&
+          eligibility.maxCartTotal <= eligibility.minCartTotal) {
+        errors.push('eligibility.maxCartTotal must be greater than minCartTotal');
+      }
+    }
+  }
+
+  if (widget !== undefined && widget !== null) {
+    if (!isPlainObject(widget)) {
+      errors.push('widget must be an object');
+    } else {
+      WIDGET_TEXT_FIELDS.forEach(field => {
+        if (widget[field] !== undefined && (typeof widget[field] !== 'string' || widget[field].length > 500)) {
+          errors.push(`widget.${field} must be a string of at most 500 characters`);
+        }
+      });
+      if (widget.enabled !== undefined && typeof widget.enabled !== 'boolean') {
+        errors.push('widget.enabled must be a boolean');
+      }
+      if (widget.defaultState !== undefined && !['on', 'off'].includes(widget.defaultState)) {
+        errors.push('widget.defaultState must be "on" or "off"');
+      }
+      if (widget.colors !== undefined) {
+        if (!isPlainObject(widget.colors)) {
+          errors.push('widget.colors must be an object');
+        } else {
+          Object.keys(widget.colors).forEach(name => {
+            if (!['accent', 'text'].includes(name)) {
+              errors.push(`Unknown widget colour: ${name}`);
+            } else if (typeof widget.colors[name] !== 'string' || !COLOR_PATTERN.test(widget.colors[name])) {
+              errors.push(`widget.colors.${name} must be a CSS colour`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * List the leaf paths whose values differ between two settings objects
+ */
+function diff(before, after, prefix = '') {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (isPlainObject(from) && isPlainObject(to) && key !== 'pricingRules') {
+      changes.push(...diff(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Apply a validated settings change and record it in the audit trail
+ * A top-level key set to null drops its override and restores the environment default.
+ * `actor` describes who made the change: { type: 'api_key' | 'session', user }
+ * Returns { settings, changes }
+ */
+function updateSettings(data, changes, actor) {
+  const errors = validateSettings(changes);
+  if (errors.length > 0) {
+    throw apiError('INVALID_SETTINGS', `Invalid settings: ${errors.join('; ')}`, { details: errors });
+  }
+
+  const { overrides, audit } = getCollections(data);
+  const before = getSettings(data);
+  const stored = { ...(overrides.get('current')?.values || {}) };
+
+  Object.keys(changes).forEach(key => {
+    if (changes[key] === null) {
+      delete stored[key];
+    } else {
+      stored[key] = isPlainObject(changes[key]) && isPlainObject(stored[key]) && key !== 'pricingRules'
+        ? mergeSettings(stored[key], changes[key])
+        : changes[key];
+    }
+  });
+
+  const now = new Date().toISOString();
+  overrides.put({ key: 'current', values: stored, updatedAt: now });
+
+  const after = getSettings(data);
+  const changed = diff(before, after);
+
+  if (changed.length > 0) {
+    audit.put({
+      id: `aud_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      at: now,
+      actor,
+      changes: changed
+    });
+  }
+
+  return { settings: after, changes: changed };
+}
+
+/**
+ * Audit trail entries, newest first
+ */
+function getAuditTrail(data, limit = 100) {
+  return getCollections(data).audit
+    .all()
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+module.exports = {
+  getDefaults,
+  getSettings,
+  mergeSettings,
+  validateSettings,
+  updateSettings,
+  getAuditTrail
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * Parse a data file, or null when it does not exist
+ */
+function readDataFile(filePath, parse) {
+  try {
+    return parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read data file ${filePath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+// Journal entries written before the snapshot is rewritten, at least; beyond this the
+// journal may grow to as many entries as the collection has records
+const MIN_COMPACT_ENTRIES = 1000;
+
+/**
+ * A named collection of records persisted as a JSON snapshot plus an append-only journal
+ * Records are kept in memory. Each change appends one line to `<name>.jsonl`, so a write
+ * costs the size of the record, not of the collection. Once the journal holds as many
+ * entries as the collection has records (and at least MIN_COMPACT_ENTRIES) it is folded
+ * into `<name>.json`, written to a temporary file and renamed into place, and emptied.
+ * Replaying a journal over the snapshot it was folded into gives the same records, so a
+ * crash between the two steps loses nothing; a line cut off by a crash is ignored.
+ */
+class Collection {
+  constructor(filePath, keyField) {
+    this.filePath = filePath;
+    this.journalPath = `${filePath.replace(/\.json$/, '')}.jsonl`;
+    this.keyField = keyField;
+    this.records = null;
+    this.journalEntries = 0;
+  }
+
+  load() {
+    if (this.records) {
+      return this.records;
+    }
+
+    const records = readDataFile(this.filePath, text => JSON.parse(text)) || {};
+    const journal = readDataFile(this.journalPath, text => text) || '';
+    const lines = journal.split('\n').filter(Boolean);
+    const entries = [];
+    lines.forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        if (index < lines.length - 1 || journal.endsWith('\n')) {
+          throw new Error(`Could not read data file ${this.journalPath}: line ${index + 1} is not JSON`);
+        }
+      }
+    });
+    entries.forEach(entry => {
+      if (entry.record) {
+        records[entry.key] = entry.record;
+      } else {
+        delete records[entry.key];
+      }
+    });
+
+    // Drop the end of a line cut off by a crash so the next append starts on a line of its own
+    if (journal && !journal.endsWith('\n')) {
+      fs.writeFileSync(this.journalPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    }
+
+    this.records = records;
+    this.journalEntries = entries.length;
+    return this.records;
+  }
+
+  /**
+   * Append changed keys to the journal (a missing record means it was removed)
+   */
+  write(keys) {
+    const records = this.load();
+    const lines = keys.map(key => JSON.stringify({ key, record: records[key] || null }) + '\n');
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.journalPath, lines.join(''));
+    this.journalEntries += keys.length;
+
+    if (this.journalEntries >= Math.max(MIN_COMPACT_ENTRIES, Object.keys(records).length)) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Fold the journal into the snapshot
+   */
+  compact() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.load(), null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    fs.writeFileSync(this.journalPath, '');
+    this.journalEntries = 0;
+  }
+
+  /**
+   * All records, optionally filtered by a predicate
+   */
+  all(predicate) {
+    const records = Object.values(this.load());
+    return predicate ? records.filter(predicate) : records;
+  }
+
+  get(key) {
+    return this.load()[String(key)] || null;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.load(), String(key));
+  }
+
+  /**
+   * Insert or replace a record, keyed by its key field
+   */
+  put(record) {
+    const key = record[this.keyField];
+    if (key === undefined || key === null) {
+      throw new Error(`Record is missing key field "${this.keyField}"`);
+    }
+    this.load()[String(key)] = record;
+    this.write([String(key)]);
+    return record;
+  }
+
+  /**
+   * Shallow-merge changes into an existing record
+   * Returns the updated record, or null if it does not exist
+   */
+  update(key, changes) {
+    const existing = this.get(key);
+    if (!existing) {
+      return null;
+    }
+    return this.put({ ...existing, ...changes, [this.keyField]: existing[this.keyField] });
+  }
+
+  /**
+   * Remove every record matching a predicate with a single write
+   * Returns the number of records removed
+   */
+  removeWhere(predicate) {
+    const records = this.load();
+    const keys = Object.keys(records).filter(key => predicate(records[key]));
+    keys.forEach(key => delete records[key]);
+    if (keys.length > 0) {
+      this.write(keys);
+    }
+    return keys.length;
+  }
+
+  remove(key) {
+    const records = this.load();
+    const existed = this.has(key);
+    delete records[String(key)];
+    if (existed) {
+      this.write([String(key)]);
+    }
+    return existed;
+  }
+}
+
+/**
+ * An append-only log of records, one JSON line each in `<name>.jsonl`
+ * For records that are written once and never changed (analytics events): appending costs
+ * the size of the record however long the log is, and nothing is kept in memory. Reading
+ * parses the whole file, so logs suit data that is read rarely, such as for reports.
+ * Records in a `<name>.json` file from before logs existed are read first.
+ */
+class Log {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.legacyPath = filePath.replace(/\.jsonl$/, '.json');
+    this.dirReady = false;
+  }
+
+  append(record) {
+    if (!this.dirReady) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.dirReady = true;
+    }
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    return record;
+  }
+
+  /**
+   * All records, oldest first, optionally filtered by a predicate
+   * A line cut off by a crash is skipped.
+   */
+  all(predicate) {
+    const records = Object.values(readDataFile(this.legacyPath, text => JSON.parse(text)) || {});
+    (readDataFile(this.filePath, text => text) || '').split('\n').forEach(line => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Empty or cut-off line
+      }
+    });
+    return predicate ? records.filter(predicate) : records;
+  }
+}
+
+/**
+ * Local persistent store
+ * A snapshot and a journal per collection, and a file per log, under config.storage.dataDir
+ */
+class Store {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.collections = {};
+    this.logs = {};
+    this.storeScopes = {};
+  }
+
+  /**
+   * Data store scoped to one BigCommerce store (data/stores/<storeHash>)
+   * The store configured through environment variables keeps the root data directory,
+   * so single-store deployments find their existing data where it always was
+   */
+  forStore(storeHash) {
+    if (!storeHash || storeHash === config.bigcommerce.storeHash) {
+      return this;
+    }
+    if (!/^[a-z0-9]+$/i.test(storeHash)) {
+      throw new Error(`Invalid store hash: ${storeHash}`);
+    }
+    if (!this.storeScopes[storeHash]) {
+      this.storeScopes[storeHash] = new Store(path.join(this.dataDir, 'stores', storeHash));
+    }
+    return this.storeScopes[storeHash];
+  }
+
+  collection(name, keyField = 'id') {
+    if (!this.collections[name]) {
+      this.collections[name] = new Collection(path.join(this.dataDir, `${name}.json`), keyField);
+    }
+    return this.collections[name];
+  }
+
+  log(name) {
+    if (!this.logs[name]) {
+      this.logs[name] = new Log(path.join(this.dataDir, `${name}.jsonl`));
+    }
+    return this.logs[name];
+  }
+}
+
+module.exports = new Store(config.storage.dataDir);
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const jwt = require('./jwt');
+const { apiError } = require('./errors');
+
+// Audience storefront tokens must be issued for
+const TOKEN_AUDIENCE = 'shipping-protection/storefront';
+
+/**
+ * Storefront credentials collection for a store
+ * Holds one record: { id: 'current', publishableKey, tokenSecret, createdAt, createdBy }
+ */
+function getCollection(data) {
+  return data.collection('storefront_keys', 'id');
+}
+
+/**
+ * The store's storefront credentials, or null when none have been issued
+ */
+function getKeys(data) {
+  return getCollection(data).get('current') || null;
+}
+
+/**
+ * Storefront credentials without the token secret, for listing
+ */
+function toPublicKeys(keys) {
+  if (!keys) {
+    return null;
+  }
+  const { publishableKey, createdAt, createdBy } = keys;
+  return { publishableKey, hasTokenSecret: Boolean(keys.tokenSecret), createdAt, createdBy };
+}
+
+/**
+ * Issue a new publishable key and token secret, replacing (and invalidating) the old ones
+ * `actor` is { type, user } as for settings changes. Returns the full record; the token
+ * secret is only ever returned here.
+ */
+function rotateKeys(data, actor) {
+  const keys = {
+    id: 'current',
+    publishableKey: `pk_${crypto.randomBytes(16).toString('hex')}`,
+    tokenSecret: `sk_${crypto.randomBytes(32).toString('hex')}`,
+    createdAt: new Date().toISOString(),
+    createdBy: actor
+  };
+  getCollection(data).put(keys);
+  return keys;
+}
+
+function invalidCredentials(message) {
+  return apiError('INVALID_STOREFRONT_CREDENTIALS', message);
+}
+
+/**
+ * Check a publishable key (X-Publishable-Key) against the store's
+ * Returns { type: 'publishable_key' }
+ */
+function verifyPublishableKey(context, publishableKey) {
+  const keys = getKeys(context.data);
+  if (!keys || !jwt.safeEqual(publishableKey, keys.publishableKey)) {
+    throw invalidCredentials('Publishable key is not valid for this store');
+  }
+  return { type: 'publishable_key', cartId: null };
+}
+
+/**
+ * Check a storefront token (X-Storefront-Token): an HS256 JWT signed with the store's token
+ * secret, with sub "stores/<storeHash>", aud TOKEN_AUDIENCE, exp at most
+ * STOREFRONT_TOKEN_MAX_TTL_SECONDS away and optionally a cartId it is limited to.
+ * `cartId` is the cart the request acts on, if any. Returns { type: 'token', cartId }
+ */
+function verifyStorefrontToken(context, token, { cartId = null } = {}) {
+  const keys = getKeys(context.data);
+  if (!keys) {
+    throw invalidCredentials('No storefront credentials have been issued for this store');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, keys.tokenSecret);
+  } catch (error) {
+    throw invalidCredentials(`Invalid storefront token: ${error.message}`);
+  }
+
+  if (claims.aud !== TOKEN_AUDIENCE) {
+    throw invalidCredentials(`Storefront token audience must be ${TOKEN_AUDIENCE}`);
+  }
+  if (claims.sub !== `stores/${context.storeHash}`) {
+    throw invalidCredentials('Storefront token was issued for a different store');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.exp || claims.exp - now > config.storefront.tokenMaxTtlSeconds) {
+    throw invalidCredentials(`Storefront tokens must expire within ${config.storefront.tokenMaxTtlSeconds} seconds`);
+  }
+  if (claims.cartId && cartId && String(claims.cartId) !== String(cartId)) {
+    throw invalidCredentials('Storefront token was issued for a different cart');
+  }
+
+  return { type: 'token', cartId: claims.cartId || null };
+}
+
+module.exports = {
+  TOKEN_AUDIENCE,
+  getKeys,
+  toPublicKeys,
+  rotateKeys,
+  verifyPublishableKey,
+  verifyStorefrontToken
+};
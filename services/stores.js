@@ -0,0 +1,140 @@
+const bigcommerce = require('./bigcommerce');
+const dataStore = require('./store');
+const config = require('../config/config');
+const { getSettings } = require('./settings');
+
+const { BigCommerceService } = bigcommerce;
+
+// App installations, one per store hash, in the root data directory
+const installations = dataStore.collection('installations', 'storeHash');
+
+// One API client per installed store, reused across requests
+const clients = {};
+
+/**
+ * Store hash from a BigCommerce context string ("stores/abc123")
+ */
+function parseStoreHash(context) {
+  const match = String(context || '').match(/^stores\/([a-z0-9]+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Record (or refresh) an app installation after the OAuth callback
+ */
+function saveInstallation({ storeHash, accessToken, scope, user, accountUuid }) {
+  const existing = installations.get(storeHash);
+  delete clients[storeHash];
+
+  return installations.put({
+    ...(existing || {}),
+    storeHash,
+    accessToken,
+    scope,
+    user: user ? { id: user.id, email: user.email } : null,
+    accountUuid: accountUuid || null,
+    status: 'installed',
+    installedAt: existing?.status === 'installed' ? existing.installedAt : new Date().toISOString(),
+    uninstalledAt: null,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Forget a store's access token when the app is uninstalled
+ * The record is kept (without the token); the store's settings and data stay on disk
+ */
+function markUninstalled(storeHash) {
+  delete clients[storeHash];
+  return installations.update(storeHash, {
+    accessToken: null,
+    status: 'uninstalled',
+    uninstalledAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * An installation without its access token or storefront token, safe to return from the API
+ */
+function toPublicInstallation(installation) {
+  const { accessToken, storefrontApiToken, ...publicInstallation } = installation;
+  publicInstallation.hasStorefrontApiToken = !!storefrontApiToken;
+  return publicInstallation;
+}
+
+function listInstallations() {
+  return installations.all().map(toPublicInstallation);
+}
+
+/**
+ * Set the Storefront API token used for an installed store's Storefront cart calls
+ */
+function updateStoreCredentials(storeHash, { storefrontApiToken }) {
+  if (!installations.get(storeHash)) {
+    return null;
+  }
+  delete clients[storeHash];
+  return installations.update(storeHash, {
+    storefrontApiToken: storefrontApiToken || null,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Everything a request needs to act on one store:
+ * { storeHash, bigcommerce, settings, protectionMode, selection, insuranceProductId, pricingRules, data }
+ *
+ * Requests without a store hash, or for the store configured through environment
+ * variables, get the default client; any other store must have an active app
+ * installation. Settings are read fresh on every call so admin changes apply at once.
+ * Returns null for unknown or uninstalled stores.
+ */
+function getStoreContext(storeHash) {
+  const defaultStoreHash = config.bigcommerce.storeHash;
+  let client;
+  let data;
+
+  if (!storeHash || storeHash === defaultStoreHash) {
+    storeHash = defaultStoreHash;
+    client = bigcommerce;
+    data = dataStore;
+  } else {
+    const installation = installations.get(storeHash);
+    if (!installation || installation.status !== 'installed' || !installation.accessToken) {
+      return null;
+    }
+
+    if (!clients[storeHash]) {
+      clients[storeHash] = new BigCommerceService({
+        storeHash,
+        authToken: installation.accessToken,
+        storefrontApiToken: installation.storefrontApiToken
+      });
+    }
+    client = clients[storeHash];
+    data = dataStore.forStore(storeHash);
+  }
+
+  const settings = getSettings(data);
+  return {
+    storeHash,
+    bigcommerce: client,
+    settings,
+    protectionMode: settings.protectionMode,
+    selection: settings.selection,
+    insuranceProductId: settings.insuranceProductId,
+    pricingRules: settings.pricingRules,
+    data
+  };
+}
+
+module.exports = {
+  parseStoreHash,
+  saveInstallation,
+  markUninstalled,
+  listInstallations,
+  toPublicInstallation,
+  updateStoreCredentials,
+  getStoreContext
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Webhook secret collection for a store
+ * Holds one record: { id: 'current', secret, createdAt }
+ */
+function getCollection(data) {
+  return data.collection('webhook_secrets', 'id');
+}
+
+/**
+ * The secret a store's webhook deliveries are verified with, or null before its webhooks
+ * are registered
+ * The store configured through environment variables uses BC_WEBHOOK_SECRET when it is set;
+ * every other store has its own, so no store can sign deliveries for another.
+ */
+function getWebhookSecret(context) {
+  if (config.webhooks.secret && context.storeHash === config.bigcommerce.storeHash) {
+    return config.webhooks.secret;
+  }
+  return getCollection(context.data).get('current')?.secret || null;
+}
+
+/**
+ * The store's webhook secret, generating one the first time its webhooks are registered
+ */
+function ensureWebhookSecret(context) {
+  const existing = getWebhookSecret(context);
+  if (existing) {
+    return existing;
+  }
+
+  const record = {
+    id: 'current',
+    secret: `whsec_${crypto.randomBytes(32).toString('base64')}`,
+    createdAt: new Date().toISOString()
+  };
+  getCollection(context.data).put(record);
+  return record.secret;
+}
+
+module.exports = {
+  getWebhookSecret,
+  ensureWebhookSecret
+};
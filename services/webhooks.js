@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./jwt');
+const { repriceCart, applyDefaultProtection } = require('./insurance');
+const { recordPolicyForOrder, handleOrderStatusChange, applyOrderRefunds } = require('./policies');
+const { recordEvent } = require('./analytics');
+const { applyExperiment, recordAssignment } = require('./experiments');
+const { getStoreContext, parseStoreHash } = require('./stores');
+const { getWebhookSecret } = require('./webhookSecrets');
+
+// Reject signed deliveries older than this to limit replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Verify that a webhook delivery came from BigCommerce
+ * Deliveries are checked against the webhook secret of the store named in `producer`, so
+ * a delivery claiming to be from a store must be signed with that store's secret.
+ *
+ * Two schemes are accepted:
+ * - Signed deliveries (webhook-id / webhook-timestamp / webhook-signature headers):
+ *   HMAC-SHA256 of `${id}.${timestamp}.${rawBody}` keyed with the store's secret
+ * - The X-Webhook-Secret header we attach when registering hooks
+ */
+function verifySignature(req) {
+  const context = getStoreContext(parseStoreHash(req.body?.producer));
+  const secret = context ? getWebhookSecret(context) : null;
+  if (!secret) {
+    return false;
+  }
+
+  const signatureHeader = req.get('webhook-signature');
+  if (signatureHeader) {
+    const id = req.get('webhook-id');
+    const timestamp = parseInt(req.get('webhook-timestamp'), 10);
+    if (!id || isNaN(timestamp)) {
+      return false;
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const key = secret.startsWith('whsec_')
+      ? Buffer.from(secret.slice('whsec_'.length), 'base64')
+      : Buffer.from(secret);
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(`${id}.${timestamp}.${req.rawBody || ''}`)
+      .digest('base64');
+
+    // Header is a space-separated list of "v1,<signature>" entries
+    return signatureHeader.split(' ').some(entry => {
+      const [version, signature] = entry.split(',');
+      return version === 'v1' && signature && safeEqual(signature, expected);
+    });
+  }
+
+  const sharedSecret = req.get('x-webhook-secret');
+  return !!sharedSecret && safeEqual(sharedSecret, secret);
+}
+
+/**
+ * Get the cart ID a cart webhook refers to
+ * Cart events carry it as data.id, line item events as data.cartId
+ */
+function getCartId(payload) {
+  const data = payload.data || {};
+  return data.type === 'cart' ? data.id : (data.cartId || data.cart_id);
+}
+
+/**
+ * Handle a verified webhook payload
+ * Returns a short description of what was done
+ */
+async function handleEvent(payload) {
+  const scope = payload.scope || '';
+
+  // producer is "stores/<storeHash>"; it picks the credentials and settings to use
+  const storeHash = parseStoreHash(payload.producer);
+  const context = getStoreContext(storeHash);
+  if (!context) {
+    return { scope, storeHash, action: 'ignored', reason: 'Store not installed' };
+  }
+
+  if (scope === 'store/cart/deleted') {
+    // Nothing left to protect; the insurance item went with the cart
+    return { scope, action: 'none' };
+  }
+
+  if (scope === 'store/cart/created') {
+    // Under opt-out selection (the store's, or the cart's experiment variant's) new carts
+    // start with protection; otherwise nothing to do
+    const cartId = getCartId(payload);
+    if (!cartId) {
+      return { scope, action: 'ignored', reason: 'No cart ID in payload' };
+    }
+
+    const cartContext = applyExperiment(context, cartId);
+    try {
+      const result = await applyDefaultProtection(cartContext, cartId, 'cart_created');
+      recordAssignment(cartContext, cartId);
+      return { scope, cartId, ...result };
+    } catch (error) {
+      if (error.status === 404) {
+        return { scope, cartId, action: 'none', reason: 'Cart not found' };
+      }
+      throw error;
+    }
+  }
+
+  if (scope === 'store/cart/updated' || scope.startsWith('store/cart/lineItem/')) {
+    const cartId = getCartId(payload);
+    if (!cartId) {
+      return { scope, action: 'ignored', reason: 'No cart ID in payload' };
+    }
+
+    // Re-price at the cart's variant, and tag the events with it
+    const cartContext = applyExperiment(context, cartId);
+    try {
+      const result = await repriceCart(cartContext, cartId);
+      recordAssignment(cartContext, cartId);
+      if (result.action === 'repriced') {
+        recordEvent(cartContext, 'updated', { cartId, insuredValue: result.insuredValue, premium: result.insuranceAmount, tier: result.tier, currency: result.currency, source: 'webhook' });
+      } else if (result.action === 'removed') {
+        recordEvent(cartContext, 'removed', { cartId, insuredValue: result.insuredValue, currency: result.currency, source: 'webhook' });
+      }
+      return { scope, cartId, ...result };
+    } catch (error) {
+      // The cart may be gone by the time a late line item event arrives
+      if (error.status === 404) {
+        return { scope, cartId, action: 'none', reason: 'Cart not found' };
+      }
+      throw error;
+    }
+  }
+
+  if (scope === 'store/order/created') {
+    const orderId = payload.data?.id;
+    if (!orderId) {
+      return { scope, action: 'ignored', reason: 'No order ID in payload' };
+    }
+
+    const { created, policy } = await recordPolicyForOrder(context, orderId);
+    return { scope, orderId, action: created ? 'policy_created' : (policy ? 'policy_exists' : 'not_protected') };
+  }
+
+  if (scope === 'store/order/statusUpdated') {
+    const orderId = payload.data?.id;
+    const statusId = payload.data?.status?.new_status_id;
+    if (!orderId) {
+      return { scope, action: 'ignored', reason: 'No order ID in payload' };
+    }
+
+    const { action, policy } = await handleOrderStatusChange(context, orderId, statusId);
+    return { scope, orderId, statusId, action, policyStatus: policy ? policy.status : null };
+  }
+
+  if (scope === 'store/order/refund/created') {
+    const orderId = payload.data?.id;
+    if (!orderId) {
+      return { scope, action: 'ignored', reason: 'No order ID in payload' };
+    }
+
+    const before = (await recordPolicyForOrder(context, orderId)).policy;
+    if (!before) {
+      return { scope, orderId, action: 'not_protected' };
+    }
+    const policy = await applyOrderRefunds(context, orderId);
+    return {
+      scope,
+      orderId,
+      action: policy.status === 'voided' && before.status !== 'voided' ? 'policy_voided' : 'refund_applied',
+      insuredValue: policy.insuredValue,
+      premiumRefunded: policy.premiumRefunded || 0
+    };
+  }
+
+  return { scope, action: 'ignored', reason: 'Unhandled scope' };
+}
+
+module.exports = {
+  verifySignature,
+  handleEvent
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WIDGET_FILE = path.join(__dirname, '..', 'public', 'js', 'shipping_protection.js');
+
+// Scripts read so far, re-read when the file changes: file -> { mtimeMs, size, source, version }
+const scripts = new Map();
+
+/**
+ * The widget script and its version, the start of the script's SHA-256
+ * The version changes whenever the script does, so versioned URLs can be cached for good.
+ * Returns { source, version }
+ */
+function loadWidgetScript(file = WIDGET_FILE) {
+  const { mtimeMs, size } = fs.statSync(file);
+  const cached = scripts.get(file);
+  if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+    return cached;
+  }
+
+  const source = fs.readFileSync(file);
+  const script = {
+    mtimeMs,
+    size,
+    source,
+    version: crypto.createHash('sha256').update(source).digest('hex').slice(0, 12)
+  };
+  scripts.set(file, script);
+  return script;
+}
+
+module.exports = {
+  WIDGET_FILE,
+  loadWidgetScript
+};
@@ -1,14 +1,18 @@
 // Simple script to test CSS file accessibility
+// Usage: node test-css.js [server URL] (default: SERVER_URL, then http://localhost:3000)
+require('dotenv').config();
+const http = require('http');
 const https = require('https');
-const fs = require('fs');
 
-const url = 'https://new-shipping-woad.vercel.app/css/shipping_protection.css';
+const serverUrl = (process.argv[2] || process.env.SERVER_URL || 'http://localhost:3000').replace(/\/$/, '');
+const url = `${serverUrl}/css/shipping_protection.css`;
+const client = url.startsWith('https:') ? https : http;
 
 console.log('Testing CSS file accessibility...');
 console.log('URL:', url);
 console.log('');
 
-https.get(url, (res) => {
+client.get(url, (res) => {
   console.log('Status Code:', res.statusCode);
   console.log('Content-Type:', res.headers['content-type']);
   console.log('Content-Length:', res.headers['content-length']);
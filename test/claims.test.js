@@ -0,0 +1,159 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  dataDir,
+  startServer,
+  stopServer,
+  request,
+  webhook,
+  createCart,
+  placeOrder
+} = require('./helpers');
+
+const uploadDir = path.join(dataDir, 'uploads', 'claims');
+// Smallest valid PNG: a 1×1 transparent pixel
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+let policy;
+
+before(async () => {
+  await startServer();
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+  const order = await placeOrder(cart.id);
+  await webhook('store/order/created', { type: 'order', id: order.id });
+  policy = (await request('GET', `/api/policies/${order.id}`, { admin: true })).body.data;
+});
+after(stopServer);
+
+/**
+ * Files currently stored in the claim upload directory
+ */
+function storedUploads() {
+  return fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir) : [];
+}
+
+/**
+ * Wait for rejected uploads to be deleted (that happens after the response is sent)
+ */
+async function assertUploadsDiscarded(expected) {
+  for (let attempt = 0; attempt < 50 && storedUploads().length !== expected.length; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(storedUploads(), expected);
+}
+
+/**
+ * A multipart claim for the test policy with the given photos
+ */
+function claimForm(photos, fields = {}) {
+  const form = new FormData();
+  const values = {
+    orderId: String(policy.orderId),
+    email: 'shopper@example.com',
+    reason: 'damaged',
+    description: 'Box arrived crushed',
+    items: JSON.stringify([{ lineItemId: policy.insuredItems[0].lineItemId, quantity: 1 }]),
+    ...fields
+  };
+  Object.entries(values).forEach(([key, value]) => form.append(key, value));
+  photos.forEach(({ name, type, data }) => form.append('photos', new Blob([data], { type }), name));
+  return form;
+}
+
+test('files a claim with photos', async () => {
+  const { status, body } = await request('POST', '/api/claims', {
+    body: claimForm([{ name: 'box.png', type: 'image/png', data: PNG }])
+  });
+
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal(body.data.orderId, policy.orderId);
+  assert.equal(body.data.status, 'submitted');
+  assert.equal(body.data.claimedValue, policy.insuredItems[0].value / policy.insuredItems[0].quantity);
+
+  const claim = await request('GET', `/api/claims/${body.data.id}`, { admin: true });
+  assert.equal(claim.body.data.photos.length, 1);
+  assert.equal(claim.body.data.photos[0].originalName, 'box.png');
+  assert.ok(storedUploads().includes(claim.body.data.photos[0].filename));
+
+  const photo = await request('GET', `/api/claims/${body.data.id}/photos/${claim.body.data.photos[0].filename}`, { admin: true });
+  assert.equal(photo.status, 200);
+  assert.equal(photo.headers.get('content-type'), 'image/png');
+
+  const tracked = await request('GET', `/api/claims/${body.data.id}/status?email=Shopper@Example.com`);
+  assert.equal(tracked.status, 200);
+  assert.equal(tracked.body.data.status, 'submitted');
+});
+
+test('files a claim as JSON', async () => {
+  const { status, body } = await request('POST', '/api/claims', {
+    body: {
+      orderId: policy.orderId,
+      email: 'shopper@example.com',
+      reason: 'lost',
+      items: [{ lineItemId: policy.insuredItems[1].lineItemId }]
+    }
+  });
+
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal(body.data.claimedValue, policy.insuredItems[1].value);
+});
+
+test('rejects photos of the wrong type and keeps nothing on disk', async () => {
+  const before = storedUploads();
+
+  const { status, body } = await request('POST', '/api/claims', {
+    body: claimForm([{ name: 'notes.txt', type: 'text/plain', data: 'not a photo' }])
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  await assertUploadsDiscarded(before);
+});
+
+test('deletes the photos of a claim that fails validation', async () => {
+  const before = storedUploads();
+
+  const { status, body } = await request('POST', '/api/claims', {
+    body: claimForm([{ name: 'box.png', type: 'image/png', data: PNG }], { reason: 'changed-my-mind' })
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  assert.ok(body.details.some(detail => detail.startsWith('reason')), JSON.stringify(body.details));
+  await assertUploadsDiscarded(before);
+});
+
+test('requires the order\'s billing email', async () => {
+  const before = storedUploads();
+
+  const { status, body } = await request('POST', '/api/claims', {
+    body: claimForm([{ name: 'box.png', type: 'image/png', data: PNG }], { email: 'someone@example.com' })
+  });
+
+  assert.equal(status, 403);
+  assert.equal(body.code, 'EMAIL_MISMATCH');
+  await assertUploadsDiscarded(before);
+});
+
+test('rejects claims for orders without protection', async () => {
+  const cart = await createCart();
+  const order = await placeOrder(cart.id);
+
+  const { body } = await request('POST', '/api/claims', {
+    body: { orderId: order.id, email: 'shopper@example.com', reason: 'lost', items: [{ lineItemId: 1 }] }
+  });
+
+  assert.equal(body.code, 'ORDER_NOT_PROTECTED');
+});
+
+test('rejects items that are not on the policy', async () => {
+  const { status, body } = await request('POST', '/api/claims', {
+    body: { orderId: policy.orderId, email: 'shopper@example.com', reason: 'lost', items: [{ lineItemId: 999999 }] }
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_CLAIM_ITEMS');
+});
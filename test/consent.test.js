@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  stopServer,
+  request,
+  webhook,
+  createCart,
+  placeOrder,
+  insuranceItems
+} = require('./helpers');
+
+before(async () => {
+  await startServer();
+  // Default-on protection: carts nobody has decided about get protection added
+  const settings = await request('PUT', '/api/admin/settings', { admin: true, body: { selection: 'opt-out' } });
+  assert.equal(settings.status, 200, JSON.stringify(settings.body));
+});
+after(stopServer);
+
+/**
+ * The consent record for a cart
+ */
+async function getConsent(cartId) {
+  return (await request('GET', `/api/admin/consents/${cartId}`, { admin: true })).body.data;
+}
+
+test('the first cart fetch adds protection as a default', async () => {
+  const cart = await createCart();
+
+  const { status } = await request('GET', `/api/cart/${cart.id}`);
+
+  assert.equal(status, 200);
+  assert.equal(insuranceItems(cart.id).length, 1);
+  const consent = await getConsent(cart.id);
+  assert.equal(consent.decision, 'accepted');
+  assert.equal(consent.source, 'default');
+  assert.equal(consent.trigger, 'cart_fetch');
+});
+
+test('a quote adds protection as a default and says so', async () => {
+  const cart = await createCart();
+
+  const { body } = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+
+  assert.equal(body.preselected, true);
+  assert.equal(body.protected, true);
+  assert.equal(insuranceItems(cart.id).length, 1);
+  assert.equal((await getConsent(cart.id)).source, 'default');
+});
+
+test('the widget\'s own pre-selection is recorded as a default', async () => {
+  const cart = await createCart();
+
+  const { status } = await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1, source: 'default' } });
+
+  assert.equal(status, 200);
+  const consent = await getConsent(cart.id);
+  assert.equal(consent.decision, 'accepted');
+  assert.equal(consent.source, 'default');
+});
+
+test('the widget\'s pre-selection cannot override a decline', async () => {
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 0 } });
+
+  const { status, body } = await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1, source: 'default' } });
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'DECISION_RECORDED');
+  assert.equal(insuranceItems(cart.id).length, 0);
+  const consent = await getConsent(cart.id);
+  assert.equal(consent.decision, 'declined');
+  assert.equal(consent.source, 'shopper');
+  assert.equal(consent.history.length, 1);
+});
+
+test('source "default" cannot remove protection', async () => {
+  const cart = await createCart();
+
+  const { status, body } = await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 0, source: 'default' } });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+});
+
+test('a shopper\'s removal is never undone by default selection', async () => {
+  const cart = await createCart();
+  await request('GET', `/api/cart/${cart.id}`);
+
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 0 } });
+  await request('GET', `/api/cart/${cart.id}`);
+  await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+  const updated = await request('POST', '/api/insurance/update', { body: { cartId: cart.id } });
+  await webhook('store/cart/updated', { type: 'cart', id: cart.id });
+
+  assert.equal(updated.body.action, 'update');
+  assert.equal(insuranceItems(cart.id).length, 0);
+  const consent = await getConsent(cart.id);
+  assert.equal(consent.decision, 'declined');
+  assert.equal(consent.source, 'shopper');
+  assert.deepEqual(consent.history.map(({ decision, source }) => `${decision}/${source}`), ['accepted/default', 'declined/shopper']);
+});
+
+test('the policy keeps the consent the order was placed under', async () => {
+  const cart = await createCart();
+  await request('GET', `/api/cart/${cart.id}`);
+  const order = await placeOrder(cart.id);
+
+  await webhook('store/order/created', { type: 'order', id: order.id });
+
+  const { body } = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.equal(body.data.consent.decision, 'accepted');
+  assert.equal(body.data.consent.source, 'default');
+});
@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  INSURANCE_PRODUCT_ID,
+  startServer,
+  stopServer,
+  request,
+  createCart,
+  insuranceItems
+} = require('./helpers');
+const { validateEligibilityRules, needsCatalogLookup } = require('../services/eligibilityRules');
+const { getInsurableValue } = require('../services/cartValue');
+
+before(startServer);
+after(stopServer);
+
+const CART = {
+  currency: { code: 'USD' },
+  line_items: {
+    physical_items: [
+      { id: 'a', product_id: 101, sku: 'BAG-001', name: 'Canvas Backpack', quantity: 1, list_price: 89.99, sale_price: 89.99, extended_list_price: 89.99, extended_sale_price: 89.99 },
+      { id: 'b', product_id: 102, sku: 'MUG-002', name: 'Ceramic Mug', quantity: 2, list_price: 14.5, sale_price: 14.5, extended_list_price: 29, extended_sale_price: 29 },
+      { id: 'c', product_id: INSURANCE_PRODUCT_ID, sku: 'SHIPPING-PROTECTION', name: 'Shipping Protection', quantity: 1, list_price: 4.76, sale_price: 4.76, extended_list_price: 4.76, extended_sale_price: 4.76 }
+    ],
+    custom_items: [{ id: 'd', sku: 'ENGRAVING', name: 'Engraving', quantity: 1, list_price: 10, extended_list_price: 10 }]
+  }
+};
+const PRODUCTS = {
+  101: { categoryIds: [23], brandId: 5 },
+  102: { categoryIds: [24], brandId: 6 }
+};
+
+/**
+ * Replace the store's eligibility rules for one test
+ */
+async function useRules(t, rules) {
+  const { status, body } = await request('PUT', '/api/admin/settings', { admin: true, body: { eligibility: { rules } } });
+  assert.equal(status, 200, JSON.stringify(body));
+  t.after(() => request('PUT', '/api/admin/settings', { admin: true, body: { eligibility: null } }));
+}
+
+test('without rules every item but the protection itself is insured', () => {
+  const value = getInsurableValue(CART, { basis: 'sale', includeCustomItems: true, insuranceProductId: INSURANCE_PRODUCT_ID });
+
+  assert.equal(value.total, 128.99);
+  assert.deepEqual(value.items.map(item => item.id), ['a', 'b', 'd']);
+  assert.equal(value.blocked, false);
+});
+
+test('exclude rules drop matching items from the insured value', () => {
+  const value = getInsurableValue(CART, {
+    basis: 'sale',
+    includeCustomItems: true,
+    insuranceProductId: INSURANCE_PRODUCT_ID,
+    rules: { exclude: { skus: ['ENGRAVING'], categoryIds: [24] } },
+    products: PRODUCTS
+  });
+
+  assert.equal(value.total, 89.99);
+  assert.deepEqual(value.excludedItems.map(({ id, reason }) => [id, reason]), [
+    ['b', 'Excluded by category 24'],
+    ['d', 'Excluded by SKU ENGRAVING']
+  ]);
+});
+
+test('include rules insure only matching items', () => {
+  const value = getInsurableValue(CART, {
+    basis: 'sale',
+    includeCustomItems: false,
+    insuranceProductId: INSURANCE_PRODUCT_ID,
+    rules: { include: { brandIds: [6] } },
+    products: PRODUCTS
+  });
+
+  assert.equal(value.total, 29);
+  assert.equal(value.excludedItems[0].reason, 'Not covered by the include rules');
+});
+
+test('block rules mark the cart blocked and name the items', () => {
+  const value = getInsurableValue(CART, {
+    basis: 'sale',
+    insuranceProductId: INSURANCE_PRODUCT_ID,
+    rules: { block: { productIds: [101] } },
+    products: PRODUCTS
+  });
+
+  assert.equal(value.blocked, true);
+  assert.deepEqual(value.blockedBy.map(({ id, reason }) => [id, reason]), [['a', 'Blocked by product 101']]);
+});
+
+test('only category and brand rules need the catalog', () => {
+  assert.equal(needsCatalogLookup({ exclude: { skus: ['X'] } }), false);
+  assert.equal(needsCatalogLookup({ block: { brandIds: [5] } }), true);
+});
+
+test('rejects malformed rules', () => {
+  assert.throws(() => validateEligibilityRules([]), /must be an object/);
+  assert.throws(() => validateEligibilityRules({ allow: {} }), /unknown list allow/);
+  assert.throws(() => validateEligibilityRules({ exclude: { tags: ['x'] } }), /unknown field exclude.tags/);
+  assert.throws(() => validateEligibilityRules({ exclude: { categoryIds: ['23'] } }), /positive integer IDs/);
+  assert.throws(() => validateEligibilityRules({ exclude: { skus: [''] } }), /list of SKUs/);
+});
+
+test('quotes leave out items excluded by category', async t => {
+  await useRules(t, { exclude: { categoryIds: [24] } });
+  const cart = await createCart();
+
+  const { body } = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+
+  assert.equal(body.insuredValue, 89.99);
+  assert.equal(body.insuranceAmount, 3.6);
+  assert.deepEqual(body.excludedItems.map(item => [item.productId, item.reason]), [[102, 'Excluded by category 24']]);
+});
+
+test('a blocked cart cannot be protected', async t => {
+  await useRules(t, { block: { brandIds: [5] } });
+  const cart = await createCart();
+
+  const quote = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+  const added = await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+
+  assert.equal(quote.body.eligible, false);
+  assert.equal(quote.body.blocked, true);
+  assert.equal(added.status, 422);
+  assert.equal(added.body.code, 'NOT_ELIGIBLE');
+  assert.deepEqual(added.body.blockedBy.map(item => item.productId), [101]);
+  assert.equal(insuranceItems(cart.id).length, 0);
+});
+
+test('invalid rules are refused by the settings API', async () => {
+  const { status, body } = await request('PUT', '/api/admin/settings', {
+    admin: true,
+    body: { eligibility: { rules: { exclude: { categoryIds: [-1] } } } }
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_SETTINGS');
+});
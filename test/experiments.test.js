@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STORE_HASH,
+  simulator,
+  startServer,
+  stopServer,
+  request,
+  webhook,
+  createCart,
+  placeOrder,
+  insuranceItems
+} = require('./helpers');
+
+const EXPERIMENT = {
+  name: 'Rate test',
+  status: 'running',
+  variants: [
+    { name: 'rate-3', pricingRules: { tiers: [{ name: 'all', min: 0, percentage: 3 }] } },
+    { name: 'rate-5', pricingRules: { tiers: [{ name: 'all', min: 0, percentage: 5 }] } }
+  ]
+};
+// Premium for the default cart (118.99) under each variant
+const PREMIUMS = { 'rate-3': 3.57, 'rate-5': 5.95 };
+
+before(startServer);
+after(stopServer);
+
+/**
+ * Carts assigned to the experiment so far, across its variants
+ */
+async function assignedCarts(experimentId) {
+  const { body } = await request('GET', `/api/reports/experiments/${experimentId}`, { admin: true });
+  return body.data.variants.reduce((sum, variant) => sum + variant.assignedCarts, 0);
+}
+
+test('rejects variants with invalid settings', async () => {
+  const { status, body } = await request('PUT', '/api/admin/experiments/bad-rules', {
+    admin: true,
+    body: {
+      variants: [
+        { name: 'control' },
+        { name: 'gap', pricingRules: { tiers: [{ name: 'high', min: 50, percentage: 3 }] } }
+      ]
+    }
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_EXPERIMENT');
+});
+
+test('prices, tags and reports carts by variant', async () => {
+  const saved = await request('PUT', '/api/admin/experiments/rate-test', { admin: true, body: EXPERIMENT });
+  assert.equal(saved.status, 201, JSON.stringify(saved.body));
+
+  const cart = await createCart();
+  const quote = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+  const { variant } = quote.body.experiment;
+  assert.equal(quote.body.experiment.id, 'rate-test');
+  assert.equal(quote.body.insuranceAmount, PREMIUMS[variant]);
+
+  const added = await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+  assert.deepEqual(added.body.experiment, { id: 'rate-test', variant });
+  assert.equal(insuranceItems(cart.id)[0].list_price, PREMIUMS[variant]);
+
+  const order = await placeOrder(cart.id);
+  await webhook('store/order/created', { type: 'order', id: order.id });
+  const policy = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.deepEqual(policy.body.data.experiment, { id: 'rate-test', variant });
+
+  const { metafields } = simulator.snapshot(STORE_HASH).orders.find(({ id }) => id === order.id);
+  const metafield = metafields.find(({ namespace, key }) => namespace === 'shipping_protection' && key === 'experiment');
+  assert.deepEqual(JSON.parse(metafield.value), { experimentId: 'rate-test', variant });
+
+  const report = await request('GET', '/api/reports/experiments/rate-test', { admin: true });
+  assert.equal(report.status, 200);
+  const row = report.body.data.variants.find(item => item.variant === variant);
+  assert.equal(row.assignedCarts, 1);
+  assert.equal(row.protectedOrders, 1);
+  assert.equal(row.totalPremium, PREMIUMS[variant]);
+});
+
+test('quotes for carts BigCommerce does not have are neither assigned nor priced by variant', async () => {
+  const before = await assignedCarts('rate-test');
+
+  const { status, body } = await request('GET', '/api/insurance/calculate?cartId=made-up-cart&cartTotal=118.99');
+
+  assert.equal(status, 200);
+  assert.equal('experiment' in body, false);
+  assert.equal(body.insuranceAmount, 4.76);
+  assert.equal(await assignedCarts('rate-test'), before);
+});
+
+test('only one experiment runs at a time, and running variants are fixed', async () => {
+  const second = await request('PUT', '/api/admin/experiments/other-test', { admin: true, body: EXPERIMENT });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.code, 'EXPERIMENT_CONFLICT');
+
+  const changed = await request('PUT', '/api/admin/experiments/rate-test', {
+    admin: true,
+    body: { ...EXPERIMENT, variants: [EXPERIMENT.variants[0], { name: 'control' }] }
+  });
+  assert.equal(changed.status, 409);
+  assert.equal(changed.body.code, 'EXPERIMENT_CONFLICT');
+});
+
+test('stopping the experiment returns carts to the store\'s pricing', async () => {
+  const cart = await createCart();
+  await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+
+  const stopped = await request('PUT', '/api/admin/experiments/rate-test', { admin: true, body: { ...EXPERIMENT, status: 'stopped' } });
+  assert.equal(stopped.status, 200, JSON.stringify(stopped.body));
+
+  const { body } = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+  assert.equal('experiment' in body, false);
+  assert.equal(body.insuranceAmount, 4.76);
+});
@@ -0,0 +1,143 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  stopServer,
+  request,
+  createCart
+} = require('./helpers');
+const { getFreightClass, analyzeShipment, validateCarrier, rateCarrier } = require('../services/freight');
+
+before(startServer);
+after(stopServer);
+
+const cartWith = (...items) => ({ line_items: { physical_items: items } });
+
+test('classes by density', () => {
+  assert.equal(getFreightClass(60), 50);
+  assert.equal(getFreightClass(15), 70);
+  assert.equal(getFreightClass(6.25), 150);
+  assert.equal(getFreightClass(0.5), 500);
+});
+
+test('works out each item\'s class and the shipment\'s weight', () => {
+  const { ltlRequired, shipment, warnings } = analyzeShipment(
+    cartWith(
+      { id: 'a', product_id: 1, name: 'Crate', quantity: 2 },
+      { id: 'b', product_id: 2, name: 'Pallet', quantity: 1 },
+      { id: 'c', product_id: 3, name: 'Parts', quantity: 1 }
+    ),
+    {
+      // 8 ft³ at 50 lb is 6.25 lb/ft³
+      1: { weight: 50, width: 24, height: 24, depth: 24 },
+      2: { weight: 40, width: 10, height: 10, depth: 10, customFields: { freight_class: 'class 70' } },
+      3: { weight: 10 }
+    },
+    { insuranceProductId: 999 }
+  );
+
+  assert.equal(ltlRequired, false);
+  assert.deepEqual(shipment.items.map(item => [item.id, item.freightClass, item.classSource]), [
+    ['a', 150, 'density'],
+    ['b', 70, 'custom_field'],
+    ['c', 100, 'default']
+  ]);
+  assert.equal(shipment.totalWeight, 150);
+  assert.deepEqual(shipment.classes, [
+    { freightClass: 70, weight: 40 },
+    { freightClass: 100, weight: 10 },
+    { freightClass: 150, weight: 100 }
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('needs LTL past the parcel limits or the shipment threshold', () => {
+  const products = { 1: { weight: 68, width: 120, height: 10, depth: 10 }, 2: { weight: 100, customFields: { ltl_required: 'yes' } } };
+
+  // 68 kg is just under 150 lb; the 120 in length is over the parcel limit
+  const oversize = analyzeShipment(cartWith({ product_id: 1, name: 'Rail', quantity: 1 }), products, { weightUnit: 'kg' });
+  const heavy = analyzeShipment(cartWith({ product_id: 1, name: 'Rail', quantity: 4 }), products, { weightUnit: 'kg', parcelMaxLength: 200, parcelMaxLengthPlusGirth: 300 });
+  const flagged = analyzeShipment(cartWith({ product_id: 2, name: 'Safe', quantity: 1 }), products);
+
+  assert.equal(oversize.shipment.items[0].unitWeight, 149.91);
+  assert.deepEqual(oversize.reasons, ['"Rail" is 120 in long (parcel limit 108 in)']);
+  assert.equal(heavy.ltlRequired, true);
+  assert.match(heavy.reasons[0], /Shipment weighs 599.66 lb/);
+  assert.deepEqual(flagged.reasons, ['"Safe" ships by freight only']);
+});
+
+test('rejects malformed rate tables', () => {
+  assert.deepEqual(validateCarrier({ name: 'A', rates: { 100: [{ minWeight: 0, ratePerCwt: 10 }] } }), []);
+  assert.match(validateCarrier({ name: 'A', rates: { 90: [] } })[0], /not a freight class/);
+  assert.match(validateCarrier({ name: 'A', rates: { 100: [{ minWeight: 500, ratePerCwt: 10 }, { minWeight: 100, ratePerCwt: 8 }] } })[0], /greater than the previous/);
+});
+
+const CONTEXT = { pricingRules: { baseCurrency: 'USD', exchangeRates: { CAD: 1.25 } } };
+const CARRIER = {
+  id: 'acme',
+  name: 'Acme Freight',
+  currency: 'USD',
+  maxWeight: 5000,
+  minimumCharge: 150,
+  fuelSurchargePercent: 10,
+  rates: {
+    70: [{ minWeight: 0, ratePerCwt: 30 }, { minWeight: 500, ratePerCwt: 20 }],
+    125: [{ minWeight: 0, ratePerCwt: 60 }, { minWeight: 500, ratePerCwt: 45 }]
+  },
+  accessorials: { liftgate: 85 }
+};
+const SHIPMENT = {
+  totalWeight: 600,
+  classes: [{ freightClass: 70, weight: 200 }, { freightClass: 110, weight: 400 }]
+};
+
+test('rates each class at the next published class, in the shipment\'s weight bracket', () => {
+  const { quote } = rateCarrier(CONTEXT, CARRIER, SHIPMENT, ['liftgate'], 'USD');
+
+  // Class 70 at 20/cwt and class 110 rated as 125 at 45/cwt, both in the 500 lb bracket
+  assert.equal(quote.linehaul, 220);
+  assert.equal(quote.fuelSurcharge, 22);
+  assert.deepEqual(quote.accessorials, { liftgate: 85 });
+  assert.equal(quote.total, 327);
+});
+
+test('charges at least the carrier\'s minimum', () => {
+  const { quote } = rateCarrier(CONTEXT, CARRIER, { totalWeight: 100, classes: [{ freightClass: 70, weight: 100 }] }, [], 'USD');
+
+  assert.equal(quote.linehaul, 150);
+  assert.equal(quote.total, 165);
+});
+
+test('quotes in the cart\'s currency when it can be converted', () => {
+  const inCad = rateCarrier(CONTEXT, CARRIER, SHIPMENT, [], 'CAD').quote;
+  const inEur = rateCarrier(CONTEXT, CARRIER, SHIPMENT, [], 'EUR').quote;
+
+  assert.equal(inCad.currency, 'CAD');
+  assert.equal(inCad.total, 302.5);
+  assert.equal(inEur.currency, 'USD');
+  assert.equal(inEur.total, 242);
+});
+
+test('explains why a carrier cannot take a shipment', () => {
+  const classes = [{ freightClass: 150, weight: 100 }];
+
+  assert.match(rateCarrier(CONTEXT, CARRIER, { totalWeight: 100, classes }, [], 'USD').reason, /No rate for class 150/);
+  assert.match(rateCarrier(CONTEXT, CARRIER, { ...SHIPMENT, totalWeight: 6000 }, [], 'USD').reason, /5000 lb limit/);
+  assert.match(rateCarrier(CONTEXT, CARRIER, SHIPMENT, ['residential'], 'USD').reason, /Does not offer residential/);
+});
+
+test('quotes a heavy cart with the store\'s carriers', async t => {
+  const saved = await request('PUT', '/api/shipping/ltl/carriers/acme', { admin: true, body: CARRIER });
+  assert.ok(saved.status === 200 || saved.status === 201, JSON.stringify(saved.body));
+  t.after(() => request('DELETE', '/api/shipping/ltl/carriers/acme', { admin: true }));
+  const cart = await createCart({ lineItems: [{ product_id: 103, quantity: 1 }] });
+
+  const { status, body } = await request('GET', `/api/shipping/ltl/quote?cartId=${cart.id}`);
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.ltlRequired, true);
+  // The Patio Table's freight_class custom field wins over its density
+  assert.deepEqual(body.shipment.classes, [{ freightClass: 125, weight: 180 }]);
+  assert.equal(body.quotes[0].carrierId, 'acme');
+  assert.equal(body.quotes[0].linehaul, 150);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  INSURANCE_PRODUCT_ID,
+  startServer,
+  stopServer,
+  request,
+  storeContext
+} = require('./helpers');
+const config = require('../config/config');
+const { validateEnv } = require('../config/envSchema');
+
+before(async () => {
+  // Check afresh on every request; the caching test turns it back on
+  config.health.readyCacheSeconds = 0;
+  await startServer();
+});
+after(stopServer);
+
+test('is ready when BigCommerce and the protection product check out', async () => {
+  const { status, body } = await request('GET', '/health/ready');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ready');
+  assert.equal(body.checks.bigcommerceAuth.status, 'ok');
+  assert.equal(body.checks.insuranceProduct.status, 'ok');
+  // The simulator has no separate storefront token
+  assert.equal(body.checks.storefrontToken.status, 'warn');
+});
+
+test('is not ready when BigCommerce rejects the credentials', async () => {
+  await request('POST', '/api/simulator/failures', { admin: true, body: { status: 401, method: 'get', path: '/v2/store', times: 1 } });
+
+  const { status, body } = await request('GET', '/health/ready');
+
+  assert.equal(status, 503);
+  assert.equal(body.status, 'not_ready');
+  assert.equal(body.checks.bigcommerceAuth.status, 'fail');
+  assert.equal(body.checks.insuranceProduct.status, 'skip');
+});
+
+test('is not ready when the protection product cannot be sold', async t => {
+  const { bigcommerce } = storeContext();
+  await bigcommerce.updateProduct(INSURANCE_PRODUCT_ID, { availability: 'disabled' });
+  t.after(() => bigcommerce.updateProduct(INSURANCE_PRODUCT_ID, { availability: 'available' }));
+
+  const { status, body } = await request('GET', '/health/ready');
+
+  assert.equal(status, 503);
+  assert.equal(body.checks.insuranceProduct.status, 'fail');
+  assert.match(body.checks.insuranceProduct.message, /availability/);
+});
+
+test('reuses a recent result', async t => {
+  config.health.readyCacheSeconds = 60;
+  t.after(() => { config.health.readyCacheSeconds = 0; });
+
+  const first = await request('GET', '/health/ready');
+  await request('POST', '/api/simulator/failures', { admin: true, body: { status: 401, method: 'get', path: '/v2/store', times: 1 } });
+  const second = await request('GET', '/health/ready');
+  await request('DELETE', '/api/simulator/failures', { admin: true });
+
+  assert.equal(second.status, 200);
+  assert.equal(second.body.checkedAt, first.body.checkedAt);
+});
+
+test('liveness does not depend on BigCommerce', async () => {
+  const { status, body } = await request('GET', '/health');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+});
+
+test('startup validation lists every bad setting', () => {
+  assert.deepEqual(validateEnv({ BC_SIMULATOR: 'true' }), []);
+
+  const problems = validateEnv({ PORT: '70000', SERVER_URL: 'not a url', RATE_LIMIT_PER_IP: '-1' });
+  assert.equal(problems.length, 3);
+  assert.ok(problems.some(problem => problem.startsWith('PORT')), problems.join('\n'));
+});
+
+test('startup validation catches settings that contradict each other', () => {
+  assert.deepEqual(validateEnv({ BC_CLIENT_ID: 'abc' }), ['BC_CLIENT_ID and BC_CLIENT_SECRET must be set together']);
+  assert.match(validateEnv({ NODE_ENV: 'production' })[0], /BC_STORE_HASH and BC_AUTH_TOKEN are required in production/);
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Each test file runs in its own process against the simulator, with its own data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipping-protection-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  BC_SIMULATOR: 'true',
+  DATA_DIR: dataDir,
+  ADMIN_API_KEY: 'test-admin-key',
+  BC_WEBHOOK_SECRET: 'test-webhook-secret',
+  BC_RETRY_BASE_DELAY_MS: '1',
+  BC_RETRY_MAX_DELAY_MS: '5',
+  INSURANCE_TOTAL_SOURCE: 'server',
+  RATE_LIMIT_ENABLED: 'false',
+  LOG_LEVEL: 'error'
+});
+
+const app = require('../server');
+const { getStoreContext } = require('../services/stores');
+const simulator = require('../services/bigcommerceSimulator');
+
+const STORE_HASH = 'simulator';
+const INSURANCE_PRODUCT_ID = 6817;
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Start the app on a free local port
+ */
+function startServer() {
+  return new Promise((resolve, reject) => {
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve(baseUrl);
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Stop the app and remove the data directory
+ */
+async function stopServer() {
+  if (server) {
+    await new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    });
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+/**
+ * Call the app and return { status, body, headers }
+ * `body` is sent as JSON unless it is FormData; `admin` adds the admin key.
+ */
+async function request(method, urlPath, { body, headers = {}, admin = false } = {}) {
+  const options = { method, headers: { ...headers } };
+  if (admin) {
+    options.headers['X-Admin-Key'] = process.env.ADMIN_API_KEY;
+  }
+  if (body instanceof FormData) {
+    options.body = body;
+  } else if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Not JSON (CSV exports, scripts); keep the text
+  }
+  return { status: response.status, body: parsed, headers: response.headers };
+}
+
+/**
+ * Deliver a webhook the way BigCommerce does, from the simulated store unless `storeHash` says otherwise
+ */
+function webhook(scope, data, { secret = process.env.BC_WEBHOOK_SECRET, storeHash = STORE_HASH } = {}) {
+  return request('POST', '/api/webhooks/bigcommerce', {
+    headers: { 'X-Webhook-Secret': secret },
+    body: {
+      scope,
+      store_id: '1',
+      producer: `stores/${storeHash}`,
+      hash: crypto.randomBytes(8).toString('hex'),
+      created_at: Math.floor(Date.now() / 1000),
+      data
+    }
+  });
+}
+
+/**
+ * Create a simulated cart (default: product 101 ×1 and 102 ×2, insured value 118.99)
+ */
+async function createCart({ lineItems, consignments } = {}) {
+  const response = await request('POST', '/api/simulator/carts', {
+    admin: true,
+    body: {
+      line_items: lineItems || [
+        { product_id: 101, quantity: 1 },
+        { product_id: 102, quantity: 2 }
+      ],
+      ...(consignments ? { consignments } : {})
+    }
+  });
+  if (response.status !== 201 && response.status !== 200) {
+    throw new Error(`Could not create cart: ${JSON.stringify(response.body)}`);
+  }
+  return response.body.data;
+}
+
+/**
+ * Check out a simulated cart and return the order
+ */
+async function placeOrder(cartId, email = 'shopper@example.com') {
+  const response = await request('POST', `/api/simulator/carts/${cartId}/order`, {
+    admin: true,
+    body: {
+      billingAddress: { first_name: 'Sam', last_name: 'Shopper', email, country_iso2: 'US', state: 'Texas', zip: '78701' }
+    }
+  });
+  if (response.status !== 201 && response.status !== 200) {
+    throw new Error(`Could not place order: ${JSON.stringify(response.body)}`);
+  }
+  return response.body.data;
+}
+
+/**
+ * The simulated cart as the simulator holds it, or undefined once it is gone
+ */
+function getSimulatedCart(cartId) {
+  return simulator.snapshot(STORE_HASH).carts.find(cart => cart.id === cartId);
+}
+
+/**
+ * The insurance line items in a simulated cart
+ */
+function insuranceItems(cartId) {
+  const cart = getSimulatedCart(cartId);
+  if (!cart) {
+    return [];
+  }
+  return [...cart.line_items.physical_items, ...cart.line_items.digital_items]
+    .filter(item => item.product_id === INSURANCE_PRODUCT_ID);
+}
+
+/**
+ * The simulated store's context, for changing carts and orders the way BigCommerce would
+ */
+function storeContext() {
+  return getStoreContext(null);
+}
+
+module.exports = {
+  STORE_HASH,
+  INSURANCE_PRODUCT_ID,
+  dataDir,
+  simulator,
+  startServer,
+  stopServer,
+  request,
+  webhook,
+  createCart,
+  placeOrder,
+  getSimulatedCart,
+  insuranceItems,
+  storeContext
+};
@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  INSURANCE_PRODUCT_ID,
+  startServer,
+  stopServer,
+  request,
+  createCart,
+  insuranceItems,
+  storeContext
+} = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+test('quotes a cart from its items in BigCommerce', async () => {
+  const cart = await createCart();
+
+  const { status, body } = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+
+  assert.equal(status, 200);
+  assert.equal(body.insuredValue, 118.99);
+  assert.equal(body.insuranceAmount, 4.76);
+  assert.equal(body.eligible, true);
+  assert.deepEqual(body.insuredItems.map(item => item.productId).sort(), [101, 102]);
+});
+
+test('insures the cart\'s real value, not the total the client sends', async () => {
+  const cart = await createCart();
+
+  const { status, body } = await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1, cartTotal: 5 } });
+
+  assert.equal(status, 200);
+  assert.equal(body.insuredValue, 118.99);
+  assert.equal(body.insuranceAmount, 4.76);
+  assert.equal(insuranceItems(cart.id)[0].list_price, 4.76);
+});
+
+test('the protection item is not part of the insured value', async () => {
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+
+  const { body } = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+
+  assert.equal(body.insuredValue, 118.99);
+  assert.equal(body.protected, true);
+});
+
+test('update re-prices protection after the cart changes', async () => {
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+
+  await storeContext().bigcommerce.addCartItem(cart.id, 103, 1);
+  const { status, body } = await request('POST', '/api/insurance/update', { body: { cartId: cart.id } });
+
+  assert.equal(status, 200);
+  assert.equal(body.action, 'update');
+  assert.ok(body.insuredValue > 118.99);
+  const items = insuranceItems(cart.id);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].list_price, body.insuranceAmount);
+});
+
+test('update leaves a cart without protection alone', async () => {
+  const cart = await createCart();
+
+  const { status, body } = await request('POST', '/api/insurance/update', { body: { cartId: cart.id } });
+
+  assert.equal(status, 200);
+  assert.equal(body.eligible, true);
+  assert.equal(insuranceItems(cart.id).length, 0);
+});
+
+test('adding protection to a cart BigCommerce does not have fails with 404', async () => {
+  const { status, body } = await request('POST', '/api/insurance/add', { body: { cartId: 'no-such-cart', protection: 1 } });
+
+  assert.equal(status, 404);
+  assert.equal(body.success, 0);
+});
+
+test('concurrent adds leave exactly one protection item', async () => {
+  const cart = await createCart();
+  // A rate-limited (and retried) add makes the requests overlap instead of running one after another
+  await request('POST', '/api/simulator/failures', {
+    admin: true,
+    body: { status: 429, method: 'post', path: `/v3/carts/${cart.id}/items`, times: 1, resetMs: 1 }
+  });
+
+  const responses = await Promise.all([1, 2, 3, 4].map(() => (
+    request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } })
+  )));
+
+  responses.forEach(({ status, body }) => {
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.insuranceAmount, 4.76);
+  });
+  const items = insuranceItems(cart.id);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].quantity, 1);
+  assert.equal(items[0].list_price, 4.76);
+});
+
+test('update reconciles duplicate and mispriced protection items', async () => {
+  const cart = await createCart();
+  const { bigcommerce } = storeContext();
+  await bigcommerce.addCartItem(cart.id, INSURANCE_PRODUCT_ID, 2, 1);
+  await bigcommerce.addCartItem(cart.id, INSURANCE_PRODUCT_ID, 1, 9.99);
+
+  const { status, body } = await request('POST', '/api/insurance/update', { body: { cartId: cart.id } });
+
+  assert.equal(status, 200);
+  const items = insuranceItems(cart.id);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].quantity, 1);
+  assert.equal(items[0].list_price, body.insuranceAmount);
+});
+
+test('removing protection deletes every protection item', async () => {
+  const cart = await createCart();
+  await storeContext().bigcommerce.addCartItem(cart.id, INSURANCE_PRODUCT_ID, 1, 4.76);
+  await storeContext().bigcommerce.addCartItem(cart.id, INSURANCE_PRODUCT_ID, 1, 4.76);
+
+  const { status, body } = await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 0 } });
+
+  assert.equal(status, 200);
+  assert.equal(body.action, 'remove');
+  assert.equal(insuranceItems(cart.id).length, 0);
+});
+
+test('an idempotency key replays the first response', async () => {
+  const cart = await createCart();
+  const headers = { 'Idempotency-Key': `add-${cart.id}` };
+
+  const first = await request('POST', '/api/insurance/add', { headers, body: { cartId: cart.id, protection: 1 } });
+  const second = await request('POST', '/api/insurance/add', { headers, body: { cartId: cart.id, protection: 1 } });
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(insuranceItems(cart.id).length, 1);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  stopServer,
+  request,
+  webhook,
+  createCart,
+  placeOrder,
+  storeContext
+} = require('./helpers');
+const { listEvents } = require('../services/analytics');
+
+before(startServer);
+after(stopServer);
+
+/**
+ * Check out a cart with protection
+ */
+async function protectedOrder() {
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+  return { cart, order: await placeOrder(cart.id) };
+}
+
+test('an order with protection gets a policy, once', async () => {
+  const { cart, order } = await protectedOrder();
+
+  const created = await webhook('store/order/created', { type: 'order', id: order.id });
+  const repeated = await webhook('store/order/created', { type: 'order', id: order.id });
+
+  assert.equal(created.body.action, 'policy_created');
+  assert.equal(repeated.body.action, 'policy_exists');
+
+  const { status, body } = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.equal(status, 200);
+  assert.equal(body.data.status, 'active');
+  assert.equal(body.data.cartId, cart.id);
+  assert.equal(body.data.premium, 4.76);
+  assert.equal(body.data.insuredValue, 118.99);
+  assert.equal(body.data.customerEmail, 'shopper@example.com');
+  assert.deepEqual(body.data.insuredItems.map(item => item.productId).sort(), [101, 102]);
+});
+
+test('an order without protection gets no policy', async () => {
+  const cart = await createCart();
+  const order = await placeOrder(cart.id);
+
+  const { body } = await webhook('store/order/created', { type: 'order', id: order.id });
+
+  assert.equal(body.action, 'not_protected');
+  const policy = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.equal(policy.status, 404);
+  assert.equal(policy.body.code, 'POLICY_NOT_FOUND');
+});
+
+test('a policy sync records orders whose webhooks were missed', async () => {
+  const { order } = await protectedOrder();
+
+  const { status } = await request('POST', '/api/policies/sync', { admin: true, body: {} });
+
+  assert.equal(status, 200);
+  const policy = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.equal(policy.status, 200);
+  assert.equal(policy.body.data.premium, 4.76);
+});
+
+test('overlapping deliveries and syncs record the order once', async t => {
+  const { order } = await protectedOrder();
+  // Hold the first order lookup until another one starts, so both would see no policy yet;
+  // when recording queues per order none does while the first waits, which goes on after 200 ms
+  const { bigcommerce } = storeContext();
+  const getOrder = bigcommerce.getOrder;
+  let lookups = 0;
+  let bothLooking;
+  const secondLookup = new Promise(resolve => { bothLooking = resolve; });
+  bigcommerce.getOrder = async function (...args) {
+    if (++lookups === 2) {
+      bothLooking();
+    }
+    await Promise.race([secondLookup, new Promise(resolve => setTimeout(resolve, 200))]);
+    return getOrder.apply(this, args);
+  };
+  t.after(() => { bigcommerce.getOrder = getOrder; });
+
+  const [first, second] = await Promise.all([
+    webhook('store/order/created', { type: 'order', id: order.id }),
+    webhook('store/order/created', { type: 'order', id: order.id }),
+    request('POST', '/api/policies/sync', { admin: true, body: {} })
+  ]);
+
+  assert.deepEqual([first.body.action, second.body.action].sort(), ['policy_created', 'policy_exists']);
+  const placed = listEvents(storeContext(), { type: 'order_placed' }).filter(event => event.orderId === order.id);
+  assert.equal(placed.length, 1);
+});
+
+test('lists policies by status', async () => {
+  const { order } = await protectedOrder();
+  await webhook('store/order/created', { type: 'order', id: order.id });
+
+  const active = await request('GET', '/api/policies?status=active', { admin: true });
+  const voided = await request('GET', '/api/policies?status=voided', { admin: true });
+
+  assert.ok(active.body.data.some(policy => policy.orderId === order.id));
+  assert.ok(!voided.body.data.some(policy => policy.orderId === order.id));
+});
+
+test('the ledger is admin only', async () => {
+  const { status } = await request('GET', '/api/policies');
+
+  assert.equal(status, 401);
+});
@@ -0,0 +1,223 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateRules,
+  findTier,
+  roundAmount,
+  normalizeCurrency,
+  getCurrencyDecimals,
+  toBaseAmount,
+  getDestinationAdjustment,
+  calculatePremium
+} = require('../services/pricing');
+
+const RULES = {
+  tiers: [
+    { name: 'small-orders', min: 0, max: 50, percentage: 0, flatFee: 1.99 },
+    { name: 'under-200', min: 50, max: 200, percentage: 2 },
+    { name: '200-and-over', min: 200, percentage: 1.5 }
+  ],
+  minPremium: 0.99,
+  maxPremium: 75,
+  rounding: { mode: 'up', increment: 0.01 }
+};
+
+test('picks the first tier whose range contains the subtotal', () => {
+  assert.equal(findTier(0, RULES).name, 'small-orders');
+  assert.equal(findTier(49.99, RULES).name, 'small-orders');
+  assert.equal(findTier(50, RULES).name, 'under-200');
+  assert.equal(findTier(200, RULES).name, '200-and-over');
+  assert.equal(findTier(1e9, RULES).name, '200-and-over');
+});
+
+test('a tier charges its percentage plus its flat fee', () => {
+  assert.deepEqual(
+    [10, 100, 1000].map(subtotal => calculatePremium(subtotal, RULES).premium),
+    [1.99, 2, 15]
+  );
+  assert.equal(calculatePremium(10, RULES).tier, 'small-orders');
+});
+
+test('applies the minimum and maximum premium', () => {
+  const rules = { ...RULES, tiers: [{ name: 'all', min: 0, percentage: 1 }] };
+
+  assert.equal(calculatePremium(20, rules).premium, 0.99);
+  assert.equal(calculatePremium(10000, rules).premium, 75);
+});
+
+test('rounds to the increment in the configured direction', () => {
+  assert.equal(roundAmount(2.001, { mode: 'up', increment: 0.01 }), 2.01);
+  assert.equal(roundAmount(2.009, { mode: 'down', increment: 0.01 }), 2);
+  assert.equal(roundAmount(2.12, { mode: 'nearest', increment: 0.25 }), 2);
+  assert.equal(roundAmount(2.13, { mode: 'nearest', increment: 0.25 }), 2.25);
+  // Float noise does not push an exact step up
+  assert.equal(roundAmount(0.1 + 0.2, { mode: 'up', increment: 0.1 }), 0.3);
+});
+
+test('rejects subtotals that are not a non-negative number', () => {
+  assert.throws(() => calculatePremium(-1, RULES), /non-negative/);
+  assert.throws(() => calculatePremium('abc', RULES), /non-negative/);
+});
+
+test('accepts a complete rule set', () => {
+  assert.equal(validateRules(RULES), RULES);
+});
+
+test('rejects unusable tiers', () => {
+  assert.throws(() => validateRules({ tiers: [] }), /at least one tier/);
+  assert.throws(() => validateRules({ tiers: [{ name: 'a', min: -1 }] }), /tier a: min/);
+  assert.throws(() => validateRules({ tiers: [{ name: 'a', min: 10, max: 5 }] }), /tier a: max/);
+  assert.throws(() => validateRules({ tiers: [{ name: 'a', min: 0, percentage: -2 }] }), /tier a: percentage/);
+});
+
+test('rejects tiers that leave a gap', () => {
+  assert.throws(
+    () => validateRules({ tiers: [{ min: 10, percentage: 2 }] }),
+    /nothing covers 0 to 10/
+  );
+  assert.throws(
+    () => validateRules({ tiers: [{ min: 0, max: 50, percentage: 2 }, { min: 60, percentage: 1 }] }),
+    /nothing covers 50 to 60/
+  );
+  assert.throws(
+    () => validateRules({ tiers: [{ min: 0, max: 50, percentage: 2 }] }),
+    /nothing covers 50 and above/
+  );
+});
+
+test('accepts overlapping tiers listed out of order', () => {
+  const rules = { tiers: [{ min: 100, percentage: 1 }, { min: 0, max: 150, percentage: 2 }] };
+
+  assert.doesNotThrow(() => validateRules(rules));
+  assert.equal(findTier(120, rules).percentage, 1);
+});
+
+test('rejects a maximum below the minimum and unknown rounding modes', () => {
+  const tiers = [{ min: 0, percentage: 2 }];
+
+  assert.throws(() => validateRules({ tiers, minPremium: 5, maxPremium: 1 }), /maxPremium/);
+  assert.throws(() => validateRules({ tiers, rounding: { mode: 'sideways' } }), /rounding.mode/);
+  assert.throws(() => validateRules({ tiers, rounding: { increment: 0 } }), /rounding.increment/);
+});
+
+const CURRENCY_RULES = {
+  ...RULES,
+  baseCurrency: 'USD',
+  exchangeRates: { EUR: 0.9, JPY: 150 },
+  currencies: {
+    JPY: { minPremium: 100, rounding: { mode: 'up', increment: 10 } }
+  }
+};
+
+test('normalises currency codes and knows their decimals', () => {
+  assert.equal(normalizeCurrency(' eur '), 'EUR');
+  assert.equal(normalizeCurrency('euro'), null);
+  assert.equal(normalizeCurrency(null), null);
+  assert.equal(getCurrencyDecimals('USD'), 2);
+  assert.equal(getCurrencyDecimals('JPY'), 0);
+  assert.equal(getCurrencyDecimals('KWD'), 3);
+});
+
+test('picks the tier from the amount in the base currency', () => {
+  // 180 EUR is 200 USD, so the over-200 tier applies
+  const quote = calculatePremium(180, CURRENCY_RULES, 'EUR');
+
+  assert.equal(toBaseAmount(180, CURRENCY_RULES, 'eur'), 200);
+  assert.equal(quote.tier, '200-and-over');
+  assert.equal(quote.premium, 2.7);
+  assert.equal(quote.currency, 'EUR');
+  assert.equal(quote.exchangeRate, 0.9);
+});
+
+test('converts flat fees and limits into the cart currency', () => {
+  const small = calculatePremium(9, CURRENCY_RULES, 'EUR');
+  const large = calculatePremium(9000, CURRENCY_RULES, 'EUR');
+
+  assert.equal(small.flatFee, 1.8);
+  assert.equal(small.premium, 1.8);
+  assert.equal(large.premium, 67.5);
+});
+
+test('uses per-currency minimums and rounding', () => {
+  assert.equal(calculatePremium(1500, CURRENCY_RULES, 'JPY').premium, 300);
+  assert.equal(calculatePremium(45001, CURRENCY_RULES, 'JPY').premium, 680);
+});
+
+test('rounds other currencies to their own precision', () => {
+  const rules = { tiers: [{ min: 0, percentage: 1.234 }], exchangeRates: { KWD: 0.3 } };
+
+  assert.equal(calculatePremium(100, rules, 'KWD').premium, 1.234);
+  assert.equal(calculatePremium(100, rules, 'USD').premium, 1.23);
+});
+
+test('prices currencies without a rate as if they were the base currency', () => {
+  const quote = calculatePremium(100, CURRENCY_RULES, 'GBP');
+
+  assert.equal(quote.exchangeRate, null);
+  assert.equal(quote.tier, 'under-200');
+  assert.equal(quote.premium, 2);
+});
+
+test('rejects malformed currency settings', () => {
+  const tiers = [{ min: 0, percentage: 2 }];
+
+  assert.throws(() => validateRules({ tiers, baseCurrency: 'dollars' }), /baseCurrency/);
+  assert.throws(() => validateRules({ tiers, exchangeRates: { EUR: 0 } }), /exchangeRates.EUR/);
+  assert.throws(() => validateRules({ tiers, currencies: { JPY: { minPremium: -1 } } }), /currencies.JPY.minPremium/);
+});
+
+const DESTINATION_RULES = {
+  tiers: [{ name: 'all', min: 0, percentage: 2 }],
+  exchangeRates: { CAD: 1.25 },
+  destinations: {
+    countries: { US: {}, CA: { multiplier: 1.2 }, BR: { supported: false } },
+    regions: { 'US-AK': { multiplier: 1.5, surcharge: 2 } },
+    carriers: { economy: { multiplier: 1.3 }, freight: { surcharge: 1 } },
+    otherCountries: 'decline'
+  }
+};
+
+test('rules without destinations ignore the shipping address', () => {
+  assert.equal(getDestinationAdjustment(RULES, { countryCode: 'CA' }), null);
+  assert.equal(calculatePremium(100, RULES, null, { countryCode: 'CA' }).destination, null);
+});
+
+test('combines the country, region and carrier adjustments', () => {
+  const adjustment = getDestinationAdjustment(DESTINATION_RULES, { countryCode: 'us', regionCode: 'ak', shippingMethod: 'Economy Ground' });
+
+  assert.equal(adjustment.regionCode, 'US-AK');
+  assert.deepEqual(adjustment.matched, ['country US', 'region US-AK', 'carrier economy']);
+  assert.equal(adjustment.multiplier, 1.5 * 1.3);
+  assert.equal(adjustment.surcharge, 2);
+  assert.equal(adjustment.supported, true);
+});
+
+test('applies every carrier rule the shipping option matches', () => {
+  const adjustment = getDestinationAdjustment(DESTINATION_RULES, { countryCode: 'US', shippingMethod: 'Economy Freight' });
+
+  assert.deepEqual(adjustment.matched, ['country US', 'carrier economy', 'carrier freight']);
+  assert.equal(adjustment.multiplier, 1.3);
+  assert.equal(adjustment.surcharge, 1);
+});
+
+test('scales the premium and adds surcharges in the cart currency', () => {
+  assert.equal(calculatePremium(100, DESTINATION_RULES, null, { countryCode: 'CA' }).premium, 2.4);
+  assert.equal(calculatePremium(100, DESTINATION_RULES, null, { countryCode: 'US', regionCode: 'AK' }).premium, 5);
+  // 2 USD surcharge is 2.50 CAD
+  assert.equal(calculatePremium(100, DESTINATION_RULES, 'CAD', { countryCode: 'US', regionCode: 'AK' }).premium, 5.5);
+});
+
+test('declines unsupported and unlisted countries', () => {
+  assert.equal(getDestinationAdjustment(DESTINATION_RULES, { countryCode: 'BR' }).supported, false);
+  assert.equal(getDestinationAdjustment(DESTINATION_RULES, { countryCode: 'FR' }).supported, false);
+  assert.equal(getDestinationAdjustment({ ...DESTINATION_RULES, destinations: { ...DESTINATION_RULES.destinations, otherCountries: 'allow' } }, { countryCode: 'FR' }).supported, true);
+});
+
+test('rejects malformed destinations', () => {
+  const tiers = [{ min: 0, percentage: 2 }];
+
+  assert.throws(() => validateRules({ tiers, destinations: { countries: { Canada: {} } } }), /destinations.countries.Canada/);
+  assert.throws(() => validateRules({ tiers, destinations: { regions: { AK: {} } } }), /destinations.regions.AK/);
+  assert.throws(() => validateRules({ tiers, destinations: { carriers: { ups: { multiplier: 0 } } } }), /carriers.ups.multiplier/);
+  assert.throws(() => validateRules({ tiers, destinations: { otherCountries: 'maybe' } }), /otherCountries/);
+});
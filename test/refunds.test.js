@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  stopServer,
+  request,
+  webhook,
+  createCart,
+  placeOrder,
+  storeContext
+} = require('./helpers');
+const config = require('../config/config');
+
+before(startServer);
+after(stopServer);
+
+/**
+ * Place an order for a protected cart and record its policy
+ */
+async function protectedOrder() {
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+  const order = await placeOrder(cart.id);
+  await webhook('store/order/created', { type: 'order', id: order.id });
+  return order;
+}
+
+/**
+ * The order's line item for a product
+ */
+async function orderItem(orderId, productId) {
+  const products = await storeContext().bigcommerce.getOrderProducts(orderId);
+  return products.find(product => product.product_id === productId);
+}
+
+test('a partial refund lowers the insured value', async () => {
+  const order = await protectedOrder();
+  const mug = await orderItem(order.id, 102);
+  await storeContext().bigcommerce.createOrderRefund(order.id, [{ item_type: 'PRODUCT', item_id: mug.id, quantity: 1 }]);
+
+  const { status, body } = await request('POST', `/api/policies/${order.id}/refunds/sync`, { admin: true });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.status, 'active');
+  assert.equal(body.data.insuredValue, 104.49);
+  assert.equal(body.data.originalInsuredValue, 118.99);
+  assert.equal(body.data.insuredItems.find(item => item.productId === 102).refundedQuantity, 1);
+});
+
+test('refunds are applied once however often they are synced', async () => {
+  const order = await protectedOrder();
+  const mug = await orderItem(order.id, 102);
+  await storeContext().bigcommerce.createOrderRefund(order.id, [{ item_type: 'PRODUCT', item_id: mug.id, quantity: 1 }]);
+
+  await request('POST', `/api/policies/${order.id}/refunds/sync`, { admin: true });
+  const { body } = await webhook('store/order/refund/created', { type: 'order', id: order.id });
+
+  assert.equal(body.action, 'refund_applied');
+  assert.equal(body.insuredValue, 104.49);
+});
+
+test('refunding every insured item voids the policy', async () => {
+  const order = await protectedOrder();
+  const backpack = await orderItem(order.id, 101);
+  const mug = await orderItem(order.id, 102);
+  await storeContext().bigcommerce.createOrderRefund(order.id, [
+    { item_type: 'PRODUCT', item_id: backpack.id, quantity: 1 },
+    { item_type: 'PRODUCT', item_id: mug.id, quantity: 2 }
+  ]);
+
+  const { body } = await webhook('store/order/refund/created', { type: 'order', id: order.id });
+
+  assert.equal(body.action, 'policy_voided');
+  const policy = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.equal(policy.body.data.status, 'voided');
+});
+
+test('a refund of the protection item counts as a premium refund', async () => {
+  const order = await protectedOrder();
+  const protection = await orderItem(order.id, 6817);
+  await storeContext().bigcommerce.createOrderRefund(order.id, [{ item_type: 'PRODUCT', item_id: protection.id, quantity: 1 }]);
+
+  const { body } = await request('POST', `/api/policies/${order.id}/refunds/sync`, { admin: true });
+
+  assert.equal(body.data.premiumRefunded, 4.76);
+  assert.equal(body.data.insuredValue, 118.99);
+});
+
+test('fee mode: a control panel refund of the protection fee counts as a premium refund', async t => {
+  const settings = await request('PUT', '/api/admin/settings', { admin: true, body: { protectionMode: 'fee' } });
+  assert.equal(settings.status, 200, JSON.stringify(settings.body));
+  t.after(() => request('PUT', '/api/admin/settings', { admin: true, body: { protectionMode: null } }));
+
+  const order = await protectedOrder();
+  const policy = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.equal(policy.body.data.premium, 4.76);
+  assert.ok(policy.body.data.insuranceFeeId);
+
+  await storeContext().bigcommerce.createOrderRefund(order.id, [{ item_type: 'ORDER', item_id: order.id, amount: 4.76 }]);
+  const { body } = await request('POST', `/api/policies/${order.id}/refunds/sync`, { admin: true });
+
+  assert.equal(body.data.premiumRefunded, 4.76);
+  assert.equal(body.data.insuredValue, 118.99);
+});
+
+test('concurrent refund webhooks refund the premium share once', async t => {
+  Object.assign(config.policies, { refundPremiums: true, prorateOnPartialRefund: true });
+  t.after(() => Object.assign(config.policies, { refundPremiums: false, prorateOnPartialRefund: false }));
+
+  const order = await protectedOrder();
+  const { bigcommerce } = storeContext();
+  const mug = await orderItem(order.id, 102);
+  await bigcommerce.createOrderRefund(order.id, [{ item_type: 'PRODUCT', item_id: mug.id, quantity: 1 }]);
+
+  // Hold the first refund lookup until the second delivery looks too, so both would work
+  // from the same policy; when deliveries queue per order the second never gets there
+  // while the first waits, and the first goes ahead after 200 ms
+  const getOrderRefunds = bigcommerce.getOrderRefunds;
+  let lookups = 0;
+  let bothLooking;
+  const secondLookup = new Promise(resolve => { bothLooking = resolve; });
+  bigcommerce.getOrderRefunds = async function (...args) {
+    if (++lookups === 2) {
+      bothLooking();
+    }
+    await Promise.race([secondLookup, new Promise(resolve => setTimeout(resolve, 200))]);
+    return getOrderRefunds.apply(this, args);
+  };
+  t.after(() => { bigcommerce.getOrderRefunds = getOrderRefunds; });
+
+  const responses = await Promise.all([1, 2].map(() => webhook('store/order/refund/created', { type: 'order', id: order.id })));
+
+  responses.forEach(({ status }) => assert.equal(status, 200));
+  // The shopper's refund and one premium refund for the mug's share
+  const refunds = await getOrderRefunds.call(bigcommerce, order.id);
+  assert.equal(refunds.length, 2);
+  const policy = await request('GET', `/api/policies/${order.id}`, { admin: true });
+  assert.equal(policy.body.data.premiumRefunded, 0.58);
+  assert.equal(policy.body.data.insuredItems.find(item => item.productId === 102).refundedQuantity, 1);
+});
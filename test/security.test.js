@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STORE_HASH,
+  startServer,
+  stopServer,
+  request,
+  createCart
+} = require('./helpers');
+const config = require('../config/config');
+const jwt = require('../services/jwt');
+const { createOriginPolicy } = require('../services/origins');
+const { TOKEN_AUDIENCE } = require('../services/storefrontKeys');
+const { MemoryRateLimitStore, setRateLimitStore } = require('../services/rateLimit');
+
+before(startServer);
+after(stopServer);
+
+test('matches origins exactly or by whole subdomain', () => {
+  const policy = createOriginPolicy(
+    { origin: null, allowedOrigins: ['https://shop.example.com', 'https://*.example.org'], allowBigCommerce: true },
+    'http://localhost:3000'
+  );
+
+  assert.equal(policy.isAllowed('https://shop.example.com'), true);
+  assert.equal(policy.isAllowed('http://shop.example.com'), false);
+  assert.equal(policy.isAllowed('https://eu.example.org'), true);
+  assert.equal(policy.isAllowed('https://example.org'), false);
+  assert.equal(policy.isAllowed('https://store-abc.mybigcommerce.com'), true);
+  assert.equal(policy.isAllowed('https://x.bigcommerce.com.evil.net'), false);
+  assert.equal(policy.isAllowed('http://localhost:3000'), true);
+  assert.equal(policy.isAllowed('not an origin'), false);
+});
+
+test('refuses malformed allowed origins at startup', () => {
+  const cors = { origin: null, allowBigCommerce: false };
+
+  assert.throws(() => createOriginPolicy({ ...cors, allowedOrigins: ['shop.example.com'] }, 'http://localhost:3000'), /Invalid allowed origin/);
+  assert.throws(() => createOriginPolicy({ ...cors, allowedOrigins: ['https://shop.example.com/cart'] }, 'http://localhost:3000'), /scheme:\/\/host/);
+});
+
+test('answers storefront origins and refuses look-alikes', async () => {
+  const allowed = await request('GET', '/health', { headers: { Origin: 'https://store-abc.mybigcommerce.com' } });
+  const refused = await request('GET', '/health', { headers: { Origin: 'https://x.bigcommerce.com.evil.net' } });
+
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://store-abc.mybigcommerce.com');
+  assert.equal(allowed.headers.get('access-control-allow-credentials'), null);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'ORIGIN_NOT_ALLOWED');
+});
+
+test('checks storefront credentials when they are sent', async t => {
+  const { body } = await request('POST', '/api/admin/storefront-keys/rotate', { admin: true });
+  const { publishableKey, tokenSecret } = body.data;
+  const cart = await createCart();
+  const other = await createCart();
+  const exp = Math.floor(Date.now() / 1000) + 300;
+  const token = cartId => jwt.sign({ sub: `stores/${STORE_HASH}`, aud: TOKEN_AUDIENCE, exp, cartId }, tokenSecret);
+  const quote = (cartId, headers) => request('GET', `/api/insurance/calculate?cartId=${cartId}`, { headers });
+
+  assert.equal((await quote(cart.id, { 'X-Publishable-Key': publishableKey })).status, 200);
+  assert.equal((await quote(cart.id, { 'X-Storefront-Token': token(cart.id) })).status, 200);
+
+  const wrongKey = await quote(cart.id, { 'X-Publishable-Key': 'pk_wrong' });
+  const wrongCart = await quote(other.id, { 'X-Storefront-Token': token(cart.id) });
+  const wrongSecret = await quote(cart.id, { 'X-Storefront-Token': jwt.sign({ sub: `stores/${STORE_HASH}`, aud: TOKEN_AUDIENCE, exp }, 'sk_other') });
+  [wrongKey, wrongCart, wrongSecret].forEach(({ status, body: error }) => {
+    assert.equal(status, 401, JSON.stringify(error));
+    assert.equal(error.code, 'INVALID_STOREFRONT_CREDENTIALS');
+  });
+
+  // With credentials required, requests without them are refused
+  config.storefront.auth = 'required';
+  t.after(() => { config.storefront.auth = 'optional'; });
+  const missing = await quote(cart.id, {});
+  assert.equal(missing.body.code, 'STOREFRONT_AUTH_REQUIRED');
+});
+
+/**
+ * Turn rate limiting on, with a fresh counter store, for one test
+ */
+function enableRateLimits(t) {
+  config.rateLimit.enabled = true;
+  setRateLimitStore(new MemoryRateLimitStore());
+  t.after(() => {
+    config.rateLimit.enabled = false;
+    setRateLimitStore(new MemoryRateLimitStore());
+  });
+}
+
+test('limits requests per cart with 429 and Retry-After', async t => {
+  enableRateLimits(t);
+  const cart = await createCart();
+  const quote = cartId => request('GET', `/api/insurance/calculate?cartId=${cartId}`);
+
+  for (let i = 0; i < config.rateLimit.perCart; i++) {
+    assert.equal((await quote(cart.id)).status, 200);
+  }
+  const limited = await quote(cart.id);
+  const otherCart = await quote((await createCart()).id);
+
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+  assert.equal(otherCart.status, 200);
+});
+
+test('lets requests through when the counter store fails', async t => {
+  enableRateLimits(t);
+  setRateLimitStore({ increment: async () => { throw new Error('store down'); } });
+  const cart = await createCart();
+
+  const { status } = await request('GET', `/api/insurance/calculate?cartId=${cart.id}`);
+
+  assert.equal(status, 200);
+});
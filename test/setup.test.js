@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const {
+  INSURANCE_PRODUCT_ID,
+  dataDir,
+  startServer,
+  stopServer,
+  storeContext
+} = require('./helpers');
+const { PROTECTION_PRODUCT, provisionProtectionProduct, runDiagnostics } = require('../services/provisioning');
+
+before(startServer);
+after(stopServer);
+
+const SETUP_SCRIPT = path.join(__dirname, '..', 'scripts', 'setup.js');
+
+/**
+ * Run `npm run setup` with `args` in a fresh working directory
+ * Returns { code, stdout, cwd }; the directory holds the .env file the command writes.
+ */
+function runSetup(args, { envFile = null } = {}) {
+  const cwd = fs.mkdtempSync(path.join(dataDir, 'setup-'));
+  if (envFile !== null) {
+    fs.writeFileSync(path.join(cwd, '.env'), envFile);
+  }
+  return new Promise(resolve => {
+    execFile(process.execPath, [SETUP_SCRIPT, ...args], { cwd, env: { ...process.env, DATA_DIR: path.join(cwd, 'data') }, timeout: 30000 }, (error, stdout) => {
+      resolve({ code: error ? error.code : 0, stdout, cwd });
+    });
+  });
+}
+
+test('finds the fixture product by SKU and leaves it alone', async () => {
+  const { product, action } = await provisionProtectionProduct(storeContext());
+
+  assert.equal(product.id, INSURANCE_PRODUCT_ID);
+  assert.equal(action, 'unchanged');
+});
+
+test('corrects the settings protection depends on', async () => {
+  const context = storeContext();
+  await context.bigcommerce.updateProduct(INSURANCE_PRODUCT_ID, { is_visible: true, inventory_tracking: 'product' });
+
+  const broken = await runDiagnostics(context);
+  const { product, action, changes } = await provisionProtectionProduct(context);
+  const fixed = await runDiagnostics(context);
+
+  assert.equal(broken.ok, false);
+  assert.ok(broken.checks.some(({ name, status }) => name === 'insurance product inventory_tracking' && status === 'fail'));
+  assert.equal(action, 'updated');
+  assert.deepEqual(changes.sort(), ['inventory_tracking', 'is_visible']);
+  assert.equal(product.is_visible, false);
+  assert.equal(fixed.ok, true);
+});
+
+test('refuses a product ID that does not exist', async () => {
+  await assert.rejects(provisionProtectionProduct(storeContext(), { productId: 999999 }), /Product 999999 does not exist/);
+});
+
+test('creates the product when the store has none', async () => {
+  const context = storeContext();
+  await context.bigcommerce.updateProduct(INSURANCE_PRODUCT_ID, { name: 'Old Protection', sku: 'OLD-PROTECTION' });
+
+  const { product, action } = await provisionProtectionProduct(context);
+
+  assert.equal(action, 'created');
+  assert.notEqual(product.id, INSURANCE_PRODUCT_ID);
+  assert.equal(product.sku, PROTECTION_PRODUCT.sku);
+  assert.equal(product.type, 'digital');
+});
+
+test('npm run setup writes the product ID to .env', async () => {
+  const { code, stdout, cwd } = await runSetup([], { envFile: '# INSURANCE_PRODUCT_ID=1\nPORT=4000\n' });
+
+  assert.equal(code, 0, stdout);
+  assert.match(stdout, /Protection product: found #6817/);
+  assert.match(stdout, /Ready: 0 failed/);
+  assert.equal(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), 'INSURANCE_PRODUCT_ID=6817\nPORT=4000\n');
+});
+
+test('--check and --dry-run write nothing', async () => {
+  const check = await runSetup(['--check']);
+  const dryRun = await runSetup(['--dry-run']);
+
+  assert.equal(check.code, 0, check.stdout);
+  assert.doesNotMatch(check.stdout, /Protection product/);
+  assert.equal(dryRun.code, 0, dryRun.stdout);
+  assert.match(dryRun.stdout, /Dry run: would write INSURANCE_PRODUCT_ID=6817/);
+  assert.equal(fs.existsSync(path.join(check.cwd, '.env')), false);
+  assert.equal(fs.existsSync(path.join(dryRun.cwd, '.env')), false);
+});
+
+test('fails on a missing product or an unknown option', async () => {
+  const missing = await runSetup(['--product-id', '999999']);
+  const unknown = await runSetup(['--force']);
+
+  assert.equal(missing.code, 1);
+  assert.equal(unknown.code, 1);
+});
@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  stopServer,
+  request,
+  createCart,
+  placeOrder,
+  getSimulatedCart,
+  storeContext
+} = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+test('starts from the built-in fixtures', async () => {
+  const { status, body } = await request('GET', '/api/simulator', { admin: true });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.products.map(product => product.id).sort(), [101, 102, 103, 104, 6817]);
+  assert.ok(body.data.carts.some(cart => cart.id === 'sim-cart-1'));
+  assert.deepEqual(body.data.failures, []);
+});
+
+test('the BigCommerce client reads and changes simulated carts', async () => {
+  const cart = await createCart();
+  const { bigcommerce } = storeContext();
+
+  await bigcommerce.addCartItem(cart.id, 103, 2);
+  const { data } = await bigcommerce.getCart(cart.id);
+
+  const items = data.line_items.physical_items;
+  assert.equal(cart.base_amount, 118.99);
+  assert.deepEqual(items.map(item => [item.product_id, item.quantity]), [[101, 1], [102, 2], [103, 2]]);
+});
+
+test('checking a cart out turns it into an order', async () => {
+  const cart = await createCart();
+
+  const order = await placeOrder(cart.id);
+
+  assert.equal(order.cart_id, cart.id);
+  assert.equal(getSimulatedCart(cart.id), undefined);
+  const products = await storeContext().bigcommerce.getOrderProducts(order.id);
+  assert.deepEqual(products.map(product => product.product_id).sort(), [101, 102]);
+
+  const again = await request('POST', `/api/simulator/carts/${cart.id}/order`, { admin: true, body: {} });
+  assert.equal(again.status, 404);
+  assert.equal(again.body.code, 'CART_NOT_FOUND');
+});
+
+test('injected failures are retried like BigCommerce errors', async () => {
+  const cart = await createCart();
+  await request('POST', '/api/simulator/failures', {
+    admin: true,
+    body: { status: 503, method: 'get', path: `/v3/carts/${cart.id}`, times: 1 }
+  });
+
+  const { data } = await storeContext().bigcommerce.getCart(cart.id);
+
+  assert.equal(data.id, cart.id);
+  const { body } = await request('GET', '/api/simulator', { admin: true });
+  assert.deepEqual(body.data.failures, []);
+});
+
+test('injected errors BigCommerce would not retry reach the caller', async t => {
+  const cart = await createCart();
+  t.after(() => request('DELETE', '/api/simulator/failures', { admin: true }));
+  await request('POST', '/api/simulator/failures', {
+    admin: true,
+    body: { status: 422, method: 'post', path: `/v3/carts/${cart.id}/items`, times: 0 }
+  });
+
+  await assert.rejects(storeContext().bigcommerce.addCartItem(cart.id, 103, 1), {
+    code: 'BC_REQUEST_FAILED',
+    message: /422/
+  });
+});
+
+test('reset returns to the fixtures', async () => {
+  const cart = await createCart();
+
+  const { status } = await request('POST', '/api/simulator/reset', { admin: true });
+
+  assert.equal(status, 200);
+  assert.equal(getSimulatedCart(cart.id), undefined);
+  assert.ok(getSimulatedCart('sim-cart-1'));
+});
+
+test('the control API is admin only', async () => {
+  const { status } = await request('GET', '/api/simulator');
+
+  assert.equal(status, 401);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STORE_HASH,
+  startServer,
+  stopServer,
+  request,
+  webhook,
+  createCart,
+  insuranceItems,
+  storeContext
+} = require('./helpers');
+const simulator = require('../services/bigcommerceSimulator');
+const { saveInstallation, getStoreContext } = require('../services/stores');
+
+before(startServer);
+after(stopServer);
+
+test('rejects deliveries with the wrong secret', async () => {
+  const { status, body } = await webhook('store/cart/updated', { type: 'cart', id: 'sim-cart-1' }, { secret: 'wrong' });
+
+  assert.equal(status, 401);
+  assert.equal(body.code, 'INVALID_WEBHOOK_SIGNATURE');
+});
+
+test('a cart update re-prices the cart\'s protection', async () => {
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+  await storeContext().bigcommerce.addCartItem(cart.id, 101, 1);
+
+  const { status, body } = await webhook('store/cart/updated', { type: 'cart', id: cart.id });
+
+  assert.equal(status, 200);
+  assert.equal(body.cartId, cart.id);
+  const items = insuranceItems(cart.id);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].list_price, 8.36);
+});
+
+test('line item events carry the cart ID in cartId', async () => {
+  const cart = await createCart();
+  await request('POST', '/api/insurance/add', { body: { cartId: cart.id, protection: 1 } });
+  await storeContext().bigcommerce.addCartItem(cart.id, 101, 1);
+
+  const { body } = await webhook('store/cart/lineItem/created', { type: 'cart_line_item', id: 'line-item', cartId: cart.id });
+
+  assert.equal(body.cartId, cart.id);
+  assert.equal(insuranceItems(cart.id)[0].list_price, 8.36);
+});
+
+test('a cart without protection is left alone', async () => {
+  const cart = await createCart();
+
+  const { status } = await webhook('store/cart/updated', { type: 'cart', id: cart.id });
+
+  assert.equal(status, 200);
+  assert.equal(insuranceItems(cart.id).length, 0);
+});
+
+test('a cart update for a deleted cart is acknowledged', async () => {
+  const { status, body } = await webhook('store/cart/updated', { type: 'cart', id: 'no-such-cart' });
+
+  assert.equal(status, 200);
+  assert.equal(body.action, 'none');
+});
+
+/**
+ * The secrets the store's registered hooks carry
+ */
+function hookSecrets(storeHash) {
+  return simulator.snapshot(storeHash).hooks.map(hook => hook.headers['X-Webhook-Secret']);
+}
+
+test('registers hooks with the configured secret for the configured store', async () => {
+  const first = await request('POST', '/api/webhooks/register', { admin: true });
+  const again = await request('POST', '/api/webhooks/register', { admin: true });
+
+  assert.equal(first.status, 200);
+  assert.ok(first.body.hooks.every(({ status }) => status === 'created'));
+  assert.ok(again.body.hooks.every(({ status }) => status === 'exists'));
+  assert.ok(hookSecrets(STORE_HASH).every(secret => secret === process.env.BC_WEBHOOK_SECRET));
+});
+
+test('every other store signs its deliveries with a secret of its own', async () => {
+  saveInstallation({ storeHash: 'storetwo', accessToken: 'storetwo-token', scope: 'store_v2_default' });
+  const { status } = await request('POST', '/api/webhooks/register?storeHash=storetwo', { admin: true });
+  const [secret] = hookSecrets('storetwo');
+  const delivery = options => webhook('store/cart/updated', { type: 'cart', id: 'no-such-cart' }, options);
+
+  assert.equal(status, 200);
+  assert.match(secret, /^whsec_/);
+  assert.ok(hookSecrets('storetwo').every(hookSecret => hookSecret === secret));
+  assert.equal((await delivery({ storeHash: 'storetwo', secret })).status, 200);
+  assert.equal((await delivery({ storeHash: 'storetwo' })).status, 401);
+  assert.equal((await delivery({ secret })).status, 401);
+});
+
+test('re-registering replaces a hook\'s outdated secret', async () => {
+  saveInstallation({ storeHash: 'storethree', accessToken: 'storethree-token', scope: 'store_v2_default' });
+  await request('POST', '/api/webhooks/register?storeHash=storethree', { admin: true });
+  const [hook] = simulator.snapshot('storethree').hooks;
+  const secret = hook.headers['X-Webhook-Secret'];
+  await getStoreContext('storethree').bigcommerce.updateWebhook(hook.id, { headers: { 'X-Webhook-Secret': 'old-secret' } });
+
+  const { body } = await request('POST', '/api/webhooks/register?storeHash=storethree', { admin: true });
+
+  assert.deepEqual(body.hooks.map(({ status }) => status), ['updated', ...body.hooks.slice(1).map(() => 'exists')]);
+  assert.ok(hookSecrets('storethree').every(hookSecret => hookSecret === secret));
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  dataDir,
+  startServer,
+  stopServer,
+  request
+} = require('./helpers');
+const { version: packageVersion } = require('../package.json');
+const { WIDGET_FILE, loadWidgetScript } = require('../services/widget');
+
+before(startServer);
+after(stopServer);
+
+test('the version follows the script\'s contents', () => {
+  const file = path.join(dataDir, 'widget.js');
+  fs.writeFileSync(file, 'console.log("first");\n');
+  const first = loadWidgetScript(file).version;
+  const unchanged = loadWidgetScript(file).version;
+
+  fs.writeFileSync(file, 'console.log("second release");\n');
+  const changed = loadWidgetScript(file);
+
+  assert.match(first, /^[0-9a-f]{12}$/);
+  assert.equal(unchanged, first);
+  assert.notEqual(changed.version, first);
+  assert.equal(changed.source.toString(), 'console.log("second release");\n');
+});
+
+test('serves the current version for a year and latest briefly', async () => {
+  const { body: config } = await request('GET', '/api/widget/config');
+  const { version } = config.data;
+
+  const versioned = await request('GET', `/api/widget/${version}/shipping_protection.js`);
+  const latest = await request('GET', '/api/widget/latest/shipping_protection.js');
+
+  assert.equal(version, loadWidgetScript(WIDGET_FILE).version);
+  assert.equal(versioned.status, 200);
+  assert.match(versioned.headers.get('content-type'), /javascript/);
+  assert.equal(versioned.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+  assert.equal(versioned.body, fs.readFileSync(WIDGET_FILE, 'utf8'));
+  assert.equal(latest.headers.get('cache-control'), 'public, max-age=300');
+  assert.equal(latest.body, versioned.body);
+});
+
+test('other versions are not served', async () => {
+  const { status, body } = await request('GET', `/api/widget/${packageVersion}/shipping_protection.js`);
+
+  assert.equal(status, 404);
+  assert.equal(body.code, 'WIDGET_VERSION_NOT_FOUND');
+});